@@ -2,6 +2,8 @@
 class API {
 	constructor(baseUrl = "") {
 		this.baseUrl = baseUrl;
+		// Called when the server reports the session is missing/expired
+		this.onUnauthorized = null;
 	}
 
 	async request(endpoint, options = {}) {
@@ -22,6 +24,11 @@ class API {
 			const response = await fetch(url, config);
 			const data = await response.json();
 
+			// 401 with loginRequired = no local session (other 401s are Twitch auth errors)
+			if (response.status === 401 && data.loginRequired && this.onUnauthorized) {
+				this.onUnauthorized();
+			}
+
 			if (!response.ok) {
 				throw new Error(data.error || `HTTP ${response.status}`);
 			}
@@ -38,6 +45,60 @@ class API {
 		return this.request("/api/status");
 	}
 
+	// Local session
+	async getSession() {
+		return this.request("/api/session");
+	}
+
+	async sessionLogin(username, password) {
+		return this.request("/api/session/login", {
+			method: "POST",
+			body: { username, password }
+		});
+	}
+
+	async sessionSetup(username, password) {
+		return this.request("/api/session/setup", {
+			method: "POST",
+			body: { username, password }
+		});
+	}
+
+	async sessionLogout() {
+		return this.request("/api/session/logout", { method: "POST" });
+	}
+
+	async getAccount() {
+		return this.request("/api/account");
+	}
+
+	async changePassword(currentPassword, newPassword) {
+		return this.request("/api/account/password", {
+			method: "PUT",
+			body: { currentPassword, newPassword }
+		});
+	}
+
+	async regenerateApiKey() {
+		return this.request("/api/account/api-key", { method: "POST" });
+	}
+
+	// Playlist access tokens
+	async getPlaylistTokens() {
+		return this.request("/api/playlist-tokens");
+	}
+
+	async createPlaylistToken(name) {
+		return this.request("/api/playlist-tokens", {
+			method: "POST",
+			body: { name }
+		});
+	}
+
+	async revokePlaylistToken(id) {
+		return this.request(`/api/playlist-tokens/${id}`, { method: "DELETE" });
+	}
+
 	// Auth
 	async getAuthStatus() {
 		return this.request("/api/auth/status");
@@ -51,6 +112,14 @@ class API {
 		return this.request("/api/auth/logout", { method: "POST" });
 	}
 
+	async startDeviceLogin() {
+		return this.request("/api/auth/device", { method: "POST" });
+	}
+
+	async pollDeviceLogin() {
+		return this.request("/api/auth/device/poll", { method: "POST" });
+	}
+
 	// Channels & Streams
 	async getFollowedChannels() {
 		return this.request("/api/channels/followed");
@@ -91,6 +160,10 @@ class API {
 		return this.request("/api/stream/active");
 	}
 
+	async getStreamEvents(channel) {
+		return this.request(`/api/stream/events/${encodeURIComponent(channel)}`);
+	}
+
 	// Settings
 	async getSettings() {
 		return this.request("/api/settings");
@@ -143,6 +216,24 @@ class API {
 		return this.request(url);
 	}
 
+	// Kick
+	async getKickChannels() {
+		return this.request("/api/kick/channels");
+	}
+
+	async addKickChannel(channel) {
+		return this.request("/api/kick/channels", {
+			method: "POST",
+			body: { channel }
+		});
+	}
+
+	async removeKickChannel(slug) {
+		return this.request(`/api/kick/channels/${encodeURIComponent(slug)}`, {
+			method: "DELETE"
+		});
+	}
+
 	// YouTube
 	async getYoutubeChannels() {
 		return this.request("/api/youtube/channels");
@@ -165,26 +256,9 @@ class API {
 		return this.request(`/api/youtube/videos?limit=${limit}`);
 	}
 
-	async getYoutubeDirectUrl(videoId, quality = null) {
-		let url = `/api/youtube/direct/${encodeURIComponent(videoId)}`;
-		if (quality) {
-			url += `?quality=${encodeURIComponent(quality)}`;
-		}
-		return this.request(url);
-	}
-
-	// Twitch VOD direct URL
-	async getVodDirectUrl(videoId, quality = null) {
-		let url = `/api/vod/direct/${encodeURIComponent(videoId)}`;
-		if (quality) {
-			url += `?quality=${encodeURIComponent(quality)}`;
-		}
-		return this.request(url);
-	}
-
-	// Twitch Clip direct URL
-	async getClipDirectUrl(clipId, quality = null) {
-		let url = `/api/clip/direct/${encodeURIComponent(clipId)}`;
+	// Direct URL of a playable item (vod_..., clip_..., yt_...)
+	async getItemDirectUrl(itemId, quality = null) {
+		let url = `/api/items/${encodeURIComponent(itemId)}/direct`;
 		if (quality) {
 			url += `?quality=${encodeURIComponent(quality)}`;
 		}
@@ -227,6 +301,23 @@ class API {
 		});
 	}
 
+	async updateRecording(id, updates) {
+		return this.request(`/api/recordings/${id}`, {
+			method: "PUT",
+			body: updates
+		});
+	}
+
+	async getRecording(id) {
+		return this.request(`/api/recordings/${id}`);
+	}
+
+	async processRecording(id) {
+		return this.request(`/api/recordings/${id}/process`, {
+			method: "POST"
+		});
+	}
+
 	// Recording Settings
 	async getRecordingSettings() {
 		return this.request("/api/recording-settings");
@@ -239,6 +330,145 @@ class API {
 		});
 	}
 
+	// Custom Channels
+	async getCustomChannels() {
+		return this.request("/api/custom-channels");
+	}
+
+	async addCustomChannel(channel) {
+		return this.request("/api/custom-channels", {
+			method: "POST",
+			body: channel
+		});
+	}
+
+	async updateCustomChannel(id, updates) {
+		return this.request(`/api/custom-channels/${id}`, {
+			method: "PUT",
+			body: updates
+		});
+	}
+
+	async deleteCustomChannel(id) {
+		return this.request(`/api/custom-channels/${id}`, {
+			method: "DELETE"
+		});
+	}
+
+	// Transcoding Profiles
+	async getTranscodeProfiles() {
+		return this.request("/api/transcode-profiles");
+	}
+
+	async addTranscodeProfile(profile) {
+		return this.request("/api/transcode-profiles", {
+			method: "POST",
+			body: profile
+		});
+	}
+
+	async updateTranscodeProfile(id, updates) {
+		return this.request(`/api/transcode-profiles/${id}`, {
+			method: "PUT",
+			body: updates
+		});
+	}
+
+	async deleteTranscodeProfile(id) {
+		return this.request(`/api/transcode-profiles/${id}`, {
+			method: "DELETE"
+		});
+	}
+
+	// Streamlink Profiles
+	async getStreamlinkProfiles() {
+		return this.request("/api/streamlink-profiles");
+	}
+
+	async addStreamlinkProfile(profile) {
+		return this.request("/api/streamlink-profiles", {
+			method: "POST",
+			body: profile
+		});
+	}
+
+	async updateStreamlinkProfile(id, updates) {
+		return this.request(`/api/streamlink-profiles/${id}`, {
+			method: "PUT",
+			body: updates
+		});
+	}
+
+	async deleteStreamlinkProfile(id) {
+		return this.request(`/api/streamlink-profiles/${id}`, {
+			method: "DELETE"
+		});
+	}
+
+	async assignStreamlinkProfiles(assignments) {
+		return this.request("/api/streamlink-profiles/assignments", {
+			method: "PUT",
+			body: assignments
+		});
+	}
+
+	async assignChannelStreamlinkProfile(channel, profileId) {
+		return this.request(`/api/streamlink-profiles/channels/${encodeURIComponent(channel)}`, {
+			method: "PUT",
+			body: { profile_id: profileId }
+		});
+	}
+
+	// Xtream Accounts
+	async getXtreamUsers() {
+		return this.request("/api/xtream/users");
+	}
+
+	async addXtreamUser(user) {
+		return this.request("/api/xtream/users", {
+			method: "POST",
+			body: user
+		});
+	}
+
+	async updateXtreamUser(id, updates) {
+		return this.request(`/api/xtream/users/${id}`, {
+			method: "PUT",
+			body: updates
+		});
+	}
+
+	async deleteXtreamUser(id) {
+		return this.request(`/api/xtream/users/${id}`, {
+			method: "DELETE"
+		});
+	}
+
+	// Local users (admin only)
+	async getUsers() {
+		return this.request("/api/users");
+	}
+
+	async addUser(user) {
+		return this.request("/api/users", {
+			method: "POST",
+			body: user
+		});
+	}
+
+	async updateUser(id, updates) {
+		return this.request(`/api/users/${id}`, {
+			method: "PUT",
+			body: updates
+		});
+	}
+
+	async deleteUser(id) {
+		return this.request(`/api/users/${id}`, {
+			method: "DELETE"
+		});
+	}
+
 	// Search games
 	async searchGames(query) {
 		return this.request(`/api/games/search?q=${encodeURIComponent(query)}`);
@@ -1,16 +1,33 @@
 // Main Application
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]; // Date.getDay() order, as stored in recording rules
+
 class App {
 	constructor() {
 		this.currentView = "live";
 		this.isAuthenticated = false;
+		this.redirectLoginAvailable = true;
 		this.settings = {};
 		this.favorites = new Set(); // Track favorite channels
+		this.sessionUser = null;
+		this.setupRequired = false;
+		this.recordingRules = []; // Rules of the recordings view, for the rule editor
 		this.init();
 	}
 
 	async init() {
 		console.log("🚀 Initializing Streamlink Remote...");
 
+		// Show the login screen whenever the server says our session is gone
+		api.onUnauthorized = () => this.showLoginScreen();
+		this.setupLogin();
+
+		// Require a local login before anything else is loaded
+		const session = await this.loadSession();
+		if (!session.authenticated) {
+			this.showLoginScreen(session.setupRequired);
+			return;
+		}
+
 		// Setup event listeners
 		this.setupNavigation();
 		this.setupAuth();
@@ -18,6 +35,7 @@ class App {
 		this.setupSettings();
 		this.setupRefresh();
 		this.setupYouTube();
+		this.setupKick();
 		this.setupVods();
 		this.setupClips();
 
@@ -31,6 +49,64 @@ class App {
 		await this.loadView(this.currentView);
 	}
 
+	// Local Login
+	async loadSession() {
+		try {
+			const session = await api.getSession();
+			this.sessionUser = session.user;
+			return session;
+		} catch (error) {
+			console.error("Error loading session:", error);
+			return { authenticated: false, setupRequired: false };
+		}
+	}
+
+	setupLogin() {
+		const form = document.getElementById("login-form");
+
+		form.addEventListener("submit", async (e) => {
+			e.preventDefault();
+
+			const username = document.getElementById("login-username").value.trim();
+			const password = document.getElementById("login-password").value;
+			const errorEl = document.getElementById("login-error");
+			errorEl.classList.add("hidden");
+
+			try {
+				if (this.setupRequired) {
+					await api.sessionSetup(username, password);
+				} else {
+					await api.sessionLogin(username, password);
+				}
+				// Start from a clean state with the new session
+				window.location.reload();
+			} catch (error) {
+				errorEl.textContent = error.message;
+				errorEl.classList.remove("hidden");
+			}
+		});
+	}
+
+	showLoginScreen(setupRequired = false) {
+		this.setupRequired = setupRequired;
+		wsClient.disconnect();
+
+		document.getElementById("login-subtitle").textContent = setupRequired
+			? "Create the admin account to get started"
+			: "Please sign in";
+		document.getElementById("login-submit").textContent = setupRequired ? "Create Account" : "Sign in";
+		document.getElementById("login-password").autocomplete = setupRequired ? "new-password" : "current-password";
+		document.getElementById("login-screen").classList.remove("hidden");
+	}
+
+	async signOut() {
+		try {
+			await api.sessionLogout();
+		} finally {
+			window.location.reload();
+		}
+	}
+
 	// Favorites
 	async loadFavorites() {
 		try {
@@ -150,6 +226,7 @@ class App {
 		try {
 			const data = await api.getAuthStatus();
 			this.isAuthenticated = data.authenticated;
+			this.redirectLoginAvailable = data.redirectLoginAvailable !== false;
 			this.updateAuthUI(data);
 		} catch (error) {
 			console.error("Error loading auth status:", error);
@@ -173,15 +250,26 @@ class App {
 		} else {
 			authStatus.innerHTML = `
 				<button id="login-btn" class="btn btn-primary btn-small">Login with Twitch</button>
+				${this.redirectLoginAvailable ? `<button id="device-login-btn" class="btn btn-small" title="Log in on another device with a code">Use code</button>` : ""}
 			`;
 
 			document.getElementById("login-btn").addEventListener("click", () => {
 				this.login();
 			});
+
+			const deviceLoginBtn = document.getElementById("device-login-btn");
+			if (deviceLoginBtn) {
+				deviceLoginBtn.addEventListener("click", () => this.loginWithDeviceCode());
+			}
 		}
 	}
 
 	async login() {
+		// Without a client secret only the device code flow works
+		if (this.redirectLoginAvailable === false) {
+			return this.loginWithDeviceCode();
+		}
+
 		try {
 			const data = await api.getAuthLoginUrl();
 
@@ -224,6 +312,73 @@ class App {
 		}
 	}
 
+	// Device Code Grant - approve the code on twitch.tv from any device
+	async loginWithDeviceCode() {
+		let device;
+		try {
+			device = await api.startDeviceLogin();
+		} catch (error) {
+			this.showToast(`Login error: ${error.message}`, "error");
+			return;
+		}
+
+		const modal = document.getElementById("stream-modal");
+		const modalBody = document.getElementById("modal-body");
+
+		modalBody.innerHTML = `
+			<h2>🔑 Login with Twitch</h2>
+			<p>Open <a href="${device.verificationUri}" target="_blank" rel="noopener">${this.escapeHtml(device.verificationUri)}</a> on any device and enter this code:</p>
+			<div class="active-stream-url">
+				<code style="font-size: 1.5rem; letter-spacing: 0.2rem;">${this.escapeHtml(device.userCode)}</code>
+				<button class="btn btn-small" onclick="app.copyToClipboard('${device.userCode}')">Copy</button>
+			</div>
+			<p id="device-login-status" class="text-muted" style="margin-top: 1rem;">⏳ Waiting for approval...</p>
+			<div style="margin-top: 1rem;">
+				<button class="btn" onclick="app.closeModal()">Cancel</button>
+			</div>
+		`;
+
+		modal.classList.remove("hidden");
+		modal.querySelector(".modal-overlay").addEventListener("click", () => this.closeModal());
+		modal.querySelector(".modal-close").addEventListener("click", () => this.closeModal());
+
+		// Poll at the interval Twitch asks for, stop when the modal is closed
+		const poll = async (interval) => {
+			if (modal.classList.contains("hidden")) return;
+
+			let result;
+			try {
+				result = await api.pollDeviceLogin();
+			} catch (error) {
+				result = { status: "pending", interval };
+			}
+
+			if (result.status === "pending") {
+				setTimeout(() => poll(result.interval || interval), (result.interval || interval) * 1000);
+				return;
+			}
+
+			if (result.status === "authorized") {
+				this.closeModal();
+				this.showToast("Successfully logged in!", "success");
+				await this.loadAuthStatus();
+				if (this.currentView === "live") {
+					await this.loadLiveStreams();
+				}
+				return;
+			}
+
+			const status = document.getElementById("device-login-status");
+			if (status) {
+				status.textContent = result.status === "denied"
+					? "✗ Login was denied"
+					: "✗ Code expired - please try again";
+			}
+		};
+
+		setTimeout(() => poll(device.interval), device.interval * 1000);
+	}
+
 	async logout() {
 		try {
 			await api.logout();
@@ -237,27 +392,39 @@ class App {
 		}
 	}
 
-	// Live Streams
+	// Live Streams (Twitch follows + followed Kick channels)
 	async loadLiveStreams() {
 		const container = document.getElementById("live-streams");
 		const emptyState = document.getElementById("live-empty");
 
-		if (!this.isAuthenticated) {
-			container.innerHTML = "";
-			emptyState.innerHTML = `
-				<p>Please log in to see live streams from your followed channels</p>
-				<button class="btn btn-primary" onclick="app.login()">Login with Twitch</button>
-			`;
-			emptyState.classList.remove("hidden");
-			return;
-		}
-
 		try {
-			const data = await api.getLiveStreams();
-			const streams = data.streams || [];
+			const [data, kickChannels] = await Promise.all([
+				this.isAuthenticated ? api.getLiveStreams() : Promise.resolve({ streams: [] }),
+				api.getKickChannels()
+			]);
+			this.renderKickChannels(kickChannels);
+
+			const kickStreams = kickChannels
+				.filter(channel => channel.is_live)
+				.map(channel => ({
+					provider: "kick",
+					user_login: `kick:${channel.slug}`,
+					user_name: channel.display_name,
+					title: channel.title || "",
+					viewer_count: channel.viewer_count,
+					game_name: channel.category_name,
+					thumbnail_url: channel.thumbnail_url || channel.profile_image_url || ""
+				}));
+			const streams = [...(data.streams || []), ...kickStreams];
 
 			if (streams.length === 0) {
 				container.innerHTML = "";
+				if (!this.isAuthenticated) {
+					emptyState.innerHTML = `
+						<p>Please log in to see live streams from your followed channels</p>
+						<button class="btn btn-primary" onclick="app.login()">Login with Twitch</button>
+					`;
+				}
 				emptyState.classList.remove("hidden");
 			} else {
 				emptyState.classList.add("hidden");
@@ -269,6 +436,60 @@ class App {
 		}
 	}
 
+	// Kick
+	setupKick() {
+		const addBtn = document.getElementById("kick-add-btn");
+		const input = document.getElementById("kick-channel-input");
+
+		const addChannel = async () => {
+			const channel = input.value.trim();
+			if (!channel) return;
+
+			this.showLoading();
+			try {
+				const result = await api.addKickChannel(channel);
+				this.showToast(`Added Kick channel: ${result.channel.display_name}`, "success");
+				input.value = "";
+				await this.loadLiveStreams();
+			} catch (error) {
+				this.showToast(`Error adding channel: ${error.message}`, "error");
+			} finally {
+				this.hideLoading();
+			}
+		};
+
+		addBtn.addEventListener("click", addChannel);
+		input.addEventListener("keypress", (e) => {
+			if (e.key === "Enter") {
+				addChannel();
+			}
+		});
+	}
+
+	renderKickChannels(channels) {
+		const channelsList = document.getElementById("kick-channels-list");
+
+		channelsList.innerHTML = channels.map(channel => `
+			<div class="youtube-channel-tag" data-slug="${channel.slug}">
+				<span class="channel-name">${channel.is_live ? "🔴 " : ""}${this.escapeHtml(channel.display_name)}</span>
+				<button class="remove-channel-btn" title="Remove channel">&times;</button>
+			</div>
+		`).join("");
+
+		channelsList.querySelectorAll(".remove-channel-btn").forEach(btn => {
+			btn.addEventListener("click", async (e) => {
+				const tag = e.target.closest(".youtube-channel-tag");
+				try {
+					await api.removeKickChannel(tag.dataset.slug);
+					this.showToast("Channel removed", "success");
+					await this.loadLiveStreams();
+				} catch (error) {
+					this.showToast(`Error removing channel: ${error.message}`, "error");
+				}
+			});
+		});
+	}
+
 	// Featured Streams
 	async loadFeaturedStreams() {
 		const container = document.getElementById("featured-streams");
@@ -343,7 +564,8 @@ class App {
 				emptyState.classList.remove("hidden");
 			} else {
 				emptyState.classList.add("hidden");
-				container.innerHTML = streams.map((stream) => this.renderActiveStreamCard(stream)).join("");
+				const token = await this.getPlayerToken();
+				container.innerHTML = streams.map((stream) => this.renderActiveStreamCard(stream, token)).join("");
 				this.attachActiveStreamListeners();
 			}
 		} catch (error) {
@@ -474,7 +696,7 @@ class App {
 		this.showLoading();
 		try {
 			// Get direct URL from yt-dlp (seekable!)
-			const result = await api.getVodDirectUrl(videoId);
+			const result = await api.getItemDirectUrl(`vod_${videoId}`);
 			if (result.success && result.directUrl) {
 				this.showVodModal(videoId, title, channel, result.directUrl);
 			} else {
@@ -626,7 +848,7 @@ class App {
 		this.showLoading();
 		try {
 			// Get direct URL from yt-dlp (seekable!)
-			const result = await api.getClipDirectUrl(clipId);
+			const result = await api.getItemDirectUrl(`clip_${clipId}`);
 			if (result.success && result.directUrl) {
 				this.showClipModal(clipId, title, channel, result.directUrl, vodId, vodOffset);
 			} else {
@@ -700,7 +922,7 @@ class App {
 		this.closeModal();
 		this.showLoading();
 		try {
-			const result = await api.getVodDirectUrl(vodId);
+			const result = await api.getItemDirectUrl(`vod_${vodId}`);
 			if (result.success && result.directUrl) {
 				const offsetNote = this.formatVodTimestamp(offset);
 				this.showVodModal(vodId, `VOD von ${channel} (ab ${offsetNote})`, channel, result.directUrl);
@@ -844,7 +1066,7 @@ class App {
 
 		try {
 			// Get direct URL from yt-dlp (seekable!)
-			const result = await api.getYoutubeDirectUrl(videoId);
+			const result = await api.getItemDirectUrl(`yt_${videoId}`);
 
 			if (result.success && result.directUrl) {
 				this.showYouTubeModal(videoId, title, result.directUrl);
@@ -897,6 +1119,71 @@ class App {
 	setupSettings() {
 		const saveBtn = document.getElementById("save-settings-btn");
 		saveBtn.addEventListener("click", () => this.saveSettings());
+
+		const addXtreamBtn = document.getElementById("add-xtream-user-btn");
+		addXtreamBtn.addEventListener("click", () => this.addXtreamUser());
+
+		document.getElementById("save-custom-channel-btn").addEventListener("click", () => this.saveCustomChannel());
+		document.getElementById("cancel-custom-channel-btn").addEventListener("click", () => this.resetCustomChannelForm());
+
+		document.getElementById("save-streamlink-profile-btn").addEventListener("click", () => this.saveStreamlinkProfile());
+		document.getElementById("cancel-streamlink-profile-btn").addEventListener("click", () => this.resetStreamlinkProfileForm());
+		document.getElementById("streamlink-profile-global").addEventListener("change", (e) => {
+			this.assignStreamlinkProfiles({ global: e.target.value || null });
+		});
+		document.getElementById("assign-streamlink-profile-btn").addEventListener("click", () => this.assignChannelStreamlinkProfile());
+
+		document.getElementById("save-transcode-profile-btn").addEventListener("click", () => this.saveTranscodeProfile());
+		document.getElementById("cancel-transcode-profile-btn").addEventListener("click", () => this.resetTranscodeProfileForm());
+
+		document.getElementById("change-password-btn").addEventListener("click", () => this.changePassword());
+		document.getElementById("regenerate-api-key-btn").addEventListener("click", () => this.regenerateApiKey());
+		document.getElementById("create-playlist-token-btn").addEventListener("click", () => this.createPlaylistToken());
+		document.getElementById("add-user-btn").addEventListener("click", () => this.addUser());
+	}
+
+	async loadLocalAccount() {
+		const container = document.getElementById("local-account-info");
+
+		try {
+			const data = await api.getAccount();
+			container.innerHTML = `
+				<p><strong>Signed in as:</strong> ${this.escapeHtml(data.user.username)} (${data.user.role})</p>
+				<p class="text-muted">${data.hasApiKey ? "An API key is active" : "No API key generated yet"}</p>
+				<button class="btn btn-small" onclick="app.signOut()">Sign out</button>
+			`;
+		} catch (error) {
+			console.error("Error loading account:", error);
+		}
+	}
+
+	async changePassword() {
+		const currentInput = document.getElementById("current-password");
+		const newInput = document.getElementById("new-password");
+
+		try {
+			await api.changePassword(currentInput.value, newInput.value);
+			currentInput.value = "";
+			newInput.value = "";
+			this.showToast("Password changed - other sessions were signed out", "success");
+		} catch (error) {
+			this.showToast(`Error changing password: ${error.message}`, "error");
+		}
+	}
+
+	async regenerateApiKey() {
+		if (!confirm("Generate a new API key? The previous key stops working immediately.")) return;
+
+		try {
+			const data = await api.regenerateApiKey();
+			const display = document.getElementById("api-key-display");
+			display.textContent = data.apiKey;
+			display.classList.remove("hidden");
+			this.showToast("New API key generated - copy it now, it won't be shown again", "success");
+			await this.loadLocalAccount();
+		} catch (error) {
+			this.showToast(`Error generating API key: ${error.message}`, "error");
+		}
 	}
 
 	async loadSettings() {
@@ -906,8 +1193,11 @@ class App {
 
 			// Update UI
 			document.getElementById("quality-select").value = settings.defaultQuality || "best";
+			document.getElementById("stream-format-select").value = settings.streamFormat || "ts";
 			document.getElementById("low-latency-check").checked = settings.lowLatency || false;
 
+			await this.loadLocalAccount();
+
 			// Update account info
 			const accountInfo = document.getElementById("account-info");
 			if (this.isAuthenticated) {
@@ -925,139 +1215,959 @@ class App {
 
 			// Update playlist links
 			this.renderPlaylistLinks();
+
+			await this.loadPlaylistTokens();
+			await this.loadCustomChannels();
+			await this.loadXtreamUsers();
+
+			// User management and transcoding profiles are only available to admins
+			const isAdmin = this.sessionUser && this.sessionUser.role === "admin";
+			document.getElementById("users-settings-group").classList.toggle("hidden", !isAdmin);
+			document.getElementById("transcode-profiles-settings-group").classList.toggle("hidden", !isAdmin);
+			document.getElementById("streamlink-profiles-settings-group").classList.toggle("hidden", !isAdmin);
+			// Stream settings apply to everyone - only admins change them
+			for (const id of ["quality-select", "stream-format-select", "low-latency-check", "save-settings-btn"]) {
+				document.getElementById(id).disabled = !isAdmin;
+			}
+			if (isAdmin) {
+				await this.loadUsers();
+				await this.loadTranscodeProfiles();
+				await this.loadStreamlinkProfiles();
+			}
 		} catch (error) {
 			this.showToast(`Error loading settings: ${error.message}`, "error");
 		}
 	}
 
-	renderPlaylistLinks() {
-		const container = document.getElementById("playlist-links");
-		const baseUrl = `${window.location.protocol}//${window.location.host}`;
-
-		const playlists = [
-			{ name: "Twitch - All Follows", url: `${baseUrl}/playlist.m3u`, desc: "All followed channels" },
-			{ name: "Twitch - Live Only", url: `${baseUrl}/playlist-live.m3u`, desc: "Only currently live" },
-			{ name: "Twitch - Favorites", url: `${baseUrl}/playlist-favorites.m3u`, desc: "Live favorites only" },
-			{ name: "Twitch - VODs (All)", url: `${baseUrl}/playlist-vods.m3u`, desc: "Recent VODs from followed channels" },
-			{ name: "Twitch - VODs (Favorites)", url: `${baseUrl}/playlist-vods-favorites.m3u`, desc: "Recent VODs from favorite channels" },
-			{ name: "Twitch - Clips (All)", url: `${baseUrl}/playlist-clips.m3u`, desc: "Popular clips from followed channels" },
-			{ name: "Twitch - Clips (Favorites)", url: `${baseUrl}/playlist-clips-favorites.m3u`, desc: "Popular clips from favorite channels" },
-			{ name: "YouTube", url: `${baseUrl}/playlist-youtube.m3u`, desc: "Recent videos from subscribed channels" }
-		];
+	// Users
+	async loadUsers() {
+		const list = document.getElementById("users-list");
 
-		container.innerHTML = playlists.map(p => `
-			<div class="playlist-link-item">
-				<div class="playlist-link-info">
-					<strong>${p.name}</strong>
-					<span class="text-muted">${p.desc}</span>
-				</div>
-				<div class="playlist-link-actions">
-					<code class="playlist-url">${p.url}</code>
-					<button class="btn btn-small" onclick="app.copyToClipboard('${p.url}')">Copy</button>
+		try {
+			const data = await api.getUsers();
+
+			list.innerHTML = data.users.map(user => `
+				<div class="settings-list-item" data-user-id="${user.id}">
+					<div class="settings-list-info">
+						<strong>${this.escapeHtml(user.username)}</strong>
+						<span class="text-muted">
+							${user.role} • priority ${user.priority || 0} • ${user.twitchLogin ? `Twitch: ${this.escapeHtml(user.twitchLogin)}` : "no Twitch account linked"}
+						</span>
+					</div>
+					<div class="settings-list-actions">
+						<button class="btn btn-small user-priority-btn" data-priority="${user.priority || 0}">Priority</button>
+						<button class="btn btn-small user-password-btn">Password</button>
+						${user.id === this.sessionUser.id ? "" : `<button class="btn btn-small btn-error user-delete-btn">Delete</button>`}
+					</div>
 				</div>
-			</div>
-		`).join("");
-	}
+			`).join("");
 
-	async saveSettings() {
-		try {
-			const settings = {
-				defaultQuality: document.getElementById("quality-select").value,
-				lowLatency: document.getElementById("low-latency-check").checked
-			};
+			list.querySelectorAll(".user-password-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const userId = e.target.closest(".settings-list-item").dataset.userId;
+					const password = prompt("New password (at least 8 characters):");
+					if (password) {
+						await this.updateUser(userId, { password });
+					}
+				});
+			});
 
-			await api.updateSettings(settings);
-			this.settings = settings;
-			this.showToast("Settings saved successfully", "success");
+			list.querySelectorAll(".user-priority-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const userId = e.target.closest(".settings-list-item").dataset.userId;
+					const priority = prompt("Stream priority (0-100) - higher keeps streams when all slots are in use:", e.target.dataset.priority);
+					if (priority !== null && priority.trim() !== "") {
+						await this.updateUser(userId, { priority: parseInt(priority) });
+					}
+				});
+			});
+
+			list.querySelectorAll(".user-delete-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const userId = e.target.closest(".settings-list-item").dataset.userId;
+					await this.deleteUser(userId);
+				});
+			});
 		} catch (error) {
-			this.showToast(`Error saving settings: ${error.message}`, "error");
+			this.showToast(`Error loading users: ${error.message}`, "error");
 		}
 	}
 
-	// Refresh
-	setupRefresh() {
-		const refreshBtn = document.getElementById("refresh-btn");
-		refreshBtn.addEventListener("click", () => {
-			this.loadView(this.currentView);
-		});
-	}
+	async addUser() {
+		const usernameInput = document.getElementById("new-user-username");
+		const passwordInput = document.getElementById("new-user-password");
+		const role = document.getElementById("new-user-role").value;
 
-	// WebSocket Handlers
-	setupWebSocketHandlers() {
-		wsClient.on("stream:started", (data) => {
-			this.showToast(`Stream started: ${data.channel}`, "success");
-			if (this.currentView === "active") {
-				this.loadActiveStreams();
-			}
-			this.updateActiveCount();
-		});
+		const username = usernameInput.value.trim();
+		const password = passwordInput.value;
 
-		wsClient.on("stream:ended", (data) => {
-			this.showToast(`Stream ended: ${data.channel}`, "success");
-			if (this.currentView === "active") {
-				this.loadActiveStreams();
-			}
-			this.updateActiveCount();
-		});
+		if (!username || password.length < 8) {
+			this.showToast("Please enter a username and a password of at least 8 characters", "error");
+			return;
+		}
 
-		wsClient.on("stream:error", (data) => {
-			this.showToast(`Stream error (${data.channel}): ${data.error}`, "error");
-		});
+		try {
+			await api.addUser({ username, password, role });
+			usernameInput.value = "";
+			passwordInput.value = "";
+			this.showToast(`User ${username} added`, "success");
+			await this.loadUsers();
+		} catch (error) {
+			this.showToast(`Error adding user: ${error.message}`, "error");
+		}
 	}
 
-	async updateActiveCount() {
+	async updateUser(userId, updates) {
 		try {
-			const data = await api.getActiveStreams();
-			document.getElementById("active-count").textContent = (data.streams || []).length;
+			await api.updateUser(userId, updates);
+			this.showToast("User updated", "success");
 		} catch (error) {
-			// Ignore
+			this.showToast(`Error updating user: ${error.message}`, "error");
 		}
+		await this.loadUsers();
 	}
 
-	// Stream Actions
-	async startStream(channel, user_name) {
-		this.showLoading();
+	async deleteUser(userId) {
+		if (!confirm("Delete this user together with their Twitch link, favorites, recording rules and Xtream accounts?")) return;
 
 		try {
-			const quality = this.settings.defaultQuality || "best";
-			const result = await api.startStream(channel, quality);
-
-			this.showStreamModal(channel, user_name, result);
+			await api.deleteUser(userId);
+			this.showToast("User deleted", "success");
+			await this.loadUsers();
 		} catch (error) {
-			this.showToast(`Error starting stream: ${error.message}`, "error");
-		} finally {
-			this.hideLoading();
+			this.showToast(`Error deleting user: ${error.message}`, "error");
 		}
 	}
 
-	async stopStream(channel) {
+	// Playlist Tokens
+	async loadPlaylistTokens() {
+		const list = document.getElementById("playlist-tokens-list");
+
 		try {
-			await api.stopStream(channel);
-			this.showToast(`Stopped stream: ${channel}`, "success");
+			const data = await api.getPlaylistTokens();
+			const tokens = data.tokens || [];
 
-			if (this.currentView === "active") {
-				await this.loadActiveStreams();
+			if (tokens.length === 0) {
+				list.innerHTML = `<p class="text-muted">No tokens yet</p>`;
+				return;
 			}
+
+			list.innerHTML = tokens.map(token => {
+				const lastUsed = token.last_used_at
+					? `last used ${new Date(token.last_used_at).toLocaleString("de-DE")} from ${this.escapeHtml(token.last_used_ip || "unknown")}`
+					: "never used";
+
+				return `
+					<div class="settings-list-item" data-token-id="${token.id}">
+						<div class="settings-list-info">
+							<strong>${this.escapeHtml(token.name)}</strong>
+							<span class="text-muted">
+								${this.escapeHtml(token.token_prefix || "")}… • ${token.revoked_at ? "revoked" : lastUsed}
+							</span>
+						</div>
+						<div class="settings-list-actions">
+							${token.revoked_at ? "" : `<button class="btn btn-small btn-error playlist-token-revoke-btn">Revoke</button>`}
+						</div>
+					</div>
+				`;
+			}).join("");
+
+			list.querySelectorAll(".playlist-token-revoke-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const tokenId = e.target.closest(".settings-list-item").dataset.tokenId;
+					await this.revokePlaylistToken(tokenId);
+				});
+			});
 		} catch (error) {
-			this.showToast(`Error stopping stream: ${error.message}`, "error");
+			console.error("Error loading playlist tokens:", error);
 		}
 	}
 
-	// Rendering
-	renderStreamCard(stream) {
-		const thumbnail = stream.thumbnail_url
-			.replace("{width}", "440")
-			.replace("{height}", "248");
-		const isFavorite = this.favorites.has(stream.user_login.toLowerCase());
+	async createPlaylistToken() {
+		const nameInput = document.getElementById("playlist-token-name");
 
-		return `
-			<div class="stream-card" data-channel="${stream.user_login}" data-username="${stream.user_name}">
-				<div class="stream-thumbnail-container">
-					<img src="${thumbnail}" alt="${stream.title}" class="stream-thumbnail">
-					<button class="favorite-btn ${isFavorite ? 'is-favorite' : ''}"
-					        data-channel="${stream.user_login}"
-					        data-username="${this.escapeHtml(stream.user_name)}"
-					        title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+		try {
+			const data = await api.createPlaylistToken(nameInput.value);
+			nameInput.value = "";
+			// Show the playlist URLs with the new token - it is only returned once
+			this.renderPlaylistLinks(data.token);
+			this.showToast("Token created - copy the playlist URLs now, the token won't be shown again", "success");
+			await this.loadPlaylistTokens();
+		} catch (error) {
+			this.showToast(`Error creating token: ${error.message}`, "error");
+		}
+	}
+
+	async revokePlaylistToken(id) {
+		if (!confirm("Revoke this token? Players using it lose access immediately.")) return;
+
+		try {
+			await api.revokePlaylistToken(id);
+			this.showToast("Token revoked", "success");
+			await this.loadPlaylistTokens();
+		} catch (error) {
+			this.showToast(`Error revoking token: ${error.message}`, "error");
+		}
+	}
+
+	// Custom Channels
+	async loadCustomChannels() {
+		const list = document.getElementById("custom-channels-list");
+
+		try {
+			const data = await api.getCustomChannels();
+			this.customChannels = data.channels || [];
+
+			if (this.customChannels.length === 0) {
+				list.innerHTML = `<p class="text-muted">No custom channels yet</p>`;
+				return;
+			}
+
+			list.innerHTML = this.customChannels.map(channel => `
+				<div class="settings-list-item" data-channel-id="${channel.id}">
+					<div class="settings-list-info">
+						<strong>${this.escapeHtml(channel.name)}</strong>
+						<span class="text-muted">
+							${this.escapeHtml(channel.group_name || "Custom")} • ${this.escapeHtml(channel.url)}
+						</span>
+					</div>
+					<div class="settings-list-actions">
+						<button class="btn btn-small custom-channel-watch-btn">Watch</button>
+						<button class="btn btn-small custom-channel-edit-btn">Edit</button>
+						<button class="btn btn-small btn-error custom-channel-delete-btn">Delete</button>
+					</div>
+				</div>
+			`).join("");
+
+			list.querySelectorAll(".custom-channel-watch-btn").forEach(btn => {
+				btn.addEventListener("click", (e) => {
+					const channelId = parseInt(e.target.closest(".settings-list-item").dataset.channelId);
+					const channel = this.customChannels.find(c => c.id === channelId);
+					this.startStream(`custom:${channelId}`, channel.name);
+				});
+			});
+
+			list.querySelectorAll(".custom-channel-edit-btn").forEach(btn => {
+				btn.addEventListener("click", (e) => {
+					const channelId = parseInt(e.target.closest(".settings-list-item").dataset.channelId);
+					this.editCustomChannel(this.customChannels.find(c => c.id === channelId));
+				});
+			});
+
+			list.querySelectorAll(".custom-channel-delete-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const channelId = e.target.closest(".settings-list-item").dataset.channelId;
+					await this.deleteCustomChannel(channelId);
+				});
+			});
+		} catch (error) {
+			this.showToast(`Error loading custom channels: ${error.message}`, "error");
+		}
+	}
+
+	editCustomChannel(channel) {
+		this.editingCustomChannelId = channel.id;
+		document.getElementById("custom-channel-name").value = channel.name;
+		document.getElementById("custom-channel-url").value = channel.url;
+		document.getElementById("custom-channel-logo").value = channel.logo_url || "";
+		document.getElementById("custom-channel-group").value = channel.group_name || "";
+		document.getElementById("save-custom-channel-btn").textContent = "Save Channel";
+		document.getElementById("cancel-custom-channel-btn").classList.remove("hidden");
+	}
+
+	resetCustomChannelForm() {
+		this.editingCustomChannelId = null;
+		for (const id of ["custom-channel-name", "custom-channel-url", "custom-channel-logo", "custom-channel-group"]) {
+			document.getElementById(id).value = "";
+		}
+		document.getElementById("save-custom-channel-btn").textContent = "Add Channel";
+		document.getElementById("cancel-custom-channel-btn").classList.add("hidden");
+	}
+
+	async saveCustomChannel() {
+		const channel = {
+			name: document.getElementById("custom-channel-name").value.trim(),
+			url: document.getElementById("custom-channel-url").value.trim(),
+			logo_url: document.getElementById("custom-channel-logo").value.trim(),
+			group_name: document.getElementById("custom-channel-group").value.trim()
+		};
+
+		if (!channel.name || !channel.url) {
+			this.showToast("Please enter a name and stream URL", "error");
+			return;
+		}
+
+		try {
+			if (this.editingCustomChannelId) {
+				await api.updateCustomChannel(this.editingCustomChannelId, channel);
+				this.showToast(`${channel.name} updated`, "success");
+			} else {
+				await api.addCustomChannel(channel);
+				this.showToast(`${channel.name} added`, "success");
+			}
+			this.resetCustomChannelForm();
+			await this.loadCustomChannels();
+		} catch (error) {
+			this.showToast(`Error saving channel: ${error.message}`, "error");
+		}
+	}
+
+	async deleteCustomChannel(channelId) {
+		if (!confirm("Delete this custom channel?")) return;
+
+		try {
+			await api.deleteCustomChannel(channelId);
+			if (String(this.editingCustomChannelId) === String(channelId)) {
+				this.resetCustomChannelForm();
+			}
+			this.showToast("Channel deleted", "success");
+			await this.loadCustomChannels();
+		} catch (error) {
+			this.showToast(`Error deleting channel: ${error.message}`, "error");
+		}
+	}
+
+	// Streamlink Profiles
+	async loadStreamlinkProfiles() {
+		const list = document.getElementById("streamlink-profiles-list");
+
+		try {
+			const data = await api.getStreamlinkProfiles();
+			this.streamlinkProfiles = data.profiles || [];
+
+			const options = (selected) => [`<option value="">None</option>`, ...this.streamlinkProfiles.map(profile =>
+				`<option value="${profile.id}" ${profile.id === selected ? "selected" : ""}>${this.escapeHtml(profile.name)}</option>`
+			)].join("");
+			const profileName = (id) => {
+				const profile = this.streamlinkProfiles.find(p => p.id === id);
+				return profile ? profile.name : "?";
+			};
+
+			list.innerHTML = this.streamlinkProfiles.length === 0
+				? `<p class="text-muted">No streamlink profiles yet</p>`
+				: this.streamlinkProfiles.map(profile => `
+					<div class="settings-list-item" data-profile-id="${profile.id}">
+						<div class="settings-list-info">
+							<strong>${this.escapeHtml(profile.name)}</strong>
+							<span class="text-muted"><code>${this.escapeHtml(profile.args.split("\n").join(" ")) || "no options"}</code></span>
+						</div>
+						<div class="settings-list-actions">
+							<button class="btn btn-small streamlink-profile-edit-btn">Edit</button>
+							<button class="btn btn-small btn-error streamlink-profile-delete-btn">Delete</button>
+						</div>
+					</div>
+				`).join("");
+
+			document.getElementById("streamlink-profile-global").innerHTML = options(data.global);
+			document.getElementById("streamlink-profile-channel-select").innerHTML = options(null);
+
+			const sources = document.getElementById("streamlink-profile-sources");
+			sources.innerHTML = data.sources.map(source => `
+				<div class="form-row">
+					<label>${this.escapeHtml(source.name)}</label>
+					<select class="select select-small streamlink-profile-source-select" data-source="${source.id}">${options(source.profile_id)}</select>
+				</div>
+			`).join("");
+			sources.querySelectorAll(".streamlink-profile-source-select").forEach(select => {
+				select.addEventListener("change", (e) => {
+					this.assignStreamlinkProfiles({ sources: { [e.target.dataset.source]: e.target.value || null } });
+				});
+			});
+
+			const channelsList = document.getElementById("streamlink-profile-channels-list");
+			channelsList.innerHTML = data.channels.map(assignment => `
+				<div class="settings-list-item" data-channel="${this.escapeHtml(assignment.channel)}">
+					<div class="settings-list-info">
+						<strong>${this.escapeHtml(assignment.channel)}</strong>
+						<span class="text-muted">${this.escapeHtml(profileName(assignment.profile_id))}</span>
+					</div>
+					<div class="settings-list-actions">
+						<button class="btn btn-small btn-error streamlink-profile-unassign-btn">Remove</button>
+					</div>
+				</div>
+			`).join("");
+			channelsList.querySelectorAll(".streamlink-profile-unassign-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const channel = e.target.closest(".settings-list-item").dataset.channel;
+					await this.assignChannelStreamlinkProfile(channel, null);
+				});
+			});
+
+			list.querySelectorAll(".streamlink-profile-edit-btn").forEach(btn => {
+				btn.addEventListener("click", (e) => {
+					const profileId = parseInt(e.target.closest(".settings-list-item").dataset.profileId);
+					this.editStreamlinkProfile(this.streamlinkProfiles.find(p => p.id === profileId));
+				});
+			});
+
+			list.querySelectorAll(".streamlink-profile-delete-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const profileId = e.target.closest(".settings-list-item").dataset.profileId;
+					await this.deleteStreamlinkProfile(profileId);
+				});
+			});
+		} catch (error) {
+			this.showToast(`Error loading streamlink profiles: ${error.message}`, "error");
+		}
+	}
+
+	editStreamlinkProfile(profile) {
+		this.editingStreamlinkProfileId = profile.id;
+		document.getElementById("streamlink-profile-name").value = profile.name;
+		document.getElementById("streamlink-profile-args").value = profile.args;
+		document.getElementById("save-streamlink-profile-btn").textContent = "Save Profile";
+		document.getElementById("cancel-streamlink-profile-btn").classList.remove("hidden");
+	}
+
+	resetStreamlinkProfileForm() {
+		this.editingStreamlinkProfileId = null;
+		document.getElementById("streamlink-profile-name").value = "";
+		document.getElementById("streamlink-profile-args").value = "";
+		document.getElementById("save-streamlink-profile-btn").textContent = "Add Profile";
+		document.getElementById("cancel-streamlink-profile-btn").classList.add("hidden");
+	}
+
+	async saveStreamlinkProfile() {
+		const profile = {
+			name: document.getElementById("streamlink-profile-name").value.trim(),
+			args: document.getElementById("streamlink-profile-args").value
+		};
+
+		if (!profile.name) {
+			this.showToast("Please enter a profile name", "error");
+			return;
+		}
+
+		try {
+			if (this.editingStreamlinkProfileId) {
+				await api.updateStreamlinkProfile(this.editingStreamlinkProfileId, profile);
+				this.showToast(`Profile ${profile.name} updated (applies to new streams)`, "success");
+			} else {
+				await api.addStreamlinkProfile(profile);
+				this.showToast(`Profile ${profile.name} added`, "success");
+			}
+			this.resetStreamlinkProfileForm();
+			await this.loadStreamlinkProfiles();
+		} catch (error) {
+			this.showToast(`Error saving profile: ${error.message}`, "error");
+		}
+	}
+
+	async deleteStreamlinkProfile(profileId) {
+		if (!confirm("Delete this streamlink profile? Its assignments are removed too.")) return;
+
+		try {
+			await api.deleteStreamlinkProfile(profileId);
+			if (String(this.editingStreamlinkProfileId) === String(profileId)) {
+				this.resetStreamlinkProfileForm();
+			}
+			this.showToast("Profile deleted", "success");
+			await this.loadStreamlinkProfiles();
+		} catch (error) {
+			this.showToast(`Error deleting profile: ${error.message}`, "error");
+		}
+	}
+
+	async assignStreamlinkProfiles(assignments) {
+		try {
+			await api.assignStreamlinkProfiles(assignments);
+			this.showToast("Profile assignment saved (applies to new streams)", "success");
+		} catch (error) {
+			this.showToast(`Error assigning profile: ${error.message}`, "error");
+			await this.loadStreamlinkProfiles();
+		}
+	}
+
+	async assignChannelStreamlinkProfile(channel = null, profileId = undefined) {
+		const channelInput = document.getElementById("streamlink-profile-channel");
+		channel = channel || channelInput.value.trim();
+		if (profileId === undefined) {
+			profileId = document.getElementById("streamlink-profile-channel-select").value || null;
+		}
+
+		if (!channel) {
+			this.showToast("Please enter a channel", "error");
+			return;
+		}
+
+		try {
+			await api.assignChannelStreamlinkProfile(channel, profileId);
+			channelInput.value = "";
+			await this.loadStreamlinkProfiles();
+		} catch (error) {
+			this.showToast(`Error assigning profile: ${error.message}`, "error");
+		}
+	}
+
+	// Transcoding Profiles
+	async loadTranscodeProfiles() {
+		const list = document.getElementById("transcode-profiles-list");
+
+		try {
+			const data = await api.getTranscodeProfiles();
+			this.transcodeProfiles = data.profiles || [];
+
+			if (this.transcodeProfiles.length === 0) {
+				list.innerHTML = `<p class="text-muted">No transcoding profiles yet</p>`;
+				return;
+			}
+
+			list.innerHTML = this.transcodeProfiles.map(profile => {
+				const video = profile.audio_only
+					? "audio only"
+					: `${profile.video_codec}${profile.height ? ` ${profile.height}p` : ""}${profile.video_bitrate ? ` ${profile.video_bitrate} kbit/s` : ""}`;
+				return `
+					<div class="settings-list-item" data-profile-id="${profile.id}">
+						<div class="settings-list-info">
+							<strong>${this.escapeHtml(profile.name)}</strong>
+							<span class="text-muted">
+								${this.escapeHtml(video)} • ${this.escapeHtml(profile.audio_codec)} ${profile.audio_bitrate || ""} kbit/s
+							</span>
+						</div>
+						<div class="settings-list-actions">
+							<button class="btn btn-small transcode-profile-edit-btn">Edit</button>
+							<button class="btn btn-small btn-error transcode-profile-delete-btn">Delete</button>
+						</div>
+					</div>
+				`;
+			}).join("");
+
+			list.querySelectorAll(".transcode-profile-edit-btn").forEach(btn => {
+				btn.addEventListener("click", (e) => {
+					const profileId = parseInt(e.target.closest(".settings-list-item").dataset.profileId);
+					this.editTranscodeProfile(this.transcodeProfiles.find(p => p.id === profileId));
+				});
+			});
+
+			list.querySelectorAll(".transcode-profile-delete-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const profileId = e.target.closest(".settings-list-item").dataset.profileId;
+					await this.deleteTranscodeProfile(profileId);
+				});
+			});
+		} catch (error) {
+			this.showToast(`Error loading transcoding profiles: ${error.message}`, "error");
+		}
+	}
+
+	editTranscodeProfile(profile) {
+		this.editingTranscodeProfileId = profile.id;
+		document.getElementById("transcode-profile-name").value = profile.name;
+		document.getElementById("transcode-profile-video-codec").value = profile.video_codec || "libx264";
+		document.getElementById("transcode-profile-height").value = profile.height || "";
+		document.getElementById("transcode-profile-video-bitrate").value = profile.video_bitrate || "";
+		document.getElementById("transcode-profile-audio-bitrate").value = profile.audio_bitrate || "";
+		document.getElementById("transcode-profile-audio-only").checked = !!profile.audio_only;
+		document.getElementById("save-transcode-profile-btn").textContent = "Save Profile";
+		document.getElementById("cancel-transcode-profile-btn").classList.remove("hidden");
+	}
+
+	resetTranscodeProfileForm() {
+		this.editingTranscodeProfileId = null;
+		for (const id of ["transcode-profile-name", "transcode-profile-height", "transcode-profile-video-bitrate", "transcode-profile-audio-bitrate"]) {
+			document.getElementById(id).value = "";
+		}
+		document.getElementById("transcode-profile-video-codec").value = "libx264";
+		document.getElementById("transcode-profile-audio-only").checked = false;
+		document.getElementById("save-transcode-profile-btn").textContent = "Add Profile";
+		document.getElementById("cancel-transcode-profile-btn").classList.add("hidden");
+	}
+
+	async saveTranscodeProfile() {
+		const profile = {
+			name: document.getElementById("transcode-profile-name").value.trim(),
+			video_codec: document.getElementById("transcode-profile-video-codec").value,
+			height: document.getElementById("transcode-profile-height").value,
+			video_bitrate: document.getElementById("transcode-profile-video-bitrate").value,
+			audio_bitrate: document.getElementById("transcode-profile-audio-bitrate").value,
+			audio_only: document.getElementById("transcode-profile-audio-only").checked
+		};
+
+		if (!profile.name) {
+			this.showToast("Please enter a profile name", "error");
+			return;
+		}
+
+		try {
+			if (this.editingTranscodeProfileId) {
+				await api.updateTranscodeProfile(this.editingTranscodeProfileId, profile);
+				this.showToast(`Profile ${profile.name} updated`, "success");
+			} else {
+				await api.addTranscodeProfile(profile);
+				this.showToast(`Profile ${profile.name} added`, "success");
+			}
+			this.resetTranscodeProfileForm();
+			await this.loadTranscodeProfiles();
+		} catch (error) {
+			this.showToast(`Error saving profile: ${error.message}`, "error");
+		}
+	}
+
+	async deleteTranscodeProfile(profileId) {
+		if (!confirm("Delete this transcoding profile?")) return;
+
+		try {
+			await api.deleteTranscodeProfile(profileId);
+			if (String(this.editingTranscodeProfileId) === String(profileId)) {
+				this.resetTranscodeProfileForm();
+			}
+			this.showToast("Profile deleted", "success");
+			await this.loadTranscodeProfiles();
+		} catch (error) {
+			this.showToast(`Error deleting profile: ${error.message}`, "error");
+		}
+	}
+
+	// Xtream Accounts
+	async loadXtreamUsers() {
+		const list = document.getElementById("xtream-users-list");
+
+		try {
+			const data = await api.getXtreamUsers();
+			const users = data.users || [];
+
+			if (users.length === 0) {
+				list.innerHTML = `<p class="text-muted">No accounts yet - IPTV apps cannot log in until you add one</p>`;
+				return;
+			}
+
+			list.innerHTML = users.map(user => {
+				const expires = user.exp_date
+					? new Date(user.exp_date * 1000).toLocaleDateString("de-DE")
+					: "never";
+				const expired = user.exp_date && user.exp_date * 1000 < Date.now();
+
+				return `
+					<div class="settings-list-item" data-user-id="${user.id}">
+						<div class="settings-list-info">
+							<strong>${this.escapeHtml(user.username)}</strong>
+							<span class="text-muted">
+								${user.active_cons}/${user.max_connections} connections • expires ${expires}${expired ? " (expired)" : ""}
+							</span>
+						</div>
+						<div class="settings-list-actions">
+							<label class="toggle-switch">
+								<input type="checkbox" class="xtream-enabled-toggle" ${user.enabled ? "checked" : ""}>
+								<span class="slider"></span>
+							</label>
+							<button class="btn btn-small xtream-password-btn">Password</button>
+							<button class="btn btn-small btn-error xtream-delete-btn">Delete</button>
+						</div>
+					</div>
+				`;
+			}).join("");
+
+			list.querySelectorAll(".xtream-enabled-toggle").forEach(toggle => {
+				toggle.addEventListener("change", async (e) => {
+					const userId = e.target.closest(".settings-list-item").dataset.userId;
+					await this.updateXtreamUser(userId, { enabled: e.target.checked });
+				});
+			});
+
+			list.querySelectorAll(".xtream-password-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const userId = e.target.closest(".settings-list-item").dataset.userId;
+					const password = prompt("New password:");
+					if (password) {
+						await this.updateXtreamUser(userId, { password });
+					}
+				});
+			});
+
+			list.querySelectorAll(".xtream-delete-btn").forEach(btn => {
+				btn.addEventListener("click", async (e) => {
+					const userId = e.target.closest(".settings-list-item").dataset.userId;
+					await this.deleteXtreamUser(userId);
+				});
+			});
+		} catch (error) {
+			this.showToast(`Error loading Xtream accounts: ${error.message}`, "error");
+		}
+	}
+
+	async addXtreamUser() {
+		const usernameInput = document.getElementById("xtream-username");
+		const passwordInput = document.getElementById("xtream-password");
+		const maxConnectionsInput = document.getElementById("xtream-max-connections");
+		const expDateInput = document.getElementById("xtream-exp-date");
+
+		const username = usernameInput.value.trim();
+		const password = passwordInput.value;
+
+		if (!username || !password) {
+			this.showToast("Please enter a username and password", "error");
+			return;
+		}
+
+		try {
+			await api.addXtreamUser({
+				username,
+				password,
+				max_connections: parseInt(maxConnectionsInput.value) || 1,
+				// Xtream uses unix timestamps in seconds
+				exp_date: expDateInput.value ? Math.floor(new Date(expDateInput.value).getTime() / 1000) : null
+			});
+
+			usernameInput.value = "";
+			passwordInput.value = "";
+			expDateInput.value = "";
+			this.showToast(`Xtream account ${username} added`, "success");
+			await this.loadXtreamUsers();
+		} catch (error) {
+			this.showToast(`Error adding account: ${error.message}`, "error");
+		}
+	}
+
+	async updateXtreamUser(userId, updates) {
+		try {
+			await api.updateXtreamUser(userId, updates);
+			this.showToast("Account updated", "success");
+		} catch (error) {
+			this.showToast(`Error updating account: ${error.message}`, "error");
+		}
+		await this.loadXtreamUsers();
+	}
+
+	async deleteXtreamUser(userId) {
+		if (!confirm("Delete this Xtream account?")) return;
+
+		try {
+			await api.deleteXtreamUser(userId);
+			this.showToast("Account deleted", "success");
+			await this.loadXtreamUsers();
+		} catch (error) {
+			this.showToast(`Error deleting account: ${error.message}`, "error");
+		}
+	}
+
+	// Playlist token for the player links of this browser - external players don't send the
+	// session cookie. Created on first use and replaced once it is revoked.
+	async getPlayerToken() {
+		const key = `playerToken:${this.sessionUser ? this.sessionUser.id : ""}`;
+		let stored = null;
+		try {
+			stored = JSON.parse(localStorage.getItem(key));
+		} catch (error) {
+			// Ignore - a new token is created
+		}
+
+		const { tokens } = await api.getPlaylistTokens();
+		if (stored && tokens.some(token => token.id === stored.id && !token.revoked_at)) {
+			return stored.token;
+		}
+
+		const data = await api.createPlaylistToken("Web UI player links");
+		localStorage.setItem(key, JSON.stringify({ id: data.id, token: data.token }));
+		return data.token;
+	}
+
+	withPlayerToken(url, token) {
+		return `${url}${url.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`;
+	}
+
+	renderPlaylistLinks(token = "YOUR_TOKEN") {
+		const container = document.getElementById("playlist-links");
+		const baseUrl = `${window.location.protocol}//${window.location.host}`;
+		const tokenParam = `?token=${encodeURIComponent(token)}`;
+
+		const playlists = [
+			{ name: "Twitch - All Follows", url: `${baseUrl}/playlist.m3u${tokenParam}`, desc: "All followed channels" },
+			{ name: "Twitch - Live Only", url: `${baseUrl}/playlist-live.m3u${tokenParam}`, desc: "Only currently live" },
+			{ name: "Twitch - Favorites", url: `${baseUrl}/playlist-favorites.m3u${tokenParam}`, desc: "Live favorites only" },
+			{ name: "Audio Only", url: `${baseUrl}/playlist-audio.m3u${tokenParam}`, desc: "Live channels without video (talk shows, music)" },
+			{ name: "Twitch - VODs (All)", url: `${baseUrl}/playlist-vods.m3u${tokenParam}`, desc: "Recent VODs from followed channels" },
+			{ name: "Twitch - VODs (Favorites)", url: `${baseUrl}/playlist-vods-favorites.m3u${tokenParam}`, desc: "Recent VODs from favorite channels" },
+			{ name: "Twitch - Clips (All)", url: `${baseUrl}/playlist-clips.m3u${tokenParam}`, desc: "Popular clips from followed channels" },
+			{ name: "Twitch - Clips (Favorites)", url: `${baseUrl}/playlist-clips-favorites.m3u${tokenParam}`, desc: "Popular clips from favorite channels" },
+			{ name: "YouTube", url: `${baseUrl}/playlist-youtube.m3u${tokenParam}`, desc: "Recent videos from subscribed channels" },
+			{ name: "Recordings", url: `${baseUrl}/playlist-recordings.m3u${tokenParam}`, desc: "Finished recordings (DVR)" }
+		];
+
+		container.innerHTML = playlists.map(p => `
+			<div class="playlist-link-item">
+				<div class="playlist-link-info">
+					<strong>${p.name}</strong>
+					<span class="text-muted">${p.desc}</span>
+				</div>
+				<div class="playlist-link-actions">
+					<code class="playlist-url">${p.url}</code>
+					<button class="btn btn-small" onclick="app.copyToClipboard('${p.url}')">Copy</button>
+				</div>
+			</div>
+		`).join("");
+	}
+
+	async saveSettings() {
+		try {
+			const settings = {
+				defaultQuality: document.getElementById("quality-select").value,
+				streamFormat: document.getElementById("stream-format-select").value,
+				lowLatency: document.getElementById("low-latency-check").checked
+			};
+
+			await api.updateSettings(settings);
+			this.settings = settings;
+			this.showToast("Settings saved successfully", "success");
+		} catch (error) {
+			this.showToast(`Error saving settings: ${error.message}`, "error");
+		}
+	}
+
+	// Refresh
+	setupRefresh() {
+		const refreshBtn = document.getElementById("refresh-btn");
+		refreshBtn.addEventListener("click", () => {
+			this.loadView(this.currentView);
+		});
+	}
+
+	// WebSocket Handlers
+	setupWebSocketHandlers() {
+		wsClient.on("stream:started", (data) => {
+			this.showToast(`Stream started: ${data.channel}`, "success");
+			if (this.currentView === "active") {
+				this.loadActiveStreams();
+			}
+			this.updateActiveCount();
+		});
+
+		wsClient.on("stream:ended", (data) => {
+			this.showToast(`Stream ended: ${data.channel}`, "success");
+			if (this.currentView === "active") {
+				this.loadActiveStreams();
+			}
+			this.updateActiveCount();
+		});
+
+		wsClient.on("stream:error", (data) => {
+			this.showToast(`Stream error (${data.channel}): ${data.error}`, "error");
+		});
+
+		wsClient.on("stream:reconnecting", (data) => {
+			if (data.state === "retrying") {
+				const fallback = data.fallback ? `, falling back to ${data.quality}` : "";
+				this.showToast(`Stream interrupted (${data.channel}), reconnecting ${data.attempt}/${data.maxAttempts}${fallback}`, "error");
+			} else if (data.state === "restarted") {
+				this.showToast(`Stream reconnected: ${data.channel} (${data.quality})`, "success");
+			} else if (data.state === "failed") {
+				this.showToast(`Stream could not be reconnected: ${data.channel}`, "error");
+			}
+			if (this.currentView === "active") {
+				this.loadActiveStreams();
+			}
+		});
+
+		wsClient.on("stream:event", (data) => {
+			if (data.event.type === "ad_start") {
+				this.showToast(`Ad break on ${data.channel} - ads are filtered out`, "success");
+			}
+			if (this.currentView === "active") {
+				this.loadActiveStreams();
+			}
+			if (this.eventLogChannel === data.channel) {
+				this.showStreamEvents(data.channel);
+			}
+		});
+
+		wsClient.on("recording:warning", (data) => {
+			this.showToast(data.message, data.state === "resumed" ? "success" : "error");
+			if (this.currentView === "recordings") {
+				this.loadRecordingsList();
+			}
+		});
+
+		wsClient.on("recording:evicted", (data) => {
+			this.showToast(`Recording deleted (disk quota): ${data.filename}`, "error");
+			if (this.currentView === "recordings") {
+				this.loadRecordingsList();
+			}
+		});
+
+		wsClient.on("recording:event", (data) => {
+			if (this.currentView === "recordings") {
+				this.loadRecordingsList();
+			}
+			if (this.recordingDetailId === data.recordingId) {
+				this.showRecordingDetails(data.recordingId);
+			}
+		});
+
+		wsClient.on("recording:step", (data) => {
+			if (data.status === "failed") {
+				this.showToast(`Post-processing (${data.step}) failed: ${data.error}`, "error");
+			}
+			if (this.currentView === "recordings" && data.status !== "running") {
+				this.loadRecordingsList();
+			}
+			if (this.recordingDetailId === data.recordingId) {
+				this.showRecordingDetails(data.recordingId);
+			}
+		});
+
+		wsClient.on("stream:viewers", (data) => {
+			document.querySelectorAll(".active-stream-card").forEach((card) => {
+				if (card.dataset.channel === data.channel) {
+					card.querySelector(".active-stream-viewers").textContent = `👁 ${data.viewers}`;
+				}
+			});
+		});
+	}
+
+	async updateActiveCount() {
+		try {
+			const data = await api.getActiveStreams();
+			document.getElementById("active-count").textContent = (data.streams || []).length;
+		} catch (error) {
+			// Ignore
+		}
+	}
+
+	// Stream Actions
+	async startStream(channel, user_name) {
+		this.showLoading();
+
+		try {
+			const quality = this.settings.defaultQuality || "best";
+			const result = await api.startStream(channel, quality);
+			const token = await this.getPlayerToken();
+
+			this.showStreamModal(channel, user_name, { ...result, url: this.withPlayerToken(result.url, token) });
+		} catch (error) {
+			this.showToast(`Error starting stream: ${error.message}`, "error");
+		} finally {
+			this.hideLoading();
+		}
+	}
+
+	async stopStream(channel) {
+		try {
+			await api.stopStream(channel);
+			this.showToast(`Stopped stream: ${channel}`, "success");
+
+			if (this.currentView === "active") {
+				await this.loadActiveStreams();
+			}
+		} catch (error) {
+			this.showToast(`Error stopping stream: ${error.message}`, "error");
+		}
+	}
+
+	// Rendering
+	renderStreamCard(stream) {
+		const thumbnail = stream.thumbnail_url
+			.replace("{width}", "440")
+			.replace("{height}", "248");
+		const isFavorite = this.favorites.has(stream.user_login.toLowerCase());
+
+		return `
+			<div class="stream-card" data-channel="${stream.user_login}" data-username="${stream.user_name}">
+				<div class="stream-thumbnail-container">
+					<img src="${thumbnail}" alt="${stream.title}" class="stream-thumbnail">
+					${stream.provider === "kick" ? '<span class="kick-badge">KICK</span>' : ""}
+					<button class="favorite-btn ${isFavorite ? 'is-favorite' : ''}"
+					        data-channel="${stream.user_login}"
+					        data-username="${this.escapeHtml(stream.user_name)}"
+					        title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
 						${isFavorite ? '★' : '☆'}
 					</button>
 				</div>
@@ -1096,24 +2206,31 @@ class App {
 		`;
 	}
 
-	renderActiveStreamCard(stream) {
+	renderActiveStreamCard(stream, token) {
 		const uptime = this.formatUptime(stream.uptime);
+		const url = this.withPlayerToken(stream.url, token);
 
 		return `
 			<div class="active-stream-card" data-channel="${stream.channel}">
 				<div class="active-stream-header">
 					<div class="active-stream-info">
 						<h3>${this.escapeHtml(stream.channel)}</h3>
-						<div class="active-stream-quality">Quality: ${stream.quality} • Uptime: ${uptime}</div>
+						<div class="active-stream-quality">
+							Quality: ${stream.quality} • Uptime: ${uptime} •
+							<span class="active-stream-viewers">👁 ${stream.viewers}</span>
+							${stream.reconnecting ? `• <span class="active-stream-reconnecting">⟳ Reconnecting (${stream.restarts})</span>` : ""}
+							${stream.adBreakSince ? `• <span class="active-stream-ad">📢 Ad break</span>` : ""}
+						</div>
 					</div>
 				</div>
 				<div class="active-stream-url">
-					<code>${stream.url}</code>
-					<button class="btn btn-small" onclick="app.copyToClipboard('${stream.url}')">Copy</button>
+					<code>${url}</code>
+					<button class="btn btn-small" onclick="app.copyToClipboard('${url}')">Copy</button>
 				</div>
 				<div class="active-stream-actions">
-					<button class="btn btn-small" onclick="app.openInPlayer('${stream.url}')">Open in VLC</button>
-					<button class="btn btn-error btn-small" onclick="app.stopStream('${stream.channel}')">Stop Stream</button>
+					<button class="btn btn-small" onclick="app.openInPlayer('${url}')">Open in VLC</button>
+					<button class="btn btn-small" onclick="app.showStreamEvents('${stream.channel}')">Events (${stream.events})</button>
+					${this.sessionUser && this.sessionUser.role === "admin" ? `<button class="btn btn-error btn-small" onclick="app.stopStream('${stream.channel}')">Stop Stream</button>` : ""}
 				</div>
 			</div>
 		`;
@@ -1154,6 +2271,62 @@ class App {
 		// Already handled via onclick attributes
 	}
 
+	// Event log of a running stream, newest first - kept up to date while the modal is open
+	async showStreamEvents(channel) {
+		const modal = document.getElementById("stream-modal");
+		const modalBody = document.getElementById("modal-body");
+
+		try {
+			const data = await api.getStreamEvents(channel);
+			const events = data.events.slice().reverse();
+
+			modalBody.innerHTML = `
+				<h2>📋 ${this.escapeHtml(channel)}</h2>
+				${events.length === 0
+					? `<p class="text-muted">No events yet</p>`
+					: `<ul class="stream-event-list">
+						${events.map(event => `
+							<li class="stream-event stream-event-${event.type}">
+								<span class="text-muted">${new Date(event.time).toLocaleTimeString("de-DE")}</span>
+								${this.escapeHtml(this.describeStreamEvent(event))}
+							</li>
+						`).join("")}
+					</ul>`}
+				<div style="margin-top: 1rem;">
+					<button class="btn" onclick="app.closeModal()">Close</button>
+				</div>
+			`;
+
+			if (this.eventLogChannel !== channel) {
+				this.eventLogChannel = channel;
+				modal.classList.remove("hidden");
+				modal.querySelector(".modal-overlay").addEventListener("click", () => this.closeModal());
+				modal.querySelector(".modal-close").addEventListener("click", () => this.closeModal());
+			}
+		} catch (error) {
+			this.showToast(`Error loading stream events: ${error.message}`, "error");
+		}
+	}
+
+	describeStreamEvent(event) {
+		switch (event.type) {
+			case "ad_start":
+				return `Ad break started${event.preroll ? " (pre-roll)" : ""}${event.duration ? `, ${event.duration}s announced` : ""}`;
+			case "ad_end":
+				return `Ad break ended after ${event.duration}s`;
+			case "discontinuity":
+				return "Stream discontinuity";
+			case "quality":
+				return `Quality switched from ${event.previous} to ${event.quality}`;
+			case "restart":
+				return event.state === "restarted"
+					? `Reconnected (${event.quality})`
+					: `Reconnecting, attempt ${event.attempt}: ${event.reason}`;
+			default:
+				return event.type;
+		}
+	}
+
 	// Modal
 	showStreamModal(channel, username, result) {
 		const modal = document.getElementById("stream-modal");
@@ -1171,7 +2344,8 @@ class App {
 				<button class="btn" onclick="app.closeModal()">Close</button>
 			</div>
 			<p style="margin-top: 1rem; color: var(--text-muted); font-size: 0.875rem;">
-				💡 Tip: You can find this URL in the "Active" tab
+				💡 Tip: You can find this URL in the "Active" tab. It carries the playlist token
+				"Web UI player links" of this browser (Settings → Playlist Tokens).
 			</p>
 		`;
 
@@ -1189,6 +2363,10 @@ class App {
 
 	closeModal() {
 		document.getElementById("stream-modal").classList.add("hidden");
+		// Stop a playing recording
+		document.querySelectorAll("#modal-body video").forEach(video => video.pause());
+		this.eventLogChannel = null;
+		this.recordingDetailId = null;
 	}
 
 	// Utilities
@@ -1324,6 +2502,12 @@ class App {
 			addRuleBtn.addEventListener("click", () => this.addRecordingRule());
 		}
 
+		const addChannelQuotaBtn = document.getElementById("add-channel-quota-btn");
+		if (addChannelQuotaBtn && !addChannelQuotaBtn.hasAttribute("data-listener")) {
+			addChannelQuotaBtn.setAttribute("data-listener", "true");
+			addChannelQuotaBtn.addEventListener("click", () => this.addChannelQuotaRow());
+		}
+
 		// Save settings button
 		const saveSettingsBtn = document.getElementById("save-recording-settings-btn");
 		if (saveSettingsBtn && !saveSettingsBtn.hasAttribute("data-listener")) {
@@ -1337,8 +2521,16 @@ class App {
 		const emptyState = document.getElementById("rules-empty");
 
 		try {
-			const data = await api.getRecordingRules();
+			const [data, profileData] = await Promise.all([api.getRecordingRules(), api.getStreamlinkProfiles()]);
 			const rules = data.rules || [];
+			const profiles = profileData.profiles || [];
+
+			const profileSelect = document.getElementById("rule-streamlink-profile");
+			const selectedProfile = profileSelect.value;
+			profileSelect.innerHTML = `<option value="">No extra streamlink profile</option>` + profiles.map(profile =>
+				`<option value="${profile.id}">${this.escapeHtml(profile.name)}</option>`
+			).join("");
+			profileSelect.value = selectedProfile;
 
 			if (rules.length === 0) {
 				rulesList.innerHTML = "";
@@ -1347,6 +2539,7 @@ class App {
 			}
 
 			emptyState.classList.add("hidden");
+			this.recordingRules = rules;
 
 			rulesList.innerHTML = rules.map(rule => `
 				<div class="recording-rule-item" data-rule-id="${rule.id}">
@@ -1354,8 +2547,12 @@ class App {
 						<span class="rule-channel">${this.escapeHtml(rule.channel_name || rule.channel_login)}</span>
 						<span class="rule-game">${rule.game_name ? `🎮 ${this.escapeHtml(rule.game_name)}` : '📺 Any game'}</span>
 						<span class="rule-quality">${rule.quality || 'best'}</span>
+						${rule.streamlink_profile_id ? `<span class="rule-quality">⚙ ${this.escapeHtml((profiles.find(p => p.id === rule.streamlink_profile_id) || {}).name || "?")}</span>` : ""}
+						${rule.priority ? `<span class="rule-quality">priority ${rule.priority}</span>` : ""}
+						${this.describeRuleFilters(rule).map(filter => `<span class="rule-quality">${this.escapeHtml(filter)}</span>`).join("")}
 					</div>
 					<div class="rule-actions">
+						<button class="btn btn-small edit-rule-btn">Edit</button>
 						<label class="toggle-switch">
 							<input type="checkbox" class="rule-enabled-toggle" ${rule.enabled ? 'checked' : ''}>
 							<span class="slider"></span>
@@ -1373,6 +2570,13 @@ class App {
 				});
 			});
 
+			rulesList.querySelectorAll(".edit-rule-btn").forEach(btn => {
+				btn.addEventListener("click", (e) => {
+					const ruleId = parseInt(e.target.closest(".recording-rule-item").dataset.ruleId);
+					this.showRecordingRuleEditor(this.recordingRules.find(rule => rule.id === ruleId));
+				});
+			});
+
 			rulesList.querySelectorAll(".delete-rule-btn").forEach(btn => {
 				btn.addEventListener("click", async (e) => {
 					const ruleId = e.target.closest(".recording-rule-item").dataset.ruleId;
@@ -1384,6 +2588,100 @@ class App {
 		}
 	}
 
+	// Short labels of the title, tag, language and time filters of a rule
+	describeRuleFilters(rule) {
+		const filters = [];
+		if (rule.title_keywords) filters.push(`🔤 ${rule.title_keywords}`);
+		if (rule.title_regex) filters.push(`/${rule.title_regex}/`);
+		if (rule.exclude_terms) filters.push(`🚫 ${rule.exclude_terms}`);
+		if (rule.tags) filters.push(`🏷 ${rule.tags}`);
+		if (rule.languages) filters.push(`🌐 ${rule.languages}`);
+		if (rule.weekdays || rule.time_from || rule.time_to) {
+			const days = rule.weekdays
+				? rule.weekdays.split(",").map(day => WEEKDAYS[parseInt(day)]).join(", ")
+				: "Daily";
+			const time = rule.time_from || rule.time_to ? ` ${rule.time_from || "00:00"}-${rule.time_to || "24:00"}` : "";
+			filters.push(`⏰ ${days}${time}`);
+		}
+		return filters;
+	}
+
+	showRecordingRuleEditor(rule) {
+		const modal = document.getElementById("stream-modal");
+		const modalBody = document.getElementById("modal-body");
+		const weekdays = (rule.weekdays || "").split(",").map(day => day.trim());
+		const value = (text) => this.escapeHtml(text || "");
+
+		modalBody.innerHTML = `
+			<h2>⏺ ${this.escapeHtml(rule.channel_name || rule.channel_login)}</h2>
+			<div class="rule-editor">
+				<label>Game filter</label>
+				<input type="text" id="edit-rule-game" class="input" placeholder="Any game" value="${value(rule.game_name)}">
+				<label>Title keywords (any, comma separated)</label>
+				<input type="text" id="edit-rule-keywords" class="input" placeholder="e.g. speedrun, tournament" value="${value(rule.title_keywords)}">
+				<label>Title regex (case-insensitive)</label>
+				<input type="text" id="edit-rule-regex" class="input" placeholder="e.g. ^\[DE\]" value="${value(rule.title_regex)}">
+				<label>Exclude terms (in title or game, comma separated)</label>
+				<input type="text" id="edit-rule-exclude" class="input" placeholder="e.g. rerun, just chatting" value="${value(rule.exclude_terms)}">
+				<label>Tags (any, comma separated - Twitch only)</label>
+				<input type="text" id="edit-rule-tags" class="input" placeholder="e.g. Deutsch, Speedrun" value="${value(rule.tags)}">
+				<label>Languages (comma separated - Twitch only)</label>
+				<input type="text" id="edit-rule-languages" class="input" placeholder="e.g. de, en" value="${value(rule.languages)}">
+				<label>Weekdays (none checked: every day)</label>
+				<div class="rule-weekdays">
+					${[1, 2, 3, 4, 5, 6, 0].map(day => `
+						<label><input type="checkbox" class="edit-rule-weekday" value="${day}" ${weekdays.includes(String(day)) ? "checked" : ""}> ${WEEKDAYS[day]}</label>
+					`).join("")}
+				</div>
+				<label>Time window (server time - may end after midnight)</label>
+				<div class="form-row">
+					<input type="time" id="edit-rule-time-from" class="input" value="${value(rule.time_from)}">
+					<span>-</span>
+					<input type="time" id="edit-rule-time-to" class="input" value="${value(rule.time_to)}">
+				</div>
+				<label>Quality</label>
+				<input type="text" id="edit-rule-quality" class="input" value="${value(rule.quality || "best")}">
+				<label>Priority (0-100) - recordings of lower priority rules are deleted first by the disk quota</label>
+				<input type="number" id="edit-rule-priority" class="input" min="0" max="100" value="${rule.priority || 0}">
+			</div>
+			<div style="margin-top: 1rem;">
+				<button id="save-rule-btn" class="btn btn-primary">Save</button>
+				<button class="btn" onclick="app.closeModal()">Cancel</button>
+			</div>
+		`;
+
+		modalBody.querySelector("#save-rule-btn").addEventListener("click", () => this.saveRecordingRule(rule.id));
+
+		modal.classList.remove("hidden");
+		modal.querySelector(".modal-overlay").addEventListener("click", () => this.closeModal());
+		modal.querySelector(".modal-close").addEventListener("click", () => this.closeModal());
+	}
+
+	async saveRecordingRule(ruleId) {
+		const field = (id) => document.getElementById(id).value.trim();
+
+		try {
+			await api.updateRecordingRule(ruleId, {
+				game_name: field("edit-rule-game") || null,
+				title_keywords: field("edit-rule-keywords"),
+				title_regex: field("edit-rule-regex"),
+				exclude_terms: field("edit-rule-exclude"),
+				tags: field("edit-rule-tags"),
+				languages: field("edit-rule-languages"),
+				weekdays: [...document.querySelectorAll(".edit-rule-weekday:checked")].map(input => input.value).join(","),
+				time_from: field("edit-rule-time-from"),
+				time_to: field("edit-rule-time-to"),
+				quality: field("edit-rule-quality") || "best",
+				priority: parseInt(field("edit-rule-priority")) || 0
+			});
+			this.closeModal();
+			this.showToast("Rule saved", "success");
+			await this.loadRecordingRules();
+		} catch (error) {
+			this.showToast(`Error saving rule: ${error.message}`, "error");
+		}
+	}
+
 	async loadRecordingsList() {
 		const activeList = document.getElementById("active-recordings-list");
 		const activeEmpty = document.getElementById("active-recordings-empty");
@@ -1406,6 +2704,9 @@ class App {
 						<span class="rec-indicator">🔴</span>
 						<span class="rec-channel">${this.escapeHtml(rec.channelLogin)}</span>
 						<span class="rec-game">${this.escapeHtml(rec.gameName || '')}</span>
+						${rec.part > 1 ? `<span class="rec-parts">Part ${rec.part}</span>` : ""}
+						${rec.reconnecting ? `<span class="rec-status status-error">Reconnecting</span>` : ""}
+						${rec.paused ? `<span class="rec-status status-error">Paused (low disk space)</span>` : ""}
 						<span class="rec-duration">${this.formatDuration(rec.duration)}</span>
 					</div>
 				`).join("");
@@ -1423,20 +2724,28 @@ class App {
 					const duration = rec.ended_at ? this.formatDuration(rec.ended_at - rec.started_at) : "?";
 					const size = rec.file_size ? this.formatFileSize(rec.file_size) : "";
 					const statusClass = rec.status === 'completed' ? 'status-success' : 'status-error';
+					const steps = rec.steps || [];
 
 					return `
 						<div class="recording-item" data-recording-id="${rec.id}">
+							${rec.thumbnail_path ? `<img class="rec-thumbnail" src="/recording/${rec.id}/thumbnail.jpg" alt="" loading="lazy">` : ""}
 							<div class="rec-main-info">
-								<span class="rec-channel">${this.escapeHtml(rec.channel_name || rec.channel_login)}</span>
+								<span class="rec-channel">${rec.pinned ? "📌 " : ""}${this.escapeHtml(rec.channel_name || rec.channel_login)}</span>
 								<span class="rec-game">${this.escapeHtml(rec.game_name || '')}</span>
 							</div>
 							<div class="rec-meta">
 								<span class="rec-date">${date}</span>
 								<span class="rec-duration">${duration}</span>
 								<span class="rec-size">${size}</span>
+								${rec.parts > 1 ? `<span class="rec-parts">${rec.parts} parts</span>` : ""}
 								<span class="rec-status ${statusClass}">${rec.status}</span>
+								${steps.map(step => this.renderRecordingStep(step)).join("")}
 							</div>
 							<div class="rec-actions">
+								${rec.status === "completed" ? `<button class="btn btn-small btn-primary play-recording-btn">▶ Play</button>` : ""}
+								<button class="btn btn-small details-recording-btn">Details</button>
+								<button class="btn btn-small pin-recording-btn" data-pinned="${rec.pinned ? 1 : 0}">${rec.pinned ? "Unpin" : "📌 Pin"}</button>
+								${steps.some(step => step.status === "failed") ? `<button class="btn btn-small retry-recording-btn">Retry</button>` : ""}
 								<button class="btn btn-small btn-error delete-recording-btn">Delete</button>
 							</div>
 						</div>
@@ -1450,6 +2759,39 @@ class App {
 						await this.deleteRecording(recId);
 					});
 				});
+
+				recordingsList.querySelectorAll(".play-recording-btn").forEach(btn => {
+					btn.addEventListener("click", async (e) => {
+						const recId = e.target.closest(".recording-item").dataset.recordingId;
+						await this.showRecordingPlayer(pastRecordings.find(rec => String(rec.id) === recId));
+					});
+				});
+
+				recordingsList.querySelectorAll(".pin-recording-btn").forEach(btn => {
+					btn.addEventListener("click", async (e) => {
+						const recId = e.target.closest(".recording-item").dataset.recordingId;
+						try {
+							await api.updateRecording(recId, { pinned: e.target.dataset.pinned !== "1" });
+							await this.loadRecordingsList();
+						} catch (error) {
+							this.showToast(`Error: ${error.message}`, "error");
+						}
+					});
+				});
+
+				recordingsList.querySelectorAll(".details-recording-btn").forEach(btn => {
+					btn.addEventListener("click", (e) => {
+						const recId = e.target.closest(".recording-item").dataset.recordingId;
+						this.showRecordingDetails(parseInt(recId));
+					});
+				});
+
+				recordingsList.querySelectorAll(".retry-recording-btn").forEach(btn => {
+					btn.addEventListener("click", async (e) => {
+						const recId = e.target.closest(".recording-item").dataset.recordingId;
+						await this.retryRecordingProcessing(recId);
+					});
+				});
 			}
 		} catch (error) {
 			this.showToast(`Error loading recordings: ${error.message}`, "error");
@@ -1457,12 +2799,43 @@ class App {
 	}
 
 	async loadRecordingSettings() {
+		// Quota, cleanup and post-processing apply to all recordings - admins only
+		const isAdmin = this.sessionUser && this.sessionUser.role === "admin";
+		document.querySelector(".recording-settings-section").classList.toggle("hidden", !isAdmin);
+		if (!isAdmin) {
+			return;
+		}
+
 		try {
 			const data = await api.getRecordingSettings();
 			const select = document.getElementById("recording-max-age");
 			if (select && data.maxAgeDays !== undefined) {
 				select.value = String(data.maxAgeDays);
 			}
+			document.getElementById("recording-concat-parts").checked = !!data.concatParts;
+
+			const postProcess = data.postProcess || {};
+			document.getElementById("postprocess-format").value = postProcess.format || "none";
+			document.getElementById("postprocess-chapters").checked = !!postProcess.chapters;
+			document.getElementById("postprocess-metadata").checked = !!postProcess.metadata;
+			document.getElementById("postprocess-thumbnail").checked = !!postProcess.thumbnail;
+			document.getElementById("postprocess-folder").value = postProcess.folderTemplate || "";
+
+			const quota = data.quota || {};
+			document.getElementById("quota-max-total").value = quota.maxTotalGB || "";
+			document.getElementById("quota-min-free").value = quota.minFreeGB || "";
+			document.getElementById("quota-policy").value = quota.policy || "oldest";
+			document.getElementById("quota-low-space-action").value = quota.lowSpaceAction || "refuse";
+			document.getElementById("quota-channels").innerHTML = "";
+			for (const [channel, channelQuota] of Object.entries(quota.channels || {})) {
+				this.addChannelQuotaRow(channel, channelQuota);
+			}
+
+			const usage = data.usage;
+			if (usage) {
+				const disk = usage.disk ? ` - ${this.formatFileSize(usage.disk.free)} of ${this.formatFileSize(usage.disk.total)} free on the disk` : "";
+				document.getElementById("recording-usage").textContent = `Recordings use ${this.formatFileSize(usage.total)}${disk}`;
+			}
 		} catch (error) {
 			console.error("Error loading recording settings:", error);
 		}
@@ -1472,6 +2845,8 @@ class App {
 		const channelInput = document.getElementById("rule-channel");
 		const gameInput = document.getElementById("rule-game");
 		const qualitySelect = document.getElementById("rule-quality");
+		const profileSelect = document.getElementById("rule-streamlink-profile");
+		const priorityInput = document.getElementById("rule-priority");
 
 		const channel = channelInput.value.trim();
 		const game = gameInput.value.trim();
@@ -1487,10 +2862,13 @@ class App {
 				channel_login: channel,
 				channel_name: channel,
 				game_name: game || null,
-				quality: quality
+				quality: quality,
+				streamlink_profile_id: profileSelect.value || null,
+				priority: priorityInput.value ? parseInt(priorityInput.value) : 0
 			});
 
 			channelInput.value = "";
+			priorityInput.value = "";
 			gameInput.value = "";
 			this.showToast("Recording rule added", "success");
 			await this.loadRecordingRules();
@@ -1533,12 +2911,179 @@ class App {
 		}
 	}
 
+	// Row of the per-channel quota editor
+	addChannelQuotaRow(channel = "", quota = {}) {
+		const row = document.createElement("div");
+		row.className = "form-row quota-channel-row";
+		row.innerHTML = `
+			<input type="text" class="input quota-channel" placeholder="Channel" value="${this.escapeHtml(channel)}">
+			<label>Max. size (GB):</label>
+			<input type="number" class="input quota-size quota-channel-max-total" min="0" step="any" placeholder="No limit" value="${quota.maxTotalGB || ""}">
+			<label>Min. free space (GB):</label>
+			<input type="number" class="input quota-size quota-channel-min-free" min="0" step="any" placeholder="None" value="${quota.minFreeGB || ""}">
+			<button class="btn btn-small btn-error">Remove</button>
+		`;
+		row.querySelector("button").addEventListener("click", () => row.remove());
+		document.getElementById("quota-channels").appendChild(row);
+	}
+
+	async retryRecordingProcessing(recordingId) {
+		try {
+			await api.processRecording(recordingId);
+			this.showToast("Post-processing queued", "success");
+			await this.loadRecordingsList();
+		} catch (error) {
+			this.showToast(`Error: ${error.message}`, "error");
+		}
+	}
+
+	// Recording player - browsers play MP4 (and mostly MKV) files directly, MPEG-TS and
+	// recordings in parts are served as HLS for external players
+	async showRecordingPlayer(rec) {
+		const modal = document.getElementById("stream-modal");
+		const modalBody = document.getElementById("modal-body");
+		let url;
+		try {
+			const token = await this.getPlayerToken();
+			url = this.withPlayerToken(`${window.location.protocol}//${window.location.host}${rec.playback_path}`, token);
+		} catch (error) {
+			this.showToast(`Error: ${error.message}`, "error");
+			return;
+		}
+		const playable = /\.(mp4|mkv)$/i.test(rec.playback_path);
+
+		modalBody.innerHTML = `
+			<h2>📼 ${this.escapeHtml(rec.channel_name || rec.channel_login)}</h2>
+			<p class="text-muted">${this.escapeHtml(rec.stream_title || rec.game_name || "")}</p>
+			${playable
+				? `<video class="recording-player" src="${rec.playback_path}" controls autoplay></video>`
+				: `<p class="text-muted">MPEG-TS recordings can't be played in the browser - open them in VLC or remux them to MP4 in the post-processing settings.</p>`}
+			<div class="active-stream-url">
+				<code style="font-size: 0.75rem; word-break: break-all;">${url}</code>
+				<button class="btn btn-small" onclick="app.copyToClipboard('${url}')">Copy</button>
+			</div>
+			<div style="margin-top: 1rem;">
+				<button class="btn btn-primary" onclick="app.openInPlayer('${url}')">Open in VLC</button>
+				<button class="btn" onclick="app.closeModal()">Close</button>
+			</div>
+		`;
+
+		modal.classList.remove("hidden");
+		modal.querySelector(".modal-overlay").addEventListener("click", () => this.closeModal());
+		modal.querySelector(".modal-close").addEventListener("click", () => this.closeModal());
+	}
+
+	// Recording detail view - game segments (chapters), title changes, parts and steps
+	async showRecordingDetails(recordingId) {
+		const modal = document.getElementById("stream-modal");
+		const modalBody = document.getElementById("modal-body");
+
+		try {
+			const data = await api.getRecording(recordingId);
+			const rec = data.recording;
+			const offset = (time) => this.formatDuration(Math.max(0, time - rec.started_at));
+			const titles = data.events.filter(event => event.type === "title");
+
+			modalBody.innerHTML = `
+				<h2>📼 ${this.escapeHtml(rec.channel_name || rec.channel_login)}</h2>
+				<p class="text-muted">
+					${new Date(rec.started_at).toLocaleString("de-DE")}
+					${rec.ended_at ? ` · ${this.formatDuration(rec.ended_at - rec.started_at)}` : ""}
+					${rec.file_size ? ` · ${this.formatFileSize(rec.file_size)}` : ""}
+					· ${this.escapeHtml(rec.filename)}
+				</p>
+				<h3>Games</h3>
+				<ul class="stream-event-list">
+					${data.chapters.map(chapter => `
+						<li class="stream-event">
+							<span class="text-muted">${this.formatDuration(chapter.start)}</span>
+							🎮 ${this.escapeHtml(chapter.title)}
+						</li>
+					`).join("")}
+				</ul>
+				${titles.length > 0 ? `
+					<h3>Titles</h3>
+					<ul class="stream-event-list">
+						${titles.map(event => `
+							<li class="stream-event">
+								<span class="text-muted">${offset(event.occurred_at)}</span>
+								${this.escapeHtml(event.value || "")}
+							</li>
+						`).join("")}
+					</ul>
+				` : ""}
+				${data.parts.length > 1 ? `
+					<h3>Parts</h3>
+					<ul class="stream-event-list">
+						${data.parts.map(part => `
+							<li class="stream-event">
+								<span class="text-muted">${offset(part.started_at)}</span>
+								${this.escapeHtml(part.filename)}${part.file_size ? ` (${this.formatFileSize(part.file_size)})` : ""}
+							</li>
+						`).join("")}
+					</ul>
+				` : ""}
+				${data.steps.length > 0 ? `
+					<h3>Post-processing</h3>
+					<div class="rec-meta">${data.steps.map(step => this.renderRecordingStep(step)).join("")}</div>
+				` : ""}
+				<div style="margin-top: 1rem;">
+					<button class="btn" onclick="app.closeModal()">Close</button>
+				</div>
+			`;
+
+			if (this.recordingDetailId !== recordingId) {
+				this.recordingDetailId = recordingId;
+				modal.classList.remove("hidden");
+				modal.querySelector(".modal-overlay").addEventListener("click", () => this.closeModal());
+				modal.querySelector(".modal-close").addEventListener("click", () => this.closeModal());
+			}
+		} catch (error) {
+			this.showToast(`Error loading recording: ${error.message}`, "error");
+		}
+	}
+
+	// Badge for a post-processing step - the error is shown as tooltip
+	renderRecordingStep(step) {
+		const icons = { pending: "⏳", running: "⚙", done: "✓", failed: "✗", skipped: "–" };
+		const statusClass = step.status === "done" ? "status-success" : step.status === "failed" ? "status-error" : "";
+		const title = step.error ? ` title="${this.escapeHtml(step.error)}"` : "";
+		return `<span class="rec-status rec-step ${statusClass}"${title}>${icons[step.status] || ""} ${this.escapeHtml(step.step)}</span>`;
+	}
+
 	async saveRecordingSettings() {
 		const select = document.getElementById("recording-max-age");
 		const maxAgeDays = parseInt(select.value);
+		const concatParts = document.getElementById("recording-concat-parts").checked;
+		const postProcess = {
+			format: document.getElementById("postprocess-format").value,
+			chapters: document.getElementById("postprocess-chapters").checked,
+			metadata: document.getElementById("postprocess-metadata").checked,
+			thumbnail: document.getElementById("postprocess-thumbnail").checked,
+			folderTemplate: document.getElementById("postprocess-folder").value.trim()
+		};
+
+		const channels = {};
+		document.querySelectorAll("#quota-channels .quota-channel-row").forEach(row => {
+			const channel = row.querySelector(".quota-channel").value.trim().toLowerCase();
+			if (channel) {
+				channels[channel] = {
+					maxTotalGB: parseFloat(row.querySelector(".quota-channel-max-total").value) || 0,
+					minFreeGB: parseFloat(row.querySelector(".quota-channel-min-free").value) || 0
+				};
+			}
+		});
+		const quota = {
+			maxTotalGB: parseFloat(document.getElementById("quota-max-total").value) || 0,
+			minFreeGB: parseFloat(document.getElementById("quota-min-free").value) || 0,
+			policy: document.getElementById("quota-policy").value,
+			lowSpaceAction: document.getElementById("quota-low-space-action").value,
+			channels
+		};
 
 		try {
-			await api.updateRecordingSettings({ maxAgeDays });
+			await api.updateRecordingSettings({ maxAgeDays, concatParts, postProcess, quota });
+			await this.loadRecordingSettings();
 			this.showToast("Settings saved", "success");
 		} catch (error) {
 			this.showToast(`Error saving settings: ${error.message}`, "error");
@@ -1,9 +1,17 @@
 const Database = require("better-sqlite3");
 const path = require("path");
 const fs = require("fs");
+const { hashPassword, verifyPassword } = require("./passwords");
+const tokenCrypto = require("./token-crypto");
 
 class DatabaseManager {
-	constructor(dbPath) {
+	/**
+	 * @param {string} dbPath - SQLite file
+	 * @param {Object} options - { tokenKey: Buffer } key for encrypting Twitch tokens at rest
+	 */
+	constructor(dbPath, options = {}) {
+		this.tokenKey = options.tokenKey || null;
+
 		// Ensure data directory exists
 		const dir = path.dirname(dbPath);
 		if (!fs.existsSync(dir)) {
@@ -15,10 +23,15 @@ class DatabaseManager {
 	}
 
 	init() {
+		// Single-user tables that need a new primary key are moved aside first
+		const legacyTables = this.prepareMultiUserMigration();
+		const isNewProfileTable = !this.tableExists("transcode_profiles");
+		const isNewArgsProfileTable = !this.tableExists("streamlink_profiles");
+
 		// Create tables
 		this.db.exec(`
-			CREATE TABLE IF NOT EXISTS auth (
-				id INTEGER PRIMARY KEY CHECK (id = 1),
+			CREATE TABLE IF NOT EXISTS twitch_auth (
+				local_user_id INTEGER PRIMARY KEY,
 				access_token TEXT,
 				refresh_token TEXT,
 				user_id TEXT,
@@ -33,33 +46,111 @@ class DatabaseManager {
 			);
 
 			CREATE TABLE IF NOT EXISTS followed_channels (
-				user_id TEXT PRIMARY KEY,
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
+				user_id TEXT,
 				user_login TEXT,
 				display_name TEXT,
 				profile_image_url TEXT,
-				followed_at INTEGER
+				followed_at INTEGER,
+				PRIMARY KEY (owner_user_id, user_id)
 			);
 
 			CREATE TABLE IF NOT EXISTS favorites (
-				channel_login TEXT PRIMARY KEY,
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
+				channel_login TEXT,
 				channel_name TEXT,
-				added_at INTEGER
+				added_at INTEGER,
+				PRIMARY KEY (owner_user_id, channel_login)
 			);
 
 			CREATE TABLE IF NOT EXISTS youtube_channels (
-				channel_id TEXT PRIMARY KEY,
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
+				channel_id TEXT,
 				channel_name TEXT,
 				channel_url TEXT,
-				added_at INTEGER
+				added_at INTEGER,
+				PRIMARY KEY (owner_user_id, channel_id)
+			);
+
+			CREATE TABLE IF NOT EXISTS kick_channels (
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
+				slug TEXT,
+				display_name TEXT,
+				added_at INTEGER,
+				PRIMARY KEY (owner_user_id, slug)
+			);
+
+			CREATE TABLE IF NOT EXISTS kick_live_status (
+				slug TEXT PRIMARY KEY,
+				channel_id INTEGER,
+				display_name TEXT,
+				profile_image_url TEXT,
+				is_live INTEGER DEFAULT 0,
+				title TEXT,
+				category_id TEXT,
+				category_name TEXT,
+				viewer_count INTEGER DEFAULT 0,
+				thumbnail_url TEXT,
+				started_at TEXT,
+				checked_at INTEGER
+			);
+
+			CREATE TABLE IF NOT EXISTS custom_channels (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
+				name TEXT NOT NULL,
+				url TEXT NOT NULL,
+				logo_url TEXT,
+				group_name TEXT,
+				created_at INTEGER,
+				updated_at INTEGER
+			);
+
+			CREATE TABLE IF NOT EXISTS transcode_profiles (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				name TEXT NOT NULL UNIQUE,
+				video_codec TEXT DEFAULT 'libx264',
+				height INTEGER,
+				video_bitrate INTEGER,
+				audio_codec TEXT DEFAULT 'aac',
+				audio_bitrate INTEGER DEFAULT 128,
+				audio_only INTEGER DEFAULT 0,
+				created_at INTEGER,
+				updated_at INTEGER
+			);
+
+			CREATE TABLE IF NOT EXISTS streamlink_profiles (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				name TEXT NOT NULL UNIQUE,
+				args TEXT NOT NULL DEFAULT '',
+				created_at INTEGER,
+				updated_at INTEGER
+			);
+
+			-- scope: "global", "source:{provider id}" or "channel:{channel key}"
+			CREATE TABLE IF NOT EXISTS streamlink_profile_assignments (
+				scope TEXT PRIMARY KEY,
+				profile_id INTEGER NOT NULL
 			);
 
 			CREATE TABLE IF NOT EXISTS recording_rules (
 				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
 				channel_login TEXT NOT NULL,
 				channel_name TEXT,
 				game_name TEXT,
 				quality TEXT DEFAULT 'best',
 				enabled INTEGER DEFAULT 1,
+				streamlink_profile_id INTEGER,
+				priority INTEGER DEFAULT 0,
+				title_keywords TEXT,
+				title_regex TEXT,
+				exclude_terms TEXT,
+				tags TEXT,
+				languages TEXT,
+				weekdays TEXT,
+				time_from TEXT,
+				time_to TEXT,
 				created_at INTEGER,
 				updated_at INTEGER
 			);
@@ -78,23 +169,238 @@ class DatabaseManager {
 				ended_at INTEGER,
 				status TEXT DEFAULT 'recording',
 				error TEXT,
+				broadcast_id TEXT,
+				parts INTEGER DEFAULT 0,
+				thumbnail_path TEXT,
+				pinned INTEGER DEFAULT 0,
+				owner_user_id INTEGER,
 				FOREIGN KEY (rule_id) REFERENCES recording_rules(id)
 			);
+
+			CREATE TABLE IF NOT EXISTS recording_events (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				recording_id INTEGER NOT NULL,
+				type TEXT NOT NULL,
+				value TEXT,
+				occurred_at INTEGER NOT NULL,
+				FOREIGN KEY (recording_id) REFERENCES recordings(id) ON DELETE CASCADE
+			);
+
+			CREATE TABLE IF NOT EXISTS recording_steps (
+				recording_id INTEGER NOT NULL,
+				step TEXT NOT NULL,
+				status TEXT DEFAULT 'pending',
+				error TEXT,
+				started_at INTEGER,
+				finished_at INTEGER,
+				PRIMARY KEY (recording_id, step),
+				FOREIGN KEY (recording_id) REFERENCES recordings(id) ON DELETE CASCADE
+			);
+
+			CREATE TABLE IF NOT EXISTS recording_parts (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				recording_id INTEGER NOT NULL,
+				part_number INTEGER NOT NULL,
+				filename TEXT,
+				filepath TEXT,
+				file_size INTEGER DEFAULT 0,
+				started_at INTEGER,
+				ended_at INTEGER,
+				exit_code INTEGER,
+				FOREIGN KEY (recording_id) REFERENCES recordings(id) ON DELETE CASCADE
+			);
+
+			CREATE TABLE IF NOT EXISTS xtream_users (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				owner_user_id INTEGER NOT NULL DEFAULT 0,
+				username TEXT NOT NULL UNIQUE,
+				password_hash TEXT NOT NULL,
+				max_connections INTEGER DEFAULT 1,
+				exp_date INTEGER,
+				enabled INTEGER DEFAULT 1,
+				created_at INTEGER,
+				updated_at INTEGER
+			);
+
+			CREATE TABLE IF NOT EXISTS users (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				username TEXT NOT NULL UNIQUE,
+				password_hash TEXT NOT NULL,
+				role TEXT DEFAULT 'admin',
+				api_key_hash TEXT UNIQUE,
+				priority INTEGER DEFAULT 0,
+				created_at INTEGER,
+				updated_at INTEGER
+			);
+
+			CREATE TABLE IF NOT EXISTS sessions (
+				token_hash TEXT PRIMARY KEY,
+				user_id INTEGER NOT NULL,
+				created_at INTEGER,
+				expires_at INTEGER,
+				last_seen_at INTEGER,
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+			);
+
+			CREATE TABLE IF NOT EXISTS access_tokens (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				user_id INTEGER NOT NULL,
+				name TEXT NOT NULL,
+				token_hash TEXT NOT NULL UNIQUE,
+				token_prefix TEXT,
+				created_at INTEGER,
+				last_used_at INTEGER,
+				last_used_ip TEXT,
+				revoked_at INTEGER,
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+			);
 		`);
 
+		this.finishMultiUserMigration(legacyTables);
+		this.encryptPlaintextTokens();
+
+		if (!this.hasColumn("recording_rules", "streamlink_profile_id")) {
+			this.db.exec("ALTER TABLE recording_rules ADD COLUMN streamlink_profile_id INTEGER");
+		}
+		if (!this.hasColumn("recordings", "broadcast_id")) {
+			// Recordings from before parts existed are one file each
+			this.db.exec(`
+				ALTER TABLE recordings ADD COLUMN broadcast_id TEXT;
+				ALTER TABLE recordings ADD COLUMN parts INTEGER DEFAULT 1;
+			`);
+		}
+		if (!this.hasColumn("recordings", "thumbnail_path")) {
+			this.db.exec("ALTER TABLE recordings ADD COLUMN thumbnail_path TEXT");
+		}
+		if (!this.hasColumn("recording_rules", "title_keywords")) {
+			this.db.exec(`
+				ALTER TABLE recording_rules ADD COLUMN title_keywords TEXT;
+				ALTER TABLE recording_rules ADD COLUMN title_regex TEXT;
+				ALTER TABLE recording_rules ADD COLUMN exclude_terms TEXT;
+				ALTER TABLE recording_rules ADD COLUMN tags TEXT;
+				ALTER TABLE recording_rules ADD COLUMN languages TEXT;
+				ALTER TABLE recording_rules ADD COLUMN weekdays TEXT;
+				ALTER TABLE recording_rules ADD COLUMN time_from TEXT;
+				ALTER TABLE recording_rules ADD COLUMN time_to TEXT;
+			`);
+		}
+		if (!this.hasColumn("recordings", "pinned")) {
+			this.db.exec("ALTER TABLE recordings ADD COLUMN pinned INTEGER DEFAULT 0");
+		}
+		if (!this.hasColumn("recording_rules", "priority")) {
+			this.db.exec("ALTER TABLE recording_rules ADD COLUMN priority INTEGER DEFAULT 0");
+		}
+		if (!this.hasColumn("recordings", "owner_user_id")) {
+			// Recordings belong to the owner of the rule that started them
+			this.db.exec(`
+				ALTER TABLE recordings ADD COLUMN owner_user_id INTEGER;
+				UPDATE recordings SET owner_user_id = (SELECT owner_user_id FROM recording_rules WHERE recording_rules.id = recordings.rule_id);
+			`);
+		}
+		if (!this.hasColumn("users", "priority")) {
+			this.db.exec("ALTER TABLE users ADD COLUMN priority INTEGER DEFAULT 0");
+		}
+		if (isNewArgsProfileTable) {
+			this.seedStreamlinkProfiles();
+		}
+		if (isNewProfileTable) {
+			this.seedTranscodeProfiles();
+		}
+
 		console.log("✓ Database initialized");
 	}
 
-	// Auth methods
-	saveAuth(authData) {
+	tableExists(table) {
+		const stmt = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?");
+		return !!stmt.get(table);
+	}
+
+	hasColumn(table, column) {
+		return this.db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+	}
+
+	/**
+	 * Databases from the single-user schema: rename tables whose primary key changes
+	 * so init() can create the per-user versions
+	 */
+	prepareMultiUserMigration() {
+		const legacyTables = [];
+
+		for (const table of ["followed_channels", "favorites", "youtube_channels"]) {
+			if (this.tableExists(table) && !this.hasColumn(table, "owner_user_id")) {
+				this.db.exec(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+				legacyTables.push(table);
+			}
+		}
+
+		return legacyTables;
+	}
+
+	/**
+	 * Copy single-user data into the per-user tables. Existing rows get owner 0
+	 * and are handed to the first local user by assignUnownedData()
+	 */
+	finishMultiUserMigration(legacyTables) {
+		const migrate = this.db.transaction(() => {
+			for (const table of legacyTables) {
+				// New tables are the old columns with owner_user_id in front
+				this.db.exec(`
+					INSERT INTO ${table} SELECT 0, * FROM ${table}_legacy;
+					DROP TABLE ${table}_legacy;
+				`);
+			}
+
+			if (this.tableExists("auth")) {
+				this.db.exec(`
+					INSERT OR IGNORE INTO twitch_auth (local_user_id, access_token, refresh_token, user_id, user_login, user_display_name, expires_at)
+					SELECT 0, access_token, refresh_token, user_id, user_login, user_display_name, expires_at FROM auth;
+					DROP TABLE auth;
+				`);
+				legacyTables.push("auth");
+			}
+
+			for (const table of ["recording_rules", "xtream_users"]) {
+				if (!this.hasColumn(table, "owner_user_id")) {
+					this.db.exec(`ALTER TABLE ${table} ADD COLUMN owner_user_id INTEGER NOT NULL DEFAULT 0`);
+					legacyTables.push(table);
+				}
+			}
+		});
+
+		migrate();
+
+		if (legacyTables.length > 0) {
+			console.log(`✓ Migrated to per-user data: ${legacyTables.join(", ")}`);
+		}
+	}
+
+	/**
+	 * Hand data without an owner (from a single-user database) to a local user
+	 */
+	assignUnownedData(userId) {
+		const assign = this.db.transaction(() => {
+			let changes = 0;
+			for (const table of ["followed_channels", "favorites", "youtube_channels", "recording_rules", "xtream_users"]) {
+				changes += this.db.prepare(`UPDATE OR IGNORE ${table} SET owner_user_id = ? WHERE owner_user_id = 0`).run(userId).changes;
+			}
+			changes += this.db.prepare("UPDATE OR IGNORE twitch_auth SET local_user_id = ? WHERE local_user_id = 0").run(userId).changes;
+			return changes;
+		});
+
+		return assign();
+	}
+
+	// Auth methods (one linked Twitch account per local user)
+	saveAuth(localUserId, authData) {
 		const stmt = this.db.prepare(`
-			INSERT OR REPLACE INTO auth (id, access_token, refresh_token, user_id, user_login, user_display_name, expires_at)
-			VALUES (1, ?, ?, ?, ?, ?, ?)
+			INSERT OR REPLACE INTO twitch_auth (local_user_id, access_token, refresh_token, user_id, user_login, user_display_name, expires_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
 		`);
 
 		stmt.run(
-			authData.access_token,
-			authData.refresh_token || null,
+			localUserId,
+			this.encryptToken(authData.access_token),
+			this.encryptToken(authData.refresh_token || null),
 			authData.user_id,
 			authData.user_login,
 			authData.user_display_name,
@@ -102,14 +408,92 @@ class DatabaseManager {
 		);
 	}
 
-	getAuth() {
-		const stmt = this.db.prepare("SELECT * FROM auth WHERE id = 1");
-		return stmt.get();
+	getAuth(localUserId) {
+		const stmt = this.db.prepare("SELECT * FROM twitch_auth WHERE local_user_id = ?");
+		const row = stmt.get(localUserId);
+		if (!row) {
+			return row;
+		}
+
+		try {
+			return {
+				...row,
+				access_token: this.decryptToken(row.access_token),
+				refresh_token: this.decryptToken(row.refresh_token)
+			};
+		} catch (error) {
+			// Wrong or changed key - the account has to be linked again
+			console.error(`[Database] Could not decrypt Twitch tokens for user ${localUserId} - wrong TOKEN_ENCRYPTION_KEY?`);
+			return undefined;
+		}
+	}
+
+	clearAuth(localUserId) {
+		const stmt = this.db.prepare("DELETE FROM twitch_auth WHERE local_user_id = ?");
+		stmt.run(localUserId);
+	}
+
+	// Twitch tokens are stored encrypted when a key is configured
+	encryptToken(value) {
+		return this.tokenKey ? tokenCrypto.encrypt(value, this.tokenKey) : value;
 	}
 
-	clearAuth() {
-		const stmt = this.db.prepare("DELETE FROM auth WHERE id = 1");
-		stmt.run();
+	decryptToken(value) {
+		return this.tokenKey ? tokenCrypto.decrypt(value, this.tokenKey) : value;
+	}
+
+	/**
+	 * Encrypt token rows written before encryption was enabled
+	 */
+	encryptPlaintextTokens() {
+		if (!this.tokenKey) {
+			return;
+		}
+
+		const rows = this.db.prepare("SELECT local_user_id, access_token, refresh_token FROM twitch_auth").all()
+			.filter(row => (row.access_token && !tokenCrypto.isEncrypted(row.access_token)) ||
+				(row.refresh_token && !tokenCrypto.isEncrypted(row.refresh_token)));
+		if (rows.length === 0) {
+			return;
+		}
+
+		const update = this.db.prepare("UPDATE twitch_auth SET access_token = ?, refresh_token = ? WHERE local_user_id = ?");
+		const migrate = this.db.transaction(() => {
+			for (const row of rows) {
+				update.run(this.encryptToken(row.access_token), this.encryptToken(row.refresh_token), row.local_user_id);
+			}
+		});
+
+		migrate();
+		console.log(`✓ Encrypted stored Twitch tokens (${rows.length} account${rows.length === 1 ? "" : "s"})`);
+	}
+
+	/**
+	 * Re-encrypt all stored tokens with a new key - returns the number of rows
+	 * Throws (and changes nothing) if a row can't be decrypted with the current key
+	 */
+	rotateTokenKey(newKey) {
+		const rows = this.db.prepare("SELECT local_user_id, access_token, refresh_token FROM twitch_auth").all();
+		const update = this.db.prepare("UPDATE twitch_auth SET access_token = ?, refresh_token = ? WHERE local_user_id = ?");
+
+		const rotate = this.db.transaction(() => {
+			for (const row of rows) {
+				update.run(
+					tokenCrypto.encrypt(this.decryptToken(row.access_token), newKey),
+					tokenCrypto.encrypt(this.decryptToken(row.refresh_token), newKey),
+					row.local_user_id
+				);
+			}
+		});
+
+		rotate();
+		this.tokenKey = newKey;
+		return rows.length;
+	}
+
+	getTwitchAuthUserIds() {
+		const stmt = this.db.prepare("SELECT local_user_id FROM twitch_auth WHERE local_user_id > 0");
+		return stmt.all().map(row => row.local_user_id);
 	}
 
 	// Settings methods
@@ -120,7 +504,8 @@ class DatabaseManager {
 		const settings = {
 			defaultQuality: "best",
 			lowLatency: false,
-			playerInput: "http"
+			playerInput: "http",
+			streamFormat: "ts" // "ts" (relayed MPEG-TS) or "hls"
 		};
 
 		rows.forEach((row) => {
@@ -176,17 +561,18 @@ class DatabaseManager {
 	}
 
 	// Followed channels cache
-	saveFollowedChannels(channels) {
-		const deleteStmt = this.db.prepare("DELETE FROM followed_channels");
+	saveFollowedChannels(ownerUserId, channels) {
+		const deleteStmt = this.db.prepare("DELETE FROM followed_channels WHERE owner_user_id = ?");
 		const insertStmt = this.db.prepare(`
-			INSERT INTO followed_channels (user_id, user_login, display_name, profile_image_url, followed_at)
-			VALUES (?, ?, ?, ?, ?)
+			INSERT INTO followed_channels (owner_user_id, user_id, user_login, display_name, profile_image_url, followed_at)
+			VALUES (?, ?, ?, ?, ?, ?)
 		`);
 
 		const transaction = this.db.transaction((channels) => {
-			deleteStmt.run();
+			deleteStmt.run(ownerUserId);
 			channels.forEach((channel) => {
 				insertStmt.run(
+					ownerUserId,
 					channel.broadcaster_id,
 					channel.broadcaster_login,
 					channel.broadcaster_name,
@@ -199,71 +585,385 @@ class DatabaseManager {
 		transaction(channels);
 	}
 
-	getFollowedChannels() {
-		const stmt = this.db.prepare("SELECT * FROM followed_channels ORDER BY display_name ASC");
-		return stmt.all();
+	getFollowedChannels(ownerUserId) {
+		const stmt = this.db.prepare("SELECT * FROM followed_channels WHERE owner_user_id = ? ORDER BY display_name ASC");
+		return stmt.all(ownerUserId);
 	}
 
 	// Favorites methods
-	addFavorite(channelLogin, channelName) {
+	addFavorite(ownerUserId, channelLogin, channelName) {
 		const stmt = this.db.prepare(`
-			INSERT OR REPLACE INTO favorites (channel_login, channel_name, added_at)
-			VALUES (?, ?, ?)
+			INSERT OR REPLACE INTO favorites (owner_user_id, channel_login, channel_name, added_at)
+			VALUES (?, ?, ?, ?)
 		`);
-		stmt.run(channelLogin.toLowerCase(), channelName, Date.now());
+		stmt.run(ownerUserId, channelLogin.toLowerCase(), channelName, Date.now());
 	}
 
-	removeFavorite(channelLogin) {
-		const stmt = this.db.prepare("DELETE FROM favorites WHERE channel_login = ?");
-		stmt.run(channelLogin.toLowerCase());
+	removeFavorite(ownerUserId, channelLogin) {
+		const stmt = this.db.prepare("DELETE FROM favorites WHERE owner_user_id = ? AND channel_login = ?");
+		stmt.run(ownerUserId, channelLogin.toLowerCase());
 	}
 
-	getFavorites() {
-		const stmt = this.db.prepare("SELECT * FROM favorites ORDER BY channel_name ASC");
-		return stmt.all();
+	getFavorites(ownerUserId) {
+		const stmt = this.db.prepare("SELECT * FROM favorites WHERE owner_user_id = ? ORDER BY channel_name ASC");
+		return stmt.all(ownerUserId);
+	}
+
+	isFavorite(ownerUserId, channelLogin) {
+		const stmt = this.db.prepare("SELECT 1 FROM favorites WHERE owner_user_id = ? AND channel_login = ?");
+		return !!stmt.get(ownerUserId, channelLogin.toLowerCase());
 	}
 
-	isFavorite(channelLogin) {
-		const stmt = this.db.prepare("SELECT 1 FROM favorites WHERE channel_login = ?");
+	// Whether any local user has the channel as favorite
+	isFavoriteOfAnyUser(channelLogin) {
+		const stmt = this.db.prepare("SELECT 1 FROM favorites WHERE channel_login = ? LIMIT 1");
 		return !!stmt.get(channelLogin.toLowerCase());
 	}
 
 	// YouTube channels methods
-	addYoutubeChannel(channelId, channelName, channelUrl) {
+	addYoutubeChannel(ownerUserId, channelId, channelName, channelUrl) {
+		const stmt = this.db.prepare(`
+			INSERT OR REPLACE INTO youtube_channels (owner_user_id, channel_id, channel_name, channel_url, added_at)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		stmt.run(ownerUserId, channelId, channelName, channelUrl, Date.now());
+	}
+
+	removeYoutubeChannel(ownerUserId, channelId) {
+		const stmt = this.db.prepare("DELETE FROM youtube_channels WHERE owner_user_id = ? AND channel_id = ?");
+		stmt.run(ownerUserId, channelId);
+	}
+
+	getYoutubeChannels(ownerUserId) {
+		const stmt = this.db.prepare("SELECT * FROM youtube_channels WHERE owner_user_id = ? ORDER BY channel_name ASC");
+		return stmt.all(ownerUserId);
+	}
+
+	getYoutubeChannel(ownerUserId, channelId) {
+		const stmt = this.db.prepare("SELECT * FROM youtube_channels WHERE owner_user_id = ? AND channel_id = ?");
+		return stmt.get(ownerUserId, channelId);
+	}
+
+	// Kick channels methods (live status is shared by all users following a channel)
+	addKickChannel(ownerUserId, slug, displayName) {
 		const stmt = this.db.prepare(`
-			INSERT OR REPLACE INTO youtube_channels (channel_id, channel_name, channel_url, added_at)
+			INSERT OR REPLACE INTO kick_channels (owner_user_id, slug, display_name, added_at)
 			VALUES (?, ?, ?, ?)
 		`);
-		stmt.run(channelId, channelName, channelUrl, Date.now());
+		stmt.run(ownerUserId, slug.toLowerCase(), displayName, Date.now());
 	}
 
-	removeYoutubeChannel(channelId) {
-		const stmt = this.db.prepare("DELETE FROM youtube_channels WHERE channel_id = ?");
-		stmt.run(channelId);
+	removeKickChannel(ownerUserId, slug) {
+		const stmt = this.db.prepare("DELETE FROM kick_channels WHERE owner_user_id = ? AND slug = ?");
+		stmt.run(ownerUserId, slug.toLowerCase());
 	}
 
-	getYoutubeChannels() {
-		const stmt = this.db.prepare("SELECT * FROM youtube_channels ORDER BY channel_name ASC");
+	/**
+	 * Followed Kick channels of a user with their last polled live status
+	 */
+	getKickChannels(ownerUserId) {
+		const stmt = this.db.prepare(`
+			SELECT k.slug, k.display_name, k.added_at, s.channel_id, s.profile_image_url, s.is_live, s.title,
+				s.category_id, s.category_name, s.viewer_count, s.thumbnail_url, s.started_at, s.checked_at
+			FROM kick_channels k
+			LEFT JOIN kick_live_status s ON s.slug = k.slug
+			WHERE k.owner_user_id = ?
+			ORDER BY k.display_name ASC
+		`);
+		return stmt.all(ownerUserId);
+	}
+
+	/**
+	 * All slugs followed by any user (for live status polling)
+	 */
+	getKickChannelSlugs() {
+		const stmt = this.db.prepare("SELECT DISTINCT slug FROM kick_channels");
+		return stmt.all().map(row => row.slug);
+	}
+
+	getKickLiveStatus(slug) {
+		const stmt = this.db.prepare("SELECT * FROM kick_live_status WHERE slug = ?");
+		return stmt.get(slug.toLowerCase());
+	}
+
+	saveKickLiveStatus(slug, status) {
+		const stmt = this.db.prepare(`
+			INSERT OR REPLACE INTO kick_live_status
+				(slug, channel_id, display_name, profile_image_url, is_live, title, category_id, category_name, viewer_count, thumbnail_url, started_at, checked_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		stmt.run(
+			slug.toLowerCase(),
+			status.channel_id,
+			status.display_name,
+			status.profile_image_url || null,
+			status.is_live ? 1 : 0,
+			status.title || null,
+			status.category_id || null,
+			status.category_name || null,
+			status.viewer_count || 0,
+			status.thumbnail_url || null,
+			status.started_at || null,
+			Date.now()
+		);
+	}
+
+	/**
+	 * Drop live status of channels nobody follows anymore
+	 */
+	deleteUnfollowedKickStatus() {
+		this.db.prepare("DELETE FROM kick_live_status WHERE slug NOT IN (SELECT slug FROM kick_channels)").run();
+	}
+
+	// Custom channels methods (arbitrary streamlink URLs started on demand)
+	addCustomChannel(channel) {
+		const stmt = this.db.prepare(`
+			INSERT INTO custom_channels (owner_user_id, name, url, logo_url, group_name, created_at, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			channel.owner_user_id || 0,
+			channel.name,
+			channel.url,
+			channel.logo_url || null,
+			channel.group_name || null,
+			Date.now(),
+			Date.now()
+		);
+		return result.lastInsertRowid;
+	}
+
+	updateCustomChannel(id, updates) {
+		const fields = [];
+		const values = [];
+
+		for (const field of ["name", "url", "logo_url", "group_name"]) {
+			if (updates[field] !== undefined) {
+				fields.push(`${field} = ?`);
+				values.push(updates[field] || null);
+			}
+		}
+
+		fields.push("updated_at = ?");
+		values.push(Date.now());
+		values.push(id);
+
+		const stmt = this.db.prepare(`UPDATE custom_channels SET ${fields.join(", ")} WHERE id = ?`);
+		stmt.run(...values);
+	}
+
+	deleteCustomChannel(id) {
+		const stmt = this.db.prepare("DELETE FROM custom_channels WHERE id = ?");
+		stmt.run(id);
+	}
+
+	getCustomChannel(id) {
+		const stmt = this.db.prepare("SELECT * FROM custom_channels WHERE id = ?");
+		return stmt.get(id);
+	}
+
+	getCustomChannels(ownerUserId) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM custom_channels
+			WHERE owner_user_id = ?
+			ORDER BY COALESCE(group_name, ''), name COLLATE NOCASE
+		`);
+		return stmt.all(ownerUserId);
+	}
+
+	// Transcoding profiles methods (ffmpeg re-encoding for constrained clients)
+
+	/**
+	 * Default profiles, added once when the table is created - deleted ones are not recreated
+	 */
+	seedTranscodeProfiles() {
+		this.addTranscodeProfile({ name: "mobile", height: 480, video_bitrate: 1200, audio_bitrate: 96 });
+		this.addTranscodeProfile({ name: "lowbandwidth", height: 360, video_bitrate: 600, audio_bitrate: 64 });
+	}
+
+	addTranscodeProfile(profile) {
+		const stmt = this.db.prepare(`
+			INSERT INTO transcode_profiles (name, video_codec, height, video_bitrate, audio_codec, audio_bitrate, audio_only, created_at, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			profile.name,
+			profile.video_codec || "libx264",
+			profile.height || null,
+			profile.video_bitrate || null,
+			profile.audio_codec || "aac",
+			profile.audio_bitrate || 128,
+			profile.audio_only ? 1 : 0,
+			Date.now(),
+			Date.now()
+		);
+		return result.lastInsertRowid;
+	}
+
+	updateTranscodeProfile(id, updates) {
+		const fields = [];
+		const values = [];
+
+		for (const field of ["name", "video_codec", "height", "video_bitrate", "audio_codec", "audio_bitrate"]) {
+			if (updates[field] !== undefined) {
+				fields.push(`${field} = ?`);
+				values.push(updates[field] || null);
+			}
+		}
+		if (updates.audio_only !== undefined) {
+			fields.push("audio_only = ?");
+			values.push(updates.audio_only ? 1 : 0);
+		}
+
+		fields.push("updated_at = ?");
+		values.push(Date.now());
+		values.push(id);
+
+		const stmt = this.db.prepare(`UPDATE transcode_profiles SET ${fields.join(", ")} WHERE id = ?`);
+		stmt.run(...values);
+	}
+
+	deleteTranscodeProfile(id) {
+		const stmt = this.db.prepare("DELETE FROM transcode_profiles WHERE id = ?");
+		stmt.run(id);
+	}
+
+	getTranscodeProfile(id) {
+		const stmt = this.db.prepare("SELECT * FROM transcode_profiles WHERE id = ?");
+		return stmt.get(id);
+	}
+
+	getTranscodeProfileByName(name) {
+		const stmt = this.db.prepare("SELECT * FROM transcode_profiles WHERE name = ? COLLATE NOCASE");
+		return stmt.get(name);
+	}
+
+	getTranscodeProfiles() {
+		const stmt = this.db.prepare("SELECT * FROM transcode_profiles ORDER BY name COLLATE NOCASE");
 		return stmt.all();
 	}
 
-	getYoutubeChannel(channelId) {
-		const stmt = this.db.prepare("SELECT * FROM youtube_channels WHERE channel_id = ?");
-		return stmt.get(channelId);
+	// Streamlink argument profiles methods (resolved by StreamlinkArgs)
+
+	/**
+	 * Ad-free Twitch playback as default profile for Twitch, added once when the table is created
+	 */
+	seedStreamlinkProfiles() {
+		const id = this.addStreamlinkProfile({
+			name: "twitch-adblock",
+			args: [
+				"--twitch-disable-ads",
+				"--twitch-proxy-playlist=https://eu.luminous.dev,https://lb-eu.cdn-perfprod.com"
+			].join("\n")
+		});
+		this.setStreamlinkProfileAssignment("source:twitch", id);
+	}
+
+	addStreamlinkProfile(profile) {
+		const stmt = this.db.prepare(`
+			INSERT INTO streamlink_profiles (name, args, created_at, updated_at)
+			VALUES (?, ?, ?, ?)
+		`);
+		const result = stmt.run(profile.name, profile.args || "", Date.now(), Date.now());
+		return result.lastInsertRowid;
+	}
+
+	updateStreamlinkProfile(id, updates) {
+		const fields = [];
+		const values = [];
+
+		for (const field of ["name", "args"]) {
+			if (updates[field] !== undefined) {
+				fields.push(`${field} = ?`);
+				values.push(updates[field]);
+			}
+		}
+
+		fields.push("updated_at = ?");
+		values.push(Date.now());
+		values.push(id);
+
+		const stmt = this.db.prepare(`UPDATE streamlink_profiles SET ${fields.join(", ")} WHERE id = ?`);
+		stmt.run(...values);
+	}
+
+	/**
+	 * Delete a profile with its assignments - recording rules keep the channel's profiles
+	 */
+	deleteStreamlinkProfile(id) {
+		const remove = this.db.transaction(() => {
+			this.db.prepare("DELETE FROM streamlink_profile_assignments WHERE profile_id = ?").run(id);
+			this.db.prepare("UPDATE recording_rules SET streamlink_profile_id = NULL WHERE streamlink_profile_id = ?").run(id);
+			this.db.prepare("DELETE FROM streamlink_profiles WHERE id = ?").run(id);
+		});
+		remove();
+	}
+
+	getStreamlinkProfile(id) {
+		const stmt = this.db.prepare("SELECT * FROM streamlink_profiles WHERE id = ?");
+		return stmt.get(id);
+	}
+
+	getStreamlinkProfileByName(name) {
+		const stmt = this.db.prepare("SELECT * FROM streamlink_profiles WHERE name = ? COLLATE NOCASE");
+		return stmt.get(name);
+	}
+
+	getStreamlinkProfiles() {
+		const stmt = this.db.prepare("SELECT * FROM streamlink_profiles ORDER BY name COLLATE NOCASE");
+		return stmt.all();
+	}
+
+	/**
+	 * Assign a profile to a scope ("global", "source:{id}", "channel:{key}") - null removes it
+	 */
+	setStreamlinkProfileAssignment(scope, profileId) {
+		if (!profileId) {
+			this.db.prepare("DELETE FROM streamlink_profile_assignments WHERE scope = ?").run(scope);
+			return;
+		}
+		const stmt = this.db.prepare(`
+			INSERT OR REPLACE INTO streamlink_profile_assignments (scope, profile_id)
+			VALUES (?, ?)
+		`);
+		stmt.run(scope, profileId);
+	}
+
+	getStreamlinkProfileAssignment(scope) {
+		const stmt = this.db.prepare("SELECT profile_id FROM streamlink_profile_assignments WHERE scope = ?");
+		const row = stmt.get(scope);
+		return row ? row.profile_id : null;
+	}
+
+	getStreamlinkProfileAssignments() {
+		const stmt = this.db.prepare("SELECT * FROM streamlink_profile_assignments ORDER BY scope");
+		return stmt.all();
 	}
 
 	// Recording rules methods
 	addRecordingRule(rule) {
 		const stmt = this.db.prepare(`
-			INSERT INTO recording_rules (channel_login, channel_name, game_name, quality, enabled, created_at, updated_at)
-			VALUES (?, ?, ?, ?, ?, ?, ?)
+			INSERT INTO recording_rules (owner_user_id, channel_login, channel_name, game_name, quality, enabled, streamlink_profile_id, priority,
+				title_keywords, title_regex, exclude_terms, tags, languages, weekdays, time_from, time_to, created_at, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`);
 		const result = stmt.run(
+			rule.owner_user_id,
 			rule.channel_login.toLowerCase(),
 			rule.channel_name,
 			rule.game_name || null,
 			rule.quality || "best",
 			rule.enabled !== false ? 1 : 0,
+			rule.streamlink_profile_id || null,
+			rule.priority || 0,
+			rule.title_keywords || null,
+			rule.title_regex || null,
+			rule.exclude_terms || null,
+			rule.tags || null,
+			rule.languages || null,
+			rule.weekdays || null,
+			rule.time_from || null,
+			rule.time_to || null,
 			Date.now(),
 			Date.now()
 		);
@@ -294,6 +994,20 @@ class DatabaseManager {
 			fields.push("enabled = ?");
 			values.push(updates.enabled ? 1 : 0);
 		}
+		if (updates.streamlink_profile_id !== undefined) {
+			fields.push("streamlink_profile_id = ?");
+			values.push(updates.streamlink_profile_id || null);
+		}
+		if (updates.priority !== undefined) {
+			fields.push("priority = ?");
+			values.push(updates.priority);
+		}
+		for (const column of ["title_keywords", "title_regex", "exclude_terms", "tags", "languages", "weekdays", "time_from", "time_to"]) {
+			if (updates[column] !== undefined) {
+				fields.push(`${column} = ?`);
+				values.push(updates[column] || null);
+			}
+		}
 
 		fields.push("updated_at = ?");
 		values.push(Date.now());
@@ -308,9 +1022,13 @@ class DatabaseManager {
 		stmt.run(id);
 	}
 
-	getRecordingRules() {
-		const stmt = this.db.prepare("SELECT * FROM recording_rules ORDER BY channel_name ASC");
-		return stmt.all();
+	// Without an owner, rules of all users are returned (used by the recording manager)
+	getRecordingRules(ownerUserId = null) {
+		if (ownerUserId === null) {
+			return this.db.prepare("SELECT * FROM recording_rules ORDER BY channel_name ASC").all();
+		}
+		const stmt = this.db.prepare("SELECT * FROM recording_rules WHERE owner_user_id = ? ORDER BY channel_name ASC");
+		return stmt.all(ownerUserId);
 	}
 
 	getRecordingRule(id) {
@@ -321,11 +1039,12 @@ class DatabaseManager {
 	// Recordings methods
 	addRecording(recording) {
 		const stmt = this.db.prepare(`
-			INSERT INTO recordings (rule_id, channel_login, channel_name, game_name, stream_title, filename, filepath, started_at, status)
-			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+			INSERT INTO recordings (rule_id, owner_user_id, channel_login, channel_name, game_name, stream_title, filename, filepath, started_at, status, broadcast_id, parts)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`);
 		const result = stmt.run(
 			recording.rule_id,
+			recording.owner_user_id ?? null,
 			recording.channel_login,
 			recording.channel_name,
 			recording.game_name,
@@ -333,7 +1052,9 @@ class DatabaseManager {
 			recording.filename,
 			recording.filepath,
 			recording.started_at,
-			recording.status || "recording"
+			recording.status || "recording",
+			recording.broadcast_id || null,
+			recording.parts || 0
 		);
 		return result.lastInsertRowid;
 	}
@@ -358,6 +1079,10 @@ class DatabaseManager {
 			fields.push("error = ?");
 			values.push(updates.error);
 		}
+		if (updates.parts !== undefined) {
+			fields.push("parts = ?");
+			values.push(updates.parts);
+		}
 
 		values.push(filepath);
 
@@ -365,7 +1090,14 @@ class DatabaseManager {
 		stmt.run(...values);
 	}
 
-	getRecordings(limit = 50) {
+	/**
+	 * Latest recordings - of one user, or of everyone without ownerUserId
+	 */
+	getRecordings(limit = 50, ownerUserId = null) {
+		if (ownerUserId !== null) {
+			const stmt = this.db.prepare("SELECT * FROM recordings WHERE owner_user_id = ? ORDER BY started_at DESC LIMIT ?");
+			return stmt.all(ownerUserId, limit);
+		}
 		const stmt = this.db.prepare("SELECT * FROM recordings ORDER BY started_at DESC LIMIT ?");
 		return stmt.all(limit);
 	}
@@ -375,16 +1107,425 @@ class DatabaseManager {
 		return stmt.get(filepath);
 	}
 
+	getRecording(id) {
+		const stmt = this.db.prepare("SELECT * FROM recordings WHERE id = ?");
+		return stmt.get(id);
+	}
+
+	/**
+	 * Update the files of a recording (post-processing replaces and moves them)
+	 */
+	updateRecordingFiles(id, updates) {
+		const columns = ["filename", "filepath", "file_size", "parts", "thumbnail_path"]
+			.filter(column => updates[column] !== undefined);
+		if (columns.length === 0) {
+			return;
+		}
+
+		const stmt = this.db.prepare(`UPDATE recordings SET ${columns.map(column => `${column} = ?`).join(", ")} WHERE id = ?`);
+		stmt.run(...columns.map(column => updates[column]), id);
+	}
+
+	/**
+	 * Whether a file in the recordings directory belongs to a recording (file, part or thumbnail)
+	 */
+	isRecordingFile(filepath) {
+		const stmt = this.db.prepare(`
+			SELECT 1 FROM recordings WHERE filepath = ? OR thumbnail_path = ?
+			UNION SELECT 1 FROM recording_parts WHERE filepath = ?
+		`);
+		return !!stmt.get(filepath, filepath, filepath);
+	}
+
+	/**
+	 * Earlier recording of the same broadcast (continued after a restart or reconnect)
+	 */
+	getRecordingByBroadcast(channelLogin, broadcastId) {
+		const stmt = this.db.prepare("SELECT * FROM recordings WHERE channel_login = ? AND broadcast_id = ? ORDER BY id DESC LIMIT 1");
+		return stmt.get(channelLogin.toLowerCase(), broadcastId);
+	}
+
+	// Pinned recordings are kept - by the age cleanup and the disk quota
 	getRecordingsOlderThan(timestamp) {
-		const stmt = this.db.prepare("SELECT * FROM recordings WHERE started_at < ? AND status != 'recording'");
+		const stmt = this.db.prepare("SELECT * FROM recordings WHERE started_at < ? AND status != 'recording' AND pinned = 0");
 		return stmt.all(timestamp);
 	}
 
+	setRecordingPinned(id, pinned) {
+		const stmt = this.db.prepare("UPDATE recordings SET pinned = ? WHERE id = ?");
+		stmt.run(pinned ? 1 : 0, id);
+	}
+
+	/**
+	 * All recordings with the priority of their rule (0 for deleted rules), oldest first
+	 */
+	getRecordingsForQuota() {
+		const stmt = this.db.prepare(`
+			SELECT recordings.*, COALESCE(recording_rules.priority, 0) AS rule_priority
+			FROM recordings LEFT JOIN recording_rules ON recording_rules.id = recordings.rule_id
+			ORDER BY recordings.started_at ASC
+		`);
+		return stmt.all();
+	}
+
 	deleteRecording(id) {
-		const stmt = this.db.prepare("DELETE FROM recordings WHERE id = ?");
+		const remove = this.db.transaction(() => {
+			this.db.prepare("DELETE FROM recording_parts WHERE recording_id = ?").run(id);
+			this.db.prepare("DELETE FROM recording_steps WHERE recording_id = ?").run(id);
+			this.db.prepare("DELETE FROM recording_events WHERE recording_id = ?").run(id);
+			this.db.prepare("DELETE FROM recordings WHERE id = ?").run(id);
+		});
+		remove();
+	}
+
+	// Recording parts - one file per streamlink run of a recording
+	addRecordingPart(part) {
+		const stmt = this.db.prepare(`
+			INSERT INTO recording_parts (recording_id, part_number, filename, filepath, started_at)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(part.recording_id, part.part_number, part.filename, part.filepath, part.started_at);
+		return result.lastInsertRowid;
+	}
+
+	updateRecordingPart(id, updates) {
+		const stmt = this.db.prepare("UPDATE recording_parts SET ended_at = ?, file_size = ?, exit_code = ? WHERE id = ?");
+		stmt.run(updates.ended_at, updates.file_size, updates.exit_code ?? null, id);
+	}
+
+	getRecordingParts(recordingId) {
+		const stmt = this.db.prepare("SELECT * FROM recording_parts WHERE recording_id = ? ORDER BY part_number ASC");
+		return stmt.all(recordingId);
+	}
+
+	updateRecordingPartFile(id, filename, filepath) {
+		const stmt = this.db.prepare("UPDATE recording_parts SET filename = ?, filepath = ? WHERE id = ?");
+		stmt.run(filename, filepath, id);
+	}
+
+	deleteRecordingPart(id) {
+		const stmt = this.db.prepare("DELETE FROM recording_parts WHERE id = ?");
+		stmt.run(id);
+	}
+
+	// Metadata changes during a recording ("game" and "title")
+	addRecordingEvent(recordingId, type, value, occurredAt = Date.now()) {
+		const stmt = this.db.prepare("INSERT INTO recording_events (recording_id, type, value, occurred_at) VALUES (?, ?, ?, ?)");
+		stmt.run(recordingId, type, value, occurredAt);
+	}
+
+	getRecordingEvents(recordingId) {
+		const stmt = this.db.prepare("SELECT * FROM recording_events WHERE recording_id = ? ORDER BY occurred_at ASC, id ASC");
+		return stmt.all(recordingId);
+	}
+
+	/**
+	 * Latest value of each event type of a recording - { game, title }
+	 */
+	getLatestRecordingEvents(recordingId) {
+		const latest = {};
+		for (const event of this.getRecordingEvents(recordingId)) {
+			latest[event.type] = event.value;
+		}
+		return latest;
+	}
+
+	// Post-processing steps of recordings (remux, chapters, metadata, thumbnail, move)
+	setRecordingStep(recordingId, step, status, error = null) {
+		const now = Date.now();
+		const stmt = this.db.prepare(`
+			INSERT INTO recording_steps (recording_id, step, status, error, started_at, finished_at)
+			VALUES (?, ?, ?, ?, ?, ?)
+			ON CONFLICT(recording_id, step) DO UPDATE SET
+				status = excluded.status,
+				error = excluded.error,
+				started_at = CASE WHEN excluded.status = 'running' THEN excluded.started_at ELSE started_at END,
+				finished_at = excluded.finished_at
+		`);
+		const finished = status === "done" || status === "failed" || status === "skipped";
+		stmt.run(recordingId, step, status, error, status === "running" ? now : null, finished ? now : null);
+	}
+
+	getRecordingSteps(recordingId) {
+		const stmt = this.db.prepare("SELECT * FROM recording_steps WHERE recording_id = ?");
+		return stmt.all(recordingId);
+	}
+
+	/**
+	 * Recordings with steps left to run (e.g. interrupted by a restart)
+	 */
+	getRecordingsWithPendingSteps() {
+		const stmt = this.db.prepare(`
+			SELECT DISTINCT recording_id FROM recording_steps
+			WHERE status IN ('pending', 'running') ORDER BY recording_id ASC
+		`);
+		return stmt.all().map(row => row.recording_id);
+	}
+
+	// Xtream users methods (password hashes are never returned by the list getters)
+	addXtreamUser(user) {
+		const stmt = this.db.prepare(`
+			INSERT INTO xtream_users (owner_user_id, username, password_hash, max_connections, exp_date, enabled, created_at, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			user.owner_user_id || 0,
+			user.username,
+			hashPassword(user.password),
+			user.max_connections || 1,
+			user.exp_date || null,
+			user.enabled !== false ? 1 : 0,
+			Date.now(),
+			Date.now()
+		);
+		return result.lastInsertRowid;
+	}
+
+	updateXtreamUser(id, updates) {
+		const fields = [];
+		const values = [];
+
+		if (updates.username !== undefined) {
+			fields.push("username = ?");
+			values.push(updates.username);
+		}
+		if (updates.password) {
+			fields.push("password_hash = ?");
+			values.push(hashPassword(updates.password));
+		}
+		if (updates.max_connections !== undefined) {
+			fields.push("max_connections = ?");
+			values.push(updates.max_connections);
+		}
+		if (updates.exp_date !== undefined) {
+			fields.push("exp_date = ?");
+			values.push(updates.exp_date || null);
+		}
+		if (updates.enabled !== undefined) {
+			fields.push("enabled = ?");
+			values.push(updates.enabled ? 1 : 0);
+		}
+
+		fields.push("updated_at = ?");
+		values.push(Date.now());
+		values.push(id);
+
+		const stmt = this.db.prepare(`UPDATE xtream_users SET ${fields.join(", ")} WHERE id = ?`);
+		stmt.run(...values);
+	}
+
+	deleteXtreamUser(id) {
+		const stmt = this.db.prepare("DELETE FROM xtream_users WHERE id = ?");
 		stmt.run(id);
 	}
 
+	getXtreamUsers(ownerUserId) {
+		const stmt = this.db.prepare(`
+			SELECT id, owner_user_id, username, max_connections, exp_date, enabled, created_at, updated_at
+			FROM xtream_users WHERE owner_user_id = ? ORDER BY username ASC
+		`);
+		return stmt.all(ownerUserId);
+	}
+
+	countXtreamUsers() {
+		const stmt = this.db.prepare("SELECT COUNT(*) AS count FROM xtream_users");
+		return stmt.get().count;
+	}
+
+	getXtreamUser(id) {
+		const stmt = this.db.prepare(`
+			SELECT id, owner_user_id, username, max_connections, exp_date, enabled, created_at, updated_at
+			FROM xtream_users WHERE id = ?
+		`);
+		return stmt.get(id);
+	}
+
+	/**
+	 * Check Xtream credentials - returns the user row (without hash) or null
+	 * Expiry and the enabled flag are checked by the caller so it can report the reason
+	 */
+	verifyXtreamCredentials(username, password) {
+		const stmt = this.db.prepare("SELECT * FROM xtream_users WHERE username = ?");
+		const row = stmt.get(username);
+
+		if (!row || !verifyPassword(password, row.password_hash)) {
+			return null;
+		}
+
+		const { password_hash, ...user } = row;
+		return user;
+	}
+
+	// Local users methods (web UI / REST API accounts)
+	addUser(user) {
+		const stmt = this.db.prepare(`
+			INSERT INTO users (username, password_hash, role, created_at, updated_at)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			user.username,
+			hashPassword(user.password),
+			user.role || "admin",
+			Date.now(),
+			Date.now()
+		);
+		return result.lastInsertRowid;
+	}
+
+	getUser(id) {
+		const stmt = this.db.prepare("SELECT id, username, role, priority, created_at, updated_at FROM users WHERE id = ?");
+		return stmt.get(id);
+	}
+
+	getUsers() {
+		const stmt = this.db.prepare("SELECT id, username, role, priority, created_at, updated_at FROM users ORDER BY username ASC");
+		return stmt.all();
+	}
+
+	countUsers() {
+		const stmt = this.db.prepare("SELECT COUNT(*) AS count FROM users");
+		return stmt.get().count;
+	}
+
+	// The first admin - owns data migrated from single-user installs and legacy config tokens
+	getPrimaryUserId() {
+		const stmt = this.db.prepare("SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC LIMIT 1");
+		const row = stmt.get();
+		return row ? row.id : null;
+	}
+
+	setUserRole(id, role) {
+		const stmt = this.db.prepare("UPDATE users SET role = ?, updated_at = ? WHERE id = ?");
+		stmt.run(role, Date.now(), id);
+	}
+
+	// Stream priority of a user's players when all stream slots are in use
+	setUserPriority(id, priority) {
+		const stmt = this.db.prepare("UPDATE users SET priority = ?, updated_at = ? WHERE id = ?");
+		stmt.run(priority, Date.now(), id);
+	}
+
+	/**
+	 * Delete a local user together with everything they own
+	 */
+	deleteUser(id) {
+		const remove = this.db.transaction(() => {
+			this.db.prepare(`
+				UPDATE recordings SET rule_id = NULL
+				WHERE rule_id IN (SELECT id FROM recording_rules WHERE owner_user_id = ?)
+			`).run(id);
+			for (const table of ["followed_channels", "favorites", "youtube_channels", "kick_channels", "custom_channels", "recording_rules", "xtream_users"]) {
+				this.db.prepare(`DELETE FROM ${table} WHERE owner_user_id = ?`).run(id);
+			}
+			this.db.prepare("DELETE FROM twitch_auth WHERE local_user_id = ?").run(id);
+			this.db.prepare("DELETE FROM sessions WHERE user_id = ?").run(id);
+			this.db.prepare("DELETE FROM access_tokens WHERE user_id = ?").run(id);
+			this.db.prepare("DELETE FROM users WHERE id = ?").run(id);
+		});
+
+		remove();
+	}
+
+	verifyUserCredentials(username, password) {
+		const stmt = this.db.prepare("SELECT * FROM users WHERE username = ?");
+		const row = stmt.get(username);
+
+		if (!row || !verifyPassword(password, row.password_hash)) {
+			return null;
+		}
+
+		return this.getUser(row.id);
+	}
+
+	setUserPassword(id, password) {
+		const stmt = this.db.prepare("UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?");
+		stmt.run(hashPassword(password), Date.now(), id);
+	}
+
+	setUserApiKeyHash(id, apiKeyHash) {
+		const stmt = this.db.prepare("UPDATE users SET api_key_hash = ?, updated_at = ? WHERE id = ?");
+		stmt.run(apiKeyHash, Date.now(), id);
+	}
+
+	getUserByApiKeyHash(apiKeyHash) {
+		const stmt = this.db.prepare("SELECT id FROM users WHERE api_key_hash = ?");
+		const row = stmt.get(apiKeyHash);
+		return row ? this.getUser(row.id) : null;
+	}
+
+	hasUserApiKey(id) {
+		const stmt = this.db.prepare("SELECT api_key_hash FROM users WHERE id = ?");
+		const row = stmt.get(id);
+		return !!(row && row.api_key_hash);
+	}
+
+	// Sessions methods (only the SHA-256 of the session token is stored)
+	createSession(tokenHash, userId, expiresAt) {
+		const stmt = this.db.prepare(`
+			INSERT INTO sessions (token_hash, user_id, created_at, expires_at, last_seen_at)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		stmt.run(tokenHash, userId, Date.now(), expiresAt, Date.now());
+	}
+
+	getSession(tokenHash) {
+		const stmt = this.db.prepare("SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?");
+		return stmt.get(tokenHash, Date.now());
+	}
+
+	touchSession(tokenHash, expiresAt) {
+		const stmt = this.db.prepare("UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE token_hash = ?");
+		stmt.run(Date.now(), expiresAt, tokenHash);
+	}
+
+	deleteSession(tokenHash) {
+		const stmt = this.db.prepare("DELETE FROM sessions WHERE token_hash = ?");
+		stmt.run(tokenHash);
+	}
+
+	deleteUserSessions(userId) {
+		const stmt = this.db.prepare("DELETE FROM sessions WHERE user_id = ?");
+		stmt.run(userId);
+	}
+
+	deleteExpiredSessions() {
+		const stmt = this.db.prepare("DELETE FROM sessions WHERE expires_at <= ?");
+		return stmt.run(Date.now()).changes;
+	}
+
+	// Playlist access tokens (for IPTV players that can't log in)
+	addAccessToken(userId, name, tokenHash, tokenPrefix) {
+		const stmt = this.db.prepare(`
+			INSERT INTO access_tokens (user_id, name, token_hash, token_prefix, created_at)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(userId, name, tokenHash, tokenPrefix, Date.now());
+		return result.lastInsertRowid;
+	}
+
+	getAccessTokens(userId) {
+		const stmt = this.db.prepare(`
+			SELECT id, name, token_prefix, created_at, last_used_at, last_used_ip, revoked_at
+			FROM access_tokens WHERE user_id = ? ORDER BY created_at DESC
+		`);
+		return stmt.all(userId);
+	}
+
+	getAccessTokenByHash(tokenHash) {
+		const stmt = this.db.prepare("SELECT * FROM access_tokens WHERE token_hash = ? AND revoked_at IS NULL");
+		return stmt.get(tokenHash);
+	}
+
+	touchAccessToken(id, ip) {
+		const stmt = this.db.prepare("UPDATE access_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?");
+		stmt.run(Date.now(), ip, id);
+	}
+
+	revokeAccessToken(id, userId) {
+		const stmt = this.db.prepare("UPDATE access_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL");
+		return stmt.run(Date.now(), id, userId).changes > 0;
+	}
+
 	close() {
 		this.db.close();
 	}
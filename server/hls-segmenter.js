@@ -0,0 +1,143 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+// Unsent bytes before ffmpeg is considered stalled and data is dropped
+const MAX_INPUT_BUFFER = 16 * 1024 * 1024;
+
+/**
+ * Segments a relayed MPEG-TS stream into a rolling HLS window with ffmpeg.
+ * Gets the stream bytes through write() like a relay client; the playlist and
+ * segments are written to its own directory and removed when it stops.
+ * With programDateTime every segment is tagged with its wall-clock time (timeshift).
+ */
+class HlsSegmenter {
+	constructor(channel, dir, { executable = "ffmpeg", segmentDuration = 4, windowSize = 6, programDateTime = false } = {}) {
+		this.channel = channel;
+		this.dir = dir;
+		this.executable = executable;
+		this.segmentDuration = segmentDuration;
+		this.windowSize = windowSize;
+		this.programDateTime = programDateTime;
+		this.process = null;
+	}
+
+	get playlistPath() {
+		return path.join(this.dir, "index.m3u8");
+	}
+
+	isRunning() {
+		return this.process !== null;
+	}
+
+	start() {
+		fs.rmSync(this.dir, { recursive: true, force: true });
+		fs.mkdirSync(this.dir, { recursive: true });
+
+		const args = [
+			"-hide_banner",
+			"-loglevel", "warning",
+			"-i", "pipe:0",
+			"-c", "copy",
+			"-f", "hls",
+			"-hls_time", String(this.segmentDuration),
+			"-hls_list_size", String(this.windowSize),
+			"-hls_flags", `delete_segments+omit_endlist${this.programDateTime ? "+program_date_time" : ""}`,
+			"-hls_segment_filename", path.join(this.dir, "segment_%05d.ts"),
+			this.playlistPath
+		];
+
+		console.log(`[HLS] Starting segmenter for ${this.channel}`);
+		const process = spawn(this.executable, args);
+		this.process = process;
+
+		// ffmpeg exiting closes the pipe - the error is reported by "close"
+		process.stdin.on("error", () => {});
+
+		process.stderr.on("data", (data) => {
+			console.log(`[HLS] [${this.channel}] ${data.toString().trim()}`);
+		});
+
+		process.on("error", (error) => {
+			console.error(`[HLS] Segmenter error for ${this.channel}:`, error.message);
+		});
+
+		process.on("close", (code) => {
+			console.log(`[HLS] Segmenter for ${this.channel} exited with code ${code}`);
+			if (this.process === process) {
+				this.process = null;
+			}
+			fs.rmSync(this.dir, { recursive: true, force: true });
+		});
+	}
+
+	/**
+	 * Feed stream data - dropped while ffmpeg can't keep up
+	 */
+	write(chunk) {
+		if (this.process && this.process.stdin.writable && this.process.stdin.writableLength < MAX_INPUT_BUFFER) {
+			this.process.stdin.write(chunk);
+		}
+	}
+
+	stop() {
+		if (this.process) {
+			// Closing stdin lets ffmpeg finish the current segment
+			this.process.stdin.end();
+			const process = this.process;
+			setTimeout(() => process.kill("SIGKILL"), 5000).unref();
+		}
+	}
+
+	/**
+	 * Wait until ffmpeg wrote the first playlist (after the first segment)
+	 */
+	async waitForPlaylist(timeoutMs) {
+		const deadline = Date.now() + timeoutMs;
+		while (!fs.existsSync(this.playlistPath)) {
+			if (!this.isRunning() || Date.now() > deadline) {
+				return false;
+			}
+			await new Promise(resolve => setTimeout(resolve, 250));
+		}
+		return true;
+	}
+
+	/**
+	 * Segments currently in the playlist - [{ name, duration, start }], start is the
+	 * wall-clock time of the segment (null without programDateTime)
+	 */
+	getSegments() {
+		if (!fs.existsSync(this.playlistPath)) {
+			return [];
+		}
+
+		const segments = [];
+		let start = null;
+		let duration = 0;
+		for (const line of fs.readFileSync(this.playlistPath, "utf8").split("\n")) {
+			if (line.startsWith("#EXT-X-PROGRAM-DATE-TIME:")) {
+				start = new Date(line.substring("#EXT-X-PROGRAM-DATE-TIME:".length).trim());
+			} else if (line.startsWith("#EXTINF:")) {
+				duration = parseFloat(line.substring("#EXTINF:".length));
+			} else if (line.trim() && !line.startsWith("#")) {
+				segments.push({ name: line.trim(), duration, start });
+				start = start ? new Date(start.getTime() + duration * 1000) : null;
+			}
+		}
+		return segments;
+	}
+
+	/**
+	 * Path of a playlist or segment file - null for anything outside the HLS directory
+	 */
+	resolveFile(name) {
+		if (!/^[\w-]+\.(ts|m3u8)$/.test(name)) {
+			return null;
+		}
+		const filePath = path.join(this.dir, name);
+		return fs.existsSync(filePath) ? filePath : null;
+	}
+}
+
+module.exports = HlsSegmenter;
@@ -4,6 +4,7 @@ const path = require("path");
 const WebSocket = require("ws");
 const http = require("http");
 const fs = require("fs");
+const os = require("os");
 
 // Load config dynamically to avoid caching issues
 const configFile = JSON.parse(fs.readFileSync(path.join(__dirname, "../config/config.json"), "utf8"));
@@ -12,9 +13,7 @@ const configFile = JSON.parse(fs.readFileSync(path.join(__dirname, "../config/co
 const config = {
 	server: {
 		port: parseInt(process.env.SERVER_PORT) || configFile.server.port,
-		host: process.env.SERVER_HOST || configFile.server.host,
-		streamPortStart: parseInt(process.env.STREAM_PORT_START) || configFile.server.streamPortStart,
-		streamPortEnd: parseInt(process.env.STREAM_PORT_END) || configFile.server.streamPortEnd
+		host: process.env.SERVER_HOST || configFile.server.host
 	},
 	twitch: {
 		clientId: process.env.TWITCH_CLIENT_ID || configFile.twitch.clientId,
@@ -36,33 +35,102 @@ const config = {
 		defaultQuality: process.env.STREAMLINK_DEFAULT_QUALITY || configFile.streamlink.defaultQuality,
 		timeout: parseInt(process.env.STREAMLINK_TIMEOUT) || configFile.streamlink.timeout,
 		retryStreams: parseInt(process.env.STREAMLINK_RETRY_STREAMS) || configFile.streamlink.retryStreams,
-		retryOpen: parseInt(process.env.STREAMLINK_RETRY_OPEN) || configFile.streamlink.retryOpen
+		retryOpen: parseInt(process.env.STREAMLINK_RETRY_OPEN) || configFile.streamlink.retryOpen,
+		// Concurrent streamlink processes (each relays to any number of players)
+		maxStreams: parseInt(process.env.STREAMLINK_MAX_STREAMS) || configFile.streamlink.maxStreams || 10,
+		// What happens when a player opens a new stream and all slots are in use:
+		// reject, idle, priority or viewer (see ensureLiveStream)
+		admissionPolicy: process.env.STREAMLINK_ADMISSION_POLICY || configFile.streamlink.admissionPolicy || "idle",
+		// Streams of favorites (of any user) and of channels being recorded are never stopped for another one
+		protectFavorites: process.env.STREAMLINK_PROTECT_FAVORITES !== undefined
+			? process.env.STREAMLINK_PROTECT_FAVORITES === "true"
+			: !!configFile.streamlink.protectFavorites,
+		protectRecordings: process.env.STREAMLINK_PROTECT_RECORDINGS !== undefined
+			? process.env.STREAMLINK_PROTECT_RECORDINGS === "true"
+			: !!configFile.streamlink.protectRecordings,
+		// Seconds without any connected player before a stream is stopped
+		idleTimeout: parseInt(process.env.STREAMLINK_IDLE_TIMEOUT) || configFile.streamlink.idleTimeout || 300,
+		// Restarts with backoff when streamlink dies mid-stream (0 = end the stream instead)
+		restartAttempts: process.env.STREAMLINK_RESTART_ATTEMPTS !== undefined
+			? parseInt(process.env.STREAMLINK_RESTART_ATTEMPTS) || 0
+			: (configFile.streamlink.restartAttempts ?? 5),
+		// Failed restarts at one quality before falling back to the next lower one
+		restartFallbackAfter: parseInt(process.env.STREAMLINK_RESTART_FALLBACK_AFTER) || configFile.streamlink.restartFallbackAfter || 2,
+		// HLS output: ffmpeg segments the stream into a rolling window of hlsWindowSize segments
+		ffmpegExecutable: process.env.FFMPEG_EXECUTABLE || configFile.streamlink.ffmpegExecutable || "ffmpeg",
+		hlsDir: process.env.HLS_DIR || configFile.streamlink.hlsDir || path.join(os.tmpdir(), "streamlink-remote-hls"),
+		hlsSegmentDuration: parseInt(process.env.HLS_SEGMENT_DURATION) || configFile.streamlink.hlsSegmentDuration || 4,
+		hlsWindowSize: parseInt(process.env.HLS_WINDOW_SIZE) || configFile.streamlink.hlsWindowSize || 6,
+		// Single ingest (opt-in): one streamlink process per channel, other qualities are
+		// transcoded from it - saves bandwidth, but costs an encode per rendition on the host
+		singleIngest: process.env.STREAMLINK_SINGLE_INGEST !== undefined
+			? process.env.STREAMLINK_SINGLE_INGEST === "true"
+			: !!configFile.streamlink.singleIngest,
+		// Rolling timeshift buffer per running stream in minutes (0 = disabled)
+		timeshiftMinutes: parseInt(process.env.TIMESHIFT_MINUTES) || configFile.streamlink.timeshiftMinutes || 0
 	},
 	database: {
-		path: process.env.DATABASE_PATH || configFile.database.path
+		path: process.env.DATABASE_PATH || configFile.database.path,
+		// Twitch tokens are encrypted at rest - key from env, otherwise from a key file
+		// that is generated on first start (keep it out of database backups)
+		tokenKey: process.env.TOKEN_ENCRYPTION_KEY || null,
+		tokenKeyFile: process.env.TOKEN_ENCRYPTION_KEY_FILE || path.join(__dirname, "../config/token.key")
+	},
+	admin: {
+		// Initial web UI admin account, only created when no users exist yet
+		initialUsername: process.env.ADMIN_USERNAME || null,
+		initialPassword: process.env.ADMIN_PASSWORD || null
+	},
+	xtream: {
+		// Initial Xtream account, only created when no accounts exist yet
+		initialUsername: process.env.XTREAM_USERNAME || null,
+		initialPassword: process.env.XTREAM_PASSWORD || null
 	}
 };
 
 // Use SQLite database for persistent storage
 const Database = require("./database");
-const TwitchAPI = require("./twitch-api");
+const TwitchAccounts = require("./twitch-accounts");
 const StreamlinkManager = require("./streamlink");
 const YouTubeService = require("./youtube");
+const KickAPI = require("./kick-api");
 const YtDlpManager = require("./ytdlp");
 const RecordingManager = require("./recording-manager");
+const PostProcessor = require("./post-processor");
+const { parseRuleFilters } = require("./recording-filters");
+const SessionManager = require("./session-manager");
+const StreamlinkArgs = require("./streamlink-args");
+const Transcoder = require("./transcoder");
+const { ProviderRegistry, TwitchProvider, YouTubeProvider, KickProvider, CustomProvider } = require("./providers");
+const { loadTokenKey } = require("./token-crypto");
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
 
 // Initialize components
-const db = new Database(config.database.path);
+const db = new Database(config.database.path, {
+	tokenKey: loadTokenKey({ key: config.database.tokenKey, keyFile: config.database.tokenKeyFile }).key
+});
 db.init(); // Create tables if they don't exist
-const twitchAPI = new TwitchAPI(config.twitch, db);
-const streamlink = new StreamlinkManager(config.streamlink, config.server);
+const sessions = new SessionManager(db);
+const wss = new WebSocket.Server({ server, verifyClient: sessions.verifyWebSocketClient() });
+const twitchAccounts = new TwitchAccounts(config.twitch, db);
 const youtubeService = new YouTubeService();
-const ytdlp = new YtDlpManager(config.server);
-const recordingManager = new RecordingManager(config, twitchAPI, db);
+const kickAPI = new KickAPI(db);
+const ytdlp = new YtDlpManager();
+// Stream sources - Twitch handles plain channel names
+const providers = new ProviderRegistry();
+providers.register(new TwitchProvider(twitchAccounts, ytdlp), { isDefault: true });
+providers.register(new YouTubeProvider(db, youtubeService, ytdlp));
+providers.register(new KickProvider(db, kickAPI));
+providers.register(new CustomProvider(db));
+const streamlinkArgs = new StreamlinkArgs(db);
+const streamlink = new StreamlinkManager(config.streamlink, config.server, providers, streamlinkArgs);
+const recordingManager = new RecordingManager(config, providers, db, streamlinkArgs);
+const postProcessor = new PostProcessor(db, {
+	executable: config.streamlink.ffmpegExecutable,
+	recordingsDir: recordingManager.recordingsDir
+});
 
 // Middleware
 app.use(cors());
@@ -110,25 +178,414 @@ streamlink.on("stream:error", (data) => {
 	broadcast("stream:error", data);
 });
 
+streamlink.on("stream:viewers", (data) => {
+	broadcast("stream:viewers", data);
+});
+
+streamlink.on("stream:reconnecting", (data) => {
+	broadcast("stream:reconnecting", data);
+});
+
+// Ad breaks, discontinuities, quality switches and restarts from streamlink's log
+streamlink.on("stream:event", (data) => {
+	broadcast("stream:event", data);
+});
+
+// Completed recordings go through the post-processing queue
+recordingManager.on("recording:completed", (data) => {
+	postProcessor.enqueue(data.recordingId);
+});
+
+// Game and title changes of running recordings
+recordingManager.on("recording:event", (data) => {
+	broadcast("recording:event", data);
+});
+
+// Low disk space (recordings refused, paused or resumed) and recordings deleted by the quota
+recordingManager.on("recording:warning", (data) => {
+	broadcast("recording:warning", data);
+});
+
+recordingManager.on("recording:evicted", (data) => {
+	broadcast("recording:evicted", data);
+});
+
+postProcessor.on("recording:step", (data) => {
+	broadcast("recording:step", data);
+});
+
 // API Routes
 
-// Health check
+// Health check (public - used by the Docker healthcheck)
 app.get("/api/status", (req, res) => {
 	res.json({
 		status: "ok",
 		version: "1.0.0",
-		authenticated: twitchAPI.isAuthenticated(),
+		authenticated: twitchAccounts.getAuthenticatedCount() > 0,
 		activeStreams: streamlink.getActiveStreams().length
 	});
 });
 
+// ============================================================================
+// LOCAL LOGIN - session cookies for the web UI, API keys for scripts/players
+// ============================================================================
+
+// Seed the admin account from the environment (only if no users exist yet)
+if (config.admin.initialUsername && config.admin.initialPassword && db.countUsers() === 0) {
+	db.addUser({
+		username: config.admin.initialUsername,
+		password: config.admin.initialPassword,
+		role: "admin"
+	});
+	console.log(`✓ Created admin account: ${config.admin.initialUsername}`);
+}
+
+// Data from a single-user install (Twitch login, favorites, ...) belongs to the first admin
+function assignUnownedDataToPrimaryUser() {
+	const primaryUserId = db.getPrimaryUserId();
+	if (primaryUserId && db.assignUnownedData(primaryUserId) > 0) {
+		console.log(`✓ Assigned existing Twitch/YouTube data to user ${primaryUserId}`);
+	}
+}
+
+assignUnownedDataToPrimaryUser();
+twitchAccounts.init();
+
+app.get("/api/session", (req, res) => {
+	const user = sessions.authenticate(req);
+	res.json({
+		authenticated: !!user,
+		user: user ? { id: user.id, username: user.username, role: user.role } : null,
+		setupRequired: db.countUsers() === 0
+	});
+});
+
+app.post("/api/session/login", async (req, res) => {
+	const { username, password } = req.body;
+
+	if (!username || !password) {
+		return res.status(400).json({ error: "Username and password are required" });
+	}
+
+	const user = db.verifyUserCredentials(username, password);
+	if (!user) {
+		console.log(`[Session] Failed login for ${username} from ${req.ip}`);
+		// Slow down password guessing
+		await new Promise(resolve => setTimeout(resolve, 1000));
+		return res.status(401).json({ error: "Invalid username or password" });
+	}
+
+	const token = sessions.createSession(user.id);
+	sessions.setSessionCookie(req, res, token);
+	console.log(`[Session] ${user.username} logged in from ${req.ip}`);
+	res.json({ success: true, user: { id: user.id, username: user.username, role: user.role } });
+});
+
+app.post("/api/session/logout", (req, res) => {
+	sessions.destroySession(sessions.getSessionToken(req));
+	sessions.clearSessionCookie(res);
+	res.json({ success: true });
+});
+
+// First-run setup: create the admin account if none exists yet
+app.post("/api/session/setup", (req, res) => {
+	const { username, password } = req.body;
+
+	if (db.countUsers() > 0) {
+		return res.status(403).json({ error: "Setup already completed" });
+	}
+	if (!username || !password || password.length < 8) {
+		return res.status(400).json({ error: "Username and a password of at least 8 characters are required" });
+	}
+
+	const userId = db.addUser({ username, password, role: "admin" });
+	assignUnownedDataToPrimaryUser();
+	const token = sessions.createSession(userId);
+	sessions.setSessionCookie(req, res, token);
+	console.log(`[Session] Created admin account: ${username}`);
+	res.status(201).json({ success: true, user: db.getUser(userId) });
+});
+
+// Everything else under /api requires a session or API key
+const requireUser = sessions.requireUser();
+app.use("/api", (req, res, next) => {
+	if (req.path === "/status") {
+		return next();
+	}
+	requireUser(req, res, next);
+});
+
+// Playlists, EPG and stream entry URLs are opened by media players - session, ?api_key= or a playlist ?token=
+const requirePlaylistAccess = sessions.requirePlaylistAccess();
+
+// Build an absolute entry URL for a playlist, carrying the caller's token or API key
+// so the player can open it without a session
+function buildEntryUrl(req, pathname, params = {}) {
+	const streamHost = process.env.EXTERNAL_HOST ||
+	                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
+	const query = new URLSearchParams();
+	for (const [key, value] of Object.entries({ ...params, ...(req.accessParams || {}) })) {
+		if (value) {
+			query.set(key, value);
+		}
+	}
+	const queryString = query.toString();
+	return `http://${streamHost}:${config.server.port}${pathname}${queryString ? `?${queryString}` : ""}`;
+}
+
+// Current account info
+app.get("/api/account", (req, res) => {
+	res.json({
+		user: req.user,
+		hasApiKey: db.hasUserApiKey(req.user.id)
+	});
+});
+
+app.put("/api/account/password", async (req, res) => {
+	const { currentPassword, newPassword } = req.body;
+
+	if (!newPassword || newPassword.length < 8) {
+		return res.status(400).json({ error: "New password must be at least 8 characters" });
+	}
+	if (!db.verifyUserCredentials(req.user.username, currentPassword || "")) {
+		await new Promise(resolve => setTimeout(resolve, 1000));
+		return res.status(403).json({ error: "Current password is wrong" });
+	}
+
+	db.setUserPassword(req.user.id, newPassword);
+
+	// Log out all other sessions, keep the current one
+	db.deleteUserSessions(req.user.id);
+	const token = sessions.createSession(req.user.id);
+	sessions.setSessionCookie(req, res, token);
+
+	res.json({ success: true });
+});
+
+// Generate a new API key - only shown once, the server keeps just its hash
+app.post("/api/account/api-key", (req, res) => {
+	const apiKey = sessions.regenerateApiKey(req.user.id);
+	console.log(`[Session] New API key generated for ${req.user.username}`);
+	res.json({ success: true, apiKey });
+});
+
+// Local user management (admins only) - every user links their own Twitch account
+const requireAdmin = sessions.requireAdmin();
+const USER_ROLES = ["admin", "user"];
+
+// Priority of a user (streams) or recording rule (disk quota), 0-100 - null if invalid
+function parsePriority(value) {
+	const priority = Number(value);
+	return Number.isInteger(priority) && priority >= 0 && priority <= 100 ? priority : null;
+}
+
+app.get("/api/users", requireAdmin, (req, res) => {
+	try {
+		const users = db.getUsers().map(user => {
+			const auth = db.getAuth(user.id);
+			return { ...user, twitchLogin: auth ? auth.user_login : null };
+		});
+		res.json({ users });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.post("/api/users", requireAdmin, (req, res) => {
+	const { username, password, role, priority } = req.body;
+
+	if (!username || !password || password.length < 8) {
+		return res.status(400).json({ error: "Username and a password of at least 8 characters are required" });
+	}
+	if (role && !USER_ROLES.includes(role)) {
+		return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(", ")}` });
+	}
+	if (priority !== undefined && parsePriority(priority) === null) {
+		return res.status(400).json({ error: "priority must be a whole number from 0 to 100" });
+	}
+
+	try {
+		const userId = db.addUser({ username, password, role: role || "user" });
+		if (priority !== undefined) {
+			db.setUserPriority(userId, parsePriority(priority));
+		}
+		console.log(`[Session] ${req.user.username} created user ${username}`);
+		res.status(201).json({ user: db.getUser(userId) });
+	} catch (error) {
+		if (error.code === "SQLITE_CONSTRAINT_UNIQUE") {
+			return res.status(409).json({ error: "Username already exists" });
+		}
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.put("/api/users/:id", requireAdmin, (req, res) => {
+	const id = parseInt(req.params.id);
+	const { role, password, priority } = req.body;
+
+	try {
+		if (!db.getUser(id)) {
+			return res.status(404).json({ error: "User not found" });
+		}
+		if (role !== undefined) {
+			if (!USER_ROLES.includes(role)) {
+				return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(", ")}` });
+			}
+			if (id === req.user.id && role !== "admin") {
+				return res.status(400).json({ error: "You cannot remove your own admin role" });
+			}
+			db.setUserRole(id, role);
+		}
+		if (priority !== undefined) {
+			if (parsePriority(priority) === null) {
+				return res.status(400).json({ error: "priority must be a whole number from 0 to 100" });
+			}
+			db.setUserPriority(id, parsePriority(priority));
+		}
+		if (password !== undefined) {
+			if (password.length < 8) {
+				return res.status(400).json({ error: "Password must be at least 8 characters" });
+			}
+			db.setUserPassword(id, password);
+			db.deleteUserSessions(id);
+		}
+
+		res.json({ user: db.getUser(id) });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.delete("/api/users/:id", requireAdmin, (req, res) => {
+	const id = parseInt(req.params.id);
+
+	try {
+		const existing = db.getUser(id);
+		if (!existing) {
+			return res.status(404).json({ error: "User not found" });
+		}
+		if (id === req.user.id) {
+			return res.status(400).json({ error: "You cannot delete your own account" });
+		}
+
+		db.deleteUser(id);
+		twitchAccounts.remove(id);
+		console.log(`[Session] ${req.user.username} deleted user ${existing.username}`);
+		res.json({ success: true });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Playlist access tokens - named, revocable credentials for IPTV players
+app.get("/api/playlist-tokens", (req, res) => {
+	try {
+		res.json({ tokens: db.getAccessTokens(req.user.id) });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.post("/api/playlist-tokens", (req, res) => {
+	const name = (req.body.name || "").trim();
+
+	if (!name) {
+		return res.status(400).json({ error: "Token name is required" });
+	}
+
+	try {
+		const { id, token } = sessions.createAccessToken(req.user.id, name);
+		console.log(`[Session] Playlist token "${name}" created for ${req.user.username}`);
+		res.json({ success: true, id, token });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.delete("/api/playlist-tokens/:id", (req, res) => {
+	try {
+		if (!db.revokeAccessToken(parseInt(req.params.id), req.user.id)) {
+			return res.status(404).json({ error: "Token not found" });
+		}
+		console.log(`[Session] Playlist token ${req.params.id} revoked by ${req.user.username}`);
+		res.json({ success: true });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
 // Twitch Authentication
 app.get("/api/auth/login", (req, res) => {
-	const authUrl = twitchAPI.getAuthUrl();
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
+	const authUrl = twitchAPI.getAuthUrl(sessions.createOAuthState(req, req.user));
 	res.json({ authUrl });
 });
 
+// Device Code Grant - for headless installs where the OAuth redirect can't reach the server
+app.post("/api/auth/device", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
+	try {
+		res.json(await twitchAPI.startDeviceAuthorization());
+	} catch (error) {
+		console.error("Device authorization error:", error);
+		res.status(502).json({ error: error.message });
+	}
+});
+
+app.post("/api/auth/device/poll", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
+	try {
+		res.json(await twitchAPI.pollDeviceAuthorization());
+	} catch (error) {
+		console.error("Device authorization poll error:", error);
+		res.status(502).json({ error: error.message });
+	}
+});
+
+// Text in the HTML pages of the OAuth callback
+function escapeHtml(str) {
+	return String(str || "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
 app.get("/auth/callback", async (req, res) => {
+	// Only a logged in user may link a Twitch account - it is linked to that user
+	const user = sessions.authenticate(req);
+	if (!user) {
+		return res.status(401).send(`
+			<html>
+				<head><title>Login Required</title></head>
+				<body style="font-family: sans-serif; text-align: center; padding: 50px;">
+					<h1>✗ Login Required</h1>
+					<p>Please log in to Streamlink Remote first.</p>
+					<p><a href="/">Back to App</a></p>
+				</body>
+			</html>
+		`);
+	}
+
+	// The state has to come from this session's login request - otherwise someone else's
+	// authorization link could attach their Twitch account to this user
+	if (!sessions.consumeOAuthState(req, user, req.query.state)) {
+		return res.status(403).send(`
+			<html>
+				<head><title>Authentication Failed</title></head>
+				<body style="font-family: sans-serif; text-align: center; padding: 50px;">
+					<h1>✗ Authentication Failed</h1>
+					<p>This login link has expired or was not started from this browser. Please log in with Twitch again.</p>
+					<p><a href="/">Back to App</a></p>
+				</body>
+			</html>
+		`);
+	}
+
 	// Authorization Code Flow: Twitch returns code in query params
 	const { code, error, error_description } = req.query;
 
@@ -138,7 +595,7 @@ app.get("/auth/callback", async (req, res) => {
 				<head><title>Authentication Failed</title></head>
 				<body style="font-family: sans-serif; text-align: center; padding: 50px;">
 					<h1>✗ Authentication Failed</h1>
-					<p>${error_description || error}</p>
+					<p>${escapeHtml(error_description || error)}</p>
 					<p><a href="/">Back to App</a></p>
 				</body>
 			</html>
@@ -148,7 +605,7 @@ app.get("/auth/callback", async (req, res) => {
 	if (code) {
 		// Authorization Code Flow - exchange code for tokens server-side
 		try {
-			await twitchAPI.handleAuthorizationCode(code);
+			await twitchAccounts.get(user.id).handleAuthorizationCode(code);
 			return res.send(`
 				<html>
 					<head><title>Authentication Successful</title></head>
@@ -167,7 +624,7 @@ app.get("/auth/callback", async (req, res) => {
 					<head><title>Authentication Failed</title></head>
 					<body style="font-family: sans-serif; text-align: center; padding: 50px;">
 						<h1>✗ Authentication Failed</h1>
-						<p>${err.message}</p>
+						<p>${escapeHtml(err.message)}</p>
 						<p><a href="/">Back to App</a></p>
 					</body>
 				</html>
@@ -210,11 +667,13 @@ app.get("/auth/callback", async (req, res) => {
 									document.body.innerHTML = '<h1>✓ Authentication Successful!</h1><p>You can close this window.</p>';
 									setTimeout(() => window.close(), 2000);
 								} else {
-									document.body.innerHTML = '<h1>✗ Authentication Failed</h1><p>' + (data.error || 'Unknown error') + '</p>';
+									document.body.innerHTML = '<h1>✗ Authentication Failed</h1><p></p>';
+									document.querySelector('p').textContent = data.error || 'Unknown error';
 								}
 							})
 							.catch(error => {
-								document.body.innerHTML = '<h1>✗ Error</h1><p>' + error.message + '</p>';
+								document.body.innerHTML = '<h1>✗ Error</h1><p></p>';
+								document.querySelector('p').textContent = error.message;
 							});
 						} else {
 							document.body.innerHTML = '<h1>✗ No Access Token</h1><p>Authorization failed or was cancelled.</p>';
@@ -228,6 +687,8 @@ app.get("/auth/callback", async (req, res) => {
 
 // Legacy endpoint for Implicit Flow token submission
 app.post("/api/auth/token", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	const { access_token } = req.body;
 
 	if (!access_token) {
@@ -244,11 +705,15 @@ app.post("/api/auth/token", async (req, res) => {
 });
 
 app.get("/api/auth/status", (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	const user = twitchAPI.getUser();
 	const auth = twitchAPI.auth;
 
 	res.json({
 		authenticated: twitchAPI.isAuthenticated(),
+		// The redirect flow needs a client secret, the device flow works without
+		redirectLoginAvailable: !!config.twitch.clientSecret,
 		user: user,
 		tokenInfo: auth ? {
 			hasRefreshToken: !!auth.refresh_token,
@@ -260,12 +725,16 @@ app.get("/api/auth/status", (req, res) => {
 });
 
 app.post("/api/auth/logout", (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	twitchAPI.logout();
 	res.json({ success: true });
 });
 
 // Export token for manual configuration (e.g., for NAS deployment)
 app.get("/api/auth/export-token", (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		return res.status(401).json({ error: "Not authenticated" });
 	}
@@ -280,6 +749,8 @@ app.get("/api/auth/export-token", (req, res) => {
 
 // Twitch API endpoints
 app.get("/api/channels/followed", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	try {
 		if (!twitchAPI.isAuthenticated()) {
 			return res.status(401).json({ error: "Not authenticated" });
@@ -294,6 +765,8 @@ app.get("/api/channels/followed", async (req, res) => {
 });
 
 app.get("/api/streams/live", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	try {
 		if (!twitchAPI.isAuthenticated()) {
 			return res.status(401).json({ error: "Not authenticated" });
@@ -308,6 +781,8 @@ app.get("/api/streams/live", async (req, res) => {
 });
 
 app.get("/api/streams/featured", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	try {
 		const streams = await twitchAPI.getFeaturedStreams();
 		res.json({ streams });
@@ -318,6 +793,8 @@ app.get("/api/streams/featured", async (req, res) => {
 });
 
 app.get("/api/search", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	const { q } = req.query;
 
 	if (!q || q.trim().length === 0) {
@@ -334,6 +811,8 @@ app.get("/api/search", async (req, res) => {
 });
 
 app.get("/api/channel/:name", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	const { name } = req.params;
 
 	try {
@@ -346,7 +825,9 @@ app.get("/api/channel/:name", async (req, res) => {
 });
 
 // M3U Playlist endpoint - generates playlist from followed channels
-app.get("/playlist.m3u", async (req, res) => {
+app.get("/playlist.m3u", requirePlaylistAccess, async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	try {
 		if (!twitchAPI.isAuthenticated()) {
 			return res.status(401).send("Not authenticated");
@@ -373,11 +854,9 @@ app.get("/playlist.m3u", async (req, res) => {
 		}
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
 		const quality = req.query.quality || '';
-		const qualityParam = quality ? `?quality=${encodeURIComponent(quality)}` : '';
+		// Transcoding profile carried into every stream entry
+		const profile = req.query.profile || '';
 
 		let m3u = '#EXTM3U\n';
 
@@ -427,7 +906,7 @@ app.get("/playlist.m3u", async (req, res) => {
 				m3u += ` tvg-chno="${liveStream.viewer_count || 0}"`;
 			}
 			m3u += `,${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/stream/${channelName}${qualityParam}\n`;
+			m3u += `${buildEntryUrl(req, `/stream/${channelName}`, { quality, profile })}\n`;
 		}
 
 		// Set headers to prevent caching
@@ -445,39 +924,21 @@ app.get("/playlist.m3u", async (req, res) => {
 	}
 });
 
-// Live streams M3U - only currently live followed channels (no redirect, direct generation)
-app.get("/playlist-live.m3u", async (req, res) => {
+// Live streams M3U - currently live channels of all providers (no redirect, direct generation)
+app.get("/playlist-live.m3u", requirePlaylistAccess, async (req, res) => {
 	try {
-		if (!twitchAPI.isAuthenticated()) {
-			return res.status(401).send("Not authenticated");
-		}
-
-		// Get live streams directly
-		const liveStreams = await twitchAPI.getLiveStreams();
+		const liveChannels = await providers.listLiveChannels(getLocalAccount(req.user.id));
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
 		const quality = req.query.quality || '';
-		const qualityParam = quality ? `?quality=${encodeURIComponent(quality)}` : '';
+		// Transcoding profile carried into every stream entry
+		const profile = req.query.profile || '';
 
 		let m3u = '#EXTM3U\n';
 
-		for (const stream of liveStreams) {
-			const channelName = stream.user_login;
-			const displayName = stream.user_name || channelName;
-			const streamTitle = stream.title || '';
-			const gameName = stream.game_name || 'Streaming';
-			const viewerCount = stream.viewer_count || 0;
-
-			// Use stream thumbnail
-			let logoUrl = '';
-			if (stream.thumbnail_url) {
-				logoUrl = stream.thumbnail_url
-					.replace('{width}', '440')
-					.replace('{height}', '248');
-			}
+		for (const entry of liveChannels) {
+			const provider = providers.get(entry.provider);
+			const gameName = entry.category || 'Streaming';
 
 			// Sanitize strings for M3U compatibility (remove/replace problematic characters)
 			const sanitize = (str) => str
@@ -485,17 +946,14 @@ app.get("/playlist-live.m3u", async (req, res) => {
 				.replace(/\n/g, ' ')     // Remove newlines
 				.replace(/\r/g, '');     // Remove carriage returns
 
-			// Sanitize group title (no special chars, just alphanumeric and spaces)
-			const safeGameName = gameName.replace(/[^a-zA-Z0-9\s\-]/g, '').trim() || 'Twitch';
-
 			// Build the display title: "StreamerName - Stream Title"
-			const fullTitle = streamTitle
-				? sanitize(`${displayName} - ${streamTitle}`)
-				: sanitize(`${displayName} - ${gameName}`);
+			const fullTitle = entry.title
+				? sanitize(`${entry.displayName} - ${entry.title}`)
+				: sanitize(`${entry.displayName} - ${gameName}`);
 
-			// EXTINF format - use Twitch as group for compatibility, game in title
-			m3u += `#EXTINF:-1 tvg-id="${channelName}" tvg-name="${sanitize(displayName)}" tvg-logo="${logoUrl}" group-title="Twitch" tvg-chno="${viewerCount}",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/stream/${channelName}${qualityParam}\n`;
+			// EXTINF format - provider name (or custom channel group) as group for compatibility, game in title
+			m3u += `#EXTINF:-1 tvg-id="${entry.channel}" tvg-name="${sanitize(entry.displayName)}" tvg-logo="${entry.thumbnail}" group-title="${sanitize(entry.group || provider.name)}" tvg-chno="${entry.viewers || 0}",${fullTitle}\n`;
+			m3u += `${buildEntryUrl(req, `/stream/${encodeURIComponent(entry.channel)}`, { quality: provider.liveQualities ? quality : "", profile })}\n`;
 		}
 
 		// Set headers to prevent caching
@@ -506,22 +964,18 @@ app.get("/playlist-live.m3u", async (req, res) => {
 		res.setHeader('Expires', '0');
 		res.send(m3u);
 
-		console.log(`[Playlist] Generated live M3U with ${liveStreams.length} streams`);
+		console.log(`[Playlist] Generated live M3U with ${liveChannels.length} streams`);
 	} catch (error) {
 		console.error("Error generating live playlist:", error);
 		res.status(500).send(`Error generating playlist: ${error.message}`);
 	}
 });
 
-// Favorites M3U - only live streams from favorites
-app.get("/playlist-favorites.m3u", async (req, res) => {
+// Favorites M3U - live streams and recent VODs of favorite channels (all providers)
+app.get("/playlist-favorites.m3u", requirePlaylistAccess, async (req, res) => {
 	try {
-		if (!twitchAPI.isAuthenticated()) {
-			return res.status(401).send("Not authenticated");
-		}
-
 		// Get favorites from database
-		const favorites = db.getFavorites();
+		const favorites = db.getFavorites(req.user.id);
 		if (favorites.length === 0) {
 			res.setHeader('Content-Type', 'audio/x-mpegurl');
 			res.setHeader('Content-Disposition', 'attachment; filename="twitch-favorites.m3u"');
@@ -529,43 +983,22 @@ app.get("/playlist-favorites.m3u", async (req, res) => {
 		}
 
 		const favoriteLogins = new Set(favorites.map(f => f.channel_login.toLowerCase()));
+		const account = getLocalAccount(req.user.id);
 
 		// Get live streams and filter by favorites
-		const liveStreams = await twitchAPI.getLiveStreams();
-		const liveFavorites = liveStreams.filter(s =>
-			favoriteLogins.has(s.user_login.toLowerCase())
-		);
-
-		// Get followed channels to find broadcaster IDs for VOD fetching
-		const followedChannels = await twitchAPI.getFollowedChannels();
-		const favoriteChannels = followedChannels.filter(ch =>
-			favoriteLogins.has(ch.broadcaster_login.toLowerCase())
+		const liveChannels = await providers.listLiveChannels(account);
+		const liveFavorites = liveChannels.filter(entry =>
+			favoriteLogins.has(entry.channel.toLowerCase())
 		);
 
-		// Fetch recent VODs for each favorite channel (limit 3 per channel)
+		// Fetch recent VODs for each favorite channel (limit 3 per channel, newest first)
 		const vodLimit = parseInt(req.query.vodLimit) || 3;
-		const allVideos = [];
-		for (const channel of favoriteChannels) {
-			try {
-				const videos = await twitchAPI.getVideos(channel.broadcaster_id, vodLimit, "archive");
-				allVideos.push(...videos.map(v => ({
-					...v,
-					broadcaster_name: channel.broadcaster_name,
-					broadcaster_login: channel.broadcaster_login
-				})));
-			} catch (e) {
-				// Silently skip channels with no VODs
-			}
-		}
-		// Sort VODs by date (newest first)
-		allVideos.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+		const allVideos = await providers.listVods(account, { limit: vodLimit, channels: favoriteLogins });
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
 		const quality = req.query.quality || '';
-		const qualityParam = quality ? `?quality=${encodeURIComponent(quality)}` : '';
+		// Transcoding profile carried into every stream entry
+		const profile = req.query.profile || '';
 
 		let m3u = '#EXTM3U\n';
 
@@ -575,52 +1008,26 @@ app.get("/playlist-favorites.m3u", async (req, res) => {
 			.replace(/\r/g, '');
 
 		// Add LIVE streams first (group: "Favorites Live")
-		for (const stream of liveFavorites) {
-			const channelName = stream.user_login;
-			const displayName = stream.user_name || channelName;
-			const streamTitle = stream.title || '';
-			const gameName = stream.game_name || 'Streaming';
-			const viewerCount = stream.viewer_count || 0;
-
-			let logoUrl = '';
-			if (stream.thumbnail_url) {
-				logoUrl = stream.thumbnail_url
-					.replace('{width}', '440')
-					.replace('{height}', '248');
-			}
+		for (const entry of liveFavorites) {
+			const gameName = entry.category || 'Streaming';
 
-			const fullTitle = streamTitle
-				? sanitize(`🔴 ${displayName} - ${streamTitle}`)
-				: sanitize(`🔴 ${displayName} - ${gameName}`);
+			const fullTitle = entry.title
+				? sanitize(`🔴 ${entry.displayName} - ${entry.title}`)
+				: sanitize(`🔴 ${entry.displayName} - ${gameName}`);
 
 			// Live streams: use tvg-id for EPG, no .mp4 extension
-			m3u += `#EXTINF:-1 tvg-id="${channelName}" tvg-name="${sanitize(displayName)}" tvg-logo="${logoUrl}" group-title="Favorites Live" tvg-chno="${viewerCount}",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/stream/${channelName}${qualityParam}\n`;
+			m3u += `#EXTINF:-1 tvg-id="${entry.channel}" tvg-name="${sanitize(entry.displayName)}" tvg-logo="${entry.thumbnail}" group-title="Favorites Live" tvg-chno="${entry.viewers || 0}",${fullTitle}\n`;
+			m3u += `${buildEntryUrl(req, `/stream/${encodeURIComponent(entry.channel)}`, { quality, profile })}\n`;
 		}
 
 		// Add VODs (group: "Favorites VODs") - with .mp4 for UHF movie detection
 		for (const video of allVideos) {
-			const channelName = video.user_name || video.broadcaster_name || 'Unknown';
-			const fullTitle = sanitize(`${channelName} - ${video.title}`);
-			const thumbnail = video.thumbnail_url
-				? video.thumbnail_url.replace('%{width}', '320').replace('%{height}', '180')
-				: '';
-
-			// Parse duration from Twitch format
-			let durationSecs = -1;
-			if (video.duration) {
-				const match = video.duration.match(/(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/);
-				if (match) {
-					const hours = parseInt(match[1]) || 0;
-					const mins = parseInt(match[2]) || 0;
-					const secs = parseInt(match[3]) || 0;
-					durationSecs = hours * 3600 + mins * 60 + secs;
-				}
-			}
+			const fullTitle = sanitize(`${video.channelName || 'Unknown'} - ${video.title}`);
+			const durationSecs = video.duration === null ? -1 : video.duration;
 
 			// VODs: no tvg-id, .mp4 extension for UHF movie detection
-			m3u += `#EXTINF:${durationSecs} tvg-logo="${thumbnail}" group-title="Favorites VODs",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/vod/${video.id}.mp4\n`;
+			m3u += `#EXTINF:${durationSecs} tvg-logo="${video.thumbnail}" group-title="Favorites VODs",${fullTitle}\n`;
+			m3u += `${buildEntryUrl(req, `/item/${video.id}.mp4`)}\n`;
 		}
 
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
@@ -637,23 +1044,60 @@ app.get("/playlist-favorites.m3u", async (req, res) => {
 	}
 });
 
-// Favorites API endpoints
-app.get("/api/favorites", (req, res) => {
+// Audio-only M3U - currently live channels of all providers without video (talk shows, music)
+app.get("/playlist-audio.m3u", requirePlaylistAccess, async (req, res) => {
 	try {
-		const favorites = db.getFavorites();
-		res.json(favorites);
-	} catch (error) {
-		console.error("Error getting favorites:", error);
-		res.status(500).json({ error: error.message });
-	}
-});
+		const liveChannels = await providers.listLiveChannels(getLocalAccount(req.user.id));
 
-app.post("/api/favorites/:channel", (req, res) => {
-	const { channel } = req.params;
-	const { displayName } = req.body;
+		let m3u = '#EXTM3U\n';
+
+		const sanitize = (str) => str
+			.replace(/"/g, "'")
+			.replace(/\n/g, ' ')
+			.replace(/\r/g, '');
+
+		for (const entry of liveChannels) {
+			const provider = providers.get(entry.provider);
+			const fullTitle = entry.title
+				? sanitize(`🎧 ${entry.displayName} - ${entry.title}`)
+				: sanitize(`🎧 ${entry.displayName} - ${entry.category || 'Streaming'}`);
+
+			// radio="true" lets IPTV apps show these as radio stations
+			m3u += `#EXTINF:-1 tvg-id="${entry.channel}" tvg-name="${sanitize(entry.displayName)}" tvg-logo="${entry.icon || entry.thumbnail}" group-title="${sanitize(entry.group || provider.name)}" radio="true",${fullTitle}\n`;
+			m3u += `${buildEntryUrl(req, `/stream/${encodeURIComponent(entry.channel)}`, { audio_only: "1" })}\n`;
+		}
+
+		res.setHeader('Content-Type', 'audio/x-mpegurl');
+		res.setHeader('Content-Disposition', 'attachment; filename="audio-live.m3u"');
+		res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+		res.setHeader('Pragma', 'no-cache');
+		res.setHeader('Expires', '0');
+		res.send(m3u);
+
+		console.log(`[Playlist] Generated audio M3U with ${liveChannels.length} streams`);
+	} catch (error) {
+		console.error("Error generating audio playlist:", error);
+		res.status(500).send(`Error generating playlist: ${error.message}`);
+	}
+});
+
+// Favorites API endpoints
+app.get("/api/favorites", (req, res) => {
+	try {
+		const favorites = db.getFavorites(req.user.id);
+		res.json(favorites);
+	} catch (error) {
+		console.error("Error getting favorites:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.post("/api/favorites/:channel", (req, res) => {
+	const { channel } = req.params;
+	const { displayName } = req.body;
 
 	try {
-		db.addFavorite(channel, displayName || channel);
+		db.addFavorite(req.user.id, channel, displayName || channel);
 		res.json({ success: true, channel, isFavorite: true });
 		console.log(`[Favorites] Added: ${channel}`);
 	} catch (error) {
@@ -666,7 +1110,7 @@ app.delete("/api/favorites/:channel", (req, res) => {
 	const { channel } = req.params;
 
 	try {
-		db.removeFavorite(channel);
+		db.removeFavorite(req.user.id, channel);
 		res.json({ success: true, channel, isFavorite: false });
 		console.log(`[Favorites] Removed: ${channel}`);
 	} catch (error) {
@@ -679,7 +1123,7 @@ app.get("/api/favorites/:channel", (req, res) => {
 	const { channel } = req.params;
 
 	try {
-		const isFavorite = db.isFavorite(channel);
+		const isFavorite = db.isFavorite(req.user.id, channel);
 		res.json({ channel, isFavorite });
 	} catch (error) {
 		console.error("Error checking favorite:", error);
@@ -687,66 +1131,325 @@ app.get("/api/favorites/:channel", (req, res) => {
 	}
 });
 
-// On-demand stream endpoint for M3U playlist / direct player access
-// This endpoint starts a stream if not running and redirects to the stream URL
-app.get("/stream/:channel", async (req, res) => {
-	const { channel } = req.params;
-	const quality = req.query.quality || null;
+// Admission policies when all maxStreams slots are in use:
+// - reject: the new stream is refused, running streams are never stopped
+// - idle: the stream without viewers for the longest time is stopped, otherwise refused
+// - priority: like idle, then the stream with the lowest priority is stopped if it is lower
+//   than the requesting user's (a stream's priority is the highest of its viewers' users)
+// - viewer: like priority, but streams of equal priority are stopped as well - the stream
+//   with the lowest priority and fewest viewers makes room for the new request
+const ADMISSION_POLICIES = ["reject", "idle", "priority", "viewer"];
+
+// Stream priority of the player's user - Xtream players get the one of the account owner
+function getViewerPriority(req) {
+	const user = req.xtreamUser ? db.getUser(req.xtreamUser.owner_user_id) : req.user;
+	return (user && user.priority) || 0;
+}
 
-	console.log(`[On-Demand] Request for channel: ${channel}`);
+// Streams the admission policy never stops (favorites / recorded channels if enabled)
+function isProtectedStream(streamKey) {
+	const channel = streamKey.split("@")[0];
+	if (config.streamlink.protectFavorites && db.isFavoriteOfAnyUser(channel)) {
+		return true;
+	}
+	return config.streamlink.protectRecordings && recordingManager.isRecording(channel);
+}
 
-	try {
-		// Check if stream is already running
-		if (streamlink.isStreamActive(channel)) {
-			const streams = streamlink.getActiveStreams();
-			const stream = streams.find(s => s.channel.toLowerCase() === channel.toLowerCase());
-			if (stream) {
-				console.log(`[On-Demand] Stream already active, redirecting to ${stream.url}`);
-				// Track this client connection
-				streamlink.trackClientConnect(channel);
-				return res.redirect(302, stream.url);
-			}
+// Running stream to stop for a new one according to the policy - null if none may be stopped
+function selectStreamToEvict(policy, priority) {
+	if (policy === "reject") {
+		return null;
+	}
+
+	const idle = streamlink.getOldestStreamWithoutClients(isProtectedStream);
+	if (idle || policy === "idle") {
+		return idle;
+	}
+
+	const candidates = streamlink.getActiveStreams()
+		.map(stream => ({ ...stream, priority: stream.priority || 0 }))
+		.filter(stream => !stream.stopping && !isProtectedStream(stream.channel))
+		.filter(stream => policy === "viewer" ? stream.priority <= priority : stream.priority < priority)
+		.sort((a, b) => a.priority - b.priority || a.viewers - b.viewers || a.startedAt - b.startedAt);
+	return candidates.length > 0 ? candidates[0].channel : null;
+}
+
+// Why a stream was refused, sent to the player with the 503
+function describeStreamLimit(policy) {
+	const slots = `All ${config.streamlink.maxStreams} stream slots are in use`;
+	const protectedNote = config.streamlink.protectFavorites || config.streamlink.protectRecordings
+		? " or by protected favorites/recordings"
+		: "";
+	switch (policy) {
+		case "reject":
+			return `${slots} - try again when a stream has ended`;
+		case "priority":
+			return `${slots} by viewers with the same or a higher priority${protectedNote}`;
+		case "viewer":
+			return `${slots} by viewers with a higher priority${protectedNote}`;
+		default:
+			return `${slots} by streams with viewers${protectedNote}`;
+	}
+}
+
+// Local account a stream is requested for - the owner of the Xtream account or the caller
+function getRequestAccount(req) {
+	return req.account || getLocalAccount(req.user.id);
+}
+
+// Reject channels the requesting account may not watch (other users' custom channels) -
+// they are reported as unknown, like channel keys that don't exist
+function assertChannelAccess(streamKey, account) {
+	if (!providers.canAccess(streamKey.split("@")[0], account)) {
+		const error = new Error("Channel not found");
+		error.code = "CHANNEL_NOT_FOUND";
+		throw error;
+	}
+}
+
+// Starts admitted by ensureLiveStream that aren't running yet - stream key -> start.
+// They hold their slot from the admission on, while a stopped stream winds down as well.
+const admittedStarts = new Map();
+
+// Start a live stream if it isn't running yet - when all slots are in use the admission
+// policy decides whether a running stream is stopped for it (priority: requesting user's).
+// All players of a stream key share one streamlink process.
+async function ensureLiveStream(streamKey, quality, priority, account) {
+	assertChannelAccess(streamKey, account);
+	if (streamlink.isStreamActive(streamKey)) {
+		return;
+	}
+	if (admittedStarts.has(streamKey)) {
+		return admittedStarts.get(streamKey);
+	}
+
+	// Admission and slot reservation happen in one go - concurrent requests see the reservation
+	const slotsInUse = new Set([...streamlink.getStreamKeysInUse(), ...admittedStarts.keys()]);
+	let evict = null;
+	if (slotsInUse.size >= config.streamlink.maxStreams) {
+		const policy = ADMISSION_POLICIES.includes(config.streamlink.admissionPolicy)
+			? config.streamlink.admissionPolicy
+			: "idle";
+		evict = selectStreamToEvict(policy, priority);
+		if (!evict) {
+			console.log(`[On-Demand] Max streams reached, refusing ${streamKey} (policy: ${policy})`);
+			const error = new Error(describeStreamLimit(policy));
+			error.code = "STREAM_LIMIT";
+			throw error;
 		}
 
-		// Check if we have room for another stream (max ports)
-		const activeStreams = streamlink.getActiveStreams();
-		const maxStreams = config.server.streamPortEnd - config.server.streamPortStart + 1;
+		console.log(`[On-Demand] Max streams reached, stopping ${evict} for ${streamKey} (policy: ${policy})`);
+		streamlink.stopStream(evict);
+	}
 
-		if (activeStreams.length >= maxStreams) {
-			// Find oldest stream without active clients and stop it
-			const oldestWithoutClients = streamlink.getOldestStreamWithoutClients();
-			if (oldestWithoutClients) {
-				console.log(`[On-Demand] Max streams reached, stopping oldest without clients: ${oldestWithoutClients}`);
-				streamlink.stopStream(oldestWithoutClients);
-			} else {
-				// All streams have active clients, stop the oldest one anyway
-				const oldest = activeStreams.sort((a, b) => a.startedAt - b.startedAt)[0];
-				console.log(`[On-Demand] Max streams reached, stopping oldest stream: ${oldest.channel}`);
-				streamlink.stopStream(oldest.channel);
-			}
+	const start = (async () => {
+		if (evict) {
 			// Wait a moment for cleanup
 			await new Promise(resolve => setTimeout(resolve, 500));
 		}
+		console.log(`[On-Demand] Starting stream for ${streamKey}...`);
+		await streamlink.startStream(streamKey, quality);
+	})();
+	admittedStarts.set(streamKey, start);
+	try {
+		await start;
+	} finally {
+		admittedStarts.delete(streamKey);
+	}
+}
+
+// Start a live stream if needed and relay its MPEG-TS data to the client,
+// transcoded by ffmpeg if a transcoding profile is given
+async function serveLiveStream(req, res, streamKey, quality, profile = null) {
+	const priority = getViewerPriority(req);
+	await ensureLiveStream(streamKey, quality, priority, getRequestAccount(req));
+
+	// The player may have given up while streamlink was starting
+	if (req.socket.destroyed) {
+		return;
+	}
+	if (!streamlink.attachClient(streamKey, req, res, profile, priority)) {
+		res.status(503).send("Stream unavailable: stream ended");
+	}
+}
+
+// Built-in profile for audio-only players of sources without an audio-only quality
+const AUDIO_ONLY_PROFILE = { name: "audio only", audio_only: 1, audio_codec: "copy" };
+
+// Audio-only variant of a live stream: the source's audio-only quality (Twitch "audio_only")
+// runs as its own stream, other sources get the audio track of the normal stream via ffmpeg.
+// With single ingest a running stream of the channel is used for both.
+function resolveAudioOnlyStream(channel, quality) {
+	const provider = providers.forChannel(channel);
+	const useIngest = config.streamlink.singleIngest && streamlink.isStreamActive(channel);
+	if (provider.audioOnlyQuality && !useIngest) {
+		return { streamKey: `${channel}@${provider.audioOnlyQuality}`, quality: provider.audioOnlyQuality, profile: null };
+	}
+	return { streamKey: channel, quality, profile: AUDIO_ONLY_PROFILE };
+}
+
+// Quality a channel's stream is started with when a player doesn't ask for one
+function getDefaultLiveQuality() {
+	return db.getSettings().defaultQuality || config.streamlink.defaultQuality || "best";
+}
+
+// Single ingest: a quality other than the one the channel's stream runs at (or will be
+// started with) is transcoded from that stream. Returns the rendition profile, null if
+// the quality needs none or the source has no quality variants.
+function resolveRendition(channel, quality) {
+	if (!config.streamlink.singleIngest || !quality || channel.includes("@")) {
+		return null;
+	}
+	if (!providers.forChannel(channel).liveQualities) {
+		return null;
+	}
+
+	const ingestQuality = streamlink.getStreamQuality(channel) || getDefaultLiveQuality();
+	return quality === ingestQuality ? null : Transcoder.rendition(quality);
+}
+
+// Start a live stream and its HLS segmenter if needed and send the playlist.
+// segmentUrl maps segment file names to URLs the player can fetch (with credentials).
+// With timeshift the whole buffer is sent - a sliding window as long as the buffer that
+// players can rewind in (no EVENT type: segments roll out of its head).
+async function serveHlsPlaylist(req, res, streamKey, quality, viewerId, segmentUrl, timeshift = false) {
+	if (timeshift && !config.streamlink.timeshiftMinutes) {
+		return res.status(404).send("Timeshift is disabled");
+	}
+
+	const priority = getViewerPriority(req);
+	await ensureLiveStream(streamKey, quality, priority, getRequestAccount(req));
+
+	const segmenter = timeshift ? streamlink.getTimeshift(streamKey) : streamlink.startHls(streamKey);
+	if (!segmenter || !(await segmenter.waitForPlaylist(config.streamlink.timeout * 1000))) {
+		return res.status(503).send("Stream unavailable: HLS segmenter failed to start");
+	}
+
+	streamlink.touchHlsViewer(streamKey, viewerId, priority);
+
+	const playlist = fs.readFileSync(segmenter.playlistPath, "utf8")
+		.split("\n")
+		.map(line => line && !line.startsWith("#") ? segmentUrl(line.trim()) : line)
+		.join("\n");
+
+	res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+	res.setHeader("Cache-Control", "no-cache, no-store");
+	res.send(playlist);
+}
+
+// Send an HLS segment (or timeshift buffer segment) of a running stream
+function serveHlsSegment(req, res, streamKey, segment, viewerId, timeshift = false) {
+	if (!providers.canAccess(streamKey.split("@")[0], getRequestAccount(req))) {
+		return res.status(404).send("Segment not found");
+	}
+
+	const segmenter = timeshift ? streamlink.getTimeshift(streamKey) : streamlink.getHls(streamKey);
+	const filePath = segmenter && segmenter.resolveFile(segment);
+	if (!filePath) {
+		return res.status(404).send("Segment not found");
+	}
+
+	streamlink.touchHlsViewer(streamKey, viewerId);
+	res.setHeader("Content-Type", "video/mp2t");
+	res.sendFile(filePath);
+}
+
+// Output format for /stream/:channel - ?format= overrides the setting
+function getStreamFormat(req) {
+	const format = req.query.format || db.getSettings().streamFormat;
+	return format === "hls" ? "hls" : "ts";
+}
+
+// On-demand stream endpoint for M3U playlist / direct player access
+// This endpoint starts a stream if not running and relays it to the player
+// (or redirects to the HLS playlist in HLS mode). ?profile= transcodes the relayed stream,
+// ?audio_only=1 sends the audio only.
+app.get("/stream/:channel", requirePlaylistAccess, async (req, res) => {
+	const { channel } = req.params;
+	const quality = req.query.quality || null;
+
+	console.log(`[On-Demand] Request for channel: ${channel}`);
+
+	if (req.query.audio_only === "1" || req.query.audio_only === "true") {
+		const audio = resolveAudioOnlyStream(channel, quality);
+		try {
+			return await serveLiveStream(req, res, audio.streamKey, audio.quality, audio.profile);
+		} catch (error) {
+			console.error(`[On-Demand] Error: ${error.message}`);
+			return res.status(503).send(`Stream unavailable: ${error.message}`);
+		}
+	}
 
-		// Start the stream
-		console.log(`[On-Demand] Starting stream for ${channel}...`);
-		const result = await streamlink.startStream(channel, quality);
+	let profile = null;
+	let rendition = null;
+	if (req.query.profile) {
+		profile = db.getTranscodeProfileByName(req.query.profile);
+		if (!profile) {
+			return res.status(404).send(`Unknown transcoding profile: ${req.query.profile}`);
+		}
+	} else if (getStreamFormat(req) === "hls") {
+		return res.redirect(302, buildEntryUrl(req, `/hls/${encodeURIComponent(channel)}/index.m3u8`, { quality }));
+	} else {
+		rendition = resolveRendition(channel, quality);
+	}
 
-		if (result.success) {
-			console.log(`[On-Demand] Stream started, redirecting to ${result.url}`);
-			// Track this client connection
-			streamlink.trackClientConnect(channel);
-			return res.redirect(302, result.url);
-		} else {
-			console.error(`[On-Demand] Failed to start stream: ${result.error}`);
-			return res.status(503).send(`Stream unavailable: ${result.error || 'Unknown error'}`);
+	try {
+		if (rendition) {
+			return await serveLiveStream(req, res, channel, getDefaultLiveQuality(), rendition);
 		}
+		await serveLiveStream(req, res, channel, quality, profile);
 	} catch (error) {
 		console.error(`[On-Demand] Error: ${error.message}`);
 		return res.status(503).send(`Stream unavailable: ${error.message}`);
 	}
 });
 
+// HLS output of a live stream - rolling window segmented by ffmpeg
+app.get("/hls/:channel/index.m3u8", requirePlaylistAccess, async (req, res) => {
+	const { channel } = req.params;
+	const quality = req.query.quality || null;
+
+	// Single ingest only transcodes to MPEG-TS - HLS of another quality runs as a stream of its own
+	if (resolveRendition(channel, quality)) {
+		return res.redirect(302, buildEntryUrl(req, `/hls/${encodeURIComponent(`${channel}@${quality}`)}/index.m3u8`, { quality }));
+	}
+
+	// Relative segment URLs, carrying the caller's token or API key
+	const query = new URLSearchParams(req.accessParams || {}).toString();
+	const segmentUrl = (segment) => query ? `${segment}?${query}` : segment;
+
+	try {
+		await serveHlsPlaylist(req, res, channel, quality, `${req.ip}|${req.user.id}`, segmentUrl);
+	} catch (error) {
+		console.error(`[HLS] Error: ${error.message}`);
+		return res.status(503).send(`Stream unavailable: ${error.message}`);
+	}
+});
+
+// Timeshift buffer of a live stream as one long live playlist - players can pause and rewind
+app.get("/hls/:channel/timeshift.m3u8", requirePlaylistAccess, async (req, res) => {
+	const { channel } = req.params;
+	const quality = req.query.quality || null;
+
+	const query = new URLSearchParams(req.accessParams || {}).toString();
+	const segmentUrl = (segment) => `timeshift/${segment}${query ? `?${query}` : ""}`;
+
+	try {
+		await serveHlsPlaylist(req, res, channel, quality, `${req.ip}|${req.user.id}`, segmentUrl, true);
+	} catch (error) {
+		console.error(`[HLS] Error: ${error.message}`);
+		return res.status(503).send(`Stream unavailable: ${error.message}`);
+	}
+});
+
+app.get("/hls/:channel/timeshift/:segment", requirePlaylistAccess, (req, res) => {
+	serveHlsSegment(req, res, req.params.channel, req.params.segment, `${req.ip}|${req.user.id}`, true);
+});
+
+app.get("/hls/:channel/:segment", requirePlaylistAccess, (req, res) => {
+	serveHlsSegment(req, res, req.params.channel, req.params.segment, `${req.ip}|${req.user.id}`);
+});
+
 // Stream control endpoints
 app.post("/api/stream/start", async (req, res) => {
 	const { channel, quality } = req.body;
@@ -756,15 +1459,18 @@ app.post("/api/stream/start", async (req, res) => {
 	}
 
 	try {
-		const result = await streamlink.startStream(channel, quality);
-		res.json(result);
+		const alreadyRunning = streamlink.isStreamActive(channel);
+		await ensureLiveStream(channel, quality, getViewerPriority(req), getRequestAccount(req));
+		res.json({ ...(await streamlink.startStream(channel, quality)), alreadyRunning });
 	} catch (error) {
 		console.error("Error starting stream:", error);
-		res.status(500).json({ error: error.message });
+		const status = { STREAM_LIMIT: 503, CHANNEL_NOT_FOUND: 404 }[error.code] || 500;
+		res.status(status).json({ error: error.message });
 	}
 });
 
-app.post("/api/stream/stop", (req, res) => {
+// Stopping a stream cuts off everyone watching it - admins only
+app.post("/api/stream/stop", requireAdmin, (req, res) => {
 	const { channel } = req.body;
 
 	if (!channel) {
@@ -785,13 +1491,24 @@ app.get("/api/stream/active", (req, res) => {
 	res.json({ streams });
 });
 
+// Event log of a running stream, oldest first
+app.get("/api/stream/events/:channel", (req, res) => {
+	const { channel } = req.params;
+	const events = streamlink.getStreamEvents(channel);
+	if (!events) {
+		return res.status(404).json({ error: "Stream not running" });
+	}
+	res.json({ channel, events });
+});
+
 // Settings endpoints
 app.get("/api/settings", (req, res) => {
 	const settings = db.getSettings();
 	res.json(settings);
 });
 
-app.put("/api/settings", (req, res) => {
+// Settings apply to all users - admins only
+app.put("/api/settings", requireAdmin, (req, res) => {
 	try {
 		db.updateSettings(req.body);
 		res.json({ success: true });
@@ -803,6 +1520,8 @@ app.put("/api/settings", (req, res) => {
 
 // Twitch VODs API endpoint
 app.get("/api/vods", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		return res.status(401).json({ error: "Not authenticated" });
 	}
@@ -823,6 +1542,8 @@ app.get("/api/vods", async (req, res) => {
 
 // Twitch Clips API endpoint
 app.get("/api/clips", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		return res.status(401).json({ error: "Not authenticated" });
 	}
@@ -841,58 +1562,46 @@ app.get("/api/clips", async (req, res) => {
 	}
 });
 
-// Twitch VOD on-demand stream endpoint - redirects directly to Twitch CDN (seekable!)
-app.get("/vod/:videoId", async (req, res) => {
+// Playable item of any provider (vod_..., clip_..., yt_...) - redirects to the direct URL
+app.get("/item/:itemId", requirePlaylistAccess, async (req, res) => {
 	// Strip .mp4 extension if present (for UHF IPTV player compatibility)
-	const videoId = req.params.videoId.replace(/\.mp4$/i, '');
+	const itemId = req.params.itemId.replace(/\.mp4$/i, '');
 	const quality = req.query.quality || null;
 
-	console.log(`[VOD] Request for video: ${videoId}`);
+	const provider = providers.forItem(itemId);
+	if (!provider) {
+		return res.status(404).send("Unknown item");
+	}
 
-	try {
-		// Get direct URL from yt-dlp and redirect to it
-		const result = await ytdlp.getTwitchVodDirectUrl(videoId, quality);
+	console.log(`[Item] Request for ${provider.name} item: ${itemId}`);
 
-		if (result.success && result.directUrl) {
-			console.log(`[VOD] Redirecting to direct URL for ${videoId}`);
-			return res.redirect(302, result.directUrl);
-		} else {
-			console.error(`[VOD] Failed to get URL: ${result.error}`);
-			return res.status(503).send(`Stream unavailable: ${result.error || 'Unknown error'}`);
-		}
+	try {
+		const { url } = await provider.resolvePlayableUrl(itemId, quality);
+		console.log(`[Item] Redirecting to direct URL for ${itemId}`);
+		return res.redirect(302, url);
 	} catch (error) {
-		console.error(`[VOD] Error: ${error.message}`);
+		console.error(`[Item] Error: ${error.message}`);
 		return res.status(503).send(`Stream unavailable: ${error.message}`);
 	}
 });
 
-// Twitch Clip on-demand stream endpoint - redirects directly to Twitch CDN
-app.get("/clip/:clipId", async (req, res) => {
-	// Strip .mp4 extension if present (for UHF IPTV player compatibility)
-	const clipId = req.params.clipId.replace(/\.mp4$/i, '');
-	const quality = req.query.quality || null;
-
-	console.log(`[Clip] Request for clip: ${clipId}`);
+// Player URLs from before /item/ - playlists saved in players keep working
+app.get("/vod/:videoId", (req, res) => {
+	res.redirect(`/item/vod_${encodeURIComponent(req.params.videoId)}${req.url.substring(req.path.length)}`);
+});
 
-	try {
-		// Get direct URL from yt-dlp and redirect to it
-		const result = await ytdlp.getTwitchClipDirectUrl(clipId, quality);
+app.get("/clip/:clipId", (req, res) => {
+	res.redirect(`/item/clip_${encodeURIComponent(req.params.clipId)}${req.url.substring(req.path.length)}`);
+});
 
-		if (result.success && result.directUrl) {
-			console.log(`[Clip] Redirecting to direct URL for ${clipId}`);
-			return res.redirect(302, result.directUrl);
-		} else {
-			console.error(`[Clip] Failed to get URL: ${result.error}`);
-			return res.status(503).send(`Stream unavailable: ${result.error || 'Unknown error'}`);
-		}
-	} catch (error) {
-		console.error(`[Clip] Error: ${error.message}`);
-		return res.status(503).send(`Stream unavailable: ${error.message}`);
-	}
+app.get("/youtube/:videoId", (req, res) => {
+	res.redirect(`/item/yt_${encodeURIComponent(req.params.videoId)}${req.url.substring(req.path.length)}`);
 });
 
 // VODs M3U Playlist endpoint
-app.get("/playlist-vods.m3u", async (req, res) => {
+app.get("/playlist-vods.m3u", requirePlaylistAccess, async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
 		res.setHeader('Content-Disposition', 'attachment; filename="vods.m3u"');
@@ -905,10 +1614,6 @@ app.get("/playlist-vods.m3u", async (req, res) => {
 		const videos = await twitchAPI.getVideos(null, limit, type);
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
-
 		let m3u = '#EXTM3U\n';
 
 		for (const video of videos) {
@@ -939,7 +1644,7 @@ app.get("/playlist-vods.m3u", async (req, res) => {
 			// - Use .mp4 extension in URL (critical for UHF to detect as movie/VOD)
 			// - Keep tvg-logo for thumbnails
 			m3u += `#EXTINF:${durationSecs} tvg-logo="${thumbnail}" group-title="Twitch VODs",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/vod/${video.id}.mp4\n`;
+			m3u += `${buildEntryUrl(req, `/item/vod_${video.id}.mp4`)}\n`;
 		}
 
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
@@ -955,7 +1660,9 @@ app.get("/playlist-vods.m3u", async (req, res) => {
 });
 
 // Clips M3U Playlist endpoint
-app.get("/playlist-clips.m3u", async (req, res) => {
+app.get("/playlist-clips.m3u", requirePlaylistAccess, async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
 		res.setHeader('Content-Disposition', 'attachment; filename="clips.m3u"');
@@ -968,10 +1675,6 @@ app.get("/playlist-clips.m3u", async (req, res) => {
 		const clips = await twitchAPI.getClips(null, limit, period);
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
-
 		let m3u = '#EXTM3U\n';
 
 		for (const clip of clips) {
@@ -987,7 +1690,7 @@ app.get("/playlist-clips.m3u", async (req, res) => {
 			// Mark as VOD for IPTV players like UHF
 			// - Use .mp4 extension in URL (critical for UHF to detect as movie/VOD)
 			m3u += `#EXTINF:${durationSecs} tvg-logo="${clip.thumbnail_url}" group-title="Twitch Clips",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/clip/${clip.id}.mp4\n`;
+			m3u += `${buildEntryUrl(req, `/item/clip_${clip.id}.mp4`)}\n`;
 		}
 
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
@@ -1003,7 +1706,9 @@ app.get("/playlist-clips.m3u", async (req, res) => {
 });
 
 // VODs Favorites M3U Playlist endpoint
-app.get("/playlist-vods-favorites.m3u", async (req, res) => {
+app.get("/playlist-vods-favorites.m3u", requirePlaylistAccess, async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
 		res.setHeader('Content-Disposition', 'attachment; filename="vods-favorites.m3u"');
@@ -1015,7 +1720,7 @@ app.get("/playlist-vods-favorites.m3u", async (req, res) => {
 		const type = req.query.type || "archive";
 
 		// Get favorites
-		const favorites = db.getFavorites();
+		const favorites = db.getFavorites(req.user.id);
 		if (favorites.length === 0) {
 			res.setHeader('Content-Type', 'audio/x-mpegurl');
 			res.setHeader('Content-Disposition', 'attachment; filename="vods-favorites.m3u"');
@@ -1055,10 +1760,6 @@ app.get("/playlist-vods-favorites.m3u", async (req, res) => {
 		const videos = allVideos.slice(0, limit);
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
-
 		let m3u = '#EXTM3U\n';
 
 		for (const video of videos) {
@@ -1088,7 +1789,7 @@ app.get("/playlist-vods-favorites.m3u", async (req, res) => {
 			// Mark as VOD for IPTV players like UHF
 			// - Use .mp4 extension in URL (critical for UHF to detect as movie/VOD)
 			m3u += `#EXTINF:${durationSecs} tvg-logo="${thumbnail}" group-title="Twitch VODs (Favorites)",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/vod/${video.id}.mp4\n`;
+			m3u += `${buildEntryUrl(req, `/item/vod_${video.id}.mp4`)}\n`;
 		}
 
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
@@ -1104,7 +1805,9 @@ app.get("/playlist-vods-favorites.m3u", async (req, res) => {
 });
 
 // Clips Favorites M3U Playlist endpoint
-app.get("/playlist-clips-favorites.m3u", async (req, res) => {
+app.get("/playlist-clips-favorites.m3u", requirePlaylistAccess, async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	if (!twitchAPI.isAuthenticated()) {
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
 		res.setHeader('Content-Disposition', 'attachment; filename="clips-favorites.m3u"');
@@ -1116,7 +1819,7 @@ app.get("/playlist-clips-favorites.m3u", async (req, res) => {
 		const period = req.query.period || "day";
 
 		// Get favorites
-		const favorites = db.getFavorites();
+		const favorites = db.getFavorites(req.user.id);
 		if (favorites.length === 0) {
 			res.setHeader('Content-Type', 'audio/x-mpegurl');
 			res.setHeader('Content-Disposition', 'attachment; filename="clips-favorites.m3u"');
@@ -1152,10 +1855,6 @@ app.get("/playlist-clips-favorites.m3u", async (req, res) => {
 		const clips = allClips.slice(0, limit);
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
-
 		let m3u = '#EXTM3U\n';
 
 		for (const clip of clips) {
@@ -1171,7 +1870,7 @@ app.get("/playlist-clips-favorites.m3u", async (req, res) => {
 			// Mark as VOD for IPTV players like UHF
 			// - Use .mp4 extension in URL (critical for UHF to detect as movie/VOD)
 			m3u += `#EXTINF:${durationSecs} tvg-logo="${clip.thumbnail_url}" group-title="Twitch Clips (Favorites)",${fullTitle}\n`;
-			m3u += `http://${streamHost}:${streamPort}/clip/${clip.id}.mp4\n`;
+			m3u += `${buildEntryUrl(req, `/item/clip_${clip.id}.mp4`)}\n`;
 		}
 
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
@@ -1189,7 +1888,7 @@ app.get("/playlist-clips-favorites.m3u", async (req, res) => {
 // YouTube Channels API endpoints
 app.get("/api/youtube/channels", (req, res) => {
 	try {
-		const channels = db.getYoutubeChannels();
+		const channels = db.getYoutubeChannels(req.user.id);
 		res.json(channels);
 	} catch (error) {
 		console.error("Error getting YouTube channels:", error);
@@ -1222,7 +1921,7 @@ app.post("/api/youtube/channels", async (req, res) => {
 
 		// Store in database
 		const channelUrl = `https://www.youtube.com/channel/${channelId}`;
-		db.addYoutubeChannel(channelId, finalChannelName, channelUrl);
+		db.addYoutubeChannel(req.user.id, channelId, finalChannelName, channelUrl);
 
 		res.json({
 			success: true,
@@ -1243,7 +1942,7 @@ app.delete("/api/youtube/channels/:channelId", (req, res) => {
 	const { channelId } = req.params;
 
 	try {
-		db.removeYoutubeChannel(channelId);
+		db.removeYoutubeChannel(req.user.id, channelId);
 		res.json({ success: true, channelId });
 		console.log(`[YouTube] Removed channel: ${channelId}`);
 	} catch (error) {
@@ -1257,7 +1956,7 @@ app.get("/api/youtube/videos", async (req, res) => {
 	const limit = parseInt(req.query.limit) || 25;
 
 	try {
-		const channels = db.getYoutubeChannels();
+		const channels = db.getYoutubeChannels(req.user.id);
 		if (channels.length === 0) {
 			return res.json({ videos: [] });
 		}
@@ -1271,9 +1970,9 @@ app.get("/api/youtube/videos", async (req, res) => {
 });
 
 // YouTube M3U Playlist endpoint
-app.get("/playlist-youtube.m3u", async (req, res) => {
+app.get("/playlist-youtube.m3u", requirePlaylistAccess, async (req, res) => {
 	try {
-		const channels = db.getYoutubeChannels();
+		const channels = db.getYoutubeChannels(req.user.id);
 		if (channels.length === 0) {
 			res.setHeader('Content-Type', 'audio/x-mpegurl');
 			res.setHeader('Content-Disposition', 'attachment; filename="youtube.m3u"');
@@ -1281,13 +1980,9 @@ app.get("/playlist-youtube.m3u", async (req, res) => {
 		}
 
 		const limit = parseInt(req.query.limit) || 25;
-		const videos = await youtubeService.fetchAllChannelVideos(channels, limit);
+		const videos = (await providers.get("youtube").listVods(getLocalAccount(req.user.id), { limit })).slice(0, limit);
 
 		// Build M3U playlist
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
-		const streamPort = config.server.port;
-
 		let m3u = '#EXTM3U\n';
 
 		for (const video of videos) {
@@ -1297,7 +1992,7 @@ app.get("/playlist-youtube.m3u", async (req, res) => {
 				.replace(/\r/g, '');
 
 			// Format date for display
-			const dateStr = video.published.toLocaleDateString('de-DE', {
+			const dateStr = video.createdAt.toLocaleDateString('de-DE', {
 				day: '2-digit',
 				month: '2-digit'
 			});
@@ -1309,7 +2004,7 @@ app.get("/playlist-youtube.m3u", async (req, res) => {
 			// - Use 1800 (30 min) as default duration (YouTube RSS doesn't provide duration)
 			const defaultDuration = 1800;
 			m3u += `#EXTINF:${defaultDuration} tvg-logo="${video.thumbnail}" group-title="YouTube",${fullTitle} (${dateStr})\n`;
-			m3u += `http://${streamHost}:${streamPort}/youtube/${video.videoId}.mp4\n`;
+			m3u += `${buildEntryUrl(req, `/item/${video.id}.mp4`)}\n`;
 		}
 
 		res.setHeader('Content-Type', 'audio/x-mpegurl');
@@ -1326,180 +2021,626 @@ app.get("/playlist-youtube.m3u", async (req, res) => {
 	}
 });
 
-// Twitch VOD direct URL API endpoint (returns JSON with seekable direct URL)
-app.get("/api/vod/direct/:videoId", async (req, res) => {
-	const { videoId } = req.params;
+// Direct URL of a playable item of any provider for the web UI (seekable in external players)
+app.get("/api/items/:itemId/direct", async (req, res) => {
+	const { itemId } = req.params;
 	const quality = req.query.quality || null;
 
-	console.log(`[VOD-API] Getting direct URL for: ${videoId}`);
+	const provider = providers.forItem(itemId);
+	if (!provider) {
+		return res.status(404).json({ error: "Unknown item" });
+	}
+
+	console.log(`[Item-API] Getting direct URL for: ${itemId}`);
 
 	try {
-		const result = await ytdlp.getTwitchVodDirectUrl(videoId, quality);
-		res.json(result);
+		const { url, hls } = await provider.resolvePlayableUrl(itemId, quality);
+		res.json({ success: true, directUrl: url, hls });
 	} catch (error) {
-		console.error(`[VOD-API] Error: ${error.message}`);
+		console.error(`[Item-API] Error: ${error.message}`);
 		res.status(503).json({ error: error.message });
 	}
 });
 
-// Twitch Clip direct URL API endpoint (returns JSON with seekable direct URL)
-app.get("/api/clip/direct/:clipId", async (req, res) => {
-	const { clipId } = req.params;
-	const quality = req.query.quality || null;
-
-	console.log(`[Clip-API] Getting direct URL for: ${clipId}`);
+// ============================================================================
+// KICK API - followed Kick channels (live status is polled in the background)
+// ============================================================================
 
+app.get("/api/kick/channels", (req, res) => {
 	try {
-		const result = await ytdlp.getTwitchClipDirectUrl(clipId, quality);
-		res.json(result);
+		const channels = db.getKickChannels(req.user.id);
+		res.json(channels);
 	} catch (error) {
-		console.error(`[Clip-API] Error: ${error.message}`);
-		res.status(503).json({ error: error.message });
+		console.error("Error getting Kick channels:", error);
+		res.status(500).json({ error: error.message });
 	}
 });
 
-// YouTube direct URL API endpoint (returns JSON with seekable direct URL)
-app.get("/api/youtube/direct/:videoId", async (req, res) => {
-	const { videoId } = req.params;
-	const quality = req.query.quality || null;
+app.post("/api/kick/channels", async (req, res) => {
+	const { channel } = req.body;
 
-	console.log(`[YouTube-API] Getting direct URL for: ${videoId}`);
+	if (!channel) {
+		return res.status(400).json({ error: "Channel name or URL is required" });
+	}
 
 	try {
-		const result = await ytdlp.getDirectUrl(videoId, quality);
-		res.json(result);
+		const slug = kickAPI.parseSlug(channel);
+
+		// Look up the channel (also stores its current live status)
+		const status = await kickAPI.refreshChannel(slug);
+		db.addKickChannel(req.user.id, slug, status.display_name);
+
+		res.json({ success: true, channel: { slug, display_name: status.display_name, is_live: status.is_live } });
+		console.log(`[Kick] Added channel: ${status.display_name} (${slug})`);
 	} catch (error) {
-		console.error(`[YouTube-API] Error: ${error.message}`);
-		res.status(503).json({ error: error.message });
+		console.error("Error adding Kick channel:", error);
+		res.status(400).json({ error: error.message });
 	}
 });
 
-// YouTube on-demand stream endpoint - redirects directly to YouTube CDN (seekable!)
-app.get("/youtube/:videoId", async (req, res) => {
-	// Strip .mp4 extension if present (for UHF IPTV player compatibility)
-	const videoId = req.params.videoId.replace(/\.mp4$/i, '');
-	const quality = req.query.quality || null;
-
-	console.log(`[YouTube] Request for video: ${videoId}`);
+app.delete("/api/kick/channels/:slug", (req, res) => {
+	const { slug } = req.params;
 
 	try {
-		// Get direct URL from yt-dlp and redirect to it
-		const result = await ytdlp.getDirectUrl(videoId, quality);
-
-		if (result.success && result.directUrl) {
-			console.log(`[YouTube] Redirecting to direct URL for ${videoId}`);
-			return res.redirect(302, result.directUrl);
-		} else {
-			console.error(`[YouTube] Failed to get URL: ${result.error}`);
-			return res.status(503).send(`Stream unavailable: ${result.error || 'Unknown error'}`);
-		}
+		db.removeKickChannel(req.user.id, slug);
+		db.deleteUnfollowedKickStatus();
+		res.json({ success: true, slug });
+		console.log(`[Kick] Removed channel: ${slug}`);
 	} catch (error) {
-		console.error(`[YouTube] Error: ${error.message}`);
-		return res.status(503).send(`Stream unavailable: ${error.message}`);
+		console.error("Error removing Kick channel:", error);
+		res.status(500).json({ error: error.message });
 	}
 });
 
 // ============================================================================
-// RECORDING RULES API - Auto-record streams by channel/game
+// CUSTOM CHANNELS API - arbitrary streamlink URLs started on demand via /stream/custom:{id}
 // ============================================================================
 
-// Get all recording rules
-app.get("/api/recording-rules", (req, res) => {
+// Streamlink takes the URL as a command line argument - require a scheme so it can't be an option
+function isValidCustomUrl(url) {
+	return typeof url === "string" && /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(url.trim());
+}
+
+app.get("/api/custom-channels", (req, res) => {
 	try {
-		const rules = db.getRecordingRules();
-		res.json({ rules });
+		const channels = db.getCustomChannels(req.user.id).map(channel => ({
+			...channel,
+			channel_key: `custom:${channel.id}`
+		}));
+		res.json({ channels });
 	} catch (error) {
+		console.error("Error getting custom channels:", error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
-// Add a new recording rule
-app.post("/api/recording-rules", async (req, res) => {
-	try {
-		const { channel_login, channel_name, game_name, quality, enabled } = req.body;
+app.post("/api/custom-channels", (req, res) => {
+	const { name, url, logo_url, group_name } = req.body;
 
-		if (!channel_login) {
-			return res.status(400).json({ error: "channel_login is required" });
-		}
+	if (!name || !url) {
+		return res.status(400).json({ error: "name and url are required" });
+	}
+	if (!isValidCustomUrl(url)) {
+		return res.status(400).json({ error: "url must be a full URL (e.g. https://... or hls://...)" });
+	}
 
-		const ruleId = db.addRecordingRule({
-			channel_login,
-			channel_name: channel_name || channel_login,
-			game_name: game_name || null,
-			quality: quality || "best",
-			enabled: enabled !== false
+	try {
+		const id = db.addCustomChannel({
+			owner_user_id: req.user.id,
+			name: name.trim(),
+			url: url.trim(),
+			logo_url: logo_url ? logo_url.trim() : null,
+			group_name: group_name ? group_name.trim() : null
 		});
 
-		const rule = db.getRecordingRule(ruleId);
-		res.status(201).json({ rule });
+		console.log(`[Custom] Added channel: ${name} (${url})`);
+		res.status(201).json({ channel: db.getCustomChannel(id) });
 	} catch (error) {
+		console.error("Error adding custom channel:", error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
-// Update a recording rule
-app.put("/api/recording-rules/:id", (req, res) => {
+app.put("/api/custom-channels/:id", (req, res) => {
 	try {
 		const { id } = req.params;
-		const updates = req.body;
+		const existing = db.getCustomChannel(id);
+		if (!existing || existing.owner_user_id !== req.user.id) {
+			return res.status(404).json({ error: "Channel not found" });
+		}
 
-		const existing = db.getRecordingRule(id);
-		if (!existing) {
-			return res.status(404).json({ error: "Rule not found" });
+		const updates = {};
+		for (const field of ["name", "url", "logo_url", "group_name"]) {
+			if (req.body[field] !== undefined) {
+				updates[field] = req.body[field] ? String(req.body[field]).trim() : null;
+			}
+		}
+		if (updates.name === null || updates.url === null) {
+			return res.status(400).json({ error: "name and url must not be empty" });
+		}
+		if (updates.url && !isValidCustomUrl(updates.url)) {
+			return res.status(400).json({ error: "url must be a full URL (e.g. https://... or hls://...)" });
 		}
 
-		db.updateRecordingRule(id, updates);
-		const rule = db.getRecordingRule(id);
-		res.json({ rule });
+		db.updateCustomChannel(id, updates);
+		res.json({ channel: db.getCustomChannel(id) });
 	} catch (error) {
+		console.error("Error updating custom channel:", error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
-// Delete a recording rule
-app.delete("/api/recording-rules/:id", (req, res) => {
+app.delete("/api/custom-channels/:id", (req, res) => {
 	try {
 		const { id } = req.params;
-
-		const existing = db.getRecordingRule(id);
-		if (!existing) {
-			return res.status(404).json({ error: "Rule not found" });
+		const existing = db.getCustomChannel(id);
+		if (!existing || existing.owner_user_id !== req.user.id) {
+			return res.status(404).json({ error: "Channel not found" });
 		}
 
-		db.deleteRecordingRule(id);
+		db.deleteCustomChannel(id);
+		// A running stream of the channel would outlive its URL
+		streamlink.stopStream(`custom:${id}`);
+		console.log(`[Custom] Removed channel: ${existing.name}`);
 		res.json({ success: true });
 	} catch (error) {
+		console.error("Error removing custom channel:", error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
-// Get all recordings
-app.get("/api/recordings", (req, res) => {
-	try {
-		const limit = parseInt(req.query.limit) || 50;
-		const recordings = db.getRecordings(limit);
-		const activeRecordings = recordingManager.getActiveRecordings();
-		res.json({ recordings, activeRecordings });
-	} catch (error) {
-		res.status(500).json({ error: error.message });
-	}
-});
+// ============================================================================
+// TRANSCODING PROFILES API - ffmpeg re-encoding selectable via /stream/{channel}?profile=
+// ============================================================================
 
-// Delete a recording
-app.delete("/api/recordings/:id", (req, res) => {
+// Profile fields from a request body - returns { profile } or { error }
+function parseTranscodeProfile(body, partial = false) {
+	const profile = {};
+
+	if (body.name !== undefined || !partial) {
+		const name = String(body.name || "").trim().toLowerCase();
+		// Names end up in URLs and Xtream category names
+		if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+			return { error: "name must be 1-32 characters a-z, 0-9, _ or -" };
+		}
+		profile.name = name;
+	}
+
+	for (const field of ["video_codec", "audio_codec"]) {
+		if (body[field] !== undefined && body[field] !== null && body[field] !== "") {
+			if (!/^[a-z0-9_]+$/i.test(body[field])) {
+				return { error: `${field} is not a valid ffmpeg codec name` };
+			}
+			profile[field] = body[field];
+		}
+	}
+
+	for (const field of ["height", "video_bitrate", "audio_bitrate"]) {
+		if (body[field] !== undefined) {
+			if (body[field] === null || body[field] === "") {
+				profile[field] = null;
+				continue;
+			}
+			const value = parseInt(body[field], 10);
+			if (isNaN(value) || value <= 0) {
+				return { error: `${field} must be a positive number` };
+			}
+			profile[field] = value;
+		}
+	}
+
+	if (body.audio_only !== undefined) {
+		profile.audio_only = !!body.audio_only;
+	}
+
+	return { profile };
+}
+
+app.get("/api/transcode-profiles", (req, res) => {
+	try {
+		res.json({ profiles: db.getTranscodeProfiles() });
+	} catch (error) {
+		console.error("Error getting transcoding profiles:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.post("/api/transcode-profiles", requireAdmin, (req, res) => {
+	const { profile, error } = parseTranscodeProfile(req.body);
+	if (error) {
+		return res.status(400).json({ error });
+	}
+	if (db.getTranscodeProfileByName(profile.name)) {
+		return res.status(409).json({ error: "A profile with this name already exists" });
+	}
+
+	try {
+		const id = db.addTranscodeProfile(profile);
+		console.log(`[Transcode] Added profile: ${profile.name}`);
+		res.status(201).json({ profile: db.getTranscodeProfile(id) });
+	} catch (error) {
+		console.error("Error adding transcoding profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.put("/api/transcode-profiles/:id", requireAdmin, (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!db.getTranscodeProfile(id)) {
+			return res.status(404).json({ error: "Profile not found" });
+		}
+
+		const { profile, error } = parseTranscodeProfile(req.body, true);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		const sameName = profile.name && db.getTranscodeProfileByName(profile.name);
+		if (sameName && String(sameName.id) !== String(id)) {
+			return res.status(409).json({ error: "A profile with this name already exists" });
+		}
+
+		// Running transcoders keep their settings until their last client leaves
+		db.updateTranscodeProfile(id, profile);
+		res.json({ profile: db.getTranscodeProfile(id) });
+	} catch (error) {
+		console.error("Error updating transcoding profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.delete("/api/transcode-profiles/:id", requireAdmin, (req, res) => {
+	try {
+		const existing = db.getTranscodeProfile(req.params.id);
+		if (!existing) {
+			return res.status(404).json({ error: "Profile not found" });
+		}
+
+		db.deleteTranscodeProfile(existing.id);
+		console.log(`[Transcode] Removed profile: ${existing.name}`);
+		res.json({ success: true });
+	} catch (error) {
+		console.error("Error removing transcoding profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// ============================================================================
+// STREAMLINK PROFILES API - argument profiles assigned globally, per source or per channel
+// ============================================================================
+
+// Profile fields from a request body - returns { profile } or { error }
+function parseStreamlinkProfile(body, partial = false) {
+	const profile = {};
+
+	if (body.name !== undefined || !partial) {
+		const name = String(body.name || "").trim();
+		if (!name || name.length > 64) {
+			return { error: "name must be 1-64 characters" };
+		}
+		profile.name = name;
+	}
+
+	if (body.args !== undefined) {
+		const args = Array.isArray(body.args) ? body.args.join("\n") : String(body.args || "");
+		try {
+			StreamlinkArgs.parse(args);
+		} catch (error) {
+			return { error: error.message };
+		}
+		profile.args = args.trim();
+	}
+
+	return { profile };
+}
+
+// Profile id from a request body - null to remove an assignment, undefined if it doesn't exist
+function parseStreamlinkProfileId(value) {
+	if (value === null || value === "" || value === undefined) {
+		return null;
+	}
+	const profile = db.getStreamlinkProfile(parseInt(value, 10));
+	return profile ? profile.id : undefined;
+}
+
+app.get("/api/streamlink-profiles", (req, res) => {
+	try {
+		const assignments = db.getStreamlinkProfileAssignments();
+		const assigned = (scope) => {
+			const row = assignments.find(a => a.scope === scope);
+			return row ? row.profile_id : null;
+		};
+
+		res.json({
+			profiles: db.getStreamlinkProfiles(),
+			global: assigned("global"),
+			sources: providers.all().map(provider => ({
+				id: provider.id,
+				name: provider.name,
+				profile_id: assigned(`source:${provider.id}`)
+			})),
+			channels: assignments
+				.filter(a => a.scope.startsWith("channel:"))
+				.map(a => ({ channel: a.scope.substring("channel:".length), profile_id: a.profile_id }))
+		});
+	} catch (error) {
+		console.error("Error getting streamlink profiles:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.post("/api/streamlink-profiles", requireAdmin, (req, res) => {
+	const { profile, error } = parseStreamlinkProfile(req.body);
+	if (error) {
+		return res.status(400).json({ error });
+	}
+	if (db.getStreamlinkProfileByName(profile.name)) {
+		return res.status(409).json({ error: "A profile with this name already exists" });
+	}
+
+	try {
+		const id = db.addStreamlinkProfile(profile);
+		console.log(`[Streamlink] Added argument profile: ${profile.name}`);
+		res.status(201).json({ profile: db.getStreamlinkProfile(id) });
+	} catch (error) {
+		console.error("Error adding streamlink profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Global and per-source assignments: { global: id|null, sources: { twitch: id|null, ... } }
+app.put("/api/streamlink-profiles/assignments", requireAdmin, (req, res) => {
+	const { global, sources = {} } = req.body;
+
+	const updates = [];
+	if (global !== undefined) {
+		updates.push(["global", global]);
+	}
+	for (const [providerId, profileId] of Object.entries(sources)) {
+		if (!providers.get(providerId)) {
+			return res.status(400).json({ error: `Unknown source: ${providerId}` });
+		}
+		updates.push([`source:${providerId}`, profileId]);
+	}
+
+	const resolved = updates.map(([scope, value]) => [scope, parseStreamlinkProfileId(value)]);
+	if (resolved.some(([, profileId]) => profileId === undefined)) {
+		return res.status(400).json({ error: "Profile not found" });
+	}
+
+	try {
+		for (const [scope, profileId] of resolved) {
+			db.setStreamlinkProfileAssignment(scope, profileId);
+		}
+		res.json({ success: true });
+	} catch (error) {
+		console.error("Error assigning streamlink profiles:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Per-channel assignment: { profile_id: id|null } - applies from the next stream start
+app.put("/api/streamlink-profiles/channels/:channel", requireAdmin, (req, res) => {
+	const channel = req.params.channel.trim().toLowerCase();
+	const profileId = parseStreamlinkProfileId(req.body.profile_id);
+	if (!channel) {
+		return res.status(400).json({ error: "channel is required" });
+	}
+	if (profileId === undefined) {
+		return res.status(400).json({ error: "Profile not found" });
+	}
+
+	try {
+		db.setStreamlinkProfileAssignment(`channel:${channel}`, profileId);
+		res.json({ success: true });
+	} catch (error) {
+		console.error("Error assigning streamlink profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.put("/api/streamlink-profiles/:id", requireAdmin, (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!db.getStreamlinkProfile(id)) {
+			return res.status(404).json({ error: "Profile not found" });
+		}
+
+		const { profile, error } = parseStreamlinkProfile(req.body, true);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		const sameName = profile.name && db.getStreamlinkProfileByName(profile.name);
+		if (sameName && String(sameName.id) !== String(id)) {
+			return res.status(409).json({ error: "A profile with this name already exists" });
+		}
+
+		// Running streams keep their arguments until they are restarted
+		db.updateStreamlinkProfile(id, profile);
+		res.json({ profile: db.getStreamlinkProfile(id) });
+	} catch (error) {
+		console.error("Error updating streamlink profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.delete("/api/streamlink-profiles/:id", requireAdmin, (req, res) => {
+	try {
+		const existing = db.getStreamlinkProfile(req.params.id);
+		if (!existing) {
+			return res.status(404).json({ error: "Profile not found" });
+		}
+
+		db.deleteStreamlinkProfile(existing.id);
+		console.log(`[Streamlink] Removed argument profile: ${existing.name}`);
+		res.json({ success: true });
+	} catch (error) {
+		console.error("Error removing streamlink profile:", error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// ============================================================================
+// RECORDING RULES API - Auto-record streams by channel/game
+// ============================================================================
+
+// Get all recording rules
+app.get("/api/recording-rules", (req, res) => {
+	try {
+		const rules = db.getRecordingRules(req.user.id);
+		res.json({ rules });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Add a new recording rule
+app.post("/api/recording-rules", async (req, res) => {
+	try {
+		const { channel_login, channel_name, game_name, quality, enabled } = req.body;
+
+		if (!channel_login) {
+			return res.status(400).json({ error: "channel_login is required" });
+		}
+		if (!providers.canAccess(channel_login, getLocalAccount(req.user.id))) {
+			return res.status(404).json({ error: "Channel not found" });
+		}
+		const streamlinkProfileId = parseStreamlinkProfileId(req.body.streamlink_profile_id);
+		if (streamlinkProfileId === undefined) {
+			return res.status(400).json({ error: "Streamlink profile not found" });
+		}
+		const priority = req.body.priority === undefined ? 0 : parsePriority(req.body.priority);
+		if (priority === null) {
+			return res.status(400).json({ error: "Priority must be a whole number from 0 to 100" });
+		}
+		let filters;
+		try {
+			filters = parseRuleFilters(req.body);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+
+		const ruleId = db.addRecordingRule({
+			...filters,
+			owner_user_id: req.user.id,
+			channel_login,
+			channel_name: channel_name || channel_login,
+			game_name: game_name || null,
+			quality: quality || "best",
+			enabled: enabled !== false,
+			streamlink_profile_id: streamlinkProfileId,
+			priority
+		});
+
+		const rule = db.getRecordingRule(ruleId);
+		res.status(201).json({ rule });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Update a recording rule
+app.put("/api/recording-rules/:id", (req, res) => {
 	try {
 		const { id } = req.params;
-		const recording = db.getRecordingByFilepath(id) || db.getRecordings().find(r => r.id == id);
+		const updates = req.body;
 
+		const existing = db.getRecordingRule(id);
+		if (!existing || existing.owner_user_id !== req.user.id) {
+			return res.status(404).json({ error: "Rule not found" });
+		}
+		if (updates.channel_login !== undefined && !providers.canAccess(updates.channel_login, getLocalAccount(req.user.id))) {
+			return res.status(404).json({ error: "Channel not found" });
+		}
+		if (updates.streamlink_profile_id !== undefined) {
+			updates.streamlink_profile_id = parseStreamlinkProfileId(updates.streamlink_profile_id);
+			if (updates.streamlink_profile_id === undefined) {
+				return res.status(400).json({ error: "Streamlink profile not found" });
+			}
+		}
+		if (updates.priority !== undefined) {
+			updates.priority = parsePriority(updates.priority);
+			if (updates.priority === null) {
+				return res.status(400).json({ error: "Priority must be a whole number from 0 to 100" });
+			}
+		}
+		try {
+			Object.assign(updates, parseRuleFilters({ ...existing, ...updates }));
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+
+		db.updateRecordingRule(id, updates);
+		const rule = db.getRecordingRule(id);
+		res.json({ rule });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Delete a recording rule
+app.delete("/api/recording-rules/:id", (req, res) => {
+	try {
+		const { id } = req.params;
+
+		const existing = db.getRecordingRule(id);
+		if (!existing || existing.owner_user_id !== req.user.id) {
+			return res.status(404).json({ error: "Rule not found" });
+		}
+
+		db.deleteRecordingRule(id);
+		res.json({ success: true });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Recordings belong to the owner of the rule that started them - admins see all of them.
+// Returns the owner to filter lists by (null: no filter)
+function getRecordingOwnerFilter(user) {
+	return user.role === "admin" ? null : user.id;
+}
+
+// The recording if the user may see it, null otherwise
+function getUserRecording(user, recordingId) {
+	const recording = db.getRecording(parseInt(recordingId));
+	if (!recording || !user || (user.role !== "admin" && recording.owner_user_id !== user.id)) {
+		return null;
+	}
+	return recording;
+}
+
+// Get all recordings
+app.get("/api/recordings", (req, res) => {
+	try {
+		const limit = parseInt(req.query.limit) || 50;
+		const ownerUserId = getRecordingOwnerFilter(req.user);
+		const recordings = db.getRecordings(limit, ownerUserId).map(recording => ({
+			...recording,
+			steps: db.getRecordingSteps(recording.id),
+			playback_path: getRecordingPlaybackPath(recording)
+		}));
+		const activeRecordings = recordingManager.getActiveRecordings(ownerUserId);
+		res.json({ recordings, activeRecordings });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Delete a recording
+app.delete("/api/recordings/:id", (req, res) => {
+	try {
+		const recording = getUserRecording(req.user, req.params.id);
 		if (!recording) {
 			return res.status(404).json({ error: "Recording not found" });
 		}
 
-		// Delete file if it exists
-		if (recording.filepath && fs.existsSync(recording.filepath)) {
-			fs.unlinkSync(recording.filepath);
+		if (recordingManager.isRecording(recording.channel_login) && recording.status === "recording") {
+			return res.status(409).json({ error: "Recording is still running" });
 		}
 
+		// Delete its files (all parts)
+		recordingManager.deleteRecordingFiles(recording);
 		db.deleteRecording(recording.id);
 		res.json({ success: true });
 	} catch (error) {
@@ -1507,8 +2648,64 @@ app.delete("/api/recordings/:id", (req, res) => {
 	}
 });
 
+// Pin a recording - pinned recordings are never deleted by the age cleanup or disk quota
+app.put("/api/recordings/:id", (req, res) => {
+	try {
+		const recording = getUserRecording(req.user, req.params.id);
+		if (!recording) {
+			return res.status(404).json({ error: "Recording not found" });
+		}
+
+		if (req.body.pinned !== undefined) {
+			db.setRecordingPinned(recording.id, !!req.body.pinned);
+		}
+		res.json({ recording: db.getRecording(recording.id) });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Recording details - parts, post-processing steps, game/title changes and chapters
+app.get("/api/recordings/:id", (req, res) => {
+	try {
+		const recording = getUserRecording(req.user, req.params.id);
+		if (!recording) {
+			return res.status(404).json({ error: "Recording not found" });
+		}
+
+		res.json({
+			recording,
+			parts: db.getRecordingParts(recording.id),
+			steps: db.getRecordingSteps(recording.id),
+			events: db.getRecordingEvents(recording.id),
+			chapters: postProcessor.getChapters(recording)
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Run the failed post-processing steps of a recording again
+app.post("/api/recordings/:id/process", (req, res) => {
+	try {
+		const recording = getUserRecording(req.user, req.params.id);
+		if (!recording) {
+			return res.status(404).json({ error: "Recording not found" });
+		}
+
+		if (!postProcessor.retry(recording.id)) {
+			return res.status(400).json({ error: "No failed post-processing steps" });
+		}
+		res.json({ success: true, steps: db.getRecordingSteps(recording.id) });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
 // Search games (for autocomplete)
 app.get("/api/games/search", async (req, res) => {
+	const twitchAPI = twitchAccounts.get(req.user.id);
+
 	try {
 		const { q } = req.query;
 		if (!q) {
@@ -1526,35 +2723,357 @@ app.get("/api/games/search", async (req, res) => {
 app.get("/api/recording-settings", (req, res) => {
 	try {
 		const maxAgeDays = db.getSetting("recording_max_age_days", 7);
-		res.json({ maxAgeDays });
+		const concatParts = db.getSetting("recording_concat_parts", false);
+		res.json({
+			maxAgeDays,
+			concatParts,
+			postProcess: postProcessor.getOptions(),
+			quota: recordingManager.quota.getOptions(),
+			usage: recordingManager.quota.getUsage()
+		});
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
-});
+});
+
+// Update recording settings - quota, cleanup and post-processing apply to all recordings
+app.put("/api/recording-settings", requireAdmin, (req, res) => {
+	try {
+		const { maxAgeDays, concatParts, postProcess, quota } = req.body;
+		if (postProcess !== undefined) {
+			const error = postProcessor.setOptions(postProcess);
+			if (error) {
+				return res.status(400).json({ error });
+			}
+		}
+		if (quota !== undefined) {
+			const error = recordingManager.quota.setOptions(quota);
+			if (error) {
+				return res.status(400).json({ error });
+			}
+			recordingManager.enforceQuota();
+		}
+		if (maxAgeDays !== undefined) {
+			db.setSetting("recording_max_age_days", maxAgeDays);
+		}
+		if (concatParts !== undefined) {
+			db.setSetting("recording_concat_parts", !!concatParts);
+		}
+		res.json({
+			success: true,
+			maxAgeDays: db.getSetting("recording_max_age_days", 7),
+			concatParts: db.getSetting("recording_concat_parts", false),
+			postProcess: postProcessor.getOptions(),
+			quota: recordingManager.quota.getOptions()
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// ============================================================================
+// RECORDING PLAYBACK - finished recordings as file (byte ranges) or HLS
+// ============================================================================
+
+// Files of a recording with their duration in seconds - the parts, or the recording file itself
+function getRecordingFiles(recording) {
+	const parts = db.getRecordingParts(recording.id);
+	const files = parts.length > 0 ? parts : [recording];
+	return files
+		.filter(file => file.filepath && fs.existsSync(file.filepath))
+		.map(file => ({
+			filepath: file.filepath,
+			duration: file.started_at && file.ended_at ? Math.max(1, Math.round((file.ended_at - file.started_at) / 1000)) : 1
+		}));
+}
+
+// Finished recording with its files - sends the error response and returns null otherwise
+function getPlayableRecording(res, user, recordingId) {
+	const recording = getUserRecording(user, recordingId);
+	if (!recording) {
+		res.status(404).send("Recording not found");
+		return null;
+	}
+	if (recording.status === "recording") {
+		res.status(409).send("Recording is still running - watch the live stream instead");
+		return null;
+	}
+
+	const files = getRecordingFiles(recording);
+	if (files.length === 0) {
+		res.status(404).send("Recording file not found");
+		return null;
+	}
+	return { recording, files };
+}
+
+// URL path of a recording for players: the file itself, HLS for recordings in several parts
+function getRecordingPlaybackPath(recording) {
+	if (recording.parts > 1) {
+		return `/recording/${recording.id}/index.m3u8`;
+	}
+	return `/recording/${recording.id}${path.extname(recording.filename) || ".ts"}`;
+}
+
+// Send a recording file - express handles byte ranges, so players can seek.
+// Recordings in several parts are only complete as HLS: hlsUrl(id) is redirected to.
+function serveRecordingFile(res, user, recordingId, hlsUrl) {
+	const playable = getPlayableRecording(res, user, recordingId);
+	if (!playable) {
+		return;
+	}
+
+	if (playable.files.length > 1) {
+		return res.redirect(302, hlsUrl(playable.recording.id));
+	}
+	res.sendFile(playable.files[0].filepath);
+}
+
+// A part of a recording as HLS segment ("part{n}.ts") - the file itself, with byte ranges
+function serveRecordingSegment(res, user, recordingId, segment) {
+	const match = /^part(\d+)\.ts$/.exec(segment);
+	const playable = getPlayableRecording(res, user, recordingId);
+	if (!playable) {
+		return;
+	}
+
+	const file = match && playable.files[parseInt(match[1]) - 1];
+	if (!file) {
+		return res.status(404).send("Segment not found");
+	}
+
+	res.setHeader("Content-Type", "video/mp2t");
+	res.sendFile(file.filepath);
+}
+
+function serveRecordingThumbnail(res, user, recordingId) {
+	const recording = getUserRecording(user, recordingId);
+	if (!recording || !recording.thumbnail_path || !fs.existsSync(recording.thumbnail_path)) {
+		return res.status(404).send("Thumbnail not found");
+	}
+
+	res.setHeader("Cache-Control", "private, max-age=3600");
+	res.sendFile(recording.thumbnail_path);
+}
+
+// HLS playlist of a recording - a VOD playlist with every part as one segment, so
+// nothing is copied: the parts are MPEG-TS and served as they are
+function serveRecordingPlaylist(res, user, recordingId, segmentUrl) {
+	const playable = getPlayableRecording(res, user, recordingId);
+	if (!playable) {
+		return;
+	}
+
+	const { files } = playable;
+	const lines = [
+		"#EXTM3U",
+		"#EXT-X-VERSION:3",
+		"#EXT-X-PLAYLIST-TYPE:VOD",
+		`#EXT-X-TARGETDURATION:${Math.max(...files.map(file => file.duration))}`,
+		"#EXT-X-MEDIA-SEQUENCE:0"
+	];
+	files.forEach((file, index) => {
+		// Every part was recorded by its own streamlink run - timestamps start over
+		if (index > 0) {
+			lines.push("#EXT-X-DISCONTINUITY");
+		}
+		lines.push(`#EXTINF:${file.duration}.0,`, segmentUrl(`part${index + 1}.ts`));
+	});
+	lines.push("#EXT-X-ENDLIST");
+
+	res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+	res.setHeader("Cache-Control", "no-cache, no-store");
+	res.send(lines.join("\n") + "\n");
+}
+
+app.get("/recording/:id/index.m3u8", requirePlaylistAccess, (req, res) => {
+	const query = new URLSearchParams(req.accessParams || {}).toString();
+	serveRecordingPlaylist(res, req.user, req.params.id, segment => query ? `${segment}?${query}` : segment);
+});
+
+// Thumbnail of a recording (post-processing step)
+app.get("/recording/:id/thumbnail.jpg", requirePlaylistAccess, (req, res) => {
+	serveRecordingThumbnail(res, req.user, req.params.id);
+});
+
+app.get("/recording/:id/:segment", requirePlaylistAccess, (req, res) => {
+	serveRecordingSegment(res, req.user, req.params.id, req.params.segment);
+});
+
+// The recording file - /recording/{id}.{ext}, the extension is optional
+app.get("/recording/:id", requirePlaylistAccess, (req, res) => {
+	serveRecordingFile(res, req.user, req.params.id.replace(/\.(ts|mp4|mkv)$/i, ""),
+		id => buildEntryUrl(req, `/recording/${id}/index.m3u8`));
+});
+
+// M3U playlist of finished recordings (VOD entries)
+app.get("/playlist-recordings.m3u", requirePlaylistAccess, (req, res) => {
+	try {
+		const limit = parseInt(req.query.limit) || 100;
+		const recordings = db.getRecordings(limit, getRecordingOwnerFilter(req.user)).filter(recording => recording.status === "completed");
+
+		let m3u = '#EXTM3U\n';
+		for (const recording of recordings) {
+			const sanitize = (str) => String(str || '')
+				.replace(/"/g, "'")
+				.replace(/\n/g, ' ')
+				.replace(/\r/g, '');
+
+			const date = new Date(recording.started_at).toLocaleDateString("de-DE");
+			const title = sanitize(`${recording.channel_name || recording.channel_login} - ${recording.stream_title || recording.game_name || "Recording"} (${date})`);
+			const durationSecs = recording.ended_at ? Math.round((recording.ended_at - recording.started_at) / 1000) : -1;
+			const logo = recording.thumbnail_path ? buildEntryUrl(req, `/recording/${recording.id}/thumbnail.jpg`) : '';
+
+			m3u += `#EXTINF:${durationSecs} tvg-logo="${logo}" group-title="📼 Recordings",${title}\n`;
+			m3u += `${buildEntryUrl(req, getRecordingPlaybackPath(recording))}\n`;
+		}
+
+		res.setHeader('Content-Type', 'audio/x-mpegurl');
+		res.setHeader('Content-Disposition', 'attachment; filename="recordings.m3u"');
+		res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+		res.send(m3u);
+
+		console.log(`[Playlist] Generated Recordings M3U with ${recordings.length} recordings`);
+	} catch (error) {
+		console.error("Error generating recordings playlist:", error);
+		res.status(500).send(`Error generating playlist: ${error.message}`);
+	}
+});
+
+// ============================================================================
+// XTREAM CODES API - Compatible with Xtream Codes player API
+// ============================================================================
+
+// Seed the first Xtream account from the environment (only if none exist yet)
+if (config.xtream.initialUsername && config.xtream.initialPassword && db.countXtreamUsers() === 0) {
+	db.addXtreamUser({
+		owner_user_id: db.getPrimaryUserId() || 0,
+		username: config.xtream.initialUsername,
+		password: config.xtream.initialPassword,
+		max_connections: 10
+	});
+	console.log(`✓ Created Xtream account: ${config.xtream.initialUsername}`);
+}
+
+// Active Xtream player connections: username -> Map(connection id -> { streamKey, lastSeen })
+// Relay players count until they disconnect, HLS players until they stop polling
+// (lastSeen is null for relay players)
+const xtreamConnections = new Map();
+const XTREAM_HLS_CONNECTION_TIMEOUT = 30000;
+let nextXtreamConnectionId = 1;
+
+function getXtreamConnections(username) {
+	if (!xtreamConnections.has(username)) {
+		xtreamConnections.set(username, new Map());
+	}
+	return xtreamConnections.get(username);
+}
+
+function getXtreamActiveConnections(username) {
+	const connections = xtreamConnections.get(username);
+	if (!connections) {
+		return 0;
+	}
+
+	const now = Date.now();
+	for (const [connectionId, connection] of connections) {
+		if (connection.lastSeen !== null && now - connection.lastSeen > XTREAM_HLS_CONNECTION_TIMEOUT) {
+			connections.delete(connectionId);
+		}
+	}
+
+	return connections.size;
+}
+
+// Register a relay player of an Xtream user - released when its response closes.
+// Returns false if the account is already at max_connections
+function acquireXtreamConnection(user, streamKey, res) {
+	if (getXtreamActiveConnections(user.username) >= user.max_connections) {
+		console.log(`[Xtream] Max connections (${user.max_connections}) reached for ${user.username}`);
+		return false;
+	}
+
+	const connections = getXtreamConnections(user.username);
+	const connectionId = nextXtreamConnectionId++;
+	connections.set(connectionId, { streamKey, lastSeen: null });
+	res.on("close", () => connections.delete(connectionId));
+	return true;
+}
+
+// Register a playlist request of an HLS player of an Xtream user - a player that keeps
+// polling holds one connection. Returns false if the account is already at max_connections
+function acquireXtreamHlsConnection(user, streamKey, viewerId) {
+	const connections = getXtreamConnections(user.username);
+	const connectionId = `hls|${viewerId}|${streamKey}`;
+
+	if (!connections.has(connectionId) && getXtreamActiveConnections(user.username) >= user.max_connections) {
+		console.log(`[Xtream] Max connections (${user.max_connections}) reached for ${user.username}`);
+		return false;
+	}
+
+	connections.set(connectionId, { streamKey, lastSeen: Date.now() });
+	return true;
+}
+
+// Segment requests keep an HLS player's connection open
+function touchXtreamHlsConnection(user, streamKey, viewerId) {
+	const connection = getXtreamConnections(user.username).get(`hls|${viewerId}|${streamKey}`);
+	if (connection) {
+		connection.lastSeen = Date.now();
+	}
+}
+
+// Validate Xtream credentials, returns { user } or { error }
+function authenticateXtream(username, password) {
+	if (!username || !password) {
+		return { error: "Missing credentials" };
+	}
+
+	const user = db.verifyXtreamCredentials(username, password);
+	if (!user) {
+		return { error: "Invalid credentials" };
+	}
+	if (!user.enabled) {
+		return { error: "Account disabled" };
+	}
+	if (user.exp_date && Date.now() / 1000 > user.exp_date) {
+		return { error: "Account expired" };
+	}
 
-// Update recording settings
-app.put("/api/recording-settings", (req, res) => {
-	try {
-		const { maxAgeDays } = req.body;
-		if (maxAgeDays !== undefined) {
-			db.setSetting("recording_max_age_days", maxAgeDays);
-		}
-		res.json({ success: true, maxAgeDays: db.getSetting("recording_max_age_days", 7) });
-	} catch (error) {
-		res.status(500).json({ error: error.message });
+	return { user };
+}
+
+// Middleware for Xtream stream routes (/live, /movie, /series, /{user}/{pass}/...)
+// Credentials come from the path - also used to build direct_source URLs
+function requireXtreamAuth(req, res, next) {
+	const { username, password } = req.params;
+	const result = authenticateXtream(username, password);
+
+	if (result.error) {
+		console.log(`[Xtream] Rejected ${req.method} ${req.path}: ${result.error}`);
+		return res.status(403).send(result.error);
 	}
-});
 
-// ============================================================================
-// XTREAM CODES API - Compatible with Xtream Codes player API
-// ============================================================================
+	req.xtreamUser = result.user;
+	req.xtreamCredentials = { username, password };
+	req.account = getLocalAccount(result.user.owner_user_id);
+	next();
+}
+
+// Follows, favorites and subscriptions served to a player - those of the local user
+// who logged in, or who owns the Xtream account
+function getLocalAccount(userId) {
+	return { userId, twitchAPI: twitchAccounts.get(userId) };
+}
 
-// Default credentials (can be anything, we don't enforce auth)
-const XTREAM_USER = "user";
-const XTREAM_PASS = "pass";
+// Build /{prefix}/{username}/{password} for Xtream stream URLs
+function xtreamPath(credentials, prefix = "") {
+	const userPart = `${encodeURIComponent(credentials.username)}/${encodeURIComponent(credentials.password)}`;
+	return prefix ? `/${prefix}/${userPart}` : `/${userPart}`;
+}
 
 // Helper to get server info for Xtream API responses
-function getXtreamServerInfo() {
+function getXtreamServerInfo(credentials) {
 	const streamHost = process.env.EXTERNAL_HOST ||
 	                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
 	const streamPort = config.server.port;
@@ -1564,27 +3083,28 @@ function getXtreamServerInfo() {
 		https_port: String(streamPort),
 		server_protocol: "http",
 		rtmp_port: "1935",
-		timezone: "Europe/Berlin",
+		// Server's own timezone - catch-up start times are given in it (see parseXtreamTime)
+		timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
 		timestamp_now: Math.floor(Date.now() / 1000),
-		time_now: new Date().toISOString().replace('T', ' ').substring(0, 19),
+		time_now: formatXtreamTime(new Date()),
 		// EPG URL for IPTV players
-		epg_url: `http://${streamHost}:${streamPort}/xmltv.php`
+		epg_url: `http://${streamHost}:${streamPort}/xmltv.php?username=${encodeURIComponent(credentials.username)}&password=${encodeURIComponent(credentials.password)}`
 	};
 }
 
 // Helper to get user info for Xtream API responses
-function getXtreamUserInfo() {
+function getXtreamUserInfo(user, password) {
 	return {
-		username: XTREAM_USER,
-		password: XTREAM_PASS,
+		username: user.username,
+		password: password,
 		message: "Welcome to Streamlink Remote",
 		auth: 1,
 		status: "Active",
-		exp_date: "9999999999",
+		exp_date: user.exp_date ? String(user.exp_date) : null,
 		is_trial: "0",
-		active_cons: "0",
-		created_at: "1704067200",
-		max_connections: "10",
+		active_cons: String(getXtreamActiveConnections(user.username)),
+		created_at: String(Math.floor(user.created_at / 1000)),
+		max_connections: String(user.max_connections),
 		allowed_output_formats: ["m3u8", "ts", "rtmp"]
 	};
 }
@@ -1593,31 +3113,33 @@ function getXtreamUserInfo() {
 const CATEGORY_LIVE_FAVORITES = "1";
 const CATEGORY_LIVE_720P = "2";
 const CATEGORY_LIVE_480P = "3";
+const CATEGORY_LIVE_AUDIO = "4";
 // Game categories use "game_{game_id}" format (e.g. "game_12345")
 const CATEGORY_VOD_FAVORITES = "10";
 const CATEGORY_VOD_ALL = "11";
+const CATEGORY_VOD_RECORDINGS = "12";
 // YouTube and Clips are now in series, not VOD
 const CATEGORY_SERIES_CLIPS_FAVORITES = "40";
 const CATEGORY_SERIES_CLIPS_ALL = "41";
 const CATEGORY_SERIES_YOUTUBE = "50";
 const CATEGORY_SERIES_YOUTUBE_SHORTS = "51";
 
-// Cache for VOD/YouTube manifest URLs (expires after 2 hours)
+// Cache for resolved VOD/YouTube items (expires after 2 hours)
 // YouTube URLs are valid for ~6 hours, so 2 hours is safe
 const vodUrlCache = new Map();
 const VOD_CACHE_TTL = 2 * 60 * 60 * 1000; // 2 hours
 
-function getCachedVodUrl(videoId) {
-	const cached = vodUrlCache.get(videoId);
+function getCachedVodItem(itemId) {
+	const cached = vodUrlCache.get(itemId);
 	if (cached && Date.now() - cached.timestamp < VOD_CACHE_TTL) {
-		console.log(`[Xtream] Cache hit for: ${videoId}`);
-		return cached.url;
+		console.log(`[Xtream] Cache hit for: ${itemId}`);
+		return cached.item;
 	}
 	return null;
 }
 
-function setCachedVodUrl(videoId, url) {
-	vodUrlCache.set(videoId, { url, timestamp: Date.now() });
+function setCachedVodItem(itemId, item) {
+	vodUrlCache.set(itemId, { item, timestamp: Date.now() });
 	// Clean up old entries
 	for (const [key, value] of vodUrlCache) {
 		if (Date.now() - value.timestamp > VOD_CACHE_TTL) {
@@ -1626,59 +3148,174 @@ function setCachedVodUrl(videoId, url) {
 	}
 }
 
+// Xtream accounts management
+app.get("/api/xtream/users", (req, res) => {
+	try {
+		const users = db.getXtreamUsers(req.user.id).map(user => ({
+			...user,
+			active_cons: getXtreamActiveConnections(user.username)
+		}));
+		res.json({ users });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// Xtream usernames are part of the stream URLs - returns an error message or null
+function validateXtreamUsername(username) {
+	if (!username) {
+		return "username is required";
+	}
+	if (/[\/\s]/.test(username)) {
+		return "username must not contain slashes or spaces";
+	}
+	return null;
+}
+
+app.post("/api/xtream/users", (req, res) => {
+	try {
+		const { username, password, max_connections, exp_date, enabled } = req.body;
+
+		if (!username || !password) {
+			return res.status(400).json({ error: "username and password are required" });
+		}
+		const usernameError = validateXtreamUsername(username);
+		if (usernameError) {
+			return res.status(400).json({ error: usernameError });
+		}
+
+		const userId = db.addXtreamUser({
+			owner_user_id: req.user.id,
+			username,
+			password,
+			max_connections: parseInt(max_connections) || 1,
+			exp_date: exp_date ? parseInt(exp_date) : null,
+			enabled: enabled !== false
+		});
+
+		console.log(`[Xtream] Added account: ${username}`);
+		res.status(201).json({ user: db.getXtreamUser(userId) });
+	} catch (error) {
+		if (error.code === "SQLITE_CONSTRAINT_UNIQUE") {
+			return res.status(409).json({ error: "Username already exists" });
+		}
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.put("/api/xtream/users/:id", (req, res) => {
+	try {
+		const { id } = req.params;
+		const existing = db.getXtreamUser(id);
+		if (!existing || existing.owner_user_id !== req.user.id) {
+			return res.status(404).json({ error: "User not found" });
+		}
+
+		const updates = { ...req.body };
+		if (updates.username !== undefined) {
+			const usernameError = validateXtreamUsername(updates.username);
+			if (usernameError) {
+				return res.status(400).json({ error: usernameError });
+			}
+		}
+		if (updates.max_connections !== undefined) {
+			updates.max_connections = parseInt(updates.max_connections) || 1;
+		}
+		if (updates.exp_date !== undefined) {
+			updates.exp_date = updates.exp_date ? parseInt(updates.exp_date) : null;
+		}
+
+		db.updateXtreamUser(id, updates);
+
+		// Open player connections move with a renamed account
+		if (updates.username && updates.username !== existing.username && xtreamConnections.has(existing.username)) {
+			xtreamConnections.set(updates.username, xtreamConnections.get(existing.username));
+			xtreamConnections.delete(existing.username);
+		}
+
+		res.json({ user: db.getXtreamUser(id) });
+	} catch (error) {
+		if (error.code === "SQLITE_CONSTRAINT_UNIQUE") {
+			return res.status(409).json({ error: "Username already exists" });
+		}
+		res.status(500).json({ error: error.message });
+	}
+});
+
+app.delete("/api/xtream/users/:id", (req, res) => {
+	try {
+		const { id } = req.params;
+		const existing = db.getXtreamUser(id);
+		if (!existing || existing.owner_user_id !== req.user.id) {
+			return res.status(404).json({ error: "User not found" });
+		}
+
+		db.deleteXtreamUser(id);
+		xtreamConnections.delete(existing.username);
+		console.log(`[Xtream] Removed account: ${existing.username}`);
+		res.json({ success: true });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+});
+
 // Main Xtream API endpoint: /player_api.php
 app.get("/player_api.php", async (req, res) => {
 	const { username, password, action } = req.query;
 
-	// Basic validation (we accept any credentials)
-	if (!username || !password) {
-		return res.status(401).json({ error: "Missing credentials" });
+	const auth = authenticateXtream(username, password);
+	if (auth.error) {
+		console.log(`[Xtream] Auth failed for ${username || '(none)'}: ${auth.error}`);
+		return res.status(401).json({ user_info: { auth: 0, message: auth.error } });
 	}
 
+	const credentials = { username, password };
+	const account = getLocalAccount(auth.user.owner_user_id);
+
 	console.log(`[Xtream] Action: ${action || 'auth'}, User: ${username}`);
 
 	try {
 		// No action = authentication request
 		if (!action) {
 			return res.json({
-				user_info: getXtreamUserInfo(),
-				server_info: getXtreamServerInfo()
+				user_info: getXtreamUserInfo(auth.user, password),
+				server_info: getXtreamServerInfo(credentials)
 			});
 		}
 
 		switch (action) {
 			case "get_live_categories":
-				return res.json(await getXtreamLiveCategories());
+				return res.json(await getXtreamLiveCategories(account));
 
 			case "get_live_streams":
 				const liveCatId = req.query.category_id || null;
-				return res.json(await getXtreamLiveStreams(liveCatId));
+				return res.json(await getXtreamLiveStreams(liveCatId, credentials, account));
 
 			case "get_vod_categories":
 				return res.json(await getXtreamVodCategories());
 
 			case "get_vod_streams":
 				const vodCatId = req.query.category_id || null;
-				return res.json(await getXtreamVodStreams(vodCatId));
+				return res.json(await getXtreamVodStreams(vodCatId, credentials, account));
 
 			case "get_vod_info":
 				const vodId = req.query.vod_id;
-				return res.json(await getXtreamVodInfo(vodId));
+				return res.json(await getXtreamVodInfo(vodId, credentials, account));
 
 			case "get_series_categories":
 				return res.json(await getXtreamSeriesCategories());
 
 			case "get_series":
 				const seriesCatId = req.query.category_id;
-				return res.json(await getXtreamSeries(seriesCatId));
+				return res.json(await getXtreamSeries(seriesCatId, account));
 
 			case "get_series_info":
 				const seriesId = req.query.series_id;
-				return res.json(await getXtreamSeriesInfo(seriesId));
+				return res.json(await getXtreamSeriesInfo(seriesId, credentials, account));
 
 			case "get_short_epg":
 				const streamId = req.query.stream_id;
-				return res.json(await getXtreamShortEpg(streamId));
+				return res.json(await getXtreamShortEpg(streamId, account));
 
 			case "get_simple_data_table":
 				return res.json([]);
@@ -1693,13 +3330,30 @@ app.get("/player_api.php", async (req, res) => {
 	}
 });
 
+// EPG access - Xtream players pass username/password, M3U players a playlist ?token=
+function requireEpgAccess(req, res, next) {
+	if (req.query.username === undefined && req.query.password === undefined) {
+		return requirePlaylistAccess(req, res, () => {
+			req.account = getLocalAccount(req.user.id);
+			next();
+		});
+	}
+
+	const auth = authenticateXtream(req.query.username, req.query.password);
+	if (auth.error) {
+		return res.status(401).send(auth.error);
+	}
+	req.account = getLocalAccount(auth.user.owner_user_id);
+	next();
+}
+
 // XMLTV EPG endpoint - Xtream Codes compatible
 // UHF and other IPTV players request this for EPG data
-app.get("/xmltv.php", async (req, res) => {
+app.get("/xmltv.php", requireEpgAccess, async (req, res) => {
 	console.log(`[Xtream] XMLTV EPG request`);
 
 	try {
-		const xml = await generateXmltvEpg();
+		const xml = await generateXmltvEpg(req.account);
 		res.setHeader('Content-Type', 'application/xml');
 		res.send(xml);
 	} catch (error) {
@@ -1710,141 +3364,81 @@ app.get("/xmltv.php", async (req, res) => {
 });
 
 // Alternative EPG URL formats that some players use
+// Keep the query string so credentials are passed along
 app.get("/epg", async (req, res) => {
-	res.redirect('/xmltv.php');
+	res.redirect('/xmltv.php' + req.url.substring(req.path.length));
 });
 
 app.get("/epg.xml", async (req, res) => {
-	res.redirect('/xmltv.php');
+	res.redirect('/xmltv.php' + req.url.substring(req.path.length));
 });
 
+// Resolve a playable item (vod_..., clip_..., yt_...) via its provider and serve it.
+// HLS manifests with relative segment URLs are proxied, everything else is redirected
+// unless proxyAllManifests is set (some IPTV clients don't follow redirects on that route).
+// Returns false if no provider owns the item.
+async function serveXtreamItem(res, itemId, proxyAllManifests = false) {
+	const provider = providers.forItem(itemId);
+	if (!provider) {
+		return false;
+	}
+
+	try {
+		let item = getCachedVodItem(itemId);
+		if (!item) {
+			item = await provider.resolvePlayableUrl(itemId);
+			setCachedVodItem(itemId, item);
+		}
+		if (item.proxyManifest || (proxyAllManifests && item.hls)) {
+			await proxyHlsManifest(res, item.url);
+		} else {
+			res.redirect(302, item.url);
+		}
+	} catch (error) {
+		res.status(503).send(`${provider.name} error: ${error.message}`);
+	}
+	return true;
+}
+
 // Xtream VOD URL format: /movie/{username}/{password}/{stream_id}.{ext}
 // This is the standard Xtream format that IPTV clients use
-app.get("/movie/:username/:password/:streamId", async (req, res) => {
+app.get("/movie/:username/:password/:streamId", requireXtreamAuth, async (req, res) => {
 	const { streamId } = req.params;
-	const videoId = streamId.replace(/\.(ts|m3u8|mp4|mkv)$/, "");
+	const videoId = streamId.replace(/\.(ts|m3u8|mp4|mkv|jpg)$/, "");
 	console.log(`[Xtream] Movie request: ${videoId}`);
 
-	// VOD request (Twitch)
-	if (videoId.startsWith("vod_")) {
-		const twitchId = videoId.replace("vod_", "");
-		try {
-			let manifestUrl = getCachedVodUrl(`vod_${twitchId}`);
-			if (!manifestUrl) {
-				const result = await ytdlp.getTwitchVodDirectUrl(twitchId);
-				if (result.success && result.directUrl) {
-					manifestUrl = result.directUrl;
-					setCachedVodUrl(`vod_${twitchId}`, manifestUrl);
-				}
-			}
-			if (manifestUrl) {
-				return proxyHlsManifest(res, manifestUrl);
-			}
-			return res.status(503).send("VOD unavailable");
-		} catch (error) {
-			return res.status(503).send(`VOD error: ${error.message}`);
+	// Recordings: the file, its HLS playlist (.m3u8) or thumbnail (.jpg)
+	if (videoId.startsWith("rec_")) {
+		const recordingId = videoId.substring("rec_".length);
+		const moviePath = xtreamPath(req.xtreamCredentials, "movie");
+		const owner = db.getUser(req.account.userId);
+		if (streamId.endsWith(".jpg")) {
+			return serveRecordingThumbnail(res, owner, recordingId);
 		}
-	}
-
-	// YouTube request
-	if (videoId.startsWith("yt_")) {
-		const ytId = videoId.replace("yt_", "");
-		try {
-			let manifestUrl = getCachedVodUrl(`yt_${ytId}`);
-			if (!manifestUrl) {
-				const result = await ytdlp.getDirectUrl(ytId);
-				if (result.success && result.directUrl) {
-					manifestUrl = result.directUrl;
-					setCachedVodUrl(`yt_${ytId}`, manifestUrl);
-				}
-			}
-			if (manifestUrl) {
-				// Direct redirect to YouTube - faster than proxying
-				return res.redirect(302, manifestUrl);
-			}
-			return res.status(503).send("YouTube unavailable");
-		} catch (error) {
-			return res.status(503).send(`YouTube error: ${error.message}`);
+		if (streamId.endsWith(".m3u8")) {
+			return serveRecordingPlaylist(res, owner, recordingId, segment => `${moviePath}/recordings/${recordingId}/${segment}`);
 		}
+		return serveRecordingFile(res, owner, recordingId, id => `${moviePath}/rec_${id}.m3u8`);
 	}
 
-	// Clip request (Twitch)
-	if (videoId.startsWith("clip_")) {
-		const clipId = videoId.replace("clip_", "");
-		console.log(`[Xtream] Clip request: ${clipId}`);
-		try {
-			let clipUrl = getCachedVodUrl(`clip_${clipId}`);
-			if (!clipUrl) {
-				const result = await ytdlp.getTwitchClipDirectUrl(clipId);
-				if (result.success && result.directUrl) {
-					clipUrl = result.directUrl;
-					setCachedVodUrl(`clip_${clipId}`, clipUrl);
-				}
-			}
-			if (clipUrl) {
-				// Clips are direct MP4 files - redirect to them
-				return res.redirect(302, clipUrl);
-			}
-			return res.status(503).send("Clip unavailable");
-		} catch (error) {
-			return res.status(503).send(`Clip error: ${error.message}`);
-		}
+	if (!await serveXtreamItem(res, videoId)) {
+		return res.status(404).send("Unknown VOD type");
 	}
+});
 
-	return res.status(404).send("Unknown VOD type");
+app.get("/movie/:username/:password/recordings/:id/:segment", requireXtreamAuth, (req, res) => {
+	serveRecordingSegment(res, db.getUser(req.account.userId), req.params.id, req.params.segment);
 });
 
 // Xtream Series episode URL format: /series/{username}/{password}/{stream_id}.{ext}
-app.get("/series/:username/:password/:streamId", async (req, res) => {
+app.get("/series/:username/:password/:streamId", requireXtreamAuth, async (req, res) => {
 	const { streamId } = req.params;
 	const videoId = streamId.replace(/\.(ts|m3u8|mp4|mkv)$/, "");
 	console.log(`[Xtream] Series episode request: ${videoId}`);
 
-	// YouTube request
-	if (videoId.startsWith("yt_")) {
-		const ytId = videoId.replace("yt_", "");
-		try {
-			let manifestUrl = getCachedVodUrl(`yt_${ytId}`);
-			if (!manifestUrl) {
-				const result = await ytdlp.getDirectUrl(ytId);
-				if (result.success && result.directUrl) {
-					manifestUrl = result.directUrl;
-					setCachedVodUrl(`yt_${ytId}`, manifestUrl);
-				}
-			}
-			if (manifestUrl) {
-				// Direct redirect to YouTube - faster than proxying
-				return res.redirect(302, manifestUrl);
-			}
-			return res.status(503).send("YouTube unavailable");
-		} catch (error) {
-			return res.status(503).send(`YouTube error: ${error.message}`);
-		}
-	}
-
-	// Clip request (same as movie endpoint)
-	if (videoId.startsWith("clip_")) {
-		const clipId = videoId.replace("clip_", "");
-		try {
-			let clipUrl = getCachedVodUrl(`clip_${clipId}`);
-			if (!clipUrl) {
-				const result = await ytdlp.getTwitchClipDirectUrl(clipId);
-				if (result.success && result.directUrl) {
-					clipUrl = result.directUrl;
-					setCachedVodUrl(`clip_${clipId}`, clipUrl);
-				}
-			}
-			if (clipUrl) {
-				// Clips are direct MP4 files - redirect to them
-				return res.redirect(302, clipUrl);
-			}
-			return res.status(503).send("Clip unavailable");
-		} catch (error) {
-			return res.status(503).send(`Clip error: ${error.message}`);
-		}
+	if (!await serveXtreamItem(res, videoId)) {
+		return res.status(404).send("Unknown series episode type");
 	}
-
-	return res.status(404).send("Unknown series episode type");
 });
 
 // Cache for user_id -> channel_login mapping (populated from live streams)
@@ -1853,18 +3447,27 @@ const userIdToChannelMap = new Map();
 // Quality offsets for stream ID encoding (must match getXtreamLiveStreams)
 const QUALITY_OFFSET_720P_ROUTE = 10000000000;
 const QUALITY_OFFSET_480P_ROUTE = 20000000000;
+const QUALITY_OFFSET_AUDIO_ROUTE = 30000000000;
+// Transcoding profile variants: (10 + profile id) * 10^10 + id
+const PROFILE_OFFSET_STEP = 10000000000;
+const PROFILE_OFFSET_BASE = 10;
 
-// Xtream Live stream URL format: /live/{username}/{password}/{stream_id}.{ext}
-// This is the standard Xtream format that IPTV clients use for live streams
+function profileStreamOffset(profile) {
+	return (PROFILE_OFFSET_BASE + profile.id) * PROFILE_OFFSET_STEP;
+}
+
+// Resolve an Xtream live stream id to the streamlink stream key, quality and transcoding profile
 // stream_id can be:
 //   - numeric user_id (e.g. "12345")
 //   - channel_name (e.g. "eliasn97")
 //   - channel_name@quality (e.g. "eliasn97@720p60")
-//   - numeric with offset (e.g. "1000000012345" for 720p)
-app.get("/live/:username/:password/:streamId", async (req, res) => {
-	const { streamId } = req.params;
+//   - numeric with offset (e.g. "1000000012345" for 720p, "30000012345" for audio only)
+//   - numeric with profile offset (e.g. "110000012345" for profile 1)
+async function resolveXtreamLiveStream(streamId, account) {
 	let channel = streamId.replace(/\.(ts|m3u8)$/, "");
 	let requestedQuality = null;
+	let profile = null;
+	let audioOnly = false;
 
 	// Check for quality suffix (e.g. "channelname@720p60")
 	if (channel.includes("@")) {
@@ -1877,8 +3480,18 @@ app.get("/live/:username/:password/:streamId", async (req, res) => {
 	if (/^\d+$/.test(channel)) {
 		const numericId = parseInt(channel, 10);
 
-		// Check for quality offset in the numeric ID
-		if (numericId >= QUALITY_OFFSET_480P_ROUTE) {
+		// Check for profile or quality offset in the numeric ID
+		if (numericId >= PROFILE_OFFSET_BASE * PROFILE_OFFSET_STEP) {
+			const profileId = Math.floor(numericId / PROFILE_OFFSET_STEP) - PROFILE_OFFSET_BASE;
+			profile = db.getTranscodeProfile(profileId);
+			if (!profile) {
+				throw new Error("Unknown transcoding profile");
+			}
+			channel = String(numericId % PROFILE_OFFSET_STEP);
+		} else if (numericId >= QUALITY_OFFSET_AUDIO_ROUTE) {
+			audioOnly = true;
+			channel = String(numericId - QUALITY_OFFSET_AUDIO_ROUTE);
+		} else if (numericId >= QUALITY_OFFSET_480P_ROUTE) {
 			requestedQuality = "480p";
 			channel = String(numericId - QUALITY_OFFSET_480P_ROUTE);
 		} else if (numericId >= QUALITY_OFFSET_720P_ROUTE) {
@@ -1898,11 +3511,11 @@ app.get("/live/:username/:password/:streamId", async (req, res) => {
 				channel = mappedChannel;
 			}
 		} else {
-			// Try to refresh the mapping from live streams
+			// Try to refresh the mapping from live channels
 			try {
-				const liveStreams = await twitchAPI.getLiveStreams();
-				for (const stream of liveStreams) {
-					userIdToChannelMap.set(stream.user_id, stream.user_login);
+				const liveChannels = await providers.listLiveChannels(account);
+				for (const entry of liveChannels) {
+					userIdToChannelMap.set(entry.id, entry.channel);
 				}
 				const refreshedChannel = userIdToChannelMap.get(channel);
 				if (refreshedChannel) {
@@ -1923,116 +3536,198 @@ app.get("/live/:username/:password/:streamId", async (req, res) => {
 		quality = settings.defaultQuality || "best";
 	}
 
-	console.log(`[Xtream] Live stream request (via /live): ${channel} @ ${quality}`);
+	if (audioOnly) {
+		return { channel, ...resolveAudioOnlyStream(channel, quality) };
+	}
 
-	try {
-		// Check if stream is already running with same quality
-		// For different qualities, we need to start a new stream
-		const streamKey = requestedQuality ? `${channel}@${requestedQuality}` : channel;
+	// Different qualities of a channel run as separate streams
+	const streamKey = requestedQuality ? `${channel}@${requestedQuality}` : channel;
+	return { channel, streamKey, quality, profile };
+}
+
+// Xtream Live stream URL format: /live/{username}/{password}/{stream_id}.{ext}
+// This is the standard Xtream format that IPTV clients use for live streams
+app.get("/live/:username/:password/:streamId", requireXtreamAuth, async (req, res) => {
+	const { streamId } = req.params;
+	// .m3u8 requests get the HLS output
+	const isHls = streamId.endsWith(".m3u8");
 
-		if (streamlink.isStreamActive(streamKey)) {
-			const streams = streamlink.getActiveStreams();
-			const stream = streams.find(s => s.channel.toLowerCase() === streamKey.toLowerCase());
-			if (stream) {
-				streamlink.trackClientConnect(streamKey);
-				// Redirect to the stream URL
-				return res.redirect(302, stream.url);
+	try {
+		const { channel, streamKey, quality, profile } = await resolveXtreamLiveStream(streamId, req.account);
+		console.log(`[Xtream] Live stream request (via /live): ${channel} @ ${quality}${profile ? ` (profile ${profile.name})` : ""}`);
+
+		// Transcoded variants are always relayed as MPEG-TS
+		if (isHls && !profile) {
+			const viewerId = `${req.ip}|${req.xtreamUser.username}`;
+			if (!acquireXtreamHlsConnection(req.xtreamUser, streamKey, viewerId)) {
+				return res.status(403).send("Maximum connections reached");
 			}
+			const segmentBase = `${xtreamPath(req.xtreamCredentials, "live")}/hls/${encodeURIComponent(streamKey)}`;
+			return await serveHlsPlaylist(req, res, streamKey, quality, viewerId,
+				segment => `${segmentBase}/${segment}`);
 		}
 
-		// Start the stream with requested quality
-		const result = await streamlink.startStream(streamKey, quality);
-		if (result.success) {
-			streamlink.trackClientConnect(streamKey);
-			// Redirect to the stream URL
-			return res.redirect(302, result.url);
+		// Single ingest: quality variants are transcoded from the channel's stream,
+		// so the connection is held on that stream
+		const rendition = !profile && streamKey !== channel ? resolveRendition(channel, quality) : null;
+		if (!acquireXtreamConnection(req.xtreamUser, rendition ? channel : streamKey, res)) {
+			return res.status(403).send("Maximum connections reached");
 		}
-		return res.status(503).send(`Stream unavailable: ${result.error}`);
+		if (rendition) {
+			return await serveLiveStream(req, res, channel, getDefaultLiveQuality(), rendition);
+		}
+
+		// Start the stream with requested quality (or join the running one)
+		await serveLiveStream(req, res, streamKey, quality, profile);
 	} catch (error) {
 		return res.status(503).send(`Stream error: ${error.message}`);
 	}
 });
 
-// Xtream live stream URL format: /{username}/{password}/{stream_id}
-app.get("/:username/:password/:streamId", async (req, res) => {
-	const { streamId } = req.params;
+// Xtream catch-up URL format: /timeshift/{username}/{password}/{duration}/{start}/{stream_id}.{ext}
+// duration in minutes, start as "YYYY-MM-DD:HH-MM" - served from the timeshift buffer
+// of the running stream (.ts: segments concatenated, .m3u8: VOD playlist)
+app.get("/timeshift/:username/:password/:duration/:start/:streamId", requireXtreamAuth, async (req, res) => {
+	const { duration, start, streamId } = req.params;
+
+	try {
+		const { streamKey } = await resolveXtreamLiveStream(streamId, req.account);
+		assertChannelAccess(streamKey, req.account);
+		const timeshift = streamlink.getTimeshift(streamKey);
+		const from = parseXtreamTime(start);
+		if (!timeshift || !from) {
+			return res.status(404).send("Not available in the timeshift buffer");
+		}
 
-	// Check if it's a VOD request (starts with "vod_")
-	if (streamId.startsWith("vod_")) {
-		const videoId = streamId.replace("vod_", "").replace(/\.(ts|m3u8|mp4)$/, "");
-		console.log(`[Xtream] VOD stream request: ${videoId}`);
+		const to = new Date(from.getTime() + (parseInt(duration) || 60) * 60000);
+		const segments = timeshift.getSegments().filter(segment =>
+			segment.start && segment.start < to && segment.start.getTime() + segment.duration * 1000 > from.getTime()
+		);
+		if (segments.length === 0) {
+			return res.status(404).send("Not available in the timeshift buffer");
+		}
 
-		try {
-			// Check cache first
-			let manifestUrl = getCachedVodUrl(`vod_${videoId}`);
-			if (!manifestUrl) {
-				const result = await ytdlp.getTwitchVodDirectUrl(videoId);
-				if (result.success && result.directUrl) {
-					manifestUrl = result.directUrl;
-					setCachedVodUrl(`vod_${videoId}`, manifestUrl);
-				}
-			}
-			if (manifestUrl) {
-				// Twitch VODs have relative segment URLs - must proxy and rewrite
-				return proxyHlsManifest(res, manifestUrl);
-			}
-			return res.status(503).send("VOD unavailable");
-		} catch (error) {
-			return res.status(503).send(`VOD error: ${error.message}`);
+		console.log(`[Xtream] Timeshift request: ${streamKey} from ${from.toISOString()} (${segments.length} segments)`);
+		// Catch-up players keep the stream (and its buffer) alive like HLS players
+		const viewerId = `${req.ip}|${req.xtreamUser.username}`;
+		streamlink.touchHlsViewer(streamKey, viewerId, getViewerPriority(req));
+
+		if (streamId.endsWith(".m3u8")) {
+			const segmentBase = `${xtreamPath(req.xtreamCredentials, "live")}/hls/${encodeURIComponent(streamKey)}/timeshift`;
+			res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+			return res.send(buildVodPlaylist(segments, segment => `${segmentBase}/${segment.name}`));
+		}
+
+		await sendSegmentFiles(res, segments.map(segment => timeshift.resolveFile(segment.name)).filter(Boolean),
+			() => streamlink.touchHlsViewer(streamKey, viewerId));
+	} catch (error) {
+		console.error(`[Xtream] Timeshift error: ${error.message}`);
+		if (!res.headersSent) {
+			res.status(503).send(`Stream error: ${error.message}`);
 		}
 	}
+});
 
-	// Check if it's a YouTube request (starts with "yt_")
-	if (streamId.startsWith("yt_")) {
-		const videoId = streamId.replace("yt_", "").replace(/\.(ts|m3u8|mp4)$/, "");
-		console.log(`[Xtream] YouTube stream request: ${videoId}`);
+// Xtream times are in the server's timezone like time_now in the server info -
+// "YYYY-MM-DD:HH-MM" (or "YYYY-MM-DD HH:MM")
+function parseXtreamTime(value) {
+	const match = value.match(/^(\d{4})-(\d{2})-(\d{2})[: ](\d{2})[-:](\d{2})$/);
+	if (!match) {
+		return null;
+	}
+	const [, year, month, day, hours, minutes] = match.map(Number);
+	return new Date(year, month - 1, day, hours, minutes);
+}
 
-		try {
-			// Check cache first
-			let manifestUrl = getCachedVodUrl(`yt_${videoId}`);
-			if (!manifestUrl) {
-				const result = await ytdlp.getDirectUrl(videoId);
-				if (result.success && result.directUrl) {
-					manifestUrl = result.directUrl;
-					setCachedVodUrl(`yt_${videoId}`, manifestUrl);
-				}
-			}
-			if (manifestUrl) {
-				// Proxy the manifest - IPTV clients don't follow redirects properly
-				return proxyHlsManifest(res, manifestUrl);
-			}
-			return res.status(503).send("YouTube unavailable");
-		} catch (error) {
-			return res.status(503).send(`YouTube error: ${error.message}`);
+// "YYYY-MM-DD HH:MM:SS" in the server's timezone
+function formatXtreamTime(date) {
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+		`${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// VOD playlist for a range of HLS segments
+function buildVodPlaylist(segments, segmentUrl) {
+	const targetDuration = Math.ceil(Math.max(...segments.map(segment => segment.duration)));
+	const lines = [
+		"#EXTM3U",
+		"#EXT-X-VERSION:3",
+		`#EXT-X-TARGETDURATION:${targetDuration}`,
+		"#EXT-X-PLAYLIST-TYPE:VOD",
+		"#EXT-X-MEDIA-SEQUENCE:0"
+	];
+	for (const segment of segments) {
+		lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+		lines.push(segmentUrl(segment));
+	}
+	lines.push("#EXT-X-ENDLIST");
+	return lines.join("\n") + "\n";
+}
+
+// Send segment files back to back as one MPEG-TS stream (onSegment is called before each file)
+async function sendSegmentFiles(res, files, onSegment = () => {}) {
+	res.writeHead(200, { "Content-Type": "video/mp2t" });
+
+	let current = null;
+	res.on("close", () => {
+		if (current) {
+			current.destroy();
+		}
+	});
+
+	for (const file of files) {
+		if (res.destroyed) {
+			break;
 		}
+		onSegment();
+		await new Promise((resolve) => {
+			current = fs.createReadStream(file);
+			// A segment may roll out of the buffer meanwhile - continue with the next one
+			current.on("error", resolve);
+			current.on("close", resolve);
+			current.pipe(res, { end: false });
+		});
+	}
+	res.end();
+}
+
+// HLS segments of Xtream live streams (segment URLs of the /live/...m3u8 playlist)
+app.get("/live/:username/:password/hls/:streamKey/:segment", requireXtreamAuth, (req, res) => {
+	const viewerId = `${req.ip}|${req.xtreamUser.username}`;
+	touchXtreamHlsConnection(req.xtreamUser, req.params.streamKey, viewerId);
+	serveHlsSegment(req, res, req.params.streamKey, req.params.segment, viewerId);
+});
+
+app.get("/live/:username/:password/hls/:streamKey/timeshift/:segment", requireXtreamAuth, (req, res) => {
+	serveHlsSegment(req, res, req.params.streamKey, req.params.segment, `${req.ip}|${req.xtreamUser.username}`, true);
+});
+
+// Xtream live stream URL format: /{username}/{password}/{stream_id}
+app.get("/:username/:password/:streamId", requireXtreamAuth, async (req, res) => {
+	const { streamId } = req.params;
+
+	// VOD / YouTube request - proxied, IPTV clients don't follow redirects properly here
+	const itemId = streamId.replace(/\.(ts|m3u8|mp4)$/, "");
+	if (providers.forItem(itemId)) {
+		console.log(`[Xtream] Item stream request: ${itemId}`);
+		return serveXtreamItem(res, itemId, true);
 	}
 
 	// Regular live stream - streamId is the channel name
 	const channel = streamId.replace(/\.(ts|m3u8)$/, "");
 	console.log(`[Xtream] Live stream request: ${channel}`);
 
-	try {
-		// Check if stream is already running
-		if (streamlink.isStreamActive(channel)) {
-			const streams = streamlink.getActiveStreams();
-			const stream = streams.find(s => s.channel.toLowerCase() === channel.toLowerCase());
-			if (stream) {
-				streamlink.trackClientConnect(channel);
-				return res.redirect(302, stream.url);
-			}
-		}
+	if (!acquireXtreamConnection(req.xtreamUser, channel, res)) {
+		return res.status(403).send("Maximum connections reached");
+	}
 
+	try {
 		// Get quality from database settings
 		const settings = db.getSettings();
 		const quality = settings.defaultQuality || "best";
 
-		// Start the stream with quality from settings
-		const result = await streamlink.startStream(channel, quality);
-		if (result.success) {
-			streamlink.trackClientConnect(channel);
-			return res.redirect(302, result.url);
-		}
-		return res.status(503).send(`Stream unavailable: ${result.error}`);
+		// Start the stream with quality from settings (or join the running one)
+		await serveLiveStream(req, res, channel, quality);
 	} catch (error) {
 		return res.status(503).send(`Stream error: ${error.message}`);
 	}
@@ -2089,37 +3784,44 @@ async function proxyHlsManifest(res, manifestUrl) {
 // Xtream API Helper Functions
 // ============================================================================
 
-async function getXtreamLiveCategories() {
+async function getXtreamLiveCategories(account) {
 	const categories = [
 		{ category_id: CATEGORY_LIVE_FAVORITES, category_name: "⭐ Favorites (Best)", parent_id: 0 },
 		{ category_id: CATEGORY_LIVE_720P, category_name: "📺 All Live [720p60]", parent_id: 0 },
-		{ category_id: CATEGORY_LIVE_480P, category_name: "📺 All Live [480p]", parent_id: 0 }
+		{ category_id: CATEGORY_LIVE_480P, category_name: "📺 All Live [480p]", parent_id: 0 },
+		{ category_id: CATEGORY_LIVE_AUDIO, category_name: "🎧 Audio", parent_id: 0 }
 	];
 
-	// Get live streams to extract unique game categories
-	if (twitchAPI.isAuthenticated()) {
-		const liveStreams = await twitchAPI.getLiveStreams();
-		const gameCategories = new Map();
+	// One category per transcoding profile
+	for (const profile of db.getTranscodeProfiles()) {
+		categories.push({
+			category_id: `profile_${profile.id}`,
+			category_name: `🔧 All Live [${profile.name}]`,
+			parent_id: 0
+		});
+	}
 
-		for (const stream of liveStreams) {
-			const gameId = stream.game_id || "0";
-			const gameName = stream.game_name || "Just Chatting";
+	// Get live channels of all providers to extract unique game categories
+	const liveChannels = await providers.listLiveChannels(account);
+	const gameCategories = new Map();
 
-			if (!gameCategories.has(gameId)) {
-				gameCategories.set(gameId, gameName);
-			}
-		}
+	for (const entry of liveChannels) {
+		const gameName = entry.category || "Just Chatting";
 
-		// Add game categories (use game_id + 100 as category_id to avoid conflicts)
-		for (const [gameId, gameName] of gameCategories) {
-			categories.push({
-				category_id: `game_${gameId}`,
-				category_name: `🎮 ${gameName}`,
-				parent_id: 0
-			});
+		if (!gameCategories.has(entry.categoryId)) {
+			gameCategories.set(entry.categoryId, gameName);
 		}
 	}
 
+	// Add game categories (use game_id + 100 as category_id to avoid conflicts)
+	for (const [gameId, gameName] of gameCategories) {
+		categories.push({
+			category_id: `game_${gameId}`,
+			category_name: `🎮 ${gameName}`,
+			parent_id: 0
+		});
+	}
+
 	return categories;
 }
 
@@ -2127,14 +3829,15 @@ async function getXtreamLiveCategories() {
 // - Normal streams: use Twitch user_id directly
 // - 720p streams: user_id + 10,000,000,000 (10 billion offset)
 // - 480p streams: user_id + 20,000,000,000 (20 billion offset)
+// - Audio-only streams: user_id + 30,000,000,000 (30 billion offset)
+// - Transcoded streams: user_id + (10 + profile id) * 10,000,000,000
 // Twitch user_ids are ~9 digits max, so this keeps IDs unique
 const QUALITY_OFFSET_720P = 10000000000;
 const QUALITY_OFFSET_480P = 20000000000;
+const QUALITY_OFFSET_AUDIO = 30000000000;
 
-async function getXtreamLiveStreams(categoryId = null) {
-	if (!twitchAPI.isAuthenticated()) {
-		return [];
-	}
+async function getXtreamLiveStreams(categoryId = null, credentials, account) {
+	const { userId } = account;
 
 	const streamHost = process.env.EXTERNAL_HOST ||
 	                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
@@ -2143,82 +3846,98 @@ async function getXtreamLiveStreams(categoryId = null) {
 	const streams = [];
 
 	// Get favorites
-	const favorites = db.getFavorites();
+	const favorites = db.getFavorites(userId);
 	const favoriteLogins = new Set(favorites.map(f => f.channel_login.toLowerCase()));
 
-	// Get live streams
-	const liveStreams = await twitchAPI.getLiveStreams();
+	// Get live channels of all providers
+	const liveChannels = await providers.listLiveChannels(account);
+	const profiles = db.getTranscodeProfiles();
 
-	// Helper function to add a stream entry
-	const addStreamEntry = (stream, qualitySuffix, quality, streamIdOffset, targetCategoryId) => {
-		const channelName = stream.user_login;
-		const twitchUserId = stream.user_id;
-		const twitchUserIdNum = parseInt(twitchUserId, 10);
-		const displayName = stream.user_name || channelName;
-		const gameName = stream.game_name || "Just Chatting";
-		const streamTitle = stream.title || "";
-		const viewerCount = stream.viewer_count || 0;
+	// Helper function to add a stream entry (transcoded by ffmpeg with a profile, or audio only)
+	const addStreamEntry = (entry, qualitySuffix, quality, streamIdOffset, targetCategoryId, profile = null) => {
+		const channelName = entry.channel;
+		const gameName = entry.category || "Just Chatting";
 
 		// Store mapping for resolution
-		userIdToChannelMap.set(twitchUserId, channelName);
+		userIdToChannelMap.set(entry.id, channelName);
 		if (streamIdOffset > 0) {
-			const qualityStreamId = String(twitchUserIdNum + streamIdOffset);
+			const qualityStreamId = String(parseInt(entry.id, 10) + streamIdOffset);
 			userIdToChannelMap.set(qualityStreamId, `${channelName}${qualitySuffix}`);
 		}
 
-		let logoUrl = stream.thumbnail_url || "";
-		if (logoUrl) {
-			logoUrl = logoUrl.replace('{width}', '440').replace('{height}', '248');
-		}
+		const streamId = streamIdOffset > 0 ? String(parseInt(entry.id, 10) + streamIdOffset) : entry.id;
+		// Catch-up is available while the stream runs with a timeshift buffer (not transcoded)
+		const hasArchive = !profile && !!streamlink.getTimeshift(`${channelName}${qualitySuffix}`);
 
-		const streamId = streamIdOffset > 0 ? String(twitchUserIdNum + streamIdOffset) : twitchUserId;
+		let name = `${entry.displayName} - ${gameName}`;
+		if (profile) {
+			name = `${entry.displayName} [${profile.name}]`;
+		} else if (qualitySuffix) {
+			name = `${entry.displayName} [${quality}]`;
+		}
 
 		streams.push({
 			num: streams.length + 1,
-			name: qualitySuffix ? `${displayName} [${quality}]` : `${displayName} - ${gameName}`,
+			name,
 			stream_type: "live",
 			stream_id: streamId,
-			stream_icon: logoUrl,
-			epg_channel_id: twitchUserId,
+			stream_icon: entry.thumbnail,
+			epg_channel_id: entry.id,
 			added: Math.floor(Date.now() / 1000),
 			category_id: targetCategoryId,
 			custom_sid: channelName,
-			tv_archive: 0,
-			direct_source: `http://${streamHost}:${streamPort}/live/${XTREAM_USER}/${XTREAM_PASS}/${streamId}.ts`,
-			tv_archive_duration: 0,
-			title: streamTitle,
-			viewers: viewerCount
+			tv_archive: hasArchive ? 1 : 0,
+			direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials, "live")}/${streamId}.ts`,
+			// Xtream counts archive duration in days
+			tv_archive_duration: hasArchive ? Math.ceil(config.streamlink.timeshiftMinutes / 1440) : 0,
+			title: entry.title,
+			viewers: entry.viewers || 0
 		});
 	};
 
-	for (const stream of liveStreams) {
-		const isFavorite = favoriteLogins.has(stream.user_login.toLowerCase());
-		const gameId = stream.game_id || "0";
-		const gameCategoryId = `game_${gameId}`;
+	for (const entry of liveChannels) {
+		const isFavorite = favoriteLogins.has(entry.channel.toLowerCase());
+		const gameCategoryId = `game_${entry.categoryId}`;
 		const defaultCategoryId = isFavorite ? CATEGORY_LIVE_FAVORITES : gameCategoryId;
+		// Custom channels have no quality variants
+		const hasQualities = providers.get(entry.provider).liveQualities;
 
 		// When no category filter, return all streams in their default categories PLUS quality variants
 		if (categoryId === null) {
 			// Add default quality stream (in favorites or game category)
-			addStreamEntry(stream, "", "best", 0, defaultCategoryId);
+			addStreamEntry(entry, "", "best", 0, defaultCategoryId);
+			// Add audio-only and transcoded variants (custom channels too)
+			addStreamEntry(entry, "", "audio", QUALITY_OFFSET_AUDIO, CATEGORY_LIVE_AUDIO, AUDIO_ONLY_PROFILE);
+			for (const profile of profiles) {
+				addStreamEntry(entry, "", "best", profileStreamOffset(profile), `profile_${profile.id}`, profile);
+			}
+			if (!hasQualities) continue;
 			// Add 720p variant
-			addStreamEntry(stream, "@720p60", "720p60", QUALITY_OFFSET_720P, CATEGORY_LIVE_720P);
+			addStreamEntry(entry, "@720p60", "720p60", QUALITY_OFFSET_720P, CATEGORY_LIVE_720P);
 			// Add 480p variant
-			addStreamEntry(stream, "@480p", "480p", QUALITY_OFFSET_480P, CATEGORY_LIVE_480P);
+			addStreamEntry(entry, "@480p", "480p", QUALITY_OFFSET_480P, CATEGORY_LIVE_480P);
 			continue;
 		}
 
 		// Filter by specific category
 		if (categoryId === CATEGORY_LIVE_FAVORITES) {
 			if (!isFavorite) continue;
-			addStreamEntry(stream, "", "best", 0, CATEGORY_LIVE_FAVORITES);
+			addStreamEntry(entry, "", "best", 0, CATEGORY_LIVE_FAVORITES);
 		} else if (categoryId === CATEGORY_LIVE_720P) {
-			addStreamEntry(stream, "@720p60", "720p60", QUALITY_OFFSET_720P, CATEGORY_LIVE_720P);
+			if (!hasQualities) continue;
+			addStreamEntry(entry, "@720p60", "720p60", QUALITY_OFFSET_720P, CATEGORY_LIVE_720P);
 		} else if (categoryId === CATEGORY_LIVE_480P) {
-			addStreamEntry(stream, "@480p", "480p", QUALITY_OFFSET_480P, CATEGORY_LIVE_480P);
+			if (!hasQualities) continue;
+			addStreamEntry(entry, "@480p", "480p", QUALITY_OFFSET_480P, CATEGORY_LIVE_480P);
+		} else if (categoryId === CATEGORY_LIVE_AUDIO) {
+			addStreamEntry(entry, "", "audio", QUALITY_OFFSET_AUDIO, CATEGORY_LIVE_AUDIO, AUDIO_ONLY_PROFILE);
 		} else if (categoryId.startsWith("game_")) {
 			if (categoryId !== gameCategoryId) continue;
-			addStreamEntry(stream, "", "best", 0, gameCategoryId);
+			addStreamEntry(entry, "", "best", 0, gameCategoryId);
+		} else if (categoryId.startsWith("profile_")) {
+			const profile = profiles.find(p => `profile_${p.id}` === categoryId);
+			if (!profile) continue;
+			addStreamEntry(entry, "", "best", profileStreamOffset(profile), categoryId, profile);
 		}
 	}
 
@@ -2229,16 +3948,14 @@ async function getXtreamVodCategories() {
 	// YouTube is now in Series, only Twitch VODs remain here
 	const categories = [
 		{ category_id: CATEGORY_VOD_FAVORITES, category_name: "⭐ Favorites VODs", parent_id: 0 },
-		{ category_id: CATEGORY_VOD_ALL, category_name: "📼 All VODs", parent_id: 0 }
+		{ category_id: CATEGORY_VOD_ALL, category_name: "📼 All VODs", parent_id: 0 },
+		{ category_id: CATEGORY_VOD_RECORDINGS, category_name: "📼 Recordings", parent_id: 0 }
 	];
 	return categories;
 }
 
-async function getXtreamVodStreams(categoryId = null) {
-	// YouTube is now in Series - only Twitch VODs here
-	if (!twitchAPI.isAuthenticated()) {
-		return [];
-	}
+async function getXtreamVodStreams(categoryId = null, credentials, account) {
+	const { userId } = account;
 
 	const streamHost = process.env.EXTERNAL_HOST ||
 	                   (config.server.host === "0.0.0.0" ? streamlink.getLocalIpAddress() : config.server.host);
@@ -2246,67 +3963,77 @@ async function getXtreamVodStreams(categoryId = null) {
 
 	const vods = [];
 
-	// Twitch VODs
+	// VODs of providers browsed as movies (YouTube is in Series)
 	if (!categoryId || categoryId === CATEGORY_VOD_FAVORITES || categoryId === CATEGORY_VOD_ALL) {
-		const favorites = db.getFavorites();
+		const favorites = db.getFavorites(userId);
 		const favoriteLogins = new Set(favorites.map(f => f.channel_login.toLowerCase()));
-		const followedChannels = await twitchAPI.getFollowedChannels();
+		const options = categoryId === CATEGORY_VOD_FAVORITES ? { limit: 5, channels: favoriteLogins } : { limit: 5 };
+		const providerVods = await providers.listVods(account, options, "movies");
 
-		for (const channel of followedChannels) {
-			const isFavorite = favoriteLogins.has(channel.broadcaster_login.toLowerCase());
+		for (const video of providerVods) {
+			const isFavorite = favoriteLogins.has(video.channel.toLowerCase());
 
 			// Filter by category - only filter if a specific category is requested
-			if (categoryId === CATEGORY_VOD_FAVORITES && !isFavorite) continue;
 			if (categoryId === CATEGORY_VOD_ALL && isFavorite) continue;
 			// When categoryId is null, include all VODs (both favorites and non-favorites)
 
-			try {
-				const videos = await twitchAPI.getVideos(channel.broadcaster_id, 5, "archive");
-				for (const video of videos) {
-					// Parse duration
-					let durationSecs = 0;
-					if (video.duration) {
-						const match = video.duration.match(/(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/);
-						if (match) {
-							durationSecs = (parseInt(match[1]) || 0) * 3600 +
-							               (parseInt(match[2]) || 0) * 60 +
-							               (parseInt(match[3]) || 0);
-						}
-					}
+			const durationSecs = video.duration || 0;
 
-					const thumbnail = video.thumbnail_url
-						? video.thumbnail_url.replace('%{width}', '320').replace('%{height}', '180')
-						: '';
-
-					vods.push({
-						num: vods.length + 1,
-						name: `${channel.broadcaster_name} - ${video.title}`,
-						stream_type: "movie",
-						stream_id: `vod_${video.id}`,
-						stream_icon: thumbnail,
-						rating: "",
-						rating_5based: 0,
-						added: Math.floor(new Date(video.created_at).getTime() / 1000),
-						category_id: isFavorite ? CATEGORY_VOD_FAVORITES : CATEGORY_VOD_ALL,
-						container_extension: "m3u8",
-						custom_sid: "",
-						direct_source: `http://${streamHost}:${streamPort}/${XTREAM_USER}/${XTREAM_PASS}/vod_${video.id}`,
-						// Extra VOD info
-						duration: durationSecs,
-						duration_secs: durationSecs,
-						bitrate: 0
-					});
-				}
-			} catch (e) {
-				// Skip channels with no VODs
-			}
+			vods.push({
+				num: vods.length + 1,
+				name: `${video.channelName} - ${video.title}`,
+				stream_type: "movie",
+				stream_id: video.id,
+				stream_icon: video.thumbnail,
+				rating: "",
+				rating_5based: 0,
+				added: Math.floor(video.createdAt.getTime() / 1000),
+				category_id: isFavorite ? CATEGORY_VOD_FAVORITES : CATEGORY_VOD_ALL,
+				container_extension: "m3u8",
+				custom_sid: "",
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials)}/${video.id}`,
+				// Extra VOD info
+				duration: durationSecs,
+				duration_secs: durationSecs,
+				bitrate: 0
+			});
+		}
+	}
+
+	// Finished recordings - stream id "rec_{id}", served from the recordings directory
+	if (!categoryId || categoryId === CATEGORY_VOD_RECORDINGS) {
+		const owner = db.getUser(account.userId);
+		const recordings = owner ? db.getRecordings(100, getRecordingOwnerFilter(owner)).filter(recording => recording.status === "completed") : [];
+
+		for (const recording of recordings) {
+			const extension = getRecordingPlaybackPath(recording).split(".").pop();
+			const durationSecs = recording.ended_at ? Math.round((recording.ended_at - recording.started_at) / 1000) : 0;
+			const date = new Date(recording.started_at).toLocaleDateString("de-DE");
+
+			vods.push({
+				num: vods.length + 1,
+				name: `${recording.channel_name || recording.channel_login} - ${recording.stream_title || recording.game_name || "Recording"} (${date})`,
+				stream_type: "movie",
+				stream_id: `rec_${recording.id}`,
+				stream_icon: recording.thumbnail_path ? `http://${streamHost}:${streamPort}${xtreamPath(credentials, "movie")}/rec_${recording.id}.jpg` : "",
+				rating: "",
+				rating_5based: 0,
+				added: Math.floor(recording.started_at / 1000),
+				category_id: CATEGORY_VOD_RECORDINGS,
+				container_extension: extension,
+				custom_sid: "",
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials, "movie")}/rec_${recording.id}.${extension}`,
+				duration: durationSecs,
+				duration_secs: durationSecs,
+				bitrate: 0
+			});
 		}
 	}
 
 	return vods;
 }
 
-async function getXtreamVodInfo(vodId) {
+async function getXtreamVodInfo(vodId, credentials, account) {
 	if (!vodId) return {};
 
 	const streamHost = process.env.EXTERNAL_HOST ||
@@ -2326,7 +4053,34 @@ async function getXtreamVodInfo(vodId) {
 			movie_data: {
 				stream_id: vodId,
 				container_extension: "m3u8",
-				direct_source: `http://${streamHost}:${streamPort}/${XTREAM_USER}/${XTREAM_PASS}/${vodId}`
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials)}/${vodId}`
+			}
+		};
+	}
+
+	// Recording
+	if (vodId.startsWith("rec_")) {
+		const recording = getUserRecording(db.getUser(account.userId), vodId.substring("rec_".length));
+		if (!recording) {
+			return {};
+		}
+
+		const extension = getRecordingPlaybackPath(recording).split(".").pop();
+		const durationSecs = recording.ended_at ? Math.round((recording.ended_at - recording.started_at) / 1000) : 0;
+		return {
+			info: {
+				name: `${recording.channel_name || recording.channel_login} - ${recording.stream_title || "Recording"}`,
+				description: recording.game_name || "",
+				genre: recording.game_name || "",
+				releasedate: new Date(recording.started_at).toISOString().substring(0, 10),
+				duration_secs: durationSecs,
+				category_id: CATEGORY_VOD_RECORDINGS,
+				stream_type: "movie"
+			},
+			movie_data: {
+				stream_id: vodId,
+				container_extension: extension,
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials, "movie")}/${vodId}.${extension}`
 			}
 		};
 	}
@@ -2344,7 +4098,7 @@ async function getXtreamVodInfo(vodId) {
 			movie_data: {
 				stream_id: vodId,
 				container_extension: "m3u8",
-				direct_source: `http://${streamHost}:${streamPort}/${XTREAM_USER}/${XTREAM_PASS}/${vodId}`
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials)}/${vodId}`
 			}
 		};
 	}
@@ -2354,50 +4108,41 @@ async function getXtreamVodInfo(vodId) {
 
 // Series functions removed - returning empty in switch/case to speed up sync
 
-async function getXtreamShortEpg(streamId) {
-	if (!streamId || !twitchAPI.isAuthenticated()) {
+async function getXtreamShortEpg(streamId, account) {
+	if (!streamId) {
 		return { epg_listings: [] };
 	}
 
 	try {
-		let stream = null;
-		let channelLogin = streamId;
+		let entry = null;
+		let channel = streamId;
 
-		// Check if streamId is numeric (Twitch User ID) or with quality offset
+		// Check if streamId is numeric (provider channel ID) or with quality offset
 		const numericId = parseInt(streamId, 10);
 		if (!isNaN(numericId) && String(numericId) === streamId) {
-			// Strip quality offset if present
-			let userId = numericId;
-			if (userId >= QUALITY_OFFSET_480P_ROUTE) {
-				userId = userId - QUALITY_OFFSET_480P_ROUTE;
-			} else if (userId >= QUALITY_OFFSET_720P_ROUTE) {
-				userId = userId - QUALITY_OFFSET_720P_ROUTE;
-			}
+			// Strip quality, audio or profile offset if present (all multiples of 10 billion)
+			const channelId = numericId % QUALITY_OFFSET_720P_ROUTE;
 
 			// Look up channel name from our cache first
-			channelLogin = userIdToChannelMap.get(String(userId));
-
-			if (!channelLogin) {
-				// Fetch stream directly by user_id
-				const streams = await twitchAPI.getStreamsByUserIds([String(userId)]);
-				if (streams && streams.length > 0) {
-					stream = streams[0];
-					channelLogin = stream.user_login;
-				}
+			channel = userIdToChannelMap.get(String(channelId));
+
+			if (!channel) {
+				// Find the channel among the currently live ones
+				const liveChannels = await providers.listLiveChannels(account);
+				entry = liveChannels.find(e => e.id === String(channelId)) || null;
 			}
 		}
 
 		// If we don't have stream data yet, fetch it
-		if (!stream && channelLogin) {
-			const channelInfo = await twitchAPI.getChannel(channelLogin);
-			if (channelInfo && channelInfo.stream) {
-				stream = channelInfo.stream;
-			}
+		if (!entry && channel) {
+			const live = await providers.getLiveChannels([channel], account);
+			entry = live.get(channel.toLowerCase()) || null;
 		}
 
-		if (stream) {
+		if (entry) {
+			const epg = providers.get(entry.provider).getEpgMetadata(entry);
 			const now = Math.floor(Date.now() / 1000);
-			const startTime = new Date(stream.started_at).getTime() / 1000;
+			const startTime = epg.start.getTime() / 1000;
 			// Assume stream runs for 8 hours from start
 			const endTime = startTime + (8 * 60 * 60);
 
@@ -2405,16 +4150,16 @@ async function getXtreamShortEpg(streamId) {
 				epg_listings: [{
 					id: `epg_${streamId}_${now}`,
 					epg_id: streamId,
-					title: stream.title || "Live Stream",
+					title: epg.title,
 					lang: "de",
 					start: new Date(startTime * 1000).toISOString().replace('T', ' ').substring(0, 19),
 					end: new Date(endTime * 1000).toISOString().replace('T', ' ').substring(0, 19),
-					description: `🎮 ${stream.game_name || "Just Chatting"}\n👥 ${stream.viewer_count || 0} viewers`,
+					description: epg.details.join("\n"),
 					channel_id: streamId,
 					start_timestamp: startTime,
 					stop_timestamp: endTime,
 					now_playing: 1,
-					has_archive: 0
+					has_archive: streamlink.getTimeshift(entry.channel) ? 1 : 0
 				}]
 			};
 		}
@@ -2440,12 +4185,14 @@ async function getXtreamSeriesCategories() {
 	return categories;
 }
 
-async function getXtreamSeries(categoryId = null) {
+async function getXtreamSeries(categoryId = null, account) {
+	const { userId, twitchAPI } = account;
+
 	const series = [];
 
 	// YouTube channels as series
 	if (!categoryId || categoryId === CATEGORY_SERIES_YOUTUBE || categoryId === CATEGORY_SERIES_YOUTUBE_SHORTS) {
-		const youtubeChannels = db.getYoutubeChannels();
+		const youtubeChannels = db.getYoutubeChannels(userId);
 
 		// Fetch first video for each channel to get a thumbnail (in parallel)
 		const channelCovers = await Promise.all(
@@ -2494,7 +4241,7 @@ async function getXtreamSeries(categoryId = null) {
 			return series;
 		}
 
-		const favorites = db.getFavorites();
+		const favorites = db.getFavorites(userId);
 		const favoriteLogins = new Set(favorites.map(f => f.channel_login.toLowerCase()));
 		const followedChannels = await twitchAPI.getFollowedChannels();
 
@@ -2553,7 +4300,9 @@ async function getXtreamSeries(categoryId = null) {
 	return series;
 }
 
-async function getXtreamSeriesInfo(seriesId) {
+async function getXtreamSeriesInfo(seriesId, credentials, account) {
+	const { userId, twitchAPI } = account;
+
 	if (!seriesId) {
 		return {};
 	}
@@ -2565,7 +4314,7 @@ async function getXtreamSeriesInfo(seriesId) {
 	// YouTube series (starts with yt_)
 	if (seriesId.startsWith("yt_")) {
 		const channelId = seriesId.replace("yt_", "");
-		const youtubeChannels = db.getYoutubeChannels();
+		const youtubeChannels = db.getYoutubeChannels(userId);
 		const channel = youtubeChannels.find(ch => ch.channel_id === channelId);
 
 		if (!channel) {
@@ -2600,7 +4349,7 @@ async function getXtreamSeriesInfo(seriesId) {
 				custom_sid: `yt_${video.videoId}`,
 				added: Math.floor(video.published.getTime() / 1000),
 				season: 1,
-				direct_source: `http://${streamHost}:${streamPort}/series/${XTREAM_USER}/${XTREAM_PASS}/yt_${video.videoId}.m3u8`
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials, "series")}/yt_${video.videoId}.m3u8`
 			}));
 		}
 
@@ -2623,7 +4372,7 @@ async function getXtreamSeriesInfo(seriesId) {
 				custom_sid: `yt_${video.videoId}`,
 				added: Math.floor(video.published.getTime() / 1000),
 				season: 2,
-				direct_source: `http://${streamHost}:${streamPort}/series/${XTREAM_USER}/${XTREAM_PASS}/yt_${video.videoId}.m3u8`
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials, "series")}/yt_${video.videoId}.m3u8`
 			}));
 		}
 
@@ -2689,7 +4438,7 @@ async function getXtreamSeriesInfo(seriesId) {
 		return {};
 	}
 
-	const favorites = db.getFavorites();
+	const favorites = db.getFavorites(userId);
 	const favoriteLogins = new Set(favorites.map(f => f.channel_login.toLowerCase()));
 	const isFavorite = favoriteLogins.has(channel.broadcaster_login.toLowerCase());
 
@@ -2752,7 +4501,7 @@ async function getXtreamSeriesInfo(seriesId) {
 				custom_sid: `clip_${clip.id}`,
 				added: Math.floor(new Date(clip.created_at).getTime() / 1000),
 				season: seasonNum,
-				direct_source: `http://${streamHost}:${streamPort}/series/${XTREAM_USER}/${XTREAM_PASS}/clip_${clip.id}.mp4`
+				direct_source: `http://${streamHost}:${streamPort}${xtreamPath(credentials, "series")}/clip_${clip.id}.mp4`
 			});
 		}
 	}
@@ -2793,44 +4542,31 @@ async function getXtreamSeriesInfo(seriesId) {
  * Generate XMLTV format EPG for all live streams
  * This is the standard format that IPTV players like UHF expect
  */
-async function generateXmltvEpg() {
+async function generateXmltvEpg(account) {
 	const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
 	lines.push('<tv generator-info-name="Streamlink Remote" generator-info-url="http://localhost">');
 
-	if (!twitchAPI.isAuthenticated()) {
-		lines.push('</tv>');
-		return lines.join('\n');
-	}
-
 	try {
-		const liveStreams = await twitchAPI.getLiveStreams();
+		const liveChannels = await providers.listLiveChannels(account);
 
-		// Generate channel definitions - use numeric user_id to match epg_channel_id in streams
-		for (const stream of liveStreams) {
-			const channelId = stream.user_id; // Numeric Twitch user ID
-			const displayName = escapeXml(stream.user_name || stream.user_login);
-			let iconUrl = stream.thumbnail_url || "";
-			if (iconUrl) {
-				iconUrl = iconUrl.replace('{width}', '70').replace('{height}', '70');
-			}
+		// Generate channel definitions - use numeric channel id to match epg_channel_id in streams
+		for (const entry of liveChannels) {
+			const displayName = escapeXml(entry.displayName);
 
-			lines.push(`  <channel id="${channelId}">`);
+			lines.push(`  <channel id="${entry.id}">`);
 			lines.push(`    <display-name>${displayName}</display-name>`);
-			if (iconUrl) {
-				lines.push(`    <icon src="${escapeXml(iconUrl)}" />`);
+			if (entry.icon) {
+				lines.push(`    <icon src="${escapeXml(entry.icon)}" />`);
 			}
 			lines.push(`  </channel>`);
 		}
 
 		// Generate programme entries
-		for (const stream of liveStreams) {
-			const channelId = stream.user_id; // Numeric Twitch user ID
-			const title = escapeXml(stream.title || "Live Stream");
-			const gameName = escapeXml(stream.game_name || "Just Chatting");
-			const viewerCount = stream.viewer_count || 0;
+		for (const entry of liveChannels) {
+			const epg = providers.get(entry.provider).getEpgMetadata(entry);
 
 			// Parse start time
-			const startTime = new Date(stream.started_at);
+			const startTime = epg.start;
 			// End time: at least 8 hours from now (so EPG never expires for live streams)
 			const now = new Date();
 			const minEndTime = new Date(now.getTime() + 8 * 60 * 60 * 1000);
@@ -2840,10 +4576,10 @@ async function generateXmltvEpg() {
 			const startStr = formatXmltvDate(startTime);
 			const endStr = formatXmltvDate(endTime);
 
-			lines.push(`  <programme start="${startStr}" stop="${endStr}" channel="${channelId}">`);
-			lines.push(`    <title lang="de">${title}</title>`);
-			lines.push(`    <desc lang="de">🎮 ${gameName} | 👥 ${viewerCount} viewers</desc>`);
-			lines.push(`    <category lang="de">${gameName}</category>`);
+			lines.push(`  <programme start="${startStr}" stop="${endStr}" channel="${entry.id}">`);
+			lines.push(`    <title lang="de">${escapeXml(epg.title)}</title>`);
+			lines.push(`    <desc lang="de">${escapeXml(epg.details.join(" | "))}</desc>`);
+			lines.push(`    <category lang="de">${escapeXml(epg.category)}</category>`);
 			lines.push(`  </programme>`);
 		}
 
@@ -2896,7 +4632,7 @@ const HOST = config.server.host;
 
 server.listen(PORT, HOST, () => {
 	console.log(`🚀 Streamlink Remote server running on http://${HOST}:${PORT}`);
-	console.log(`📺 Stream ports: ${config.server.streamPortStart}-${config.server.streamPortEnd}`);
+	console.log(`📺 Streams: relayed via /stream/{channel} (max ${config.streamlink.maxStreams} concurrent)`);
 	console.log(`🔌 WebSocket server ready`);
 
 	// Initialize database
@@ -2904,21 +4640,28 @@ server.listen(PORT, HOST, () => {
 
 	// Initialize recording manager
 	recordingManager.init();
+	postProcessor.resume();
+
+	// Poll live status of followed Kick channels
+	kickAPI.startPolling();
 
-	// Check if authenticated
-	if (twitchAPI.isAuthenticated()) {
-		console.log(`✓ Authenticated as: ${twitchAPI.getUser()?.login || "unknown"}`);
+	// Check for linked Twitch accounts
+	const linkedAccounts = twitchAccounts.getAuthenticatedCount();
+	if (linkedAccounts > 0) {
+		console.log(`✓ Linked Twitch accounts: ${linkedAccounts}`);
 	} else {
-		console.log(`⚠ Not authenticated. Please log in via the web interface.`);
+		console.log(`⚠ No Twitch account linked. Please log in via the web interface.`);
 	}
 });
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
 	console.log("SIGTERM received, shutting down gracefully...");
+	sessions.shutdown();
+	twitchAccounts.shutdown();
+	kickAPI.stopPolling();
 	await recordingManager.shutdown();
 	streamlink.stopAll();
-	ytdlp.stopAll();
 	server.close(() => {
 		console.log("Server closed");
 		process.exit(0);
@@ -2928,7 +4671,6 @@ process.on("SIGTERM", async () => {
 process.on("SIGINT", () => {
 	console.log("\nSIGINT received, shutting down gracefully...");
 	streamlink.stopAll();
-	ytdlp.stopAll();
 	server.close(() => {
 		console.log("Server closed");
 		process.exit(0);
@@ -0,0 +1,119 @@
+/**
+ * Kick.com channel lookups and live status polling for followed Kick channels.
+ * Kick has no follow API for third parties - channels are followed locally (kick_channels).
+ */
+class KickAPI {
+	constructor(db) {
+		this.db = db;
+		this.apiBaseUrl = "https://kick.com/api/v2";
+		this.pollIntervalMs = 60000; // Check every minute
+		this.pollInterval = null;
+	}
+
+	/**
+	 * Extract the channel slug from a kick.com URL or plain channel name
+	 */
+	parseSlug(input) {
+		let slug = String(input).trim();
+		try {
+			const url = new URL(slug);
+			slug = url.pathname.split("/").filter(Boolean)[0] || "";
+		} catch {
+			// Not a URL - plain channel name
+		}
+
+		slug = slug.replace(/^@/, "").toLowerCase();
+		if (!/^[a-z0-9_-]+$/.test(slug)) {
+			throw new Error("Invalid Kick channel");
+		}
+		return slug;
+	}
+
+	async makeRequest(endpoint) {
+		const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
+			headers: {
+				"Accept": "application/json",
+				"User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36"
+			}
+		});
+
+		if (response.status === 404) {
+			throw new Error("Kick channel not found");
+		}
+		if (!response.ok) {
+			throw new Error(`Kick API error: ${response.status}`);
+		}
+
+		return response.json();
+	}
+
+	/**
+	 * Get channel info and live status - returns a kick_live_status row
+	 */
+	async getChannel(slug) {
+		const channel = await this.makeRequest(`/channels/${encodeURIComponent(slug)}`);
+		const livestream = channel.livestream && channel.livestream.is_live !== false ? channel.livestream : null;
+		const category = livestream && livestream.categories && livestream.categories[0];
+
+		return {
+			slug: channel.slug || slug,
+			channel_id: channel.id,
+			display_name: (channel.user && channel.user.username) || channel.slug || slug,
+			profile_image_url: channel.user ? channel.user.profile_pic : null,
+			is_live: !!livestream,
+			title: livestream ? livestream.session_title : null,
+			category_id: category ? String(category.id) : null,
+			category_name: category ? category.name : null,
+			viewer_count: livestream ? livestream.viewer_count : 0,
+			thumbnail_url: livestream && livestream.thumbnail ? livestream.thumbnail.url : null,
+			// Kick timestamps are UTC without zone ("2024-01-01 12:00:00")
+			started_at: livestream && livestream.created_at
+				? new Date(`${livestream.created_at.replace(" ", "T")}Z`).toISOString()
+				: null
+		};
+	}
+
+	/**
+	 * Fetch and store the live status of one channel
+	 */
+	async refreshChannel(slug) {
+		const previous = this.db.getKickLiveStatus(slug);
+		const status = await this.getChannel(slug);
+		this.db.saveKickLiveStatus(slug, status);
+
+		if (status.is_live && !(previous && previous.is_live)) {
+			console.log(`[Kick] ${slug} is live: ${status.title || ""}`);
+		}
+		return status;
+	}
+
+	/**
+	 * Poll the live status of all followed Kick channels
+	 */
+	async pollLiveStatus() {
+		for (const slug of this.db.getKickChannelSlugs()) {
+			try {
+				await this.refreshChannel(slug);
+			} catch (error) {
+				console.error(`[Kick] Status check failed for ${slug}:`, error.message);
+			}
+		}
+	}
+
+	startPolling() {
+		this.pollLiveStatus();
+
+		this.pollInterval = setInterval(() => {
+			this.pollLiveStatus();
+		}, this.pollIntervalMs);
+	}
+
+	stopPolling() {
+		if (this.pollInterval) {
+			clearInterval(this.pollInterval);
+			this.pollInterval = null;
+		}
+	}
+}
+
+module.exports = KickAPI;
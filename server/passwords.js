@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+
+// scrypt parameters - stored alongside each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+// Successful verifications are remembered for a while - Xtream players send their
+// password with every request (each HLS segment), scrypt would block the event loop
+// for each one. Keyed by a digest of stored hash and password, so a changed password
+// never matches an old entry.
+const VERIFIED_TTL_MS = 5 * 60 * 1000;
+const VERIFIED_MAX_ENTRIES = 1000;
+const verified = new Map(); // digest -> expiry
+
+/**
+ * Hash a password with scrypt
+ * Format: scrypt$N$r$p$salt$hash (salt and hash base64 encoded)
+ */
+function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+	return `scrypt$${SCRYPT_N}$${SCRYPT_R}$${SCRYPT_P}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function rememberVerified(digest) {
+	const now = Date.now();
+	if (verified.size >= VERIFIED_MAX_ENTRIES) {
+		for (const [key, expiresAt] of verified) {
+			if (expiresAt <= now) {
+				verified.delete(key);
+			}
+		}
+		if (verified.size >= VERIFIED_MAX_ENTRIES) {
+			verified.delete(verified.keys().next().value);
+		}
+	}
+	verified.set(digest, now + VERIFIED_TTL_MS);
+}
+
+/**
+ * Verify a password against a stored hash (constant-time comparison)
+ */
+function verifyPassword(password, storedHash) {
+	if (!storedHash || typeof password !== "string") {
+		return false;
+	}
+
+	const digest = crypto.createHash("sha256").update(storedHash).update("\0").update(password).digest("base64");
+	if (verified.get(digest) > Date.now()) {
+		return true;
+	}
+
+	const parts = storedHash.split("$");
+	if (parts.length !== 6 || parts[0] !== "scrypt") {
+		return false;
+	}
+
+	const [, n, r, p, saltB64, hashB64] = parts;
+	const expected = Buffer.from(hashB64, "base64");
+	const actual = crypto.scryptSync(password, Buffer.from(saltB64, "base64"), expected.length, {
+		N: parseInt(n, 10),
+		r: parseInt(r, 10),
+		p: parseInt(p, 10)
+	});
+
+	if (!crypto.timingSafeEqual(expected, actual)) {
+		return false;
+	}
+	rememberVerified(digest);
+	return true;
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,487 @@
+const { spawn } = require("child_process");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+
+// Steps in the order they run - chapters and metadata are written by the remux
+const STEPS = ["remux", "chapters", "metadata", "thumbnail", "move"];
+
+const FORMATS = {
+	mp4: { extension: ".mp4", muxer: "mp4", args: ["-bsf:a", "aac_adtstoasc", "-movflags", "+faststart"] },
+	mkv: { extension: ".mkv", muxer: "matroska", args: [] }
+};
+
+const DEFAULT_OPTIONS = {
+	format: "none", // "none" keeps the MPEG-TS file, "mp4" or "mkv" remux it
+	chapters: false,
+	metadata: false,
+	thumbnail: false,
+	folderTemplate: "" // e.g. "{channel}/{year}/{month}" - empty keeps the files in place
+};
+
+const TEMPLATE_PLACEHOLDERS = ["channel", "year", "month", "day", "game"];
+// What the date placeholders render to - see renderFolder
+const FOLDER_PLACEHOLDER_PATTERNS = { year: "\\d{4}", month: "\\d{2}", day: "\\d{2}" };
+
+/**
+ * Post-processing of completed recordings - remux to MP4/MKV, chapters from the
+ * logged game changes (recording_events), embedded metadata, a thumbnail and
+ * moving the files into a folder template. Recordings are processed one at a
+ * time; the status of every step is stored in the database so interrupted queues
+ * are resumed after a restart.
+ */
+class PostProcessor extends EventEmitter {
+	constructor(db, { executable = "ffmpeg", recordingsDir } = {}) {
+		super();
+		this.db = db;
+		this.executable = executable;
+		this.recordingsDir = recordingsDir;
+		this.queue = []; // recording ids
+		this.current = null; // recording being processed
+	}
+
+	/**
+	 * Post-processing options (setting "recording_postprocess") merged with the defaults
+	 */
+	getOptions() {
+		return { ...DEFAULT_OPTIONS, ...this.db.getSetting("recording_postprocess", {}) };
+	}
+
+	/**
+	 * Validate and store post-processing options - returns an error message or null
+	 */
+	setOptions(options) {
+		const merged = { ...this.getOptions(), ...options };
+
+		if (merged.format !== "none" && !FORMATS[merged.format]) {
+			return `Unknown format "${merged.format}" - use none, mp4 or mkv`;
+		}
+
+		const template = String(merged.folderTemplate || "").trim();
+		const unknown = (template.match(/\{([^}]*)\}/g) || [])
+			.map(placeholder => placeholder.slice(1, -1))
+			.find(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+		if (unknown !== undefined) {
+			return `Unknown placeholder {${unknown}} - use ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(", ")}`;
+		}
+		if (template.split(/[\\/]/).some(segment => segment === "..")) {
+			return "The folder template must stay inside the recordings directory";
+		}
+
+		this.db.setSetting("recording_postprocess", {
+			format: merged.format,
+			chapters: !!merged.chapters,
+			metadata: !!merged.metadata,
+			thumbnail: !!merged.thumbnail,
+			folderTemplate: template
+		});
+		return null;
+	}
+
+	/**
+	 * Steps the current options enable
+	 */
+	getEnabledSteps(options = this.getOptions()) {
+		return STEPS.filter(step => {
+			switch (step) {
+				case "remux": return options.format !== "none";
+				case "move": return !!options.folderTemplate;
+				default: return !!options[step];
+			}
+		});
+	}
+
+	/**
+	 * Queue a completed recording with the enabled steps
+	 */
+	enqueue(recordingId) {
+		const steps = this.getEnabledSteps();
+		if (steps.length === 0) {
+			return;
+		}
+
+		for (const step of steps) {
+			this.db.setRecordingStep(recordingId, step, "pending");
+		}
+		this.schedule(recordingId);
+	}
+
+	/**
+	 * Run the failed steps of a recording again - returns false if there are none
+	 */
+	retry(recordingId) {
+		const failed = this.db.getRecordingSteps(recordingId).filter(step => step.status === "failed");
+		if (failed.length === 0) {
+			return false;
+		}
+
+		for (const step of failed) {
+			this.db.setRecordingStep(recordingId, step.step, "pending");
+		}
+		this.schedule(recordingId);
+		return true;
+	}
+
+	/**
+	 * Queue recordings with steps left over from before a restart
+	 */
+	resume() {
+		const recordingIds = this.db.getRecordingsWithPendingSteps();
+		for (const recordingId of recordingIds) {
+			this.schedule(recordingId);
+		}
+		if (recordingIds.length > 0) {
+			console.log(`[PostProcess] Resuming ${recordingIds.length} recording(s)`);
+		}
+	}
+
+	schedule(recordingId) {
+		if (!this.queue.includes(recordingId)) {
+			this.queue.push(recordingId);
+		}
+		this.processNext();
+	}
+
+	async processNext() {
+		if (this.current !== null || this.queue.length === 0) {
+			return;
+		}
+
+		this.current = this.queue.shift();
+		try {
+			await this.processRecording(this.current);
+		} catch (error) {
+			console.error(`[PostProcess] Recording ${this.current}:`, error.message);
+		}
+		this.current = null;
+		this.processNext();
+	}
+
+	setStep(recordingId, step, status, error = null) {
+		this.db.setRecordingStep(recordingId, step, status, error);
+		this.emit("recording:step", { recordingId, step, status, error });
+	}
+
+	/**
+	 * Run the pending steps of a recording in order - a failed step doesn't stop the
+	 * others, e.g. the thumbnail is taken from the MPEG-TS file if the remux failed
+	 */
+	async processRecording(recordingId) {
+		const pending = new Set(this.db.getRecordingSteps(recordingId)
+			.filter(step => step.status === "pending" || step.status === "running")
+			.map(step => step.step));
+
+		const options = this.getOptions();
+		for (const step of STEPS) {
+			if (!pending.has(step)) {
+				continue;
+			}
+
+			// Read again before every step - earlier steps replace and move the files
+			const recording = this.db.getRecording(recordingId);
+			if (!recording) {
+				return;
+			}
+
+			if (step === "chapters" || step === "metadata") {
+				// Written into the remuxed file - only on their own if the remux isn't pending
+				if (!pending.has("remux")) {
+					this.setStep(recordingId, step, "skipped", "Written by the remux step - enable remuxing to MP4 or MKV");
+				}
+				continue;
+			}
+
+			this.setStep(recordingId, step, "running");
+			if (step === "remux") {
+				for (const embedded of ["chapters", "metadata"].filter(name => pending.has(name))) {
+					this.setStep(recordingId, embedded, "running");
+				}
+			}
+
+			try {
+				if (step === "remux") {
+					await this.remux(recording, options, {
+						chapters: pending.has("chapters"),
+						metadata: pending.has("metadata")
+					});
+				} else if (step === "thumbnail") {
+					await this.extractThumbnail(recording);
+				} else if (step === "move") {
+					this.move(recording, options.folderTemplate);
+				}
+
+				this.setStep(recordingId, step, "done");
+				if (step === "remux") {
+					for (const embedded of ["chapters", "metadata"].filter(name => pending.has(name))) {
+						this.setStep(recordingId, embedded, "done");
+					}
+				}
+			} catch (error) {
+				console.error(`[PostProcess] ${step} of ${recording.filename} failed:`, error.message);
+				this.setStep(recordingId, step, "failed", error.message);
+				if (step === "remux") {
+					for (const embedded of ["chapters", "metadata"].filter(name => pending.has(name))) {
+						this.setStep(recordingId, embedded, "failed", "Remux failed");
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Chapters of a recording - one per game segment from the logged game changes,
+	 * { title, start, end } in milliseconds from its start
+	 */
+	getChapters(recording) {
+		const duration = Math.max(0, (recording.ended_at || Date.now()) - recording.started_at);
+		const chapters = [];
+
+		const games = this.db.getRecordingEvents(recording.id).filter(event => event.type === "game");
+		if (games.length === 0 || games[0].occurred_at > recording.started_at) {
+			// Recorded before game changes were logged - the initial game from the start
+			games.unshift({ value: recording.game_name, occurred_at: recording.started_at });
+		}
+
+		for (const game of games) {
+			const start = Math.min(duration, Math.max(0, game.occurred_at - recording.started_at));
+			const title = game.value || "Stream";
+			const previous = chapters[chapters.length - 1];
+			if (previous && (previous.title === title || previous.start === start)) {
+				// Same game again, or changed back and forth between two checks
+				if (previous.start === start) {
+					previous.title = title;
+				}
+				continue;
+			}
+			chapters.push({ title, start });
+		}
+
+		return chapters.map((chapter, index) => ({
+			...chapter,
+			end: index + 1 < chapters.length ? chapters[index + 1].start : duration
+		}));
+	}
+
+	/**
+	 * ffmetadata file content with the chapters and/or title, channel and date
+	 */
+	buildMetadata(recording, { chapters, metadata }) {
+		const escape = (value) => String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+		const lines = [";FFMETADATA1"];
+
+		if (metadata) {
+			const date = new Date(recording.started_at);
+			lines.push(`title=${escape(recording.stream_title || recording.filename)}`);
+			lines.push(`artist=${escape(recording.channel_name || recording.channel_login)}`);
+			lines.push(`date=${date.toISOString().slice(0, 10)}`);
+			lines.push(`creation_time=${date.toISOString()}`);
+			if (recording.game_name) {
+				lines.push(`genre=${escape(recording.game_name)}`);
+			}
+		}
+
+		if (chapters) {
+			for (const chapter of this.getChapters(recording)) {
+				lines.push("[CHAPTER]", "TIMEBASE=1/1000", `START=${chapter.start}`, `END=${chapter.end}`, `title=${escape(chapter.title)}`);
+			}
+		}
+
+		return lines.join("\n") + "\n";
+	}
+
+	/**
+	 * Remux the recording (all parts) into the configured container - the MPEG-TS
+	 * files are replaced by the single output file
+	 */
+	async remux(recording, options, embed) {
+		const format = FORMATS[options.format];
+		if (!format) {
+			throw new Error(`Unknown format "${options.format}"`);
+		}
+
+		const parts = this.db.getRecordingParts(recording.id);
+		const inputs = parts.length > 0 ? parts.map(part => part.filepath) : [recording.filepath];
+		const missing = inputs.find(file => !fs.existsSync(file));
+		if (missing) {
+			throw new Error(`${path.basename(missing)} doesn't exist`);
+		}
+
+		const parsed = path.parse(recording.filepath);
+		const output = path.join(parsed.dir, parsed.name + format.extension);
+		const tempOutput = `${output}.tmp`;
+		const metadataFile = `${output}.ffmetadata`;
+
+		// MPEG-TS parts can be joined by the concat protocol
+		const args = ["-hide_banner", "-loglevel", "error", "-y",
+			"-i", inputs.length > 1 ? `concat:${inputs.join("|")}` : inputs[0]];
+		if (embed.chapters || embed.metadata) {
+			fs.writeFileSync(metadataFile, this.buildMetadata(recording, embed));
+			args.push("-i", metadataFile, "-map_metadata", "1", "-map_chapters", embed.chapters ? "1" : "-1");
+		}
+		args.push("-map", "0:v?", "-map", "0:a?", "-c", "copy", ...format.args, "-f", format.muxer, tempOutput);
+
+		try {
+			await this.runFfmpeg(args);
+			fs.renameSync(tempOutput, output);
+		} finally {
+			fs.rmSync(tempOutput, { force: true });
+			fs.rmSync(metadataFile, { force: true });
+		}
+
+		for (const file of inputs) {
+			if (file !== output) {
+				fs.rmSync(file, { force: true });
+			}
+		}
+
+		// The output replaces the parts - the first part's entry is kept for it
+		const fileSize = fs.statSync(output).size;
+		const [first, ...rest] = parts;
+		for (const part of rest) {
+			this.db.deleteRecordingPart(part.id);
+		}
+		if (first) {
+			this.db.updateRecordingPartFile(first.id, path.basename(output), output);
+			this.db.updateRecordingPart(first.id, { ended_at: parts[parts.length - 1].ended_at, file_size: fileSize, exit_code: first.exit_code });
+		}
+		this.db.updateRecordingFiles(recording.id, {
+			filename: path.basename(output),
+			filepath: output,
+			file_size: fileSize,
+			parts: first ? 1 : recording.parts
+		});
+		console.log(`[PostProcess] Remuxed ${recording.filename} to ${path.basename(output)}`);
+	}
+
+	/**
+	 * Save a frame from a minute in (or the middle of shorter recordings) as JPEG
+	 */
+	async extractThumbnail(recording) {
+		if (!fs.existsSync(recording.filepath)) {
+			throw new Error(`${recording.filename} doesn't exist`);
+		}
+
+		const duration = ((recording.ended_at || Date.now()) - recording.started_at) / 1000;
+		const position = Math.max(0, Math.min(60, duration / 2));
+		const parsed = path.parse(recording.filepath);
+		const output = path.join(parsed.dir, `${parsed.name}.jpg`);
+
+		await this.runFfmpeg([
+			"-hide_banner", "-loglevel", "error", "-y",
+			"-ss", position.toFixed(1),
+			"-i", recording.filepath,
+			"-frames:v", "1",
+			"-vf", "scale=480:-2",
+			output
+		]);
+
+		if (!fs.existsSync(output)) {
+			throw new Error("ffmpeg didn't write a thumbnail");
+		}
+		this.db.updateRecordingFiles(recording.id, { thumbnail_path: output });
+	}
+
+	/**
+	 * Folder of a recording from the template, relative to the recordings directory
+	 */
+	renderFolder(template, recording) {
+		const date = new Date(recording.started_at);
+		const values = {
+			channel: recording.channel_login,
+			year: String(date.getFullYear()),
+			month: String(date.getMonth() + 1).padStart(2, "0"),
+			day: String(date.getDate()).padStart(2, "0"),
+			game: recording.game_name || "unknown"
+		};
+
+		return template
+			.replace(/\{(\w+)\}/g, (match, name) => values[name] !== undefined ? values[name] : match)
+			.split(/[\\/]/)
+			.map(segment => segment.replace(/[^a-zA-Z0-9 _.-]/g, "_").trim())
+			.filter(segment => segment && segment !== "." && segment !== "..")
+			.join(path.sep);
+	}
+
+	/**
+	 * Pattern of the folders a template produces (relative to the recordings directory,
+	 * see renderFolder) and their depth - null for an empty template
+	 */
+	static folderPattern(template) {
+		const segments = String(template || "").split(/[\\/]/)
+			.map(segment => segment.trim())
+			.filter(segment => segment && segment !== "." && segment !== "..")
+			.map(segment => segment.split(/(\{\w+\})/)
+				.map(token => /^\{\w+\}$/.test(token)
+					? (FOLDER_PLACEHOLDER_PATTERNS[token.slice(1, -1)] || "[^\\\\/]+")
+					: token.replace(/[^a-zA-Z0-9 _.-]/g, "_").replace(/[.]/g, "\\."))
+				.join(""));
+		if (segments.length === 0) {
+			return null;
+		}
+		return { regex: new RegExp(`^${segments.join("[\\\\/]")}$`), depth: segments.length };
+	}
+
+	/**
+	 * Move the recording's files (parts and thumbnail) into the folder template
+	 */
+	move(recording, template) {
+		const folder = path.join(this.recordingsDir, this.renderFolder(template, recording));
+		fs.mkdirSync(folder, { recursive: true });
+
+		const moveFile = (file) => {
+			const target = path.join(folder, path.basename(file));
+			if (target !== file) {
+				if (fs.existsSync(target)) {
+					throw new Error(`${path.relative(this.recordingsDir, target)} already exists`);
+				}
+				fs.renameSync(file, target);
+			}
+			return target;
+		};
+
+		if (!fs.existsSync(recording.filepath)) {
+			throw new Error(`${recording.filename} doesn't exist`);
+		}
+
+		const updates = { filepath: moveFile(recording.filepath) };
+		for (const part of this.db.getRecordingParts(recording.id)) {
+			if (part.filepath === recording.filepath) {
+				this.db.updateRecordingPartFile(part.id, part.filename, updates.filepath);
+			} else if (fs.existsSync(part.filepath)) {
+				this.db.updateRecordingPartFile(part.id, part.filename, moveFile(part.filepath));
+			}
+		}
+		if (recording.thumbnail_path && fs.existsSync(recording.thumbnail_path)) {
+			updates.thumbnail_path = moveFile(recording.thumbnail_path);
+		}
+
+		this.db.updateRecordingFiles(recording.id, updates);
+		console.log(`[PostProcess] Moved ${recording.filename} to ${path.relative(this.recordingsDir, folder) || "."}`);
+	}
+
+	runFfmpeg(args) {
+		return new Promise((resolve, reject) => {
+			const process = spawn(this.executable, args);
+			let stderr = "";
+
+			process.stderr.on("data", (data) => {
+				stderr += data.toString();
+			});
+
+			process.on("error", (error) => {
+				reject(new Error(`ffmpeg couldn't be started: ${error.message}`));
+			});
+
+			process.on("close", (code) => {
+				if (code === 0) {
+					resolve();
+				} else {
+					const lastLine = stderr.trim().split("\n").pop();
+					reject(new Error(lastLine || `ffmpeg exited with code ${code}`));
+				}
+			});
+		});
+	}
+}
+
+module.exports = PostProcessor;
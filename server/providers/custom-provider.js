@@ -0,0 +1,78 @@
+const SourceProvider = require("./source-provider");
+
+// Xtream stream ids must be numeric - custom channel ids are moved above the Kick range
+const CUSTOM_STREAM_ID_OFFSET = 6000000000;
+
+/**
+ * Custom channels - arbitrary streamlink URLs (radio, IP cams, other platforms)
+ * saved by the user. They have no live status and are always listed, streamlink
+ * starts them on demand. Channel keys: "custom:{id}".
+ */
+class CustomProvider extends SourceProvider {
+	constructor(db) {
+		super("custom", "Custom", { prefix: "custom", liveQualities: false });
+		this.db = db;
+	}
+
+	toLiveEntry(channel) {
+		const group = channel.group_name || this.name;
+
+		return {
+			provider: this.id,
+			channel: this.channelKey(channel.id),
+			id: String(CUSTOM_STREAM_ID_OFFSET + channel.id),
+			displayName: channel.name,
+			title: "",
+			category: group,
+			categoryId: `custom_${group.toLowerCase().replace(/[^a-z0-9]+/g, "_")}`,
+			viewers: null,
+			thumbnail: channel.logo_url || "",
+			icon: channel.logo_url || "",
+			startedAt: null,
+			group
+		};
+	}
+
+	/**
+	 * Look up a custom channel by its channel key
+	 */
+	getChannel(channel) {
+		const id = parseInt(this.parseChannel(channel), 10);
+		return isNaN(id) ? null : this.db.getCustomChannel(id);
+	}
+
+	// Custom channels are private to the user who saved them
+	canAccess(channel, account) {
+		const row = this.getChannel(channel);
+		return !!row && !!account && row.owner_user_id === account.userId;
+	}
+
+	async listLiveChannels(account) {
+		return this.db.getCustomChannels(account.userId).map(channel => this.toLiveEntry(channel));
+	}
+
+	async getLiveChannels(channels, account = null) {
+		const result = new Map();
+		for (const channel of channels) {
+			const row = this.getChannel(channel);
+			if (row && (!account || row.owner_user_id === account.userId)) {
+				result.set(channel.toLowerCase(), this.toLiveEntry(row));
+			}
+		}
+		return result;
+	}
+
+	getStreamlinkSource(channel, account = null) {
+		const row = this.getChannel(channel);
+		if (!row || (account && row.owner_user_id !== account.userId)) {
+			throw new Error("Custom channel not found");
+		}
+		return { url: row.url, args: [] };
+	}
+
+	getEpgMetadata(entry) {
+		return { ...super.getEpgMetadata(entry), title: entry.displayName };
+	}
+}
+
+module.exports = CustomProvider;
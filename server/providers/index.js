@@ -0,0 +1,121 @@
+const SourceProvider = require("./source-provider");
+const TwitchProvider = require("./twitch-provider");
+const YouTubeProvider = require("./youtube-provider");
+const KickProvider = require("./kick-provider");
+const CustomProvider = require("./custom-provider");
+
+/**
+ * Registry of stream source providers - playlists, the Xtream API and the
+ * recording manager iterate over it instead of branching per source
+ */
+class ProviderRegistry {
+	constructor() {
+		this.providers = new Map(); // id -> provider
+		this.defaultProvider = null;
+	}
+
+	/**
+	 * Register a provider. The default provider handles channel keys without prefix.
+	 */
+	register(provider, { isDefault = false } = {}) {
+		this.providers.set(provider.id, provider);
+		if (isDefault || !this.defaultProvider) {
+			this.defaultProvider = provider;
+		}
+		return provider;
+	}
+
+	get(id) {
+		return this.providers.get(id) || null;
+	}
+
+	all() {
+		return Array.from(this.providers.values());
+	}
+
+	/**
+	 * Provider for a channel key ("yt:..." -> YouTube, plain names -> default provider)
+	 */
+	forChannel(channel) {
+		for (const provider of this.providers.values()) {
+			if (provider !== this.defaultProvider && provider.ownsChannel(channel)) {
+				return provider;
+			}
+		}
+		return this.defaultProvider;
+	}
+
+	/**
+	 * Whether a local account may watch a channel key (custom channels are private)
+	 */
+	canAccess(channel, account) {
+		return this.forChannel(channel).canAccess(channel, account);
+	}
+
+	/**
+	 * Provider for a playable item id ("vod_...", "yt_...") - null if unknown
+	 */
+	forItem(itemId) {
+		return this.all().find(provider => provider.ownsItem(itemId)) || null;
+	}
+
+	/**
+	 * Live channels of all providers - a failing provider doesn't break the others
+	 */
+	async listLiveChannels(account) {
+		const results = await Promise.all(this.all().map(async (provider) => {
+			try {
+				return await provider.listLiveChannels(account);
+			} catch (error) {
+				console.error(`[Providers] ${provider.name} live channels failed:`, error.message);
+				return [];
+			}
+		}));
+		return results.flat();
+	}
+
+	/**
+	 * VODs of all providers (optionally only those with the given Xtream layout), newest first
+	 */
+	async listVods(account, options = {}, vodLayout = null) {
+		const providers = this.all().filter(provider => !vodLayout || provider.vodLayout === vodLayout);
+		const results = await Promise.all(providers.map(async (provider) => {
+			try {
+				return await provider.listVods(account, options);
+			} catch (error) {
+				console.error(`[Providers] ${provider.name} VODs failed:`, error.message);
+				return [];
+			}
+		}));
+		return results.flat().sort((a, b) => b.createdAt - a.createdAt);
+	}
+
+	/**
+	 * Live status for channel keys of any provider - Map of lowercase channel key -> live entry
+	 */
+	async getLiveChannels(channels, account = null) {
+		const byProvider = new Map();
+		for (const channel of channels) {
+			const provider = this.forChannel(channel);
+			if (!byProvider.has(provider)) {
+				byProvider.set(provider, []);
+			}
+			byProvider.get(provider).push(channel);
+		}
+
+		const result = new Map();
+		for (const [provider, providerChannels] of byProvider) {
+			try {
+				const live = await provider.getLiveChannels(providerChannels, account);
+				for (const [channel, entry] of live) {
+					result.set(channel, entry);
+				}
+			} catch (error) {
+				console.error(`[Providers] ${provider.name} live status failed:`, error.message);
+			}
+		}
+		return result;
+	}
+}
+
+module.exports = { ProviderRegistry, SourceProvider, TwitchProvider, YouTubeProvider, KickProvider, CustomProvider };
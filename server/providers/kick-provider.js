@@ -0,0 +1,56 @@
+const SourceProvider = require("./source-provider");
+
+// Xtream stream ids must be numeric - Kick channel ids are moved above the
+// Twitch user id range (and below the quality offsets starting at 10 billion)
+const KICK_STREAM_ID_OFFSET = 5000000000;
+
+/**
+ * Kick - live streams of locally followed Kick channels (status polled by KickAPI).
+ * Channel keys: "kick:{slug}".
+ */
+class KickProvider extends SourceProvider {
+	constructor(db, kickAPI) {
+		super("kick", "Kick", { prefix: "kick" });
+		this.db = db;
+		this.kickAPI = kickAPI;
+	}
+
+	toLiveEntry(status) {
+		return {
+			provider: this.id,
+			channel: this.channelKey(status.slug),
+			id: String(KICK_STREAM_ID_OFFSET + status.channel_id),
+			displayName: status.display_name || status.slug,
+			title: status.title || "",
+			category: status.category_name || "",
+			categoryId: `kick_${status.category_id || "0"}`,
+			viewers: status.viewer_count || 0,
+			thumbnail: status.thumbnail_url || status.profile_image_url || "",
+			icon: status.profile_image_url || "",
+			startedAt: status.started_at
+		};
+	}
+
+	async listLiveChannels(account) {
+		return this.db.getKickChannels(account.userId)
+			.filter(channel => channel.is_live)
+			.map(channel => this.toLiveEntry(channel));
+	}
+
+	async getLiveChannels(channels, account = null) {
+		const result = new Map();
+		for (const channel of channels) {
+			const status = this.db.getKickLiveStatus(this.parseChannel(channel));
+			if (status && status.is_live) {
+				result.set(channel.toLowerCase(), this.toLiveEntry(status));
+			}
+		}
+		return result;
+	}
+
+	getStreamlinkSource(channel) {
+		return { url: `https://kick.com/${this.parseChannel(channel)}`, args: [] };
+	}
+}
+
+module.exports = KickProvider;
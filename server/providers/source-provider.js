@@ -0,0 +1,128 @@
+/**
+ * Base class for stream sources (Twitch, YouTube, ...)
+ *
+ * Channels are addressed by a channel key: "{prefix}:{name}" (e.g. "yt:UCxyz"),
+ * only the default provider (Twitch) uses bare names. Playable items (VODs, clips,
+ * videos) use Xtream-style ids with a provider specific prefix (e.g. "vod_123").
+ *
+ * Live channel entries returned by providers all have the same shape:
+ * { provider, channel, id, displayName, title, category, categoryId, viewers, thumbnail, icon, startedAt, group }
+ * - channel: channel key passed to StreamlinkManager.startStream()
+ * - id: numeric id used as Xtream stream_id / EPG channel id
+ * - categoryId: game/category id, unique across providers (Xtream "game_{categoryId}")
+ * - streamId: optional id of the broadcast - recordings of one broadcast are grouped by it
+ * - group: optional playlist group (defaults to the provider name)
+ * - tags, language: optional stream tags and language code - matched by recording rules
+ *
+ * VOD entries:
+ * { provider, id, channel, channelName, title, thumbnail, duration, createdAt }
+ */
+class SourceProvider {
+	constructor(id, name, { prefix = id, itemPrefixes = [], vodLayout = "movies", liveQualities = true, audioOnlyQuality = null } = {}) {
+		this.id = id;
+		this.name = name;
+		this.prefix = prefix;
+		this.itemPrefixes = itemPrefixes;
+		// How Xtream clients browse the VODs: a flat movie list or one series per channel
+		this.vodLayout = vodLayout;
+		// Whether live channels offer streamlink qualities like "720p60" (Xtream quality variants)
+		this.liveQualities = liveQualities;
+		// Streamlink quality with the audio track only (e.g. Twitch "audio_only") - null if the
+		// source has none, audio-only players then get the audio extracted by ffmpeg
+		this.audioOnlyQuality = audioOnlyQuality;
+	}
+
+	/**
+	 * Build a channel key from a provider specific channel name
+	 */
+	channelKey(name) {
+		return this.prefix ? `${this.prefix}:${name}` : name;
+	}
+
+	/**
+	 * Strip the provider prefix from a channel key
+	 */
+	parseChannel(channel) {
+		return this.prefix && channel.startsWith(`${this.prefix}:`)
+			? channel.substring(this.prefix.length + 1)
+			: channel;
+	}
+
+	ownsChannel(channel) {
+		return !!this.prefix && channel.startsWith(`${this.prefix}:`);
+	}
+
+	ownsItem(itemId) {
+		return this.itemPrefixes.some(prefix => itemId.startsWith(prefix));
+	}
+
+	/**
+	 * Whether a local account may watch a channel - providers with private channels restrict it
+	 */
+	canAccess(channel, account) {
+		return true;
+	}
+
+	/**
+	 * Live channels of a local account (e.g. followed channels that are live)
+	 */
+	async listLiveChannels(account) {
+		return [];
+	}
+
+	/**
+	 * Live status for specific channel keys - Map of lowercase channel key -> live entry.
+	 * Without an account any credentials the provider has may be used.
+	 */
+	async getLiveChannels(channels, account = null) {
+		return new Map();
+	}
+
+	/**
+	 * VODs of a local account
+	 * @param {Object} options - limit: items per channel, channels: Set of lowercase channel keys to include
+	 */
+	async listVods(account, options = {}) {
+		return [];
+	}
+
+	/**
+	 * Resolve a playable item id to { url, hls, proxyManifest }.
+	 * hls is set for HLS manifests, proxyManifest for those with relative segment URLs.
+	 */
+	async resolvePlayableUrl(itemId, quality = null) {
+		throw new Error(`${this.name} has no playable items`);
+	}
+
+	/**
+	 * Source URL and extra arguments for streamlink - { url, args }. User configurable
+	 * options belong in streamlink profiles (see streamlink-args.js), not here.
+	 * With an account, channels it may not access are rejected.
+	 */
+	getStreamlinkSource(channel, account = null) {
+		throw new Error(`${this.name} does not support live streams`);
+	}
+
+	/**
+	 * Programme data for a live entry - { title, category, details, start }
+	 * details are short info lines (category, viewers) for the EPG description
+	 */
+	getEpgMetadata(entry) {
+		const details = [];
+		if (entry.category) {
+			details.push(`🎮 ${entry.category}`);
+		}
+		if (entry.viewers !== null && entry.viewers !== undefined) {
+			details.push(`👥 ${entry.viewers} viewers`);
+		}
+
+		return {
+			title: entry.title || "Live Stream",
+			category: entry.category || this.name,
+			details,
+			start: entry.startedAt ? new Date(entry.startedAt) : new Date()
+		};
+	}
+}
+
+module.exports = SourceProvider;
@@ -0,0 +1,148 @@
+const SourceProvider = require("./source-provider");
+
+/**
+ * Twitch - live streams of followed channels, past broadcasts and clips.
+ * Default provider: channel keys are plain Twitch logins.
+ */
+class TwitchProvider extends SourceProvider {
+	constructor(twitchAccounts, ytdlp) {
+		super("twitch", "Twitch", { prefix: null, itemPrefixes: ["vod_", "clip_"], audioOnlyQuality: "audio_only" });
+		this.twitchAccounts = twitchAccounts;
+		this.ytdlp = ytdlp;
+	}
+
+	ownsChannel(channel) {
+		return !channel.includes(":");
+	}
+
+	/**
+	 * Twitch API client of a local account - or any linked one if no account is given
+	 */
+	getClient(account) {
+		const twitchAPI = account ? this.twitchAccounts.get(account.userId) : this.twitchAccounts.getAnyAuthenticated();
+		return twitchAPI && twitchAPI.isAuthenticated() ? twitchAPI : null;
+	}
+
+	toLiveEntry(stream) {
+		const thumbnail = (width, height) => stream.thumbnail_url
+			? stream.thumbnail_url.replace("{width}", width).replace("{height}", height)
+			: "";
+
+		return {
+			provider: this.id,
+			channel: stream.user_login,
+			id: stream.user_id,
+			streamId: stream.id,
+			displayName: stream.user_name || stream.user_login,
+			title: stream.title || "",
+			category: stream.game_name || "",
+			categoryId: stream.game_id || "0",
+			viewers: stream.viewer_count || 0,
+			thumbnail: thumbnail("440", "248"),
+			icon: thumbnail("70", "70"),
+			startedAt: stream.started_at,
+			tags: stream.tags || [],
+			language: stream.language || ""
+		};
+	}
+
+	async listLiveChannels(account) {
+		const twitchAPI = this.getClient(account);
+		if (!twitchAPI) {
+			return [];
+		}
+
+		const streams = await twitchAPI.getLiveStreams();
+		return streams.map(stream => this.toLiveEntry(stream));
+	}
+
+	async getLiveChannels(channels, account = null) {
+		const result = new Map();
+		const twitchAPI = this.getClient(account);
+		if (!twitchAPI || channels.length === 0) {
+			return result;
+		}
+
+		const streams = await twitchAPI.getStreamsByLogins(channels);
+		for (const stream of streams) {
+			result.set(stream.user_login.toLowerCase(), this.toLiveEntry(stream));
+		}
+		return result;
+	}
+
+	/**
+	 * Past broadcasts of followed channels, newest first
+	 */
+	async listVods(account, { limit = 5, channels = null } = {}) {
+		const twitchAPI = this.getClient(account);
+		if (!twitchAPI) {
+			return [];
+		}
+
+		let followedChannels = await twitchAPI.getFollowedChannels();
+		if (channels) {
+			followedChannels = followedChannels.filter(ch => channels.has(ch.broadcaster_login.toLowerCase()));
+		}
+
+		const vods = [];
+		for (const channel of followedChannels) {
+			try {
+				const videos = await twitchAPI.getVideos(channel.broadcaster_id, limit, "archive");
+				for (const video of videos) {
+					vods.push({
+						provider: this.id,
+						id: `vod_${video.id}`,
+						channel: channel.broadcaster_login,
+						channelName: channel.broadcaster_name,
+						title: video.title,
+						thumbnail: video.thumbnail_url
+							? video.thumbnail_url.replace("%{width}", "320").replace("%{height}", "180")
+							: "",
+						duration: this.parseDuration(video.duration),
+						createdAt: new Date(video.created_at)
+					});
+				}
+			} catch (e) {
+				// Skip channels with no VODs
+			}
+		}
+
+		vods.sort((a, b) => b.createdAt - a.createdAt);
+		return vods;
+	}
+
+	/**
+	 * Parse Twitch durations like "1h2m3s" into seconds (null if unknown)
+	 */
+	parseDuration(duration) {
+		const match = duration && duration.match(/(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/);
+		if (!match) {
+			return null;
+		}
+		return (parseInt(match[1]) || 0) * 3600 + (parseInt(match[2]) || 0) * 60 + (parseInt(match[3]) || 0);
+	}
+
+	async resolvePlayableUrl(itemId, quality = null) {
+		// VODs are HLS manifests with relative segment URLs, clips are direct MP4 files
+		const isClip = itemId.startsWith("clip_");
+		const result = isClip
+			? await this.ytdlp.getTwitchClipDirectUrl(itemId.substring("clip_".length), quality)
+			: await this.ytdlp.getTwitchVodDirectUrl(itemId.substring("vod_".length), quality);
+
+		if (!result.success || !result.directUrl) {
+			throw new Error(result.error || `${isClip ? "Clip" : "VOD"} unavailable`);
+		}
+		return { url: result.directUrl, hls: !isClip, proxyManifest: !isClip };
+	}
+
+	getEpgMetadata(entry) {
+		return super.getEpgMetadata({ ...entry, category: entry.category || "Just Chatting" });
+	}
+
+	// Ad blocking options come from the "twitch-adblock" streamlink profile
+	getStreamlinkSource(channel) {
+		return { url: `twitch.tv/${channel}`, args: [] };
+	}
+}
+
+module.exports = TwitchProvider;
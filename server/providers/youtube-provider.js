@@ -0,0 +1,74 @@
+const SourceProvider = require("./source-provider");
+
+/**
+ * YouTube - uploads of subscribed channels (RSS), played via yt-dlp.
+ * Channel keys: "yt:{channelId}" or "yt:{videoId}" for live streams.
+ */
+class YouTubeProvider extends SourceProvider {
+	constructor(db, youtubeService, ytdlp) {
+		super("youtube", "YouTube", { prefix: "yt", itemPrefixes: ["yt_"], vodLayout: "series" });
+		this.db = db;
+		this.youtubeService = youtubeService;
+		this.ytdlp = ytdlp;
+	}
+
+	/**
+	 * Latest videos of the account's subscribed channels, newest first
+	 */
+	async listVods(account, { limit = 25, channels = null } = {}) {
+		let youtubeChannels = this.db.getYoutubeChannels(account.userId);
+		if (channels) {
+			youtubeChannels = youtubeChannels.filter(ch => channels.has(this.channelKey(ch.channel_id).toLowerCase()));
+		}
+
+		const results = await Promise.all(
+			youtubeChannels.map(ch => this.youtubeService.fetchChannelVideos(ch.channel_id))
+		);
+
+		const vods = [];
+		for (const videos of results) {
+			for (const video of videos.slice(0, limit)) {
+				vods.push({
+					provider: this.id,
+					id: `yt_${video.videoId}`,
+					channel: this.channelKey(video.channelId),
+					channelName: video.channelName,
+					title: video.title,
+					thumbnail: video.thumbnail,
+					// RSS feeds don't include the duration
+					duration: null,
+					createdAt: video.published,
+					isShort: video.isShort
+				});
+			}
+		}
+
+		vods.sort((a, b) => b.createdAt - a.createdAt);
+		return vods;
+	}
+
+	async resolvePlayableUrl(itemId, quality = null) {
+		const result = await this.ytdlp.getDirectUrl(itemId.substring("yt_".length), quality);
+		if (!result.success || !result.directUrl) {
+			throw new Error(result.error || "YouTube unavailable");
+		}
+		// HLS formats are preferred, progressive MP4 is the fallback
+		const hls = /\.m3u8|\/manifest\//.test(result.directUrl);
+		return { url: result.directUrl, hls, proxyManifest: false };
+	}
+
+	getStreamlinkSource(channel) {
+		const name = this.parseChannel(channel);
+
+		let url;
+		if (/^UC[\w-]{22}$/.test(name)) {
+			url = `https://www.youtube.com/channel/${name}/live`;
+		} else {
+			url = `https://www.youtube.com/watch?v=${name}`;
+		}
+
+		return { url, args: [] };
+	}
+}
+
+module.exports = YouTubeProvider;
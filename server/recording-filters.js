@@ -0,0 +1,133 @@
+// Filter columns of recording rules - lists are stored comma separated, empty ones as null
+const LIST_FILTERS = ["title_keywords", "exclude_terms", "tags", "languages", "weekdays"];
+const FILTER_COLUMNS = [...LIST_FILTERS, "title_regex", "time_from", "time_to"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function parseList(value) {
+	if (Array.isArray(value)) {
+		value = value.join(",");
+	}
+	return String(value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+function toMinutes(time) {
+	const match = TIME_PATTERN.exec(time);
+	return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Validate and normalize the filter fields present in a rule update - throws on invalid values.
+ * weekdays are numbers 0 (Sunday) to 6, times "HH:MM" in the server's timezone.
+ */
+function parseRuleFilters(input) {
+	const filters = {};
+
+	for (const column of FILTER_COLUMNS) {
+		if (input[column] === undefined) {
+			continue;
+		}
+
+		if (LIST_FILTERS.includes(column)) {
+			const items = parseList(input[column]);
+			filters[column] = items.length > 0 ? items.join(", ") : null;
+		} else {
+			filters[column] = String(input[column] || "").trim() || null;
+		}
+	}
+
+	if (filters.title_regex) {
+		try {
+			new RegExp(filters.title_regex, "i");
+		} catch (error) {
+			throw new Error(`Invalid title regex: ${error.message}`);
+		}
+	}
+	if (filters.weekdays && !parseList(filters.weekdays).every(day => /^[0-6]$/.test(day))) {
+		throw new Error("Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)");
+	}
+	for (const column of ["time_from", "time_to"]) {
+		if (filters[column] && !TIME_PATTERN.test(filters[column])) {
+			throw new Error("Times must be given as HH:MM");
+		}
+	}
+	if (filters.time_from && filters.time_from === filters.time_to) {
+		throw new Error("The time window must not start and end at the same time");
+	}
+
+	return filters;
+}
+
+/**
+ * Whether a time is in the weekday/time window of a rule. Windows may end after
+ * midnight (e.g. 22:00-02:00) - they belong to the weekday they start on.
+ */
+function isInTimeWindow(rule, now = new Date()) {
+	const weekdays = parseList(rule.weekdays).map(Number);
+	let day = now.getDay();
+
+	if (rule.time_from || rule.time_to) {
+		const minutes = now.getHours() * 60 + now.getMinutes();
+		const from = rule.time_from ? toMinutes(rule.time_from) : 0;
+		const to = rule.time_to ? toMinutes(rule.time_to) : 24 * 60;
+
+		if (from < to) {
+			if (minutes < from || minutes >= to) {
+				return false;
+			}
+		} else if (minutes < to) {
+			day = (day + 6) % 7; // After midnight - the window started yesterday
+		} else if (minutes < from) {
+			return false;
+		}
+	}
+
+	return weekdays.length === 0 || weekdays.includes(day);
+}
+
+/**
+ * Whether a live entry matches the filters of a recording rule - game, title keywords
+ * (any), title regex, exclude terms (title or game), tags (any), languages and the
+ * time window. Tags and language are only known for Twitch streams.
+ */
+function matchesRule(rule, stream, now = new Date()) {
+	const title = (stream.title || "").toLowerCase();
+	const game = (stream.category || "").toLowerCase();
+
+	// A stream without a category matches no game filter
+	if (rule.game_name && rule.game_name !== "*") {
+		const ruleGame = rule.game_name.toLowerCase();
+		if (!game || !(game.includes(ruleGame) || ruleGame.includes(game))) {
+			return false;
+		}
+	}
+
+	const keywords = parseList(rule.title_keywords).map(keyword => keyword.toLowerCase());
+	if (keywords.length > 0 && !keywords.some(keyword => title.includes(keyword))) {
+		return false;
+	}
+
+	if (rule.title_regex && !new RegExp(rule.title_regex, "i").test(stream.title || "")) {
+		return false;
+	}
+
+	const excluded = parseList(rule.exclude_terms).map(term => term.toLowerCase());
+	if (excluded.some(term => title.includes(term) || game.includes(term))) {
+		return false;
+	}
+
+	const tags = parseList(rule.tags).map(tag => tag.toLowerCase());
+	const streamTags = (stream.tags || []).map(tag => tag.toLowerCase());
+	if (tags.length > 0 && !tags.some(tag => streamTags.includes(tag))) {
+		return false;
+	}
+
+	const languages = parseList(rule.languages).map(language => language.toLowerCase());
+	if (languages.length > 0 && !languages.includes((stream.language || "").toLowerCase())) {
+		return false;
+	}
+
+	return isInTimeWindow(rule, now);
+}
+
+module.exports = { FILTER_COLUMNS, parseRuleFilters, isInTimeWindow, matchesRule };
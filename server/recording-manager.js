@@ -1,12 +1,26 @@
 const { spawn } = require("child_process");
+const EventEmitter = require("events");
 const path = require("path");
 const fs = require("fs");
-
-class RecordingManager {
-	constructor(config, twitchAPI, db) {
+const { pipeline } = require("stream/promises");
+const RecordingQuota = require("./recording-quota");
+const PostProcessor = require("./post-processor");
+const { matchesRule } = require("./recording-filters");
+
+// Reconnects in a row that record nothing before a broadcast is considered over
+const RECONNECT_ATTEMPTS = 5;
+const RECONNECT_BASE_DELAY = 2000;
+const STABLE_PART_DURATION = 60 * 1000; // A part that ran this long resets the reconnect backoff
+// Files the recorder and post-processing write: streams, remuxes, thumbnails and remux leftovers
+const RECORDING_FILE_PATTERN = /\.(ts|mp4|mkv|jpg)$|\.(mp4|mkv)\.(tmp|ffmetadata)$/i;
+
+class RecordingManager extends EventEmitter {
+	constructor(config, providers, db, streamlinkArgs) {
+		super();
 		this.config = config;
-		this.twitchAPI = twitchAPI;
+		this.providers = providers;
 		this.db = db;
+		this.streamlinkArgs = streamlinkArgs; // argument profiles per rule/channel/source
 		this.activeRecordings = new Map(); // channelLogin -> recording info
 		this.checkInterval = null;
 		this.cleanupInterval = null;
@@ -15,6 +29,9 @@ class RecordingManager {
 		this.recordingsDir = process.env.RECORDINGS_DIR || "/recordings";
 		this.checkIntervalMs = 60000; // Check every minute
 		this.maxRecordingAgeDays = 7; // Auto-delete after 7 days
+
+		this.quota = new RecordingQuota(db, this.recordingsDir);
+		this.lowSpaceWarnings = new Set(); // channels warned about low disk space
 	}
 
 	/**
@@ -62,19 +79,19 @@ class RecordingManager {
 	 * Check all recording rules and start/stop recordings as needed
 	 */
 	async checkRecordingRules() {
-		if (!this.twitchAPI.isAuthenticated()) {
-			return;
-		}
-
 		try {
 			const rules = this.db.getRecordingRules();
 			if (rules.length === 0) {
 				return;
 			}
 
-			// Get all live streams we're interested in
+			// Make room before anything is started - running recordings grow as well
+			this.enforceQuota();
+
+			// Get all live streams we're interested in - rules of all users are checked,
+			// so providers may use any credentials they have for the lookup
 			const channelLogins = [...new Set(rules.map(r => r.channel_login))];
-			const liveStreams = await this.getLiveStatusForChannels(channelLogins);
+			const liveStreams = await this.providers.getLiveChannels(channelLogins);
 
 			for (const rule of rules) {
 				if (!rule.enabled) continue;
@@ -82,10 +99,23 @@ class RecordingManager {
 				const stream = liveStreams.get(rule.channel_login.toLowerCase());
 				const isRecording = this.activeRecordings.has(rule.channel_login.toLowerCase());
 
+				// Game and title changes of running recordings are logged on every check
+				if (stream && isRecording) {
+					const recording = this.activeRecordings.get(rule.channel_login.toLowerCase());
+					if (recording.ruleId === rule.id) {
+						this.trackMetadata(recording, stream);
+					}
+				}
+
 				if (stream && this.shouldRecord(rule, stream)) {
 					// Stream matches rule criteria - start recording if not already
 					if (!isRecording) {
 						await this.startRecording(rule, stream);
+					} else {
+						const recording = this.activeRecordings.get(rule.channel_login.toLowerCase());
+						if (recording.ruleId === rule.id) {
+							this.checkDiskSpace(rule, recording);
+						}
 					}
 				} else {
 					// Stream doesn't match or is offline - stop recording if active
@@ -104,43 +134,26 @@ class RecordingManager {
 	}
 
 	/**
-	 * Get live status for multiple channels
+	 * Check if a stream matches the recording rule criteria (see recording-filters.js) -
+	 * a running recording is stopped once its rule no longer matches
 	 */
-	async getLiveStatusForChannels(channelLogins) {
-		const result = new Map();
-
-		try {
-			// Use Twitch API to get stream info
-			const streams = await this.twitchAPI.getStreamsByLogins(channelLogins);
-
-			for (const stream of streams) {
-				result.set(stream.user_login.toLowerCase(), stream);
-			}
-		} catch (error) {
-			console.error("[Recording] Error fetching stream status:", error.message);
-		}
-
-		return result;
+	shouldRecord(rule, stream) {
+		return matchesRule(rule, stream);
 	}
 
 	/**
-	 * Check if a stream matches the recording rule criteria
+	 * Id of the broadcast a live entry belongs to - the stream id, otherwise its start time
 	 */
-	shouldRecord(rule, stream) {
-		// If no game filter, record any stream
-		if (!rule.game_name || rule.game_name === "*") {
-			return true;
+	getBroadcastId(stream) {
+		if (stream.streamId) {
+			return String(stream.streamId);
 		}
-
-		// Check if game matches (case-insensitive)
-		const streamGame = (stream.game_name || "").toLowerCase();
-		const ruleGame = rule.game_name.toLowerCase();
-
-		return streamGame.includes(ruleGame) || ruleGame.includes(streamGame);
+		return stream.startedAt ? new Date(stream.startedAt).toISOString() : null;
 	}
 
 	/**
-	 * Start recording a stream
+	 * Start recording a stream - a broadcast that was recorded before (e.g. until a
+	 * server restart) is continued with the next part of its recording
 	 */
 	async startRecording(rule, stream) {
 		const channelLogin = rule.channel_login.toLowerCase();
@@ -149,51 +162,154 @@ class RecordingManager {
 			return; // Already recording
 		}
 
-		// Generate filename with timestamp
-		const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-		const gameName = (stream.game_name || "unknown").replace(/[^a-zA-Z0-9]/g, "_");
-		const filename = `${channelLogin}_${gameName}_${timestamp}.ts`;
-		const filepath = path.join(this.recordingsDir, filename);
-
-		console.log(`[Recording] Starting: ${channelLogin} (${stream.game_name})`);
+		const lowSpace = this.quota.getLowSpaceReason(channelLogin);
+		if (lowSpace) {
+			this.warnLowSpace(channelLogin, `Not recording ${channelLogin}: ${lowSpace}`);
+			return;
+		}
+		this.lowSpaceWarnings.delete(channelLogin);
 
-		// Use streamlink to record
-		const args = [
-			`twitch.tv/${channelLogin}`,
-			rule.quality || "best",
-			"-o", filepath,
-			"--twitch-disable-ads",
-			"--twitch-proxy-playlist=https://eu.luminous.dev,https://lb-eu.cdn-perfprod.com"
-		];
+		const broadcastId = this.getBroadcastId(stream);
+		// Post-processed recordings were remuxed or moved - the broadcast gets a new one
+		let existing = broadcastId ? this.db.getRecordingByBroadcast(channelLogin, broadcastId) : null;
+		if (existing && this.db.getRecordingSteps(existing.id).length > 0) {
+			existing = null;
+		}
 
-		const process = spawn("streamlink", args);
+		let filename;
+		let filepath;
+		let recordingId;
+		if (existing) {
+			({ filename, filepath } = existing);
+			recordingId = existing.id;
+			this.db.updateRecordingStatus(filepath, { status: "recording", error: null });
+			console.log(`[Recording] Continuing: ${channelLogin} (broadcast ${broadcastId}, part ${existing.parts + 1})`);
+		} else {
+			// Generate filename with timestamp
+			const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+			const gameName = (stream.category || "unknown").replace(/[^a-zA-Z0-9]/g, "_");
+			const safeChannel = channelLogin.replace(/[^a-z0-9_-]/g, "_");
+			filename = `${safeChannel}_${gameName}_${timestamp}.ts`;
+			filepath = path.join(this.recordingsDir, filename);
+
+			console.log(`[Recording] Starting: ${channelLogin} (${stream.category})`);
+
+			// Save to database
+			recordingId = this.db.addRecording({
+				rule_id: rule.id,
+				owner_user_id: rule.owner_user_id,
+				channel_login: channelLogin,
+				channel_name: stream.displayName,
+				game_name: stream.category,
+				stream_title: stream.title,
+				filename,
+				filepath,
+				started_at: Date.now(),
+				status: "recording",
+				broadcast_id: broadcastId
+			});
+		}
 
 		const recordingInfo = {
 			ruleId: rule.id,
+			ownerUserId: existing ? existing.owner_user_id : rule.owner_user_id,
+			recordingId,
 			channelLogin,
-			gameName: stream.game_name,
+			gameName: stream.category,
 			streamTitle: stream.title,
 			filepath,
 			filename,
-			process,
-			startedAt: Date.now(),
-			pid: process.pid
+			process: null,
+			startedAt: existing ? existing.started_at : Date.now(),
+			pid: null,
+			partNumber: existing ? existing.parts : 0, // Number of the part being written
+			stopping: false, // Set by stopRecording - the exit is not reconnected
+			paused: false, // Stopped for lack of disk space - resumed with a new part
+			reconnectAttempts: 0, // Attempts in a row that recorded nothing or dropped out quickly
+			reconnectTimer: null,
+			lastError: null
 		};
 
 		this.activeRecordings.set(channelLogin, recordingInfo);
+		this.trackMetadata(recordingInfo, stream);
+		this.startPart(rule, recordingInfo);
+	}
 
-		// Save to database
-		this.db.addRecording({
-			rule_id: rule.id,
-			channel_login: channelLogin,
-			channel_name: stream.user_name,
-			game_name: stream.game_name,
-			stream_title: stream.title,
-			filename,
+	/**
+	 * Log game and title changes of a recorded stream (recording_events) - they are
+	 * the chapters of the recording. The first check logs the initial values.
+	 */
+	trackMetadata(recording, stream) {
+		const latest = this.db.getLatestRecordingEvents(recording.recordingId);
+		const current = { game: stream.category || "", title: stream.title || "" };
+
+		for (const type of ["game", "title"]) {
+			if (latest[type] === current[type]) {
+				continue;
+			}
+
+			const occurredAt = latest[type] === undefined ? recording.startedAt : Date.now();
+			this.db.addRecordingEvent(recording.recordingId, type, current[type], occurredAt);
+			if (latest[type] !== undefined) {
+				console.log(`[Recording] ${recording.channelLogin}: ${type} changed to "${current[type]}"`);
+				this.emit("recording:event", { recordingId: recording.recordingId, channelLogin: recording.channelLogin, type, value: current[type], occurredAt });
+			}
+		}
+
+		recording.gameName = current.game;
+		recording.streamTitle = current.title;
+	}
+
+	/**
+	 * Start streamlink for the next part of a recording - part 1 is the recording's
+	 * file, later parts get "_partN" appended
+	 */
+	startPart(rule, recording) {
+		const { channelLogin } = recording;
+		recording.partNumber++;
+		const partNumber = recording.partNumber;
+		const filepath = partNumber === 1 ? recording.filepath : recording.filepath.replace(/\.ts$/, `_part${partNumber}.ts`);
+
+		// Use streamlink to record - with the channel's profiles plus the rule's
+		let args;
+		try {
+			const provider = this.providers.forChannel(rule.channel_login);
+			const source = provider.getStreamlinkSource(rule.channel_login, { userId: rule.owner_user_id });
+			args = [
+				source.url,
+				rule.quality || "best",
+				"-o", filepath,
+				...source.args,
+				...this.streamlinkArgs.getArgs(rule.channel_login, provider.id, rule.streamlink_profile_id)
+			];
+		} catch (error) {
+			recording.lastError = error.message;
+			recording.partNumber--;
+			this.finishRecording(recording);
+			return;
+		}
+
+		const process = spawn("streamlink", args);
+		recording.process = process;
+		recording.pid = process.pid;
+
+		const startedAt = Date.now();
+		const partId = this.db.addRecordingPart({
+			recording_id: recording.recordingId,
+			part_number: partNumber,
+			filename: path.basename(filepath),
 			filepath,
-			started_at: Date.now(),
-			status: "recording"
+			started_at: startedAt
 		});
+		this.db.updateRecordingStatus(recording.filepath, { parts: partNumber });
+
+		let finished = false;
+		const finish = (code) => {
+			if (!finished) {
+				finished = true;
+				this.partEnded(rule, recording, { id: partId, partNumber, filepath, startedAt }, code);
+			}
+		};
 
 		process.stdout.on("data", (data) => {
 			// Streamlink output (optional logging)
@@ -203,31 +319,204 @@ class RecordingManager {
 			const msg = data.toString();
 			if (msg.includes("error") || msg.includes("Error")) {
 				console.error(`[Recording] ${channelLogin}: ${msg}`);
+				recording.lastError = msg.trim();
 			}
 		});
 
 		process.on("close", (code) => {
-			console.log(`[Recording] Ended: ${channelLogin} (exit code: ${code})`);
-			this.activeRecordings.delete(channelLogin);
-
-			// Update database
-			const fileSize = fs.existsSync(filepath) ? fs.statSync(filepath).size : 0;
-			this.db.updateRecordingStatus(filepath, {
-				status: code === 0 ? "completed" : "failed",
-				ended_at: Date.now(),
-				file_size: fileSize
-			});
+			console.log(`[Recording] Part ${partNumber} ended: ${channelLogin} (exit code: ${code})`);
+			finish(code);
 		});
 
 		process.on("error", (error) => {
 			console.error(`[Recording] Process error for ${channelLogin}:`, error.message);
-			this.activeRecordings.delete(channelLogin);
-			this.db.updateRecordingStatus(filepath, {
-				status: "failed",
-				ended_at: Date.now(),
-				error: error.message
-			});
+			recording.lastError = error.message;
+			// A process that couldn't be spawned never emits "close"
+			if (!process.pid) {
+				finish(null);
+			}
+		});
+	}
+
+	/**
+	 * A streamlink run ended - reconnect right away with a new part unless the recording
+	 * was stopped. Parts without data are dropped. Only a part that ran for STABLE_PART_DURATION
+	 * resets the backoff - after RECONNECT_ATTEMPTS empty or short parts in a row the
+	 * broadcast is considered over.
+	 */
+	partEnded(rule, recording, part, code) {
+		recording.process = null;
+
+		const fileSize = fs.existsSync(part.filepath) ? fs.statSync(part.filepath).size : 0;
+		if (fileSize > 0) {
+			this.db.updateRecordingPart(part.id, { ended_at: Date.now(), file_size: fileSize, exit_code: code });
+			// A streamlink that writes a little and dies again keeps backing off
+			if (Date.now() - part.startedAt >= STABLE_PART_DURATION) {
+				recording.reconnectAttempts = 0;
+			}
+		} else {
+			if (fs.existsSync(part.filepath)) {
+				fs.unlinkSync(part.filepath);
+			}
+			this.db.deleteRecordingPart(part.id);
+			recording.partNumber--;
+			this.db.updateRecordingStatus(recording.filepath, { parts: recording.partNumber });
+		}
+
+		if (recording.stopping) {
+			this.finishRecording(recording);
+			return;
+		}
+		if (recording.paused) {
+			return;
+		}
+
+		recording.reconnectAttempts++;
+		if (recording.reconnectAttempts > RECONNECT_ATTEMPTS) {
+			console.log(`[Recording] ${recording.channelLogin}: nothing stable recorded after ${RECONNECT_ATTEMPTS} reconnects, broadcast is over`);
+			this.finishRecording(recording);
+			return;
+		}
+
+		// First attempt right away, then 2s, 4s, ...
+		const delay = recording.reconnectAttempts === 1 ? 0 : RECONNECT_BASE_DELAY * 2 ** (recording.reconnectAttempts - 2);
+		console.log(`[Recording] ${recording.channelLogin}: streamlink exited (code ${code}), reconnecting in ${delay / 1000}s (attempt ${recording.reconnectAttempts}/${RECONNECT_ATTEMPTS})`);
+
+		recording.reconnectTimer = setTimeout(() => {
+			recording.reconnectTimer = null;
+			if (recording.stopping) {
+				this.finishRecording(recording);
+				return;
+			}
+			this.startPart(rule, recording);
+		}, delay);
+	}
+
+	/**
+	 * The broadcast is over or the recording was stopped - store the result and
+	 * concatenate the parts into the first file if enabled. Emits "recording:completed"
+	 * for recordings with data (post-processing).
+	 */
+	async finishRecording(recording) {
+		this.activeRecordings.delete(recording.channelLogin);
+
+		const parts = this.db.getRecordingParts(recording.recordingId);
+		const fileSize = parts.reduce((total, part) => total + (part.file_size || 0), 0);
+		console.log(`[Recording] Ended: ${recording.channelLogin} (${parts.length} part(s))`);
+
+		this.db.updateRecordingStatus(recording.filepath, {
+			status: parts.length > 0 ? "completed" : "failed",
+			ended_at: Date.now(),
+			file_size: fileSize,
+			parts: parts.length,
+			error: parts.length > 0 ? null : (recording.lastError || "Nothing was recorded")
 		});
+
+		if (parts.length > 1 && this.db.getSetting("recording_concat_parts", false)) {
+			try {
+				await this.concatenateParts(recording.filepath, parts);
+			} catch (error) {
+				console.error(`[Recording] Concatenating ${recording.filename} failed:`, error.message);
+			}
+		}
+
+		if (parts.length > 0) {
+			this.emit("recording:completed", { recordingId: recording.recordingId, channelLogin: recording.channelLogin });
+		}
+	}
+
+	/**
+	 * Append parts 2..n to the first part - MPEG-TS files can simply be joined
+	 */
+	async concatenateParts(filepath, parts) {
+		const [first, ...rest] = parts;
+		for (const part of rest) {
+			await pipeline(fs.createReadStream(part.filepath), fs.createWriteStream(first.filepath, { flags: "a" }));
+			fs.unlinkSync(part.filepath);
+			this.db.deleteRecordingPart(part.id);
+		}
+
+		const fileSize = fs.statSync(first.filepath).size;
+		this.db.updateRecordingPart(first.id, { ended_at: parts[parts.length - 1].ended_at, file_size: fileSize, exit_code: first.exit_code });
+		this.db.updateRecordingStatus(filepath, { file_size: fileSize, parts: 1 });
+		console.log(`[Recording] Concatenated ${parts.length} parts into ${path.basename(first.filepath)}`);
+	}
+
+	/**
+	 * Delete the files of a recording (all parts and the thumbnail)
+	 */
+	deleteRecordingFiles(recording) {
+		const files = new Set(this.db.getRecordingParts(recording.id).map(part => part.filepath));
+		for (const file of [recording.filepath, recording.thumbnail_path]) {
+			if (file) {
+				files.add(file);
+			}
+		}
+
+		for (const file of files) {
+			if (file && fs.existsSync(file)) {
+				fs.unlinkSync(file);
+			}
+		}
+	}
+
+	/**
+	 * Delete finished recordings until the quota is kept (see RecordingQuota)
+	 */
+	enforceQuota() {
+		try {
+			for (const { recording, size, reason } of this.quota.planEviction()) {
+				this.deleteRecordingFiles(recording);
+				this.db.deleteRecording(recording.id);
+				console.log(`[Recording] Quota: deleted ${recording.filename} (${(size / 1024 / 1024).toFixed(0)} MB, ${reason})`);
+				this.emit("recording:evicted", { recordingId: recording.id, channelLogin: recording.channel_login, filename: recording.filename, reason });
+			}
+		} catch (error) {
+			console.error("[Recording] Quota error:", error.message);
+		}
+	}
+
+	/**
+	 * Pause a running recording while the free space is below the minimum (with the
+	 * "pause" low space action) and resume it with a new part once there's room again
+	 */
+	checkDiskSpace(rule, recording) {
+		const lowSpace = this.quota.getLowSpaceReason(recording.channelLogin);
+
+		if (lowSpace && !recording.paused && this.quota.getOptions().lowSpaceAction === "pause") {
+			recording.paused = true;
+			if (recording.reconnectTimer) {
+				clearTimeout(recording.reconnectTimer);
+				recording.reconnectTimer = null;
+			}
+			if (recording.process && !recording.process.killed) {
+				recording.process.kill("SIGTERM");
+			}
+			this.warnLowSpace(recording.channelLogin, `Recording of ${recording.channelLogin} paused: ${lowSpace}`);
+		} else if (!lowSpace && recording.paused && !recording.process) {
+			recording.paused = false;
+			recording.reconnectAttempts = 0;
+			this.lowSpaceWarnings.delete(recording.channelLogin);
+			console.log(`[Recording] ${recording.channelLogin}: enough disk space again, resuming`);
+			this.emit("recording:warning", { channelLogin: recording.channelLogin, state: "resumed", message: `Recording of ${recording.channelLogin} resumed` });
+			this.startPart(rule, recording);
+		}
+	}
+
+	/**
+	 * Log and emit a low disk space warning - once per channel until it can record again
+	 */
+	warnLowSpace(channelLogin, message) {
+		if (this.lowSpaceWarnings.has(channelLogin)) {
+			return;
+		}
+		this.lowSpaceWarnings.add(channelLogin);
+		console.log(`[Recording] ${message}`);
+		this.emit("recording:warning", { channelLogin, state: "low_space", message });
+	}
+
+	isRecording(channelLogin) {
+		return this.activeRecordings.has(channelLogin.toLowerCase());
 	}
 
 	/**
@@ -240,6 +529,21 @@ class RecordingManager {
 		}
 
 		console.log(`[Recording] Stopping: ${channelLogin}`);
+		recording.stopping = true;
+
+		// Paused for lack of disk space - there's no process either
+		if (recording.paused && !recording.process) {
+			this.finishRecording(recording);
+			return;
+		}
+
+		// Waiting for a reconnect - there's no process to stop
+		if (recording.reconnectTimer) {
+			clearTimeout(recording.reconnectTimer);
+			recording.reconnectTimer = null;
+			this.finishRecording(recording);
+			return;
+		}
 
 		// Send SIGTERM to gracefully stop streamlink
 		if (recording.process && !recording.process.killed) {
@@ -259,16 +563,22 @@ class RecordingManager {
 	}
 
 	/**
-	 * Get all active recordings
+	 * Get all active recordings - of one user, or of everyone without ownerUserId
 	 */
-	getActiveRecordings() {
+	getActiveRecordings(ownerUserId = null) {
 		const recordings = [];
 		for (const [channelLogin, info] of this.activeRecordings) {
+			if (ownerUserId !== null && info.ownerUserId !== ownerUserId) {
+				continue;
+			}
 			recordings.push({
 				channelLogin,
 				gameName: info.gameName,
 				streamTitle: info.streamTitle,
 				filename: info.filename,
+				part: info.partNumber,
+				reconnecting: !!info.reconnectTimer,
+				paused: info.paused,
 				startedAt: info.startedAt,
 				duration: Date.now() - info.startedAt
 			});
@@ -294,6 +604,9 @@ class RecordingManager {
 	 */
 	cleanupOldRecordings() {
 		const maxAgeDays = this.db.getSetting("recording_max_age_days", this.maxRecordingAgeDays);
+		if (!maxAgeDays) {
+			return; // Kept forever ("Never") - only the disk quota deletes recordings
+		}
 		const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
 		const cutoffTime = Date.now() - maxAgeMs;
 
@@ -304,34 +617,58 @@ class RecordingManager {
 			const oldRecordings = this.db.getRecordingsOlderThan(cutoffTime);
 
 			for (const recording of oldRecordings) {
-				// Delete file if it exists
-				if (recording.filepath && fs.existsSync(recording.filepath)) {
-					fs.unlinkSync(recording.filepath);
-					console.log(`[Recording] Deleted: ${recording.filename}`);
-				}
+				// Delete its files (all parts)
+				this.deleteRecordingFiles(recording);
+				console.log(`[Recording] Deleted: ${recording.filename}`);
 
 				// Remove from database
 				this.db.deleteRecording(recording.id);
 			}
 
-			// Also scan recordings directory for orphaned files
-			const files = fs.readdirSync(this.recordingsDir);
-			for (const file of files) {
-				const filepath = path.join(this.recordingsDir, file);
-				const stats = fs.statSync(filepath);
+			// Also scan recordings directory for orphaned files (including the
+			// folders post-processing moves recordings into)
+			this.deleteOrphanedFiles(cutoffTime);
+		} catch (error) {
+			console.error("[Recording] Cleanup error:", error.message);
+		}
+	}
+
+	/**
+	 * Delete old files that don't belong to any recording - only files this app writes
+	 * (recordings, thumbnails, remux leftovers), and only in the recordings directory and
+	 * the folders of the post-processing folder template. Anything else is left alone.
+	 */
+	deleteOrphanedFiles(cutoffTime) {
+		const options = this.db.getSetting("recording_postprocess", {});
+		const folders = PostProcessor.folderPattern(options.folderTemplate);
+
+		const scan = (dir, depth) => {
+			const relative = path.relative(this.recordingsDir, dir);
+			const isRecordingFolder = depth === 0 || (folders && depth === folders.depth && folders.regex.test(relative));
+
+			for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+				const filepath = path.join(dir, entry.name);
 
-				if (stats.mtimeMs < cutoffTime) {
-					// File is old, check if it's tracked in database
-					const inDb = this.db.getRecordingByFilepath(filepath);
-					if (!inDb) {
-						fs.unlinkSync(filepath);
-						console.log(`[Recording] Deleted orphaned file: ${file}`);
+				if (entry.isDirectory()) {
+					if (folders && depth < folders.depth) {
+						scan(filepath, depth + 1);
 					}
+					continue;
+				}
+				if (!isRecordingFolder || !entry.isFile() || !RECORDING_FILE_PATTERN.test(entry.name)) {
+					continue;
+				}
+
+				const stats = fs.statSync(filepath);
+				if (stats.mtimeMs < cutoffTime && !this.db.isRecordingFile(filepath)) {
+					// File is old and not tracked in the database
+					fs.unlinkSync(filepath);
+					console.log(`[Recording] Deleted orphaned file: ${path.relative(this.recordingsDir, filepath)}`);
 				}
 			}
-		} catch (error) {
-			console.error("[Recording] Cleanup error:", error.message);
-		}
+		};
+
+		scan(this.recordingsDir, 0);
 	}
 
 	/**
@@ -0,0 +1,215 @@
+const fs = require("fs");
+
+const GB = 1024 * 1024 * 1024;
+
+const EVICTION_POLICIES = ["oldest", "priority"];
+const LOW_SPACE_ACTIONS = ["refuse", "pause"];
+
+const DEFAULT_OPTIONS = {
+	policy: "oldest", // "oldest" first, or recordings of the lowest priority rule first
+	lowSpaceAction: "refuse", // below the minimum free space: "refuse" new recordings, or also "pause" running ones
+	maxTotalGB: 0, // size limit of all recordings - 0 for none
+	minFreeGB: 0, // free space kept on the disk - 0 for none
+	channels: {} // channel login -> { maxTotalGB, minFreeGB }
+};
+
+/**
+ * Disk quota of the recordings directory. Size limits (global and per channel) and
+ * the global minimum free space are kept by deleting finished recordings in the
+ * order of the eviction policy - pinned recordings and those still being recorded
+ * or post-processed are never deleted. If the free space is still below the minimum
+ * (global or the channel's), recordings are refused or paused.
+ */
+class RecordingQuota {
+	constructor(db, recordingsDir) {
+		this.db = db;
+		this.recordingsDir = recordingsDir;
+	}
+
+	/**
+	 * Quota options (setting "recording_quota") merged with the defaults
+	 */
+	getOptions() {
+		return { ...DEFAULT_OPTIONS, ...this.db.getSetting("recording_quota", {}) };
+	}
+
+	/**
+	 * Validate and store quota options - returns an error message or null
+	 */
+	setOptions(options) {
+		const merged = { ...this.getOptions(), ...options };
+
+		if (!EVICTION_POLICIES.includes(merged.policy)) {
+			return `Unknown eviction policy "${merged.policy}" - use ${EVICTION_POLICIES.join(" or ")}`;
+		}
+		if (!LOW_SPACE_ACTIONS.includes(merged.lowSpaceAction)) {
+			return `Unknown low space action "${merged.lowSpaceAction}" - use ${LOW_SPACE_ACTIONS.join(" or ")}`;
+		}
+
+		const parseSize = (value) => {
+			const size = Number(value || 0);
+			return Number.isFinite(size) && size >= 0 ? size : null;
+		};
+
+		const limits = { maxTotalGB: parseSize(merged.maxTotalGB), minFreeGB: parseSize(merged.minFreeGB) };
+		if (limits.maxTotalGB === null || limits.minFreeGB === null) {
+			return "Sizes must be positive numbers of GB";
+		}
+
+		const channels = {};
+		for (const [channel, quota] of Object.entries(merged.channels || {})) {
+			const login = channel.trim().toLowerCase();
+			const channelLimits = { maxTotalGB: parseSize(quota.maxTotalGB), minFreeGB: parseSize(quota.minFreeGB) };
+			if (!login || channelLimits.maxTotalGB === null || channelLimits.minFreeGB === null) {
+				return `Invalid quota for channel "${channel}"`;
+			}
+			if (channelLimits.maxTotalGB || channelLimits.minFreeGB) {
+				channels[login] = channelLimits;
+			}
+		}
+
+		this.db.setSetting("recording_quota", { policy: merged.policy, lowSpaceAction: merged.lowSpaceAction, ...limits, channels });
+		return null;
+	}
+
+	/**
+	 * Free and total bytes of the disk with the recordings directory - null if unknown
+	 */
+	getDiskSpace() {
+		try {
+			const stats = fs.statfsSync(this.recordingsDir);
+			return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Bytes a recording takes on disk - all parts and the thumbnail
+	 */
+	getRecordingSize(recording) {
+		const files = new Set(this.db.getRecordingParts(recording.id).map(part => part.filepath));
+		for (const file of [recording.filepath, recording.thumbnail_path]) {
+			if (file) {
+				files.add(file);
+			}
+		}
+
+		let size = 0;
+		for (const file of files) {
+			try {
+				size += fs.statSync(file).size;
+			} catch (error) {
+				// Deleted or moved meanwhile
+			}
+		}
+		return size;
+	}
+
+	/**
+	 * Disk usage of the recordings - { total, channels: { login: bytes }, disk }
+	 */
+	getUsage() {
+		const channels = {};
+		let total = 0;
+		for (const recording of this.db.getRecordingsForQuota()) {
+			const size = this.getRecordingSize(recording);
+			channels[recording.channel_login] = (channels[recording.channel_login] || 0) + size;
+			total += size;
+		}
+		return { total, channels, disk: this.getDiskSpace() };
+	}
+
+	/**
+	 * Why a channel can't be recorded right now (free space below the global or
+	 * the channel's minimum) - null if it can
+	 */
+	getLowSpaceReason(channelLogin) {
+		const options = this.getOptions();
+		const channelQuota = options.channels[channelLogin.toLowerCase()] || {};
+		const minFree = Math.max(options.minFreeGB || 0, channelQuota.minFreeGB || 0) * GB;
+		if (!minFree) {
+			return null;
+		}
+
+		const disk = this.getDiskSpace();
+		if (!disk || disk.free >= minFree) {
+			return null;
+		}
+		return `only ${(disk.free / GB).toFixed(1)} GB free, ${(minFree / GB).toFixed(1)} GB required`;
+	}
+
+	/**
+	 * Finished recordings in the order they are deleted
+	 */
+	getEvictionCandidates(recordings, policy) {
+		const candidates = recordings.filter(recording =>
+			recording.status !== "recording" &&
+			!recording.pinned &&
+			!this.db.getRecordingSteps(recording.id).some(step => step.status === "pending" || step.status === "running")
+		);
+
+		return candidates.sort((a, b) => {
+			if (policy === "priority" && a.rule_priority !== b.rule_priority) {
+				return a.rule_priority - b.rule_priority;
+			}
+			return a.started_at - b.started_at;
+		});
+	}
+
+	/**
+	 * Recordings to delete to get within the size limits and the minimum free space -
+	 * [{ recording, size, reason }]
+	 */
+	planEviction() {
+		const options = this.getOptions();
+		const recordings = this.db.getRecordingsForQuota();
+		const sizes = new Map(recordings.map(recording => [recording.id, this.getRecordingSize(recording)]));
+		const candidates = this.getEvictionCandidates(recordings, options.policy);
+		const disk = this.getDiskSpace();
+
+		const channelUsage = {};
+		let total = 0;
+		for (const recording of recordings) {
+			channelUsage[recording.channel_login] = (channelUsage[recording.channel_login] || 0) + sizes.get(recording.id);
+			total += sizes.get(recording.id);
+		}
+
+		const evictions = [];
+		const evict = (recording, reason) => {
+			const size = sizes.get(recording.id);
+			candidates.splice(candidates.indexOf(recording), 1);
+			channelUsage[recording.channel_login] -= size;
+			total -= size;
+			if (disk) {
+				disk.free += size;
+			}
+			evictions.push({ recording, size, reason });
+		};
+
+		for (const [channel, quota] of Object.entries(options.channels)) {
+			const maxTotal = (quota.maxTotalGB || 0) * GB;
+			while (maxTotal && (channelUsage[channel] || 0) > maxTotal) {
+				const next = candidates.find(recording => recording.channel_login === channel);
+				if (!next) {
+					break;
+				}
+				evict(next, `${channel} recordings over ${quota.maxTotalGB} GB`);
+			}
+		}
+
+		const maxTotal = (options.maxTotalGB || 0) * GB;
+		while (maxTotal && total > maxTotal && candidates.length > 0) {
+			evict(candidates[0], `recordings over ${options.maxTotalGB} GB`);
+		}
+
+		const minFree = (options.minFreeGB || 0) * GB;
+		while (minFree && disk && disk.free < minFree && candidates.length > 0) {
+			evict(candidates[0], `less than ${options.minFreeGB} GB free`);
+		}
+
+		return evictions;
+	}
+}
+
+module.exports = RecordingQuota;
@@ -0,0 +1,51 @@
+// Re-encrypt stored Twitch tokens with a new key
+// Usage (stop the server first):
+//   npm run rotate-token-key                 - generate a new random key
+//   NEW_TOKEN_ENCRYPTION_KEY=... npm run rotate-token-key
+// With a key file the new key is first written to <key file>.new and moved into place
+// once the tokens are re-encrypted (the old one is kept as .old); with TOKEN_ENCRYPTION_KEY
+// the new key is printed before the rotation and has to be set in your environment.
+const fs = require("fs");
+const path = require("path");
+const Database = require("./database");
+const { loadTokenKey, parseKey, generateKey, writeKeyFile } = require("./token-crypto");
+
+const configFile = JSON.parse(fs.readFileSync(path.join(__dirname, "../config/config.json"), "utf8"));
+const dbPath = process.env.DATABASE_PATH || configFile.database.path;
+const keyFile = process.env.TOKEN_ENCRYPTION_KEY_FILE || path.join(__dirname, "../config/token.key");
+
+const current = loadTokenKey({ key: process.env.TOKEN_ENCRYPTION_KEY, keyFile });
+const newKeyValue = process.env.NEW_TOKEN_ENCRYPTION_KEY || generateKey();
+
+// Keep the new key safe before the tokens are re-encrypted with it - a crash after
+// the commit must not leave the database encrypted with a key that was never stored
+const pendingKeyFile = `${keyFile}.new`;
+if (current.source === "file") {
+	writeKeyFile(pendingKeyFile, newKeyValue);
+} else if (!process.env.NEW_TOKEN_ENCRYPTION_KEY) {
+	console.log("New key - set this as TOKEN_ENCRYPTION_KEY before starting the server:");
+	console.log(newKeyValue);
+}
+
+const db = new Database(dbPath, { tokenKey: current.key });
+db.init();
+
+try {
+	const count = db.rotateTokenKey(parseKey(newKeyValue));
+	console.log(`✓ Re-encrypted tokens of ${count} linked account${count === 1 ? "" : "s"}`);
+} catch (error) {
+	console.error(`✗ Key rotation failed, nothing was changed: ${error.message}`);
+	db.close();
+	fs.rmSync(pendingKeyFile, { force: true });
+	process.exit(1);
+}
+
+db.close();
+
+if (current.source === "file") {
+	fs.copyFileSync(keyFile, `${keyFile}.old`);
+	fs.renameSync(pendingKeyFile, keyFile);
+	console.log(`✓ New key written to ${keyFile} (previous key saved as ${keyFile}.old)`);
+} else if (process.env.NEW_TOKEN_ENCRYPTION_KEY) {
+	console.log("Set NEW_TOKEN_ENCRYPTION_KEY as TOKEN_ENCRYPTION_KEY before starting the server");
+}
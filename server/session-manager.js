@@ -0,0 +1,280 @@
+const crypto = require("crypto");
+
+const SESSION_COOKIE = "sid";
+
+class SessionManager {
+	constructor(db) {
+		this.db = db;
+		this.sessionTtlMs = 30 * 24 * 60 * 60 * 1000; // 30 days, extended on activity
+		this.oauthStates = new Map(); // state -> { sessionHash, userId, expiresAt }
+		this.cleanupInterval = setInterval(() => {
+			this.db.deleteExpiredSessions();
+		}, 60 * 60 * 1000);
+	}
+
+	/**
+	 * Tokens are only stored as SHA-256 hashes so a leaked database can't be used to log in
+	 */
+	hashToken(token) {
+		return crypto.createHash("sha256").update(token).digest("hex");
+	}
+
+	/**
+	 * Create a session for a user and return the raw token for the cookie
+	 */
+	createSession(userId) {
+		const token = crypto.randomBytes(32).toString("base64url");
+		this.db.createSession(this.hashToken(token), userId, Date.now() + this.sessionTtlMs);
+		return token;
+	}
+
+	destroySession(token) {
+		if (token) {
+			this.db.deleteSession(this.hashToken(token));
+		}
+	}
+
+	/**
+	 * Generate a new API key for a user (replaces the previous one)
+	 */
+	regenerateApiKey(userId) {
+		const apiKey = `slr_${crypto.randomBytes(24).toString("base64url")}`;
+		this.db.setUserApiKeyHash(userId, this.hashToken(apiKey));
+		return apiKey;
+	}
+
+	/**
+	 * Create a named playlist access token - returns the raw token (only shown once)
+	 */
+	createAccessToken(userId, name) {
+		const token = `plt_${crypto.randomBytes(24).toString("base64url")}`;
+		const id = this.db.addAccessToken(userId, name, this.hashToken(token), token.substring(0, 8));
+		return { id, token };
+	}
+
+	/**
+	 * OAuth state for linking a Twitch account - tied to the calling session and user,
+	 * valid for 10 minutes. The callback has to return it (consumeOAuthState).
+	 */
+	createOAuthState(req, user) {
+		const now = Date.now();
+		for (const [state, entry] of this.oauthStates) {
+			if (entry.expiresAt < now) {
+				this.oauthStates.delete(state);
+			}
+		}
+
+		const state = crypto.randomBytes(24).toString("base64url");
+		const token = this.getSessionToken(req);
+		this.oauthStates.set(state, {
+			sessionHash: token ? this.hashToken(token) : null,
+			userId: user.id,
+			expiresAt: now + 10 * 60 * 1000
+		});
+		return state;
+	}
+
+	/**
+	 * Whether an OAuth callback's state was issued to this session and user - each state is used once
+	 */
+	consumeOAuthState(req, user, state) {
+		const entry = state ? this.oauthStates.get(String(state)) : null;
+		if (!entry) {
+			return false;
+		}
+		this.oauthStates.delete(String(state));
+
+		const token = this.getSessionToken(req);
+		return entry.expiresAt >= Date.now() &&
+			entry.userId === user.id &&
+			entry.sessionHash !== null &&
+			entry.sessionHash === (token ? this.hashToken(token) : null);
+	}
+
+	parseCookies(header) {
+		const cookies = {};
+		if (!header) {
+			return cookies;
+		}
+
+		for (const part of header.split(";")) {
+			const index = part.indexOf("=");
+			if (index === -1) continue;
+			const name = part.substring(0, index).trim();
+			const value = part.substring(index + 1).trim();
+			try {
+				cookies[name] = decodeURIComponent(value);
+			} catch (e) {
+				cookies[name] = value;
+			}
+		}
+
+		return cookies;
+	}
+
+	getSessionToken(req) {
+		return this.parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+	}
+
+	setSessionCookie(req, res, token) {
+		const parts = [
+			`${SESSION_COOKIE}=${token}`,
+			"Path=/",
+			"HttpOnly",
+			"SameSite=Lax",
+			`Max-Age=${Math.floor(this.sessionTtlMs / 1000)}`
+		];
+		if (req.secure) {
+			parts.push("Secure");
+		}
+		res.setHeader("Set-Cookie", parts.join("; "));
+	}
+
+	clearSessionCookie(res) {
+		res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+	}
+
+	/**
+	 * Resolve the calling user from the session cookie
+	 */
+	getUserFromSession(req) {
+		const token = this.getSessionToken(req);
+		if (!token) {
+			return null;
+		}
+
+		const tokenHash = this.hashToken(token);
+		const session = this.db.getSession(tokenHash);
+		if (!session) {
+			return null;
+		}
+
+		// Sliding expiry - only write back once a minute to keep the DB quiet
+		if (Date.now() - session.last_seen_at > 60000) {
+			this.db.touchSession(tokenHash, Date.now() + this.sessionTtlMs);
+		}
+
+		return this.db.getUser(session.user_id) || null;
+	}
+
+	/**
+	 * Resolve the calling user from an API key (X-API-Key header or ?api_key=)
+	 */
+	getUserFromApiKey(req) {
+		const apiKey = req.headers["x-api-key"] || (req.query && req.query.api_key);
+		if (!apiKey) {
+			return null;
+		}
+
+		return this.db.getUserByApiKeyHash(this.hashToken(String(apiKey)));
+	}
+
+	/**
+	 * Resolve the calling user from a playlist access token (?token=) and record its usage
+	 */
+	getUserFromAccessToken(req) {
+		const token = req.query && req.query.token;
+		if (!token) {
+			return null;
+		}
+
+		const accessToken = this.db.getAccessTokenByHash(this.hashToken(String(token)));
+		if (!accessToken) {
+			return null;
+		}
+
+		// Usage is only written back once a minute (or from a new IP) - players poll playlists and segments
+		const ip = req.ip || null;
+		if (!accessToken.last_used_at || Date.now() - accessToken.last_used_at > 60000 || accessToken.last_used_ip !== ip) {
+			this.db.touchAccessToken(accessToken.id, ip);
+		}
+		return this.db.getUser(accessToken.user_id) || null;
+	}
+
+	/**
+	 * Resolve the calling user from a session cookie or API key
+	 */
+	authenticate(req) {
+		return this.getUserFromSession(req) || this.getUserFromApiKey(req);
+	}
+
+	/**
+	 * Express middleware for JSON APIs - 401 with loginRequired so the web UI shows the login screen
+	 */
+	requireUser() {
+		return (req, res, next) => {
+			const user = this.authenticate(req);
+			if (!user) {
+				return res.status(401).json({ error: "Login required", loginRequired: true });
+			}
+			req.user = user;
+			next();
+		};
+	}
+
+	/**
+	 * Express middleware for admin-only routes (runs after requireUser)
+	 */
+	requireAdmin() {
+		return (req, res, next) => {
+			if (!req.user || req.user.role !== "admin") {
+				return res.status(403).json({ error: "Admin access required" });
+			}
+			next();
+		};
+	}
+
+	/**
+	 * Express middleware for playlist, EPG and stream entry endpoints - plain text 401 for media players
+	 * Accepts a session, API key or playlist token. req.accessParams holds the credential
+	 * to carry into generated entry URLs (players don't send cookies to them) - only one
+	 * that is already in the query string, an X-API-Key header never ends up in a playlist.
+	 */
+	requirePlaylistAccess() {
+		return (req, res, next) => {
+			let user = this.getUserFromAccessToken(req);
+			if (user) {
+				req.accessParams = { token: String(req.query.token) };
+			} else {
+				user = this.getUserFromApiKey(req);
+				if (user) {
+					req.accessParams = req.headers["x-api-key"] ? {} : { api_key: String(req.query.api_key) };
+				} else {
+					user = this.getUserFromSession(req);
+					req.accessParams = {};
+				}
+			}
+
+			if (!user) {
+				return res.status(401).send("Access denied (use ?token=...)");
+			}
+			req.user = user;
+			next();
+		};
+	}
+
+	/**
+	 * WebSocket verifyClient handler - only accepts upgrades with a valid session or API key
+	 */
+	verifyWebSocketClient() {
+		return (info, callback) => {
+			const url = new URL(info.req.url, "http://localhost");
+			const req = {
+				headers: info.req.headers,
+				query: Object.fromEntries(url.searchParams)
+			};
+			const user = this.authenticate(req);
+			if (!user) {
+				return callback(false, 401, "Login required");
+			}
+			info.req.user = user;
+			callback(true);
+		};
+	}
+
+	shutdown() {
+		clearInterval(this.cleanupInterval);
+	}
+}
+
+module.exports = SessionManager;
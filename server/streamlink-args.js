@@ -0,0 +1,111 @@
+// Options that would break how the managers use streamlink's output
+const BLOCKED_OPTIONS = [
+	"--output", "--stdout", "--record", "--record-and-pipe", "--force", "--json", "--url", "--config",
+	"--player", "--player-args", "--player-external-http", "--player-continuous-http", "--player-passthrough"
+];
+
+// Options whose values are credentials - masked in logs
+const SECRET_OPTION_PATTERN = /^--(http-cookie|http-header|http-query-param|twitch-api-header|twitch-access-token-param|[a-z0-9-]*(password|passphrase|token|secret)[a-z0-9-]*)$/i;
+
+/**
+ * Streamlink argument profiles - named option lists stored in the database.
+ * The profiles of a stream are layered: global, source (provider), channel and
+ * recording rule, each adding to the ones before. Used by the stream and the
+ * recording manager.
+ */
+class StreamlinkArgs {
+	constructor(db) {
+		this.db = db;
+	}
+
+	/**
+	 * Profile text to streamlink arguments - one option per line ("--opt value" or
+	 * "--opt=value"), empty lines and "#" comments are ignored. Throws on invalid options.
+	 */
+	static parse(text) {
+		const args = [];
+
+		for (const rawLine of String(text || "").split("\n")) {
+			const line = rawLine.trim();
+			if (!line || line.startsWith("#")) {
+				continue;
+			}
+
+			const match = /^(--[a-z0-9-]+)(?:(=)(.*)|\s+(.+))?$/i.exec(line);
+			if (!match) {
+				throw new Error(`Invalid option "${line}" - one --option per line`);
+			}
+
+			const option = match[1].toLowerCase();
+			if (BLOCKED_OPTIONS.includes(option)) {
+				throw new Error(`${option} can't be used in a profile`);
+			}
+
+			if (match[2]) {
+				args.push(`${match[1]}=${match[3]}`);
+			} else if (match[4] !== undefined) {
+				args.push(match[1], match[4].trim());
+			} else {
+				args.push(match[1]);
+			}
+		}
+
+		return args;
+	}
+
+	/**
+	 * Arguments for the log: values of credential options are replaced by "***" and
+	 * user:password@ is removed from URLs (e.g. proxies)
+	 */
+	static mask(args) {
+		return args.map((arg, index) => {
+			const [option, value] = arg.split(/=(.*)/s);
+			if (value !== undefined && SECRET_OPTION_PATTERN.test(option)) {
+				return `${option}=***`;
+			}
+			if (index > 0 && SECRET_OPTION_PATTERN.test(args[index - 1]) && !arg.startsWith("-")) {
+				return "***";
+			}
+			return arg.replace(/:\/\/[^/@\s]+@/g, "://***@");
+		});
+	}
+
+	/**
+	 * Profiles for a channel, least specific first: global, source, channel and
+	 * profileId (e.g. of a recording rule). A profile assigned twice is used once.
+	 */
+	resolveProfiles(channel, providerId, profileId = null) {
+		const ids = [
+			this.db.getStreamlinkProfileAssignment("global"),
+			providerId ? this.db.getStreamlinkProfileAssignment(`source:${providerId}`) : null,
+			this.db.getStreamlinkProfileAssignment(`channel:${channel.toLowerCase()}`),
+			profileId
+		];
+
+		return [...new Set(ids.filter(Boolean))]
+			.map(id => this.db.getStreamlinkProfile(id))
+			.filter(Boolean);
+	}
+
+	/**
+	 * Streamlink arguments for a channel: its profiles plus the low latency setting.
+	 * Later profiles come last, so their value wins for options streamlink takes once.
+	 */
+	getArgs(channel, providerId, profileId = null) {
+		const args = this.resolveProfiles(channel, providerId, profileId)
+			.flatMap(profile => StreamlinkArgs.parse(profile.args));
+
+		if (this.db.getSettings().lowLatency) {
+			if (providerId === "twitch" && !args.includes("--twitch-low-latency")) {
+				args.push("--twitch-low-latency");
+			}
+			if (!args.some(arg => arg.startsWith("--hls-live-edge"))) {
+				args.push("--hls-live-edge", "2");
+			}
+		}
+
+		return args;
+	}
+}
+
+module.exports = StreamlinkArgs;
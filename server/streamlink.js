@@ -1,89 +1,140 @@
 const { spawn } = require("child_process");
 const EventEmitter = require("events");
 const os = require("os");
+const path = require("path");
+const HlsSegmenter = require("./hls-segmenter");
+const Transcoder = require("./transcoder");
+const StreamlinkArgs = require("./streamlink-args");
+
+// Unsent bytes per relay client before it is considered stalled (~20s of 1080p60)
+const MAX_CLIENT_BUFFER = 16 * 1024 * 1024;
+// HLS players have no open connection - they count as viewers while they keep polling
+const HLS_VIEWER_TIMEOUT = 30000;
+// Restart backoff after streamlink died: 1s, 2s, 4s, ... up to 30s
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+// A process that ran this long resets the restart attempts
+const RESTART_STABLE_TIME = 60000;
+// Quality ladder for the fallback after repeated restart failures
+const FALLBACK_QUALITIES = ["1080p60", "720p60", "720p", "480p", "360p", "160p"];
+// Entries kept in the event log of a stream
+const MAX_STREAM_EVENTS = 100;
+// Streamlink log lines that become stream events (ad breaks are filtered by --twitch-disable-ads)
+const LOG_EVENTS = [
+	{ pattern: /Detected advertisement break of (\d+) seconds?/i, type: "ad_start", data: match => ({ duration: parseInt(match[1], 10) }) },
+	{ pattern: /Waiting for pre-roll ads to finish/i, type: "ad_start", data: () => ({ preroll: true }) },
+	{ pattern: /Filtering out segments and pausing stream output/i, type: "ad_start" },
+	{ pattern: /Resuming stream output/i, type: "ad_end" },
+	{ pattern: /Encountered a stream discontinuity/i, type: "discontinuity" },
+	{ pattern: /Opening stream: (\S+)/, type: "quality", data: match => ({ quality: match[1] }) }
+];
 
 class StreamlinkManager extends EventEmitter {
-	constructor(config, serverConfig) {
+	constructor(config, serverConfig, providers, streamlinkArgs) {
 		super();
 		this.config = config;
 		this.serverConfig = serverConfig;
+		this.providers = providers;
+		this.streamlinkArgs = streamlinkArgs; // argument profiles per channel/source
 		this.activeStreams = new Map();
-		this.nextPort = serverConfig.streamPortStart;
-		// Client tracking for auto-stop
-		this.clientConnections = new Map(); // channel -> { count: number, lastActivity: timestamp }
-		this.autoStopTimeout = 3600000; // 1 hour without clients before auto-stop (VLC keeps connection open)
-		this.autoStopCheckInterval = 60000; // Check every 60 seconds
+		this.pendingStarts = new Map(); // channel -> startStream promise
+		// Streams nobody watches are stopped after this long without viewers
+		this.idleTimeout = (config.idleTimeout || 300) * 1000;
+		this.autoStopCheckInterval = 15000; // Check every 15 seconds
 		this._startAutoStopChecker();
 	}
 
-	// Start periodic checker for streams without clients
+	// Start periodic checker for streams without viewers
 	_startAutoStopChecker() {
 		setInterval(() => {
 			this._checkAutoStop();
 		}, this.autoStopCheckInterval);
 	}
 
-	// Check and stop streams without recent client activity
+	// Stop streams that had no viewer connected for idleTimeout
 	_checkAutoStop() {
 		const now = Date.now();
 		for (const [channel, streamData] of this.activeStreams) {
-			const clientInfo = this.clientConnections.get(channel);
+			this._pruneHlsViewers(streamData);
+			if (this._countViewers(streamData) === 0 && now - streamData.idleSince > this.idleTimeout) {
+				console.log(`[AutoStop] No viewers on ${channel} for ${this.idleTimeout / 1000}s, stopping stream`);
+				this.stopStream(channel);
+			}
+		}
+	}
 
-			// Skip if stream was started less than autoStopTimeout ago
-			if (now - streamData.startedAt < this.autoStopTimeout) {
-				continue;
+	// Relay clients (direct and transcoded) plus HLS players that polled recently
+	_countViewers(streamData) {
+		let count = streamData.clients.size + streamData.hlsViewers.size;
+		for (const output of streamData.outputs.values()) {
+			if (output instanceof Transcoder) {
+				count += output.clients.size;
 			}
+		}
+		return count;
+	}
 
-			// If no client info exists or no recent activity, consider stopping
-			if (!clientInfo || (now - clientInfo.lastActivity > this.autoStopTimeout)) {
-				console.log(`[AutoStop] No client activity for ${channel} in ${this.autoStopTimeout/1000}s, stopping stream`);
-				this.stopStream(channel);
-				this.clientConnections.delete(channel);
+	// Forget HLS players that stopped polling
+	_pruneHlsViewers(streamData) {
+		const now = Date.now();
+		let removed = false;
+		for (const [viewerId, lastSeen] of streamData.hlsViewers) {
+			if (now - lastSeen > HLS_VIEWER_TIMEOUT) {
+				streamData.hlsViewers.delete(viewerId);
+				streamData.priorities.delete(viewerId);
+				removed = true;
 			}
 		}
+		if (removed) {
+			this._viewersChanged(streamData);
+		}
 	}
 
-	// Track client connection to a stream
-	trackClientConnect(channel) {
-		const lowerChannel = channel.toLowerCase();
-		const existing = this.clientConnections.get(lowerChannel);
-		if (existing) {
-			existing.count++;
-			existing.lastActivity = Date.now();
-		} else {
-			this.clientConnections.set(lowerChannel, {
-				count: 1,
-				lastActivity: Date.now()
-			});
+	// Viewer count changed - idle time starts when the last viewer leaves
+	_viewersChanged(streamData) {
+		const viewers = this._countViewers(streamData);
+		if (viewers === 0) {
+			streamData.idleSince = Date.now();
 		}
-		console.log(`[Client] Connected to ${channel}, active clients: ${this.clientConnections.get(lowerChannel).count}`);
+		console.log(`[Client] ${streamData.channel}: ${viewers} viewer(s)`);
+		this.emit("stream:viewers", {
+			channel: streamData.channel,
+			viewers
+		});
+	}
+
+	/**
+	 * Number of players currently connected to a stream (0 if not running)
+	 */
+	getViewerCount(channel) {
+		const streamData = this.activeStreams.get(channel);
+		return streamData ? this._countViewers(streamData) : 0;
 	}
 
-	// Track client disconnect from a stream
-	trackClientDisconnect(channel) {
-		const lowerChannel = channel.toLowerCase();
-		const existing = this.clientConnections.get(lowerChannel);
-		if (existing && existing.count > 0) {
-			existing.count--;
-			existing.lastActivity = Date.now();
-			console.log(`[Client] Disconnected from ${channel}, active clients: ${existing.count}`);
+	/**
+	 * Stream priority: the highest priority of its viewers (null without viewers)
+	 */
+	getStreamPriority(channel) {
+		const streamData = this.activeStreams.get(channel);
+		if (!streamData) {
+			return null;
 		}
+
+		this._pruneHlsViewers(streamData);
+		return streamData.priorities.size > 0 ? Math.max(...streamData.priorities.values()) : null;
 	}
 
-	// Get oldest stream without active clients (for replacement when max streams reached)
-	getOldestStreamWithoutClients() {
-		const now = Date.now();
+	// Get the stream that has been idle the longest (for replacement when max streams reached)
+	getOldestStreamWithoutClients(exclude = () => false) {
 		let oldestChannel = null;
 		let oldestTime = Infinity;
 
 		for (const [channel, streamData] of this.activeStreams) {
-			const clientInfo = this.clientConnections.get(channel.toLowerCase());
-
-			// Consider "without clients" if no recent activity (last 60 seconds)
-			const hasRecentActivity = clientInfo && (now - clientInfo.lastActivity < 60000);
-
-			if (!hasRecentActivity && streamData.startedAt < oldestTime) {
-				oldestTime = streamData.startedAt;
+			if (streamData.stopping || exclude(channel)) {
+				continue;
+			}
+			if (this._countViewers(streamData) === 0 && streamData.idleSince < oldestTime) {
+				oldestTime = streamData.idleSince;
 				oldestChannel = channel;
 			}
 		}
@@ -115,17 +166,6 @@ class StreamlinkManager extends EventEmitter {
 		return fallbackIp || "localhost"; // Fallback
 	}
 
-	getNextPort() {
-		const port = this.nextPort;
-		this.nextPort++;
-
-		if (this.nextPort > this.serverConfig.streamPortEnd) {
-			this.nextPort = this.serverConfig.streamPortStart;
-		}
-
-		return port;
-	}
-
 	async startStream(channel, quality = null, customUrl = null) {
 		// Check if stream already running
 		if (this.activeStreams.has(channel)) {
@@ -134,162 +174,569 @@ class StreamlinkManager extends EventEmitter {
 				success: true,
 				alreadyRunning: true,
 				channel,
-				url: existing.url,
-				port: existing.port
+				url: existing.url
 			};
 		}
 
-		const streamQuality = quality || this.config.defaultQuality;
-		const port = this.getNextPort();
-		// Use EXTERNAL_HOST env var if set, otherwise auto-detect
-		const streamHost = process.env.EXTERNAL_HOST ||
-		                   (this.serverConfig.host === "0.0.0.0" ? this.getLocalIpAddress() : this.serverConfig.host);
-		const url = `http://${streamHost}:${port}/`;
+		// Several clients may open a channel at once - they share one streamlink process
+		if (this.pendingStarts.has(channel)) {
+			return this.pendingStarts.get(channel);
+		}
 
+		const start = this._spawnStream(channel, quality, customUrl);
+		this.pendingStarts.set(channel, start);
+		try {
+			return await start;
+		} finally {
+			this.pendingStarts.delete(channel);
+		}
+	}
+
+	async _spawnStream(channel, quality, customUrl) {
 		// Extract actual channel name (strip quality suffix like @720p60)
 		const actualChannel = channel.includes("@") ? channel.split("@")[0] : channel;
+		const provider = customUrl ? null : this.providers.forChannel(actualChannel);
+
+		// Quality names like 720p60 don't exist for sources without quality variants
+		const streamQuality = provider && !provider.liveQualities ? "best" : (quality || this.config.defaultQuality);
+		// Players connect to the relay on the main port
+		const url = this.getStreamUrl(channel);
+
+		const streamData = {
+			channel,
+			quality: streamQuality,
+			qualityArg: streamQuality, // passed to streamlink - a fallback list after a quality fallback
+			url,
+			customUrl,
+			// Lower qualities are only tried for sources with quality variants
+			canFallback: !!provider && provider.liveQualities && streamQuality !== "audio_only",
+			process: null,
+			startedAt: Date.now(),
+			pid: null,
+			clients: new Set(), // HTTP responses the stream is relayed to
+			outputs: new Map(), // name -> internal consumer (HLS segmenter, transcoder "profile:{name}")
+			hlsViewers: new Map(), // viewer id -> last playlist/segment request
+			priorities: new Map(), // relay client or HLS viewer id -> priority of its user
+			idleSince: Date.now(), // Last time the stream had no viewers
+			stopping: false, // Set by stopStream - the exit is not restarted
+			restarts: 0, // Restart attempts since the stream last ran stable
+			qualityFailures: 0, // Failed attempts at the current quality
+			restartTimer: null,
+			reconnecting: false,
+			events: [], // ad breaks, discontinuities, quality switches and restarts, oldest first
+			adBreakSince: null, // Start of the ad break being filtered out
+			openedQuality: null // Quality streamlink reported when opening the stream
+		};
+
+		return new Promise((resolve, reject) => {
+			const onStarted = () => {
+				this.activeStreams.set(channel, streamData);
+				if (this.config.timeshiftMinutes > 0) {
+					this._startTimeshift(streamData);
+				}
+				this.emit("stream:started", {
+					channel,
+					url,
+					quality: streamQuality
+				});
+				resolve({
+					success: true,
+					channel,
+					url,
+					quality: streamQuality
+				});
+			};
+
+			const onStartFailed = (error, code, errorBuffer) => {
+				this.emit("stream:error", {
+					channel,
+					error: error.message
+				});
+				this._endStream(streamData, code, errorBuffer);
+				reject(error);
+			};
+
+			this._runProcess(streamData, onStarted, onStartFailed);
+		});
+	}
+
+	// Spawn streamlink for a stream - restarts reuse the stream data, so relay clients
+	// and outputs stay connected. onStarted runs on the first bytes, onStartFailed
+	// (error, code, errorBuffer) if the process ends before that.
+	_runProcess(streamData, onStarted, onStartFailed) {
+		const { channel } = streamData;
+		const actualChannel = channel.includes("@") ? channel.split("@")[0] : channel;
 
-		// Determine the source URL (Twitch channel or custom URL for YouTube etc.)
-		const sourceUrl = customUrl || `twitch.tv/${actualChannel}`;
-		const isTwitch = !customUrl && !actualChannel.startsWith("yt:");
+		// Source URL and provider specific options (custom URLs are passed as-is),
+		// then the options of the channel's streamlink profiles
+		let source;
+		let profileArgs;
+		try {
+			const provider = streamData.customUrl ? null : this.providers.forChannel(actualChannel);
+			source = provider
+				? provider.getStreamlinkSource(actualChannel)
+				: { url: streamData.customUrl, args: [] };
+			profileArgs = this.streamlinkArgs.getArgs(actualChannel, provider ? provider.id : null);
+		} catch (error) {
+			onStartFailed(error, null, "");
+			return;
+		}
 
+		// streamlink writes MPEG-TS to stdout, log output goes to stderr
 		const args = [
-			sourceUrl,
-			streamQuality,
-			"--player-external-http",
-			"--player-external-http-interface",
-			this.serverConfig.host,
-			"--player-external-http-port",
-			String(port),
+			source.url,
+			streamData.qualityArg,
+			"--stdout",
 			"--retry-streams",
 			String(this.config.retryStreams),
 			"--retry-open",
-			String(this.config.retryOpen)
+			String(this.config.retryOpen),
+			...source.args,
+			...profileArgs
 		];
 
-		// Add Twitch-specific options only for Twitch streams
-		if (isTwitch) {
-			args.push(
-				"--twitch-disable-ads",
-				"--twitch-proxy-playlist=https://eu.luminous.dev,https://lb-eu.cdn-perfprod.com"
-			);
-		}
+		console.log(`Starting stream: ${channel} (${streamData.quality})`);
+		console.log(`Command: ${this.config.executable} ${StreamlinkArgs.mask(args).join(" ")}`);
 
-		console.log(`Starting stream: ${channel} (${streamQuality}) on port ${port}`);
-		console.log(`Command: ${this.config.executable} ${args.join(" ")}`);
+		const process = spawn(this.config.executable, args);
+		streamData.process = process;
+		streamData.pid = process.pid;
 
-		return new Promise((resolve, reject) => {
-			const process = spawn(this.config.executable, args);
+		let errorBuffer = "";
+		let logLine = ""; // incomplete last line of the log output
+		let started = false;
+		let startError = null;
+		let finished = false;
 
-			const streamData = {
-				channel,
-				quality: streamQuality,
-				port,
-				url,
-				process,
-				startedAt: Date.now(),
-				pid: process.pid
-			};
+		// Timeout after configured seconds
+		const timeout = setTimeout(() => {
+			if (!started) {
+				startError = new Error(`Stream startup timeout after ${this.config.timeout}s`);
+				process.kill();
+			}
+		}, this.config.timeout * 1000);
 
-			let outputBuffer = "";
-			let errorBuffer = "";
-			let resolved = false;
-
-			const resolveSuccess = () => {
-				if (!resolved) {
-					resolved = true;
-					this.activeStreams.set(channel, streamData);
-					this.emit("stream:started", {
-						channel,
-						url,
-						port,
-						quality: streamQuality
-					});
-					resolve({
-						success: true,
-						channel,
-						url,
-						port,
-						quality: streamQuality
-					});
-				}
-			};
+		const finish = (code) => {
+			if (finished) {
+				return;
+			}
+			finished = true;
+			clearTimeout(timeout);
 
-			const rejectError = (error) => {
-				if (!resolved) {
-					resolved = true;
-					this.emit("stream:error", {
-						channel,
-						error: error.message
-					});
-					reject(error);
-				}
-			};
+			if (started) {
+				this._processExited(streamData, code, errorBuffer);
+			} else {
+				onStartFailed(startError || new Error(`Streamlink exited with code ${code}: ${errorBuffer}`), code, errorBuffer);
+			}
+		};
 
-			// Timeout after configured seconds
-			const timeout = setTimeout(() => {
-				if (!resolved) {
-					process.kill();
-					rejectError(new Error(`Stream startup timeout after ${this.config.timeout}s`));
-				}
-			}, this.config.timeout * 1000);
+		// The stream is up as soon as the first bytes arrive
+		process.stdout.on("data", (chunk) => {
+			if (!started) {
+				started = true;
+				clearTimeout(timeout);
+				streamData.runStartedAt = Date.now();
+				onStarted();
+			}
+			this._relay(streamData, chunk);
+		});
 
-			process.stdout.on("data", (data) => {
-				const output = data.toString();
-				outputBuffer += output;
-				console.log(`[${channel}] ${output.trim()}`);
+		process.stderr.on("data", (data) => {
+			const output = data.toString();
+			errorBuffer += output;
+			console.log(`[${channel}] ${output.trim()}`);
 
-				// Look for successful stream start indicators
-				if (output.includes("Starting server") || output.includes("Opening stream")) {
-					clearTimeout(timeout);
-					resolveSuccess();
-				}
-			});
+			const lines = (logLine + output).split("\n");
+			logLine = lines.pop();
+			for (const line of lines) {
+				this._parseLogLine(streamData, line);
+			}
 
-			process.stderr.on("data", (data) => {
-				const error = data.toString();
-				errorBuffer += error;
-				console.error(`[${channel}] ERROR: ${error.trim()}`);
+			// Check for common errors
+			if (!started && (output.includes("Unable to open URL") || output.includes("No playable streams found"))) {
+				startError = new Error("Stream not available or offline");
+				process.kill();
+			}
+		});
 
-				// Check for common errors
-				if (error.includes("Unable to open URL") || error.includes("No playable streams found")) {
-					clearTimeout(timeout);
-					process.kill();
-					rejectError(new Error("Stream not available or offline"));
+		process.on("error", (error) => {
+			console.error(`[${channel}] Process error:`, error);
+			startError = startError || error;
+			// A process that couldn't be spawned never emits "close"
+			if (!process.pid) {
+				finish(null);
+			}
+		});
+
+		process.on("close", (code) => {
+			console.log(`[${channel}] Process exited with code ${code}`);
+			finish(code);
+		});
+	}
+
+	// Turn a streamlink log line into a stream event - repeated ad break lines and
+	// reopening at the same quality are only recorded once
+	_parseLogLine(streamData, line) {
+		const entry = LOG_EVENTS.find(logEvent => logEvent.pattern.test(line));
+		if (!entry) {
+			return;
+		}
+
+		const data = entry.data ? entry.data(entry.pattern.exec(line)) : {};
+		switch (entry.type) {
+			case "ad_start":
+				if (streamData.adBreakSince) {
+					return;
 				}
-			});
+				streamData.adBreakSince = Date.now();
+				break;
+			case "ad_end":
+				if (!streamData.adBreakSince) {
+					return;
+				}
+				data.duration = Math.round((Date.now() - streamData.adBreakSince) / 1000);
+				streamData.adBreakSince = null;
+				break;
+			case "quality":
+				if (data.quality === streamData.openedQuality) {
+					return;
+				}
+				data.previous = streamData.openedQuality;
+				streamData.openedQuality = data.quality;
+				// The first "Opening stream" is the start, not a switch
+				if (!data.previous) {
+					return;
+				}
+				break;
+		}
 
-			process.on("error", (error) => {
-				clearTimeout(timeout);
-				console.error(`[${channel}] Process error:`, error);
-				rejectError(error);
+		this._addEvent(streamData, entry.type, data);
+	}
+
+	// Record an event in the stream's event log and broadcast it
+	_addEvent(streamData, type, data = {}) {
+		const event = { type, time: Date.now(), ...data };
+		streamData.events.push(event);
+		if (streamData.events.length > MAX_STREAM_EVENTS) {
+			streamData.events.shift();
+		}
+
+		console.log(`[Event] ${streamData.channel}: ${type}${Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : ""}`);
+		this.emit("stream:event", { channel: streamData.channel, event });
+	}
+
+	/**
+	 * Event log of a running stream (null if not running)
+	 */
+	getStreamEvents(channel) {
+		const streamData = this.activeStreams.get(channel);
+		return streamData ? streamData.events : null;
+	}
+
+	// A running streamlink process ended - restart it unless the stream was stopped
+	_processExited(streamData, code, errorBuffer) {
+		// The ad break (if any) ended with the process
+		streamData.adBreakSince = null;
+
+		if (streamData.stopping || this.config.restartAttempts <= 0) {
+			this._endStream(streamData, code, code !== 0 ? errorBuffer : null);
+			return;
+		}
+
+		// A process that ran for a while starts a new series of attempts
+		if (Date.now() - streamData.runStartedAt > RESTART_STABLE_TIME) {
+			streamData.restarts = 0;
+			streamData.qualityFailures = 0;
+		}
+		this._scheduleRestart(streamData, `streamlink exited with code ${code}`, code, errorBuffer);
+	}
+
+	// Restart streamlink with exponential backoff, stepping down the quality after
+	// restartFallbackAfter failed attempts - the stream ends after restartAttempts
+	_scheduleRestart(streamData, reason, code = null, errorBuffer = null) {
+		const { channel } = streamData;
+
+		if (streamData.stopping) {
+			this._endStream(streamData, code, null);
+			return;
+		}
+
+		streamData.restarts++;
+		streamData.qualityFailures++;
+		const maxAttempts = this.config.restartAttempts;
+
+		if (streamData.restarts > maxAttempts) {
+			console.log(`[Restart] ${channel}: giving up after ${maxAttempts} attempts (${reason})`);
+			this.emit("stream:reconnecting", {
+				channel,
+				state: "failed",
+				attempt: streamData.restarts - 1,
+				maxAttempts,
+				quality: streamData.quality,
+				reason
 			});
+			this._endStream(streamData, code, errorBuffer || reason);
+			return;
+		}
 
-			process.on("close", (code) => {
-				clearTimeout(timeout);
-				console.log(`[${channel}] Process exited with code ${code}`);
+		// Repeated failures at one quality - try the next lower one
+		let fallback = false;
+		if (streamData.canFallback && streamData.qualityFailures > this.config.restartFallbackAfter) {
+			const lower = this._lowerQualities(streamData.quality);
+			if (lower.length > 0) {
+				console.log(`[Restart] ${channel}: falling back from ${streamData.quality} to ${lower[0]}`);
+				streamData.quality = lower[0];
+				// Streamlink takes the first quality of the list the stream offers
+				streamData.qualityArg = [...lower, "worst"].join(",");
+				streamData.qualityFailures = 1;
+				fallback = true;
+			}
+		}
+
+		const delay = Math.min(RESTART_BASE_DELAY * 2 ** (streamData.restarts - 1), RESTART_MAX_DELAY);
+		console.log(`[Restart] ${channel}: ${reason}, attempt ${streamData.restarts}/${maxAttempts} in ${delay / 1000}s`);
+
+		streamData.reconnecting = true;
+		this._addEvent(streamData, "restart", { state: "retrying", attempt: streamData.restarts, quality: streamData.quality, reason });
+		this.emit("stream:reconnecting", {
+			channel,
+			state: "retrying",
+			attempt: streamData.restarts,
+			maxAttempts,
+			delay,
+			quality: streamData.quality,
+			fallback,
+			reason
+		});
 
-				this.activeStreams.delete(channel);
+		streamData.restartTimer = setTimeout(() => {
+			streamData.restartTimer = null;
+			if (streamData.stopping) {
+				this._endStream(streamData, null, null);
+				return;
+			}
 
-				this.emit("stream:ended", {
+			this._runProcess(streamData, () => {
+				streamData.reconnecting = false;
+				console.log(`[Restart] ${channel}: stream is back (${streamData.quality})`);
+				this._addEvent(streamData, "restart", { state: "restarted", attempt: streamData.restarts, quality: streamData.quality });
+				this.emit("stream:reconnecting", {
 					channel,
-					code,
-					error: code !== 0 ? errorBuffer : null
+					state: "restarted",
+					attempt: streamData.restarts,
+					maxAttempts,
+					quality: streamData.quality
 				});
+			}, (error, exitCode, exitErrors) => {
+				this._scheduleRestart(streamData, error.message, exitCode, exitErrors);
+			});
+		}, delay);
+	}
+
+	// Qualities below the given one, highest first - empty for "worst", "audio_only" etc.
+	_lowerQualities(quality) {
+		const match = /^(\d+)p/.exec(quality);
+		const height = ["best", "source"].includes(quality) ? Infinity : match ? parseInt(match[1], 10) : null;
+		if (height === null) {
+			return [];
+		}
+		return FALLBACK_QUALITIES.filter(fallbackQuality => parseInt(fallbackQuality, 10) < height);
+	}
 
-				// If we haven't resolved yet, this is an error
-				if (!resolved) {
-					rejectError(new Error(`Streamlink exited with code ${code}: ${errorBuffer}`));
+	// The stream is over - players see the end, outputs are stopped
+	_endStream(streamData, code, error) {
+		const { channel } = streamData;
+		if (this.activeStreams.get(channel) === streamData) {
+			this.activeStreams.delete(channel);
+		}
+
+		for (const res of streamData.clients) {
+			res.end();
+		}
+		streamData.clients.clear();
+		for (const output of streamData.outputs.values()) {
+			output.stop();
+		}
+		streamData.outputs.clear();
+
+		this.emit("stream:ended", {
+			channel,
+			code,
+			error: error || null
+		});
+	}
+
+	/**
+	 * Relay URL of a stream on the main server
+	 */
+	getStreamUrl(channel) {
+		// Use EXTERNAL_HOST env var if set, otherwise auto-detect
+		const streamHost = process.env.EXTERNAL_HOST ||
+		                   (this.serverConfig.host === "0.0.0.0" ? this.getLocalIpAddress() : this.serverConfig.host);
+		return `http://${streamHost}:${this.serverConfig.port}/stream/${encodeURIComponent(channel)}`;
+	}
+
+	/**
+	 * Relay a running stream to an HTTP client until either side closes.
+	 * With a transcoding profile the client gets the output of that profile's ffmpeg.
+	 * priority is the viewer's user priority (see the stream admission policy).
+	 * Returns false if the stream isn't running.
+	 */
+	attachClient(channel, req, res, profile = null, priority = 0) {
+		const streamData = this.activeStreams.get(channel);
+		if (!streamData) {
+			return false;
+		}
+
+		res.writeHead(200, {
+			"Content-Type": profile && profile.audio_only ? "audio/mp2t" : "video/mp2t",
+			"Cache-Control": "no-cache, no-store",
+			"Connection": "close"
+		});
+
+		// Players probing the stream with HEAD get the headers only
+		if (req.method === "HEAD") {
+			res.end();
+			return true;
+		}
+
+		const output = profile ? this._startTranscoder(streamData, profile) : null;
+		const clients = output ? output.clients : streamData.clients;
+		clients.add(res);
+		streamData.priorities.set(res, priority);
+		this._viewersChanged(streamData);
+
+		res.on("close", () => {
+			streamData.priorities.delete(res);
+			if (clients.delete(res)) {
+				// Nobody left on this profile - stop encoding for it
+				if (output && clients.size === 0) {
+					output.stop();
 				}
-			});
+				this._viewersChanged(streamData);
+			}
+		});
+		return true;
+	}
 
-			// Assume success after a short delay if we don't see explicit confirmation
-			setTimeout(() => {
-				if (!resolved && !errorBuffer.includes("error")) {
-					resolveSuccess();
+	// ffmpeg transcoder for a profile of a running stream, shared by all its clients
+	_startTranscoder(streamData, profile) {
+		const name = `profile:${profile.name}`;
+		const existing = streamData.outputs.get(name);
+		if (existing && existing.isRunning()) {
+			return existing;
+		}
+
+		const transcoder = new Transcoder(streamData.channel, profile, {
+			executable: this.config.ffmpegExecutable,
+			onData: (chunk) => this._writeClients(streamData, transcoder.clients, chunk),
+			onExit: () => {
+				if (streamData.outputs.get(name) === transcoder) {
+					streamData.outputs.delete(name);
 				}
-			}, 3000);
+			}
 		});
+		transcoder.start();
+		streamData.outputs.set(name, transcoder);
+		return transcoder;
+	}
+
+	/**
+	 * HLS segmenter of a running stream, started on first use.
+	 * Returns null if the stream isn't running.
+	 */
+	startHls(channel) {
+		const streamData = this.activeStreams.get(channel);
+		if (!streamData) {
+			return null;
+		}
+
+		const existing = streamData.outputs.get("hls");
+		if (existing && existing.isRunning()) {
+			return existing;
+		}
+
+		return this._startSegmenter(streamData, "hls", {
+			segmentDuration: this.config.hlsSegmentDuration,
+			windowSize: this.config.hlsWindowSize
+		});
+	}
+
+	// Start an ffmpeg segmenter as output of a stream - its files go to {hlsDir}/{name}/{channel}
+	_startSegmenter(streamData, name, options) {
+		// Channel keys may contain ":" and "@" - keep directory names portable
+		const dirName = streamData.channel.replace(/[^a-z0-9_-]/gi, c => `~${c.charCodeAt(0).toString(16)}`);
+		const segmenter = new HlsSegmenter(streamData.channel, path.join(this.config.hlsDir, name, dirName), {
+			executable: this.config.ffmpegExecutable,
+			...options
+		});
+		segmenter.start();
+		streamData.outputs.set(name, segmenter);
+		return segmenter;
+	}
+
+	// Rolling timeshift buffer of timeshiftMinutes, kept for every running stream
+	_startTimeshift(streamData) {
+		const segmentDuration = this.config.hlsSegmentDuration;
+		this._startSegmenter(streamData, "timeshift", {
+			segmentDuration,
+			windowSize: Math.ceil(this.config.timeshiftMinutes * 60 / segmentDuration),
+			programDateTime: true
+		});
+	}
+
+	/**
+	 * Timeshift buffer of a running stream - null if disabled or not running
+	 */
+	getTimeshift(channel) {
+		const streamData = this.activeStreams.get(channel);
+		return streamData ? streamData.outputs.get("timeshift") || null : null;
+	}
+
+	getHls(channel) {
+		const streamData = this.activeStreams.get(channel);
+		return streamData ? streamData.outputs.get("hls") || null : null;
+	}
+
+	/**
+	 * Register a playlist/segment request of an HLS player (viewer id: e.g. IP and user).
+	 * Segment requests may leave out the priority - the one of the playlist request is kept.
+	 */
+	touchHlsViewer(channel, viewerId, priority = null) {
+		const streamData = this.activeStreams.get(channel);
+		if (!streamData) {
+			return;
+		}
+
+		const isNew = !streamData.hlsViewers.has(viewerId);
+		streamData.hlsViewers.set(viewerId, Date.now());
+		if (priority !== null || !streamData.priorities.has(viewerId)) {
+			streamData.priorities.set(viewerId, priority || 0);
+		}
+		if (isNew) {
+			this._viewersChanged(streamData);
+		}
+	}
+
+	// Write a chunk to every client and internal output - clients that can't keep up
+	// are dropped instead of buffering the stream in memory
+	_relay(streamData, chunk) {
+		for (const output of streamData.outputs.values()) {
+			output.write(chunk);
+		}
+
+		this._writeClients(streamData, streamData.clients, chunk);
+	}
+
+	_writeClients(streamData, clients, chunk) {
+		for (const res of clients) {
+			if (res.writableLength > MAX_CLIENT_BUFFER) {
+				console.log(`[Relay] Client of ${streamData.channel} too slow, disconnecting`);
+				res.destroy();
+				continue;
+			}
+			res.write(chunk);
+		}
 	}
 
 	stopStream(channel) {
@@ -303,13 +750,25 @@ class StreamlinkManager extends EventEmitter {
 		}
 
 		console.log(`Stopping stream: ${channel}`);
+		streamData.stopping = true;
+
+		// Waiting for a restart - there's no process to stop
+		if (streamData.restartTimer) {
+			clearTimeout(streamData.restartTimer);
+			streamData.restartTimer = null;
+			this._endStream(streamData, null, null);
+			return {
+				success: true,
+				channel
+			};
+		}
 
 		try {
 			streamData.process.kill("SIGTERM");
 
 			// Force kill after 5 seconds if not terminated
 			setTimeout(() => {
-				if (this.activeStreams.has(channel)) {
+				if (this.activeStreams.get(channel) === streamData) {
 					console.log(`Force killing stream: ${channel}`);
 					streamData.process.kill("SIGKILL");
 				}
@@ -336,17 +795,51 @@ class StreamlinkManager extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Stream keys that take a stream slot - running streams that aren't being stopped
+	 * and those streamlink is still starting
+	 */
+	getStreamKeysInUse() {
+		const keys = new Set(this.pendingStarts.keys());
+		for (const [channel, streamData] of this.activeStreams) {
+			if (!streamData.stopping) {
+				keys.add(channel);
+			}
+		}
+		return keys;
+	}
+
 	getActiveStreams() {
 		return Array.from(this.activeStreams.values()).map((stream) => ({
 			channel: stream.channel,
 			quality: stream.quality,
 			url: stream.url,
-			port: stream.port,
+			viewers: this._countViewers(stream),
+			priority: stream.priorities.size > 0 ? Math.max(...stream.priorities.values()) : null,
+			idleSince: this._countViewers(stream) === 0 ? stream.idleSince : null,
+			hls: stream.outputs.has("hls"),
+			timeshift: stream.outputs.has("timeshift"),
+			reconnecting: stream.reconnecting,
+			restarts: stream.restarts,
+			stopping: stream.stopping,
+			adBreakSince: stream.adBreakSince,
+			events: stream.events.length,
+			profiles: Array.from(stream.outputs.keys())
+				.filter(name => name.startsWith("profile:"))
+				.map(name => name.substring("profile:".length)),
 			startedAt: stream.startedAt,
 			uptime: Date.now() - stream.startedAt
 		}));
 	}
 
+	/**
+	 * Quality a running stream was started with (null if not running)
+	 */
+	getStreamQuality(channel) {
+		const streamData = this.activeStreams.get(channel);
+		return streamData ? streamData.quality : null;
+	}
+
 	isStreamActive(channel) {
 		return this.activeStreams.has(channel);
 	}
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Encrypted values: enc:v1:iv:tag:ciphertext (base64, AES-256-GCM)
+const PREFIX = "enc:v1:";
+const KEY_LENGTH = 32;
+
+/**
+ * Parse a key given as 64 hex chars or base64 of 32 bytes - anything else is
+ * treated as a passphrase and stretched with scrypt
+ */
+function parseKey(value) {
+	const trimmed = String(value).trim();
+
+	if (/^[0-9a-f]{64}$/i.test(trimmed)) {
+		return Buffer.from(trimmed, "hex");
+	}
+
+	const decoded = Buffer.from(trimmed, "base64");
+	if (decoded.length === KEY_LENGTH && decoded.toString("base64").replace(/=+$/, "") === trimmed.replace(/=+$/, "")) {
+		return decoded;
+	}
+
+	return crypto.scryptSync(trimmed, "streamlink-remote-token-key", KEY_LENGTH);
+}
+
+function generateKey() {
+	return crypto.randomBytes(KEY_LENGTH).toString("base64");
+}
+
+/**
+ * Write a key file readable only by the owner
+ */
+function writeKeyFile(keyFile, key) {
+	fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+	fs.writeFileSync(keyFile, `${key}\n`, { mode: 0o600 });
+}
+
+/**
+ * Resolve the token encryption key: env var first, then the key file.
+ * A missing key file is created with a random key.
+ * Returns { key: Buffer, source: "env" | "file" }
+ */
+function loadTokenKey({ key, keyFile }) {
+	if (key) {
+		return { key: parseKey(key), source: "env" };
+	}
+
+	if (!fs.existsSync(keyFile)) {
+		writeKeyFile(keyFile, generateKey());
+		console.log(`✓ Generated token encryption key: ${keyFile} (keep it out of your backups)`);
+	}
+
+	return { key: parseKey(fs.readFileSync(keyFile, "utf8")), source: "file" };
+}
+
+function isEncrypted(value) {
+	return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+function encrypt(plaintext, key) {
+	if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+		return plaintext;
+	}
+
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+	const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+	const tag = cipher.getAuthTag();
+
+	return `${PREFIX}${iv.toString("base64")}:${tag.toString("base64")}:${ciphertext.toString("base64")}`;
+}
+
+/**
+ * Decrypt a value - plaintext (not yet migrated) is returned unchanged.
+ * Throws if the value was encrypted with a different key.
+ */
+function decrypt(value, key) {
+	if (!isEncrypted(value)) {
+		return value;
+	}
+
+	const [ivB64, tagB64, ciphertextB64] = value.substring(PREFIX.length).split(":");
+	const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(ivB64, "base64"));
+	decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+
+	return Buffer.concat([
+		decipher.update(Buffer.from(ciphertextB64, "base64")),
+		decipher.final()
+	]).toString("utf8");
+}
+
+module.exports = { parseKey, generateKey, writeKeyFile, loadTokenKey, isEncrypted, encrypt, decrypt };
@@ -0,0 +1,136 @@
+const { spawn } = require("child_process");
+
+// Unsent bytes before ffmpeg is considered stalled and data is dropped
+const MAX_INPUT_BUFFER = 16 * 1024 * 1024;
+// Streamlink quality names that single ingest transcodes from a channel's one stream
+const RENDITIONS = {
+	"1080p60": { height: 1080, video_bitrate: 6000 },
+	"1080p": { height: 1080, video_bitrate: 4500, framerate: 30 },
+	"720p60": { height: 720, video_bitrate: 3500 },
+	"720p": { height: 720, video_bitrate: 2500, framerate: 30 },
+	"480p": { height: 480, video_bitrate: 1200, framerate: 30 },
+	"360p": { height: 360, video_bitrate: 700, framerate: 30 },
+	"160p": { height: 160, video_bitrate: 250, framerate: 30 }
+};
+
+/**
+ * Transcodes a relayed MPEG-TS stream with ffmpeg according to a transcoding profile.
+ * Gets the stream bytes through write() like a relay client and hands the
+ * transcoded MPEG-TS data to onData - the manager relays it to the profile's clients.
+ */
+class Transcoder {
+	constructor(channel, profile, { executable = "ffmpeg", onData = () => {}, onExit = () => {} } = {}) {
+		this.channel = channel;
+		this.profile = profile;
+		this.executable = executable;
+		this.onData = onData;
+		this.onExit = onExit;
+		this.clients = new Set(); // HTTP responses the transcoded stream is relayed to
+		this.process = null;
+	}
+
+	/**
+	 * Built-in profile for a quality like "720p60" (audio is copied) - null if it isn't one
+	 */
+	static rendition(quality) {
+		const rendition = RENDITIONS[quality];
+		return rendition
+			? { name: `${quality} rendition`, video_codec: "libx264", audio_codec: "copy", ...rendition }
+			: null;
+	}
+
+	/**
+	 * ffmpeg arguments for a profile row (transcode_profiles) or rendition
+	 */
+	static buildArgs(profile) {
+		const args = ["-hide_banner", "-loglevel", "warning", "-i", "pipe:0"];
+
+		if (profile.audio_only) {
+			args.push("-vn");
+		} else if (profile.video_codec === "copy") {
+			args.push("-c:v", "copy");
+		} else {
+			args.push("-c:v", profile.video_codec || "libx264", "-preset", "veryfast");
+			if (profile.video_bitrate) {
+				args.push(
+					"-b:v", `${profile.video_bitrate}k`,
+					"-maxrate", `${profile.video_bitrate}k`,
+					"-bufsize", `${profile.video_bitrate * 2}k`
+				);
+			}
+			// Sources below the profile's height are not scaled up
+			if (profile.height) {
+				args.push("-vf", `scale=-2:'min(${profile.height},ih)'`);
+			}
+			if (profile.framerate) {
+				args.push("-r", String(profile.framerate));
+			}
+		}
+
+		if (profile.audio_codec === "copy") {
+			args.push("-c:a", "copy");
+		} else {
+			args.push("-c:a", profile.audio_codec || "aac", "-b:a", `${profile.audio_bitrate || 128}k`);
+		}
+
+		args.push("-f", "mpegts", "pipe:1");
+		return args;
+	}
+
+	isRunning() {
+		return this.process !== null;
+	}
+
+	start() {
+		const args = Transcoder.buildArgs(this.profile);
+		console.log(`[Transcode] Starting profile ${this.profile.name} for ${this.channel}`);
+		console.log(`[Transcode] Command: ${this.executable} ${args.join(" ")}`);
+
+		const process = spawn(this.executable, args);
+		this.process = process;
+
+		// ffmpeg exiting closes the pipe - the error is reported by "close"
+		process.stdin.on("error", () => {});
+
+		process.stdout.on("data", (chunk) => {
+			this.onData(chunk);
+		});
+
+		process.stderr.on("data", (data) => {
+			console.log(`[Transcode] [${this.channel}/${this.profile.name}] ${data.toString().trim()}`);
+		});
+
+		process.on("error", (error) => {
+			console.error(`[Transcode] ffmpeg error for ${this.channel}:`, error.message);
+		});
+
+		process.on("close", (code) => {
+			console.log(`[Transcode] Profile ${this.profile.name} for ${this.channel} exited with code ${code}`);
+			if (this.process === process) {
+				this.process = null;
+			}
+			for (const res of this.clients) {
+				res.end();
+			}
+			this.onExit();
+		});
+	}
+
+	/**
+	 * Feed stream data - dropped while ffmpeg can't keep up
+	 */
+	write(chunk) {
+		if (this.process && this.process.stdin.writable && this.process.stdin.writableLength < MAX_INPUT_BUFFER) {
+			this.process.stdin.write(chunk);
+		}
+	}
+
+	stop() {
+		if (this.process) {
+			this.process.stdin.end();
+			this.process.kill("SIGTERM");
+		}
+	}
+}
+
+module.exports = Transcoder;
@@ -0,0 +1,90 @@
+const TwitchAPI = require("./twitch-api");
+
+/**
+ * Registry of linked Twitch accounts - one TwitchAPI instance per local user,
+ * each with its own token and refresh cycle
+ */
+class TwitchAccounts {
+	constructor(config, db) {
+		this.config = config;
+		this.db = db;
+		this.clients = new Map(); // localUserId -> TwitchAPI
+		this.refreshIntervalMs = 10 * 60 * 1000;
+		this.refreshInterval = null;
+	}
+
+	/**
+	 * Load all linked accounts and start the background refresh cycle
+	 */
+	init() {
+		for (const localUserId of this.db.getTwitchAuthUserIds()) {
+			this.get(localUserId);
+		}
+
+		// Refresh tokens ahead of expiry so playlists and recordings keep working
+		// for users that don't open the web UI
+		this.refreshInterval = setInterval(() => {
+			this.refreshAll();
+		}, this.refreshIntervalMs);
+	}
+
+	/**
+	 * Get the TwitchAPI instance for a local user (created on first use)
+	 */
+	get(localUserId) {
+		let client = this.clients.get(localUserId);
+		if (!client) {
+			// Legacy manual tokens from config belong to the primary admin only
+			const config = localUserId === this.db.getPrimaryUserId()
+				? this.config
+				: { ...this.config, manualAuth: null };
+			client = new TwitchAPI(config, this.db, localUserId);
+			this.clients.set(localUserId, client);
+		}
+		return client;
+	}
+
+	/**
+	 * Any linked account - for lookups that don't depend on whose follows are used
+	 */
+	getAnyAuthenticated() {
+		for (const client of this.clients.values()) {
+			if (client.isAuthenticated()) {
+				return client;
+			}
+		}
+		return null;
+	}
+
+	getAuthenticatedCount() {
+		return [...this.clients.values()].filter(client => client.isAuthenticated()).length;
+	}
+
+	/**
+	 * Forget a local user's instance (e.g. after the user was deleted)
+	 */
+	remove(localUserId) {
+		this.clients.delete(localUserId);
+	}
+
+	async refreshAll() {
+		for (const [localUserId, client] of this.clients) {
+			if (!client.isAuthenticated()) continue;
+
+			try {
+				await client.ensureValidToken();
+			} catch (error) {
+				console.error(`[Twitch] Token refresh failed for local user ${localUserId}:`, error.message);
+			}
+		}
+	}
+
+	shutdown() {
+		if (this.refreshInterval) {
+			clearInterval(this.refreshInterval);
+			this.refreshInterval = null;
+		}
+	}
+}
+
+module.exports = TwitchAccounts;
@@ -3,11 +3,18 @@ const http = require("http");
 const { URL } = require("url");
 
 class TwitchAPI {
-	constructor(config, db) {
+	/**
+	 * @param {Object} config - Twitch config
+	 * @param {DatabaseManager} db - Database
+	 * @param {number} localUserId - Local user the linked Twitch account belongs to
+	 */
+	constructor(config, db, localUserId) {
 		this.config = config;
 		this.db = db;
+		this.localUserId = localUserId;
 		this.auth = null;
 		this.refreshPromise = null; // Prevent concurrent refresh attempts
+		this.pendingDevice = null; // Device Code Grant waiting for approval
 
 		// Load auth from database
 		this.loadAuth();
@@ -28,7 +35,7 @@ class TwitchAPI {
 		}
 
 		// Otherwise load from database
-		const authData = this.db.getAuth();
+		const authData = this.db.getAuth(this.localUserId);
 		if (authData && authData.access_token) {
 			this.auth = authData;
 			console.log(`✓ Loaded auth for: ${this.auth.user_login}`);
@@ -40,7 +47,7 @@ class TwitchAPI {
 				} else {
 					console.log("⚠ Access token expired, no refresh token available");
 					this.auth = null;
-					this.db.clearAuth();
+					this.db.clearAuth(this.localUserId);
 				}
 			}
 		}
@@ -84,13 +91,15 @@ class TwitchAPI {
 
 	/**
 	 * Get OAuth URL - now uses Authorization Code Flow
+	 * state is returned to the callback, which checks it against the session
 	 */
-	getAuthUrl() {
+	getAuthUrl(state) {
 		const params = new URLSearchParams({
 			client_id: this.config.clientId,
 			redirect_uri: this.config.redirectUri,
 			response_type: "code", // Changed from "token" to "code"
-			scope: this.config.scopes.join(" ")
+			scope: this.config.scopes.join(" "),
+			state
 		});
 
 		return `https://id.twitch.tv/oauth2/authorize?${params.toString()}`;
@@ -111,7 +120,13 @@ class TwitchAPI {
 		console.log("🔄 Exchanging authorization code for tokens...");
 
 		const tokenData = await this.exchangeCodeForTokens(code);
+		return this.storeTokens(tokenData);
+	}
 
+	/**
+	 * Validate a token response and save it as this user's auth
+	 */
+	async storeTokens(tokenData) {
 		// Validate the token and get user info
 		const userData = await this.validateToken(tokenData.access_token);
 
@@ -128,7 +143,7 @@ class TwitchAPI {
 			expires_at: expiresAt
 		};
 
-		this.db.saveAuth(this.auth);
+		this.db.saveAuth(this.localUserId, this.auth);
 
 		const expiresInHours = Math.round(tokenData.expires_in / 3600);
 		console.log(`✓ Authenticated as: ${this.auth.user_login}`);
@@ -138,6 +153,114 @@ class TwitchAPI {
 		return this.auth;
 	}
 
+	/**
+	 * Start the Device Code Grant flow - the user enters the code on any device,
+	 * so no redirect back to this server and no client secret are needed
+	 */
+	async startDeviceAuthorization() {
+		const { statusCode, data } = await this.postOAuthForm("/oauth2/device", {
+			client_id: this.config.clientId,
+			scopes: this.config.scopes.join(" ")
+		});
+
+		if (statusCode !== 200) {
+			throw new Error(`Device authorization failed: ${data.message || statusCode}`);
+		}
+
+		this.pendingDevice = {
+			deviceCode: data.device_code,
+			interval: data.interval || 5,
+			expiresAt: Date.now() + (data.expires_in * 1000)
+		};
+
+		console.log(`🔑 Device login started, waiting for code ${data.user_code} to be approved`);
+
+		return {
+			userCode: data.user_code,
+			verificationUri: data.verification_uri,
+			expiresIn: data.expires_in,
+			interval: this.pendingDevice.interval
+		};
+	}
+
+	/**
+	 * Check once whether the user approved the pending device login
+	 * Returns { status: "pending" | "authorized" | "denied" | "expired", interval }
+	 */
+	async pollDeviceAuthorization() {
+		if (!this.pendingDevice || Date.now() > this.pendingDevice.expiresAt) {
+			this.pendingDevice = null;
+			return { status: "expired" };
+		}
+
+		const { statusCode, data } = await this.postOAuthForm("/oauth2/token", {
+			client_id: this.config.clientId,
+			scopes: this.config.scopes.join(" "),
+			device_code: this.pendingDevice.deviceCode,
+			grant_type: "urn:ietf:params:oauth:grant-type:device_code"
+		});
+
+		if (statusCode === 200) {
+			this.pendingDevice = null;
+			await this.storeTokens(data);
+			return { status: "authorized", user: this.getUser() };
+		}
+
+		switch (data.message) {
+			case "authorization_pending":
+				return { status: "pending", interval: this.pendingDevice.interval };
+			case "slow_down":
+				this.pendingDevice.interval += 5;
+				return { status: "pending", interval: this.pendingDevice.interval };
+			case "access_denied":
+				this.pendingDevice = null;
+				return { status: "denied" };
+			default:
+				// invalid device code, expired, ...
+				this.pendingDevice = null;
+				return { status: "expired", message: data.message };
+		}
+	}
+
+	/**
+	 * POST a form to id.twitch.tv - resolves with status code and parsed body
+	 */
+	postOAuthForm(path, params) {
+		const postData = new URLSearchParams(params).toString();
+
+		const options = {
+			hostname: "id.twitch.tv",
+			path,
+			method: "POST",
+			headers: {
+				"Content-Type": "application/x-www-form-urlencoded",
+				"Content-Length": Buffer.byteLength(postData)
+			}
+		};
+
+		return new Promise((resolve, reject) => {
+			const req = https.request(options, (res) => {
+				let data = "";
+
+				res.on("data", (chunk) => {
+					data += chunk;
+				});
+
+				res.on("end", () => {
+					try {
+						resolve({ statusCode: res.statusCode, data: JSON.parse(data) });
+					} catch (e) {
+						reject(new Error(`Failed to parse OAuth response: ${data}`));
+					}
+				});
+			});
+
+			req.on("error", reject);
+			req.write(postData);
+			req.end();
+		});
+	}
+
 	/**
 	 * Exchange authorization code for tokens via Twitch OAuth API
 	 */
@@ -201,10 +324,6 @@ class TwitchAPI {
 			throw new Error("No refresh token available");
 		}
 
-		if (!this.config.clientSecret) {
-			throw new Error("Client Secret not configured - required for token refresh");
-		}
-
 		console.log("🔄 Refreshing access token...");
 
 		this.refreshPromise = this._doRefresh();
@@ -217,12 +336,16 @@ class TwitchAPI {
 	}
 
 	async _doRefresh() {
-		const postData = new URLSearchParams({
+		const params = {
 			client_id: this.config.clientId,
-			client_secret: this.config.clientSecret,
 			grant_type: "refresh_token",
 			refresh_token: this.auth.refresh_token
-		}).toString();
+		};
+		// Public clients (Device Code Grant) refresh without a secret
+		if (this.config.clientSecret) {
+			params.client_secret = this.config.clientSecret;
+		}
+		const postData = new URLSearchParams(params).toString();
 
 		const options = {
 			hostname: "id.twitch.tv",
@@ -253,7 +376,7 @@ class TwitchAPI {
 							this.auth.refresh_token = parsed.refresh_token; // Twitch may rotate refresh token
 							this.auth.expires_at = expiresAt;
 
-							this.db.saveAuth(this.auth);
+							this.db.saveAuth(this.localUserId, this.auth);
 
 							const expiresInHours = Math.round(parsed.expires_in / 3600);
 							console.log(`✓ Token refreshed successfully, expires in ${expiresInHours} hours`);
@@ -262,7 +385,7 @@ class TwitchAPI {
 							console.error(`✗ Token refresh failed: ${parsed.message || parsed.error}`);
 							// Clear auth on refresh failure
 							this.auth = null;
-							this.db.clearAuth();
+							this.db.clearAuth(this.localUserId);
 							reject(new Error(`Token refresh failed: ${parsed.message || parsed.error || res.statusCode}`));
 						}
 					} catch (e) {
@@ -299,7 +422,7 @@ class TwitchAPI {
 			expires_at: Date.now() + (60 * 24 * 60 * 60 * 1000) // 60 days estimate
 		};
 
-		this.db.saveAuth(this.auth);
+		this.db.saveAuth(this.localUserId, this.auth);
 		console.log(`✓ Authenticated as: ${this.auth.user_login} (Implicit Flow - no auto-refresh)`);
 	}
 
@@ -337,7 +460,7 @@ class TwitchAPI {
 
 	logout() {
 		this.auth = null;
-		this.db.clearAuth();
+		this.db.clearAuth(this.localUserId);
 		console.log("✓ Logged out");
 	}
 
@@ -427,7 +550,7 @@ class TwitchAPI {
 
 		// Cache in database
 		if (response.data) {
-			this.db.saveFollowedChannels(response.data);
+			this.db.saveFollowedChannels(this.localUserId, response.data);
 		}
 
 		return response.data || [];